@@ -1,19 +1,7 @@
 const axios = require('axios');
 const logger = require('../src/services/logger');
-
-// Amsterdam Pride Canal Route (simplified)
-const PRIDE_ROUTE = [
-  { lat: 52.3676, lng: 4.9041, name: "Start - Westerdok" },
-  { lat: 52.3691, lng: 4.9012, name: "Noorderkerk" },
-  { lat: 52.3703, lng: 4.8989, name: "Brouwersgracht" },
-  { lat: 52.3715, lng: 4.8967, name: "Herengracht" },
-  { lat: 52.3728, lng: 4.8945, name: "Keizersgracht" },
-  { lat: 52.3741, lng: 4.8923, name: "Prinsengracht" },
-  { lat: 52.3754, lng: 4.8901, name: "Reguliersgracht" },
-  { lat: 52.3767, lng: 4.8879, name: "Utrechtsestraat" },
-  { lat: 52.3680, lng: 4.8957, name: "Amstel" },
-  { lat: 52.3665, lng: 4.8978, name: "Finish - Magere Brug" }
-];
+const routeMapper = require('../src/services/routeMapper');
+const webhookAuth = require('../src/services/webhookAuth');
 
 // Demo boats with their assigned IMEI numbers
 const DEMO_BOATS = [
@@ -33,24 +21,47 @@ class GPSSimulator {
   constructor(options = {}) {
     this.webhookUrl = options.webhookUrl || 'http://localhost:3001/api/webhooks/tracker-gps';
     this.interval = options.interval || 1000; // 1 second
+    this.apiBaseUrl = options.apiBaseUrl || new URL(this.webhookUrl).origin;
     this.isRunning = false;
     this.boats = new Map();
     this.startTime = Date.now();
-    
+
+    // Built-in route until the backend's active route is loaded
+    this.route = routeMapper.getActiveRoute();
+
+    // Optional request signing (see /api/webhook-sources)
+    this.webhookSource = options.webhookSource || process.env.WEBHOOK_SOURCE;
+    this.webhookSecret = options.webhookSecret || process.env.WEBHOOK_SECRET;
+
     // Initialize boat positions
     this.initializeBoats();
   }
 
+  // Load the route the backend maps positions onto, so simulated boats stay on it
+  async loadRoute() {
+    try {
+      const response = await axios.get(`${this.apiBaseUrl}/api/parade/routes/active`, { timeout: 5000 });
+      this.route = response.data.route;
+      this.initializeBoats();
+      logger.info(`GPS Simulator using route "${this.route.name}" (v${this.route.version}, ${Math.round(this.route.totalDistance)}m)`);
+    } catch (error) {
+      logger.warn(`Could not load active route from ${this.apiBaseUrl}, using "${this.route.name}"`, {
+        error: error.message
+      });
+    }
+  }
+
   initializeBoats() {
+    this.boats.clear();
+
     DEMO_BOATS.forEach((boat, index) => {
       // Spread boats along the route with some spacing
-      const routeIndex = Math.floor((index / DEMO_BOATS.length) * PRIDE_ROUTE.length);
-      const position = PRIDE_ROUTE[Math.min(routeIndex, PRIDE_ROUTE.length - 1)];
-      
+      const routeDistance = (index / DEMO_BOATS.length) * this.route.totalDistance;
+
       this.boats.set(boat.imei, {
         ...boat,
-        currentPosition: { ...position },
-        routeIndex: routeIndex,
+        routeDistance,
+        currentPosition: this.positionAtDistance(routeDistance),
         speed: 2 + Math.random() * 3, // 2-5 km/h
         lastUpdate: Date.now(),
         sequenceNumber: 1000 + index * 100
@@ -60,53 +71,39 @@ class GPSSimulator {
     logger.info(`GPS Simulator initialized with ${this.boats.size} boats`);
   }
 
-  // Calculate next position along the route
-  calculateNextPosition(boat) {
-    const route = PRIDE_ROUTE;
-    const currentIndex = boat.routeIndex;
-    
-    if (currentIndex >= route.length - 1) {
-      // Boat finished the route, reset to start
-      boat.routeIndex = 0;
-      return { ...route[0] };
-    }
+  // Point on the route at a given along-route distance
+  positionAtDistance(distance) {
+    const points = this.route.points;
+    let index = 0;
 
-    const current = route[currentIndex];
-    const next = route[currentIndex + 1];
-    
-    // Calculate distance and bearing to next waypoint
-    const distance = this.calculateDistance(current.lat, current.lng, next.lat, next.lng);
-    const bearing = this.calculateBearing(current.lat, current.lng, next.lat, next.lng);
-    
-    // Move boat based on speed (convert km/h to degrees per second approximately)
-    const speedInDegreesPerSecond = (boat.speed / 3600) * 0.009; // Very rough approximation
-    const moveDistance = speedInDegreesPerSecond * (this.interval / 1000);
-    
-    if (moveDistance >= distance) {
-      // Reached next waypoint
-      boat.routeIndex++;
-      return { ...next };
-    } else {
-      // Move towards next waypoint
-      const newLat = current.lat + (moveDistance * Math.cos(bearing * Math.PI / 180));
-      const newLng = current.lng + (moveDistance * Math.sin(bearing * Math.PI / 180));
-      
-      return { lat: newLat, lng: newLng };
+    while (index < points.length - 2 && points[index + 1].distance < distance) {
+      index++;
     }
-  }
 
-  // Calculate distance between two points in degrees (rough approximation)
-  calculateDistance(lat1, lng1, lat2, lng2) {
-    const dLat = lat2 - lat1;
-    const dLng = lng2 - lng1;
-    return Math.sqrt(dLat * dLat + dLng * dLng);
+    const current = points[index];
+    const next = points[index + 1];
+    const segmentLength = next.distance - current.distance;
+    const fraction = segmentLength > 0 ? Math.max(0, Math.min(1, (distance - current.distance) / segmentLength)) : 0;
+
+    return {
+      lat: current.lat + (next.lat - current.lat) * fraction,
+      lng: current.lng + (next.lng - current.lng) * fraction,
+      routeIndex: index,
+      heading: routeMapper.calculateBearing(current.lat, current.lng, next.lat, next.lng)
+    };
   }
 
-  // Calculate bearing between two points
-  calculateBearing(lat1, lng1, lat2, lng2) {
-    const dLng = lng2 - lng1;
-    const dLat = lat2 - lat1;
-    return Math.atan2(dLng, dLat) * 180 / Math.PI;
+  // Calculate next position along the route
+  calculateNextPosition(boat) {
+    // Move boat based on speed (km/h to meters per interval)
+    boat.routeDistance += (boat.speed / 3.6) * (this.interval / 1000);
+
+    if (boat.routeDistance >= this.route.totalDistance) {
+      // Boat finished the route, reset to start
+      boat.routeDistance = 0;
+    }
+
+    return this.positionAtDistance(boat.routeDistance);
   }
 
   // Generate tracker device payload
@@ -135,7 +132,7 @@ class GPSSimulator {
               Alt: 5 + Math.random() * 10, // 5-15m altitude
               Spd: Math.max(0, boat.speed + (Math.random() - 0.5) * 1), // Speed with variation
               SpdAcc: 2,
-              Head: Math.floor(Math.random() * 360),
+              Head: Math.round(boat.currentPosition.heading),
               PDOP: 15 + Math.random() * 15, // Position dilution
               PosAcc: 20 + Math.random() * 10, // Position accuracy
               GpsStat: Math.random() > 0.1 ? 7 : 3, // Usually good GPS (7), sometimes poor (3)
@@ -171,13 +168,22 @@ class GPSSimulator {
 
       // Generate payload
       const payload = this.generateTrackerPayload(boat);
+      const body = JSON.stringify(payload);
+      const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'GPS-Tracker-Simulator/1.0'
+      };
+
+      if (this.webhookSource && this.webhookSecret) {
+        const timestamp = Math.floor(Date.now() / 1000);
+        headers['X-Webhook-Source'] = this.webhookSource;
+        headers['X-Webhook-Timestamp'] = timestamp;
+        headers['X-Webhook-Signature'] = webhookAuth.signPayload(this.webhookSecret, timestamp, body);
+      }
 
-      // Send to webhook
-      const response = await axios.post(this.webhookUrl, payload, {
-        headers: {
-          'Content-Type': 'application/json',
-          'User-Agent': 'GPS-Tracker-Simulator/1.0'
-        },
+      // Send to webhook (the signature covers this exact body)
+      const response = await axios.post(this.webhookUrl, body, {
+        headers,
         timeout: 5000
       });
 
@@ -185,7 +191,7 @@ class GPSSimulator {
         logger.debug(`GPS update sent for boat ${boat.boat_number} (${boat.name})`, {
           imei: boat.imei,
           position: [boat.currentPosition.lat.toFixed(6), boat.currentPosition.lng.toFixed(6)],
-          routeIndex: boat.routeIndex
+          routeDistance: Math.round(boat.routeDistance)
         });
       } else {
         logger.warn(`Unexpected response for boat ${boat.boat_number}:`, response.status);
@@ -251,7 +257,7 @@ class GPSSimulator {
         name: boat.name,
         imei: boat.imei,
         position: boat.currentPosition,
-        routeIndex: boat.routeIndex,
+        routeDistance: Math.round(boat.routeDistance),
         speed: boat.speed
       }))
     };
@@ -279,8 +285,8 @@ if (require.main === module) {
     process.exit(0);
   });
 
-  // Start simulation
-  simulator.start();
+  // Start simulation on the backend's active route
+  simulator.loadRoute().then(() => simulator.start());
 
   // Log status every minute
   setInterval(() => {
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * Replay Webhooks Script
+ *
+ * Re-runs logged GPS webhook requests from webhook_logs through the current
+ * ingestion pipeline. Runs as a dry run unless --apply is given; fixes that are
+ * already stored are never inserted twice. --reapply also runs stored fixes
+ * through route mapping and boat state, --boat assigns them to that boat.
+ *
+ * Usage:
+ * node scripts/replay-webhooks.js [--from 2025-08-02T10:00:00Z] [--to 2025-08-02T18:00:00Z]
+ *   [--endpoint kpn-gps] [--serno 1424670] [--status 200] [--ids 12,13] [--limit 500]
+ *   [--reapply] [--boat 12] [--apply]
+ */
+
+const { initializeDatabase, closeConnections } = require('../src/models/database');
+const { replayWebhookLogs } = require('../src/services/webhookReplay');
+
+// Parse --key value / --flag arguments
+function parseArgs(argv) {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.help) {
+    console.log('Usage: node scripts/replay-webhooks.js [--from ISO] [--to ISO] [--endpoint kpn-gps] [--serno N] [--status N] [--ids 1,2] [--limit N] [--reapply] [--boat N] [--apply]');
+    process.exit(0);
+  }
+
+  if (!process.env.DATABASE_URL) {
+    console.error('❌ DATABASE_URL is required: webhook_logs only exist in PostgreSQL');
+    process.exit(1);
+  }
+
+  const filters = {
+    from: args.from,
+    to: args.to,
+    endpoint: args.endpoint,
+    serNo: args.serno,
+    status: args.status ? parseInt(args.status) : undefined,
+    ids: args.ids ? String(args.ids).split(',').map(id => parseInt(id)) : undefined,
+    limit: args.limit ? parseInt(args.limit) : 100
+  };
+  const dryRun = !args.apply;
+  const reapply = Boolean(args.reapply);
+  const boatNumber = args.boat ? parseInt(args.boat) : undefined;
+
+  console.log(`🔁 Replaying webhook logs${dryRun ? ' (dry run, use --apply to write)' : ''}...\n`);
+
+  try {
+    await initializeDatabase();
+
+    const report = await replayWebhookLogs(filters, { dryRun, reapply, boatNumber });
+
+    for (const request of report.requests) {
+      if (request.error) {
+        console.log(`❌ #${request.logId} ${request.endpoint}: ${request.error}`);
+        continue;
+      }
+
+      const { total, accepted, deduplicated, rejected, reapplied } = request.records;
+      console.log(
+        `#${request.logId} ${request.endpoint} SerNo ${request.serNo || '-'} boat ${request.boatNumber || '-'}: ` +
+        `${total} records, ${accepted} ${dryRun ? 'would be inserted' : 'inserted'}, ` +
+        `${deduplicated} already stored, ${rejected} rejected` +
+        (reapply ? `, ${reapplied} ${dryRun ? 'would be re-applied' : 're-applied'}` : '')
+      );
+
+      for (const position of request.routePositions) {
+        console.log(
+          `   boat ${position.boatNumber} @ ${position.timestamp}: ${position.routeDistance} m ` +
+          `(${position.routeProgress}%)${position.late ? ' late' : ''}${position.reapplied ? ' re-applied' : ''}`
+        );
+      }
+    }
+
+    console.log('\n📊 Summary:');
+    console.log(`   Matched requests: ${report.matched}`);
+    console.log(`   Replayed: ${report.replayed}, failed: ${report.failed}, skipped: ${report.skipped}`);
+    console.log(`   Fixes ${dryRun ? 'to insert' : 'inserted'}: ${report.totals.accepted}`);
+    console.log(`   Already stored: ${report.totals.deduplicated}`);
+    console.log(`   Rejected: ${report.totals.rejected}`);
+    if (reapply) {
+      console.log(`   Stored fixes ${dryRun ? 'to re-apply' : 're-applied'}: ${report.totals.reapplied}`);
+    }
+    console.log(`   Route positions ${dryRun ? 'that would change' : 'changed'}: ${report.totals.routePositions}`);
+    console.log(`   Boats: ${report.boats.length > 0 ? report.boats.join(', ') : '-'}`);
+  } catch (error) {
+    console.error('❌ Replay failed:', error.message);
+    await closeConnections();
+    process.exit(1);
+  }
+
+  await closeConnections();
+  process.exit(0);
+}
+
+main().catch(console.error);
@@ -1,5 +1,11 @@
+const http = require('http');
 const request = require('supertest');
 const app = require('../app');
+const webhookAuth = require('../services/webhookAuth');
+const routeMapper = require('../services/routeMapper');
+const eventStream = require('../services/eventStream');
+const boatState = require('../services/boatState');
+const database = require('../models/database');
 
 describe('PrideSync Backend API', () => {
   
@@ -35,6 +41,8 @@ describe('PrideSync Backend API', () => {
 
       expect(response.body).toHaveProperty('success', true);
       expect(response.body).toHaveProperty('parade');
+      expect(response.body.parade.recovery).toHaveProperty('recovered');
+      expect(response.body.parade.recovery).toHaveProperty('stateAgeSeconds');
     });
   });
 
@@ -70,6 +78,1063 @@ describe('PrideSync Backend API', () => {
       expect(response.body).toHaveProperty('error', 'Invalid payload');
       expect(response.body).toHaveProperty('details');
     });
+
+    test('POST /api/webhooks/kpn-gps should process every record in a batch', async () => {
+      const batch = {
+        SerNo: 1424999,
+        IMEI: '353760970649999',
+        Records: [
+          {
+            SeqNo: 12,
+            DateUTC: '2025-08-02 12:02:00',
+            Fields: [{ GpsUTC: '2025-08-02 12:02:00', Lat: 52.3677, Long: 4.8951, Spd: 4, FType: 0 }]
+          },
+          {
+            SeqNo: 10,
+            DateUTC: '2025-08-02 12:00:00',
+            Fields: [{ GpsUTC: '2025-08-02 12:00:00', Lat: 52.3851, Long: 4.8947, Spd: 3, FType: 0 }]
+          },
+          {
+            SeqNo: 11,
+            DateUTC: '2025-08-02 12:01:00',
+            Fields: [{ GpsUTC: '2025-08-02 12:01:00', Lat: 52.3836, Long: 4.8842, Spd: 3, FType: 0 }]
+          },
+          {
+            SeqNo: 11,
+            DateUTC: '2025-08-02 12:01:00',
+            Fields: [{ GpsUTC: '2025-08-02 12:01:00', Lat: 52.3836, Long: 4.8842, Spd: 3, FType: 0 }]
+          },
+          {
+            SeqNo: 13,
+            DateUTC: '2025-08-02 12:02:30',
+            Fields: [{ DIn: 2, DOut: 0, DevStat: 2, FType: 2 }]
+          }
+        ]
+      };
+
+      const response = await request(app)
+        .post('/api/webhooks/kpn-gps')
+        .send(batch)
+        .expect(200);
+
+      expect(response.body.records).toMatchObject({
+        total: 5,
+        accepted: 3,
+        deduplicated: 1,
+        rejected: 1
+      });
+      expect(response.body.gpsData.timestamp).toBe('2025-08-02T12:02:00.000Z');
+    });
+
+    test('POST /api/webhooks/kpn-gps should ignore a retried delivery', async () => {
+      const batch = {
+        SerNo: 1424998,
+        IMEI: '353760970649998',
+        Records: [
+          {
+            SeqNo: 20,
+            DateUTC: '2025-08-02 13:00:00',
+            Fields: [{ GpsUTC: '2025-08-02 13:00:00', Lat: 52.3851, Long: 4.8947, Spd: 3, FType: 0 }]
+          },
+          {
+            SeqNo: 21,
+            DateUTC: '2025-08-02 13:01:00',
+            Fields: [{ GpsUTC: '2025-08-02 13:01:00', Lat: 52.3836, Long: 4.8842, Spd: 3, FType: 0 }]
+          }
+        ]
+      };
+
+      const first = await request(app)
+        .post('/api/webhooks/kpn-gps')
+        .send(batch)
+        .expect(200);
+
+      expect(first.body.records).toMatchObject({ total: 2, accepted: 2, deduplicated: 0 });
+
+      const retry = await request(app)
+        .post('/api/webhooks/kpn-gps')
+        .send(batch)
+        .expect(200);
+
+      expect(retry.body.records).toMatchObject({ total: 2, accepted: 0, deduplicated: 2 });
+
+      // Webhook logging runs after the response has been sent
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      const stats = await request(app)
+        .get('/api/webhooks/stats')
+        .expect(200);
+
+      expect(stats.body.data.duplicates.total_positions).toBeGreaterThanOrEqual(2);
+    });
+
+    test('POST /api/webhooks/kpn-gps should keep every GPS field of a record and a reused SeqNo', async () => {
+      const batch = {
+        SerNo: 1424997,
+        IMEI: '353760970649997',
+        Records: [
+          {
+            SeqNo: 30,
+            DateUTC: '2025-08-02 14:00:30',
+            Fields: [
+              { GpsUTC: '2025-08-02 14:00:00', Lat: 52.3851, Long: 4.8947, Spd: 3, FType: 0 },
+              { GpsUTC: '2025-08-02 14:00:30', Lat: 52.3846, Long: 4.8912, Spd: 3, FType: 0 }
+            ]
+          }
+        ]
+      };
+
+      const first = await request(app)
+        .post('/api/webhooks/kpn-gps')
+        .send(batch)
+        .expect(200);
+
+      expect(first.body.records).toMatchObject({ total: 1, accepted: 2, deduplicated: 0 });
+
+      // The tracker restarted and counts from SeqNo 30 again, later in the day
+      const wrapped = await request(app)
+        .post('/api/webhooks/kpn-gps')
+        .send({
+          ...batch,
+          Records: [{
+            SeqNo: 30,
+            DateUTC: '2025-08-02 16:00:00',
+            Fields: [{ GpsUTC: '2025-08-02 16:00:00', Lat: 52.3836, Long: 4.8842, Spd: 3, FType: 0 }]
+          }]
+        })
+        .expect(200);
+
+      expect(wrapped.body.records).toMatchObject({ total: 1, accepted: 1, deduplicated: 0 });
+
+      const retry = await request(app)
+        .post('/api/webhooks/kpn-gps')
+        .send(batch)
+        .expect(200);
+
+      expect(retry.body.records).toMatchObject({ total: 1, accepted: 0, deduplicated: 2 });
+    });
+
+    test('POST /api/webhooks/replay should report stored fixes as already stored', async () => {
+      const dryRun = await request(app)
+        .post('/api/webhooks/replay')
+        .send({ endpoint: 'kpn-gps', serNo: 1424998 })
+        .expect(200);
+
+      expect(dryRun.body.data.dryRun).toBe(true);
+      expect(dryRun.body.data.replayed).toBeGreaterThanOrEqual(2);
+      expect(dryRun.body.data.totals.accepted).toBe(0);
+      expect(dryRun.body.data.totals.deduplicated).toBeGreaterThanOrEqual(4);
+
+      const replay = await request(app)
+        .post('/api/webhooks/replay')
+        .send({ endpoint: 'kpn-gps', serNo: 1424998, dryRun: false })
+        .expect(200);
+
+      expect(replay.body.data.dryRun).toBe(false);
+      expect(replay.body.data.totals.accepted).toBe(0);
+    });
+
+    test('POST /api/webhooks/replay should re-apply stored fixes to a boat assigned after the fact', async () => {
+      await database.createPrideBoat({ parade_position: 44, boat_name: 'Replay Reapply Test' });
+
+      const dryRun = await request(app)
+        .post('/api/webhooks/replay')
+        .send({ endpoint: 'kpn-gps', serNo: 1424998, reapply: true, boatNumber: 44 })
+        .expect(200);
+
+      expect(dryRun.body.data.totals.accepted).toBe(0);
+      expect(dryRun.body.data.totals.reapplied).toBe(2);
+      expect(dryRun.body.data.boats).toEqual([44]);
+      const preview = dryRun.body.data.requests.flatMap(entry => entry.routePositions);
+      expect(preview.map(position => position.timestamp)).toEqual(['2025-08-02T13:00:00.000Z', '2025-08-02T13:01:00.000Z']);
+      expect(preview[0]).toMatchObject({ boatNumber: 44, reapplied: true, late: false });
+      expect(boatState.getBoatState(44)).toBeNull();
+
+      const replay = await request(app)
+        .post('/api/webhooks/replay')
+        .send({ endpoint: 'kpn-gps', serNo: 1424998, reapply: true, boatNumber: 44, dryRun: false })
+        .expect(200);
+
+      expect(replay.body.data.totals.accepted).toBe(0);
+      expect(replay.body.data.totals.reapplied).toBe(2);
+      expect(replay.body.data.boats).toEqual([44]);
+      const applied = replay.body.data.requests.flatMap(entry => entry.routePositions);
+      expect(applied.length).toBeGreaterThanOrEqual(1);
+      expect(new Date(boatState.getBoatState(44).position.timestamp).toISOString()).toBe(applied[applied.length - 1].timestamp);
+
+      // Fixes the boat state already holds are not applied twice
+      const again = await request(app)
+        .post('/api/webhooks/replay')
+        .send({ endpoint: 'kpn-gps', serNo: 1424998, reapply: true, boatNumber: 44, dryRun: false })
+        .expect(200);
+
+      expect(again.body.data.totals.accepted).toBe(0);
+      expect(again.body.data.totals.routePositions).toBe(0);
+      expect(again.body.data.boats).toEqual([]);
+    });
+
+    test('POST /api/webhooks/replay should only take a boat override for one tracker', async () => {
+      const response = await request(app)
+        .post('/api/webhooks/replay')
+        .send({ endpoint: 'kpn-gps', boatNumber: 44 })
+        .expect(400);
+
+      expect(response.body.message).toContain('boatNumber');
+    });
+
+    test('POST /api/webhooks/replay should refuse non-ingestion endpoints', async () => {
+      const response = await request(app)
+        .post('/api/webhooks/replay')
+        .send({ endpoint: 'test-log' })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('success', false);
+    });
+  });
+
+  describe('Webhook Authentication', () => {
+    const adminKey = 'test-admin-key';
+    let secret;
+
+    beforeAll(async () => {
+      process.env.ADMIN_API_KEY = adminKey;
+      process.env.WEBHOOK_AUTH_REQUIRED = 'true';
+
+      const response = await request(app)
+        .post('/api/webhook-sources')
+        .set('X-Admin-Key', adminKey)
+        .send({ name: 'test-kpn' })
+        .expect(201);
+
+      secret = response.body.secret;
+    });
+
+    afterAll(() => {
+      delete process.env.ADMIN_API_KEY;
+      delete process.env.WEBHOOK_AUTH_REQUIRED;
+    });
+
+    const payload = {
+      SerNo: 1424997,
+      IMEI: '353760970649997',
+      Records: [{
+        SeqNo: 1,
+        DateUTC: '2025-08-02 14:00:00',
+        Fields: [{ GpsUTC: '2025-08-02 14:00:00', Lat: 52.3851, Long: 4.8947, FType: 0 }]
+      }]
+    };
+
+    function signedRequest(timestamp = Math.floor(Date.now() / 1000), signingSecret = secret) {
+      const body = JSON.stringify(payload);
+      return request(app)
+        .post('/api/webhooks/tracker-gps')
+        .set('Content-Type', 'application/json')
+        .set('X-Webhook-Source', 'test-kpn')
+        .set('X-Webhook-Timestamp', String(timestamp))
+        .set('X-Webhook-Signature', webhookAuth.signPayload(signingSecret, timestamp, body))
+        .send(body);
+    }
+
+    test('should require the admin key for webhook source management', async () => {
+      await request(app)
+        .get('/api/webhook-sources')
+        .expect(401);
+
+      const response = await request(app)
+        .get('/api/webhook-sources')
+        .set('X-Admin-Key', adminKey)
+        .expect(200);
+
+      const source = response.body.sources.find(s => s.name === 'test-kpn');
+      expect(source).toBeDefined();
+      expect(source).not.toHaveProperty('secret');
+    });
+
+    test('should reject unsigned tracker webhooks', async () => {
+      const response = await request(app)
+        .post('/api/webhooks/tracker-gps')
+        .send(payload)
+        .expect(401);
+
+      expect(response.body).toHaveProperty('reason', 'missing_signature');
+    });
+
+    test('should reject signatures made with the wrong secret', async () => {
+      const response = await signedRequest(undefined, 'not-the-secret').expect(401);
+
+      expect(response.body).toHaveProperty('reason', 'invalid_signature');
+    });
+
+    test('should reject timestamps outside the replay window', async () => {
+      const response = await signedRequest(Math.floor(Date.now() / 1000) - 3600).expect(401);
+
+      expect(response.body).toHaveProperty('reason', 'timestamp_out_of_window');
+    });
+
+    test('should accept correctly signed tracker webhooks', async () => {
+      const response = await signedRequest().expect(200);
+
+      expect(response.body).toHaveProperty('success', true);
+    });
+
+    test('should reject requests from addresses outside the IP allowlist', async () => {
+      await request(app)
+        .put('/api/webhook-sources/test-kpn')
+        .set('X-Admin-Key', adminKey)
+        .send({ ip_allowlist: ['203.0.113.0/24'] })
+        .expect(200);
+
+      const response = await signedRequest().expect(403);
+      expect(response.body).toHaveProperty('reason', 'ip_not_allowed');
+    });
+
+    test('should protect debug endpoints with the admin key', async () => {
+      await request(app)
+        .post('/api/webhooks/test-gps')
+        .expect(401);
+
+      await request(app)
+        .post('/api/webhooks/create-demo-mappings')
+        .expect(401);
+    });
+
+    test('should log rejected requests with their reason', async () => {
+      // Webhook logging runs after the response has been sent
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      const response = await request(app)
+        .get('/api/webhooks/stats')
+        .expect(200);
+
+      expect(response.body.data.rejections.by_reason).toMatchObject({
+        missing_signature: 1,
+        invalid_signature: 1,
+        timestamp_out_of_window: 1,
+        ip_not_allowed: 1
+      });
+    });
+  });
+
+  describe('Parade Routes', () => {
+    const gpxPath = require('path').join(__dirname, 'fixtures', 'parade-route.gpx');
+    let gpxRouteId;
+
+    afterAll(() => {
+      // Back to the built-in route for the other tests
+      routeMapper.setActiveRoute(null);
+    });
+
+    test('POST /api/parade/routes should store and activate an uploaded GPX track', async () => {
+      const response = await request(app)
+        .post('/api/parade/routes')
+        .field('activate', 'true')
+        .attach('routeFile', gpxPath)
+        .expect(201);
+
+      expect(response.body.inUse).toBe(true);
+      expect(response.body.route).toMatchObject({
+        name: 'Canal Parade 2025',
+        event_name: 'amsterdam-pride',
+        source_format: 'gpx',
+        is_active: true,
+        point_count: 8
+      });
+      gpxRouteId = response.body.route.id;
+
+      const route = await request(app)
+        .get('/api/parade/route')
+        .expect(200);
+
+      expect(route.body.route).toMatchObject({ id: gpxRouteId, totalDistance: 4467.4 });
+      expect(route.body.route.waypoints.map(waypoint => waypoint.type)).toEqual(['start', 'bridge', 'finish']);
+    });
+
+    test('should version routes per event and keep one active', async () => {
+      const upload = await request(app)
+        .post('/api/parade/routes')
+        .send({
+          name: 'Shortened route',
+          data: { type: 'LineString', coordinates: [[4.8947, 52.3851], [4.8842, 52.3836], [4.8835, 52.3758]] }
+        })
+        .expect(201);
+
+      expect(upload.body.route).toMatchObject({ version: 2, is_active: false });
+      expect(upload.body.inUse).toBe(false);
+
+      await request(app)
+        .post(`/api/parade/routes/${upload.body.route.id}/activate`)
+        .expect(200);
+
+      const list = await request(app)
+        .get('/api/parade/routes')
+        .expect(200);
+
+      expect(list.body.routes.filter(route => route.is_active).map(route => route.id))
+        .toEqual([upload.body.route.id]);
+      expect(list.body.activeRouteId).toBe(upload.body.route.id);
+
+      const active = await request(app)
+        .get('/api/parade/routes/active')
+        .expect(200);
+
+      expect(active.body.route.name).toBe('Shortened route');
+    });
+
+    test('should refuse to delete the active route', async () => {
+      const active = routeMapper.getActiveRoute();
+
+      await request(app)
+        .delete(`/api/parade/routes/${active.id}`)
+        .expect(409);
+
+      await request(app)
+        .delete(`/api/parade/routes/${gpxRouteId}`)
+        .expect(200);
+    });
+
+    test('should reject invalid route data', async () => {
+      const response = await request(app)
+        .post('/api/parade/routes')
+        .send({ data: { type: 'LineString', coordinates: [[4.8947, 52.3851]] } })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Invalid route');
+    });
+
+    test('GET /api/parade/corridor should return corridor polygons', async () => {
+      const response = await request(app)
+        .get('/api/parade/corridor')
+        .expect(200);
+
+      expect(response.body.corridor.type).toBe('FeatureCollection');
+      expect(response.body.corridor.features[0].geometry.type).toBe('Polygon');
+      expect(response.body.corridor.features[0].properties).toHaveProperty('tolerance');
+    });
+  });
+
+  describe('Parade Spacing', () => {
+    test('GET /api/parade/spacing should return spacing per boat', async () => {
+      const response = await request(app)
+        .get('/api/parade/spacing')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.thresholds).toHaveProperty('maxGapMeters');
+      expect(response.body.summary).toHaveProperty('gaps');
+      expect(Array.isArray(response.body.boats)).toBe(true);
+    });
+
+    test('GET /api/boats/:id/instructions should return 404 for unknown boats', async () => {
+      const response = await request(app)
+        .get('/api/boats/9999/instructions')
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error', 'Boat not found');
+    });
+
+    test('PUT /api/parade/spacing/thresholds should reject a minimum above the maximum', async () => {
+      const response = await request(app)
+        .put('/api/parade/spacing/thresholds')
+        .send({ minGapMeters: 500 })
+        .expect(400);
+
+      expect(response.body.details).toContain('minGapMeters must be smaller than maxGapMeters');
+    });
+  });
+
+  describe('Parade Schedule', () => {
+    test('PUT /api/parade/schedule should set the timetable and GET should return checkpoints', async () => {
+      const startTime = new Date(Date.now() - 30 * 60 * 1000).toISOString();
+
+      const saved = await request(app)
+        .put('/api/parade/schedule')
+        .send({ startTime, departureIntervalSeconds: 90, targetSpeedKmh: 5 })
+        .expect(200);
+
+      expect(saved.body.schedule).toEqual({ startTime, departureIntervalSeconds: 90, targetSpeedKmh: 5 });
+
+      const response = await request(app)
+        .get('/api/parade/schedule')
+        .expect(200);
+
+      expect(response.body.schedule.startTime).toBe(startTime);
+      expect(response.body.checkpoints.map(checkpoint => checkpoint.type)).toContain('finish');
+      expect(response.body.deviation).toHaveProperty('status');
+    });
+
+    test('PUT /api/parade/schedule should validate the body', async () => {
+      const response = await request(app)
+        .put('/api/parade/schedule')
+        .send({ targetSpeedKmh: -1 })
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation error');
+    });
+
+    test('GET /api/parade/summary should include the schedule deviation', async () => {
+      const response = await request(app)
+        .get('/api/parade/summary')
+        .expect(200);
+
+      expect(response.body.summary.schedule).toHaveProperty('deviationSeconds');
+      expect(response.body.summary.schedule).toHaveProperty('startTime');
+    });
+
+    test('GET /api/boats/:id/schedule should return 404 for unknown boats', async () => {
+      const response = await request(app)
+        .get('/api/boats/9999/schedule')
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error', 'Boat not found');
+    });
+  });
+
+  describe('Emergencies', () => {
+    test('POST /api/emergencies should raise an emergency that control can acknowledge', async () => {
+      const raised = await request(app)
+        .post('/api/emergencies')
+        .send({ boatNumber: 77, reason: 'Medische noodsituatie', latitude: 52.3676, longitude: 4.9041 })
+        .expect(201);
+
+      expect(raised.body.emergency).toMatchObject({ boatId: 77, status: 'raised', latitude: 52.3676 });
+
+      const acknowledged = await request(app)
+        .post(`/api/emergencies/${raised.body.emergency.id}/acknowledge`)
+        .send({ by: 'control-room' })
+        .expect(200);
+
+      expect(acknowledged.body.emergency.status).toBe('acknowledged');
+
+      const queue = await request(app)
+        .get('/api/emergencies')
+        .expect(200);
+
+      expect(queue.body.emergencies.find(item => item.id === raised.body.emergency.id).status).toBe('acknowledged');
+
+      await request(app)
+        .post(`/api/emergencies/${raised.body.emergency.id}/close`)
+        .send({ by: 'control-room' })
+        .expect(409);
+    });
+
+    test('POST /api/emergencies should validate the reason', async () => {
+      const response = await request(app)
+        .post('/api/emergencies')
+        .send({ boatNumber: 77, reason: 'Verveeld' })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Validation error');
+    });
+  });
+
+  describe('Tracker Health', () => {
+    test('GET /api/device-management/health should report trackers heard from over webhooks', async () => {
+      await request(app)
+        .post('/api/webhooks/kpn-gps')
+        .send({
+          SerNo: 1424996,
+          IMEI: '353760970649996',
+          Records: [{
+            SeqNo: 1,
+            DateUTC: '2025-08-02 12:00:00',
+            Fields: [
+              { GpsUTC: '2025-08-02 12:00:00', Lat: 52.3851, Long: 4.8947, PDOP: 18, GpsStat: 7, FType: 0 },
+              { AnalogueData: { '1': 5210 }, FType: 6 }
+            ]
+          }]
+        })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/device-management/health')
+        .expect(200);
+
+      expect(response.body.thresholds).toHaveProperty('offlineSeconds');
+      expect(response.body.trackers.find(tracker => tracker.trackerName === '1424996'))
+        .toMatchObject({ status: 'ok', batteryMv: 5210, lastGpsStatus: 7, fixCount: 1 });
+    });
+
+    test('should not count a retried tracker delivery twice', async () => {
+      const payload = {
+        SerNo: 1424995,
+        IMEI: '353760970649995',
+        Records: [{
+          SeqNo: 1,
+          DateUTC: '2025-08-02 12:00:00',
+          Fields: [{ GpsUTC: '2025-08-02 12:00:00', Lat: 52.3851, Long: 4.8947, PDOP: 18, GpsStat: 7, FType: 0 }]
+        }]
+      };
+
+      await request(app).post('/api/webhooks/tracker-gps').send(payload).expect(200);
+      await request(app).post('/api/webhooks/tracker-gps').send(payload).expect(200);
+
+      const response = await request(app)
+        .get('/api/device-management/health')
+        .expect(200);
+
+      const tracker = response.body.trackers.find(tracker => tracker.trackerName === '1424995');
+      expect(tracker).toMatchObject({ payloads: 2, fixCount: 1 });
+      expect(tracker.clockSkew.lateFixes).toBe(0);
+    });
+  });
+
+  describe('Tracker Swap', () => {
+    test('POST /api/device-management/boats/:boatNumber/swap-tracker should move the boat to the spare tracker', async () => {
+      const boat = await database.createPrideBoat({ parade_position: 41, boat_name: 'Swap Route Test' });
+      const dead = await database.createKPNTracker({ tracker_name: '1425201', asset_code: 'P41' });
+      await database.createKPNTracker({ tracker_name: '1425202', asset_code: 'R2' });
+      await database.createBoatTrackerMapping({ pride_boat_id: boat.id, kpn_tracker_id: dead.id, parade_position: 41, valid_from: '2025-08-02T09:00:00Z' });
+
+      const response = await request(app)
+        .post('/api/device-management/boats/41/swap-tracker')
+        .send({ trackerName: '1425202', swappedAt: '2025-08-02T12:30:00Z', by: 'control-anna' })
+        .expect(200);
+
+      expect(response.body.data.started).toMatchObject({ tracker_name: '1425202', parade_position: 41 });
+
+      const track = await request(app)
+        .get('/api/boats/41/track')
+        .expect(200);
+
+      expect(track.body.trackers.map(tracker => tracker.trackerName)).toEqual(['1425201', '1425202']);
+
+      await request(app)
+        .post('/api/device-management/boats/41/swap-tracker')
+        .send({ trackerName: '1425202', by: 'control-anna' })
+        .expect(409);
+
+      await request(app)
+        .post('/api/device-management/boats/41/swap-tracker')
+        .send({ by: 'control-anna' })
+        .expect(400);
+    });
+
+    test('POST /api/webhooks/tracker-gps should follow the tracker mapping valid at the time of the fix', async () => {
+      const boat = await database.createPrideBoat({ parade_position: 43, boat_name: 'Swap Webhook Test' });
+      const dead = await database.createKPNTracker({ tracker_name: '1425401', asset_code: 'P43' });
+      await database.createKPNTracker({ tracker_name: '1425402', asset_code: 'R3' });
+      await database.createBoatTrackerMapping({ pride_boat_id: boat.id, kpn_tracker_id: dead.id, parade_position: 43, valid_from: '2025-08-02T09:00:00Z' });
+
+      await request(app)
+        .post('/api/device-management/boats/43/swap-tracker')
+        .send({ trackerName: '1425402', swappedAt: '2025-08-02T12:30:00Z', by: 'control-anna' })
+        .expect(200);
+
+      const fix = (serNo, time) => ({
+        SerNo: serNo,
+        IMEI: `3537609706${serNo}`,
+        Records: [{ SeqNo: 1, DateUTC: time, Fields: [{ GpsUTC: time, Lat: 52.3851, Long: 4.8947, FType: 0 }] }]
+      });
+
+      const spare = await request(app)
+        .post('/api/webhooks/tracker-gps')
+        .send(fix(1425402, '2025-08-02 12:45:00'))
+        .expect(200);
+
+      expect(spare.body.device).toMatchObject({ mapped: true, boatNumber: 43 });
+      expect(spare.body.processed).toMatchObject({ accepted: 1, deduplicated: 0 });
+
+      const swappedOut = await request(app)
+        .post('/api/webhooks/tracker-gps')
+        .send(fix(1425401, '2025-08-02 12:40:00'))
+        .expect(200);
+
+      expect(swappedOut.body.device).toMatchObject({ mapped: false, boatNumber: null });
+    });
+
+    test('mapping changes should require the admin key, and the CMS page should send it with the operator', async () => {
+      process.env.ADMIN_API_KEY = 'test-admin-key';
+      try {
+        await request(app).post('/api/device-management/manual-map').send({ pride_boat_id: 1, kpn_tracker_id: 1, by: 'control-anna' }).expect(401);
+        await request(app).delete('/api/device-management/mappings/1').send({ by: 'control-anna' }).expect(401);
+        await request(app).post('/api/device-management/auto-map').send({}).expect(401);
+        await request(app).post('/api/device-management/auto-map/rollback').send({}).expect(401);
+      } finally {
+        delete process.env.ADMIN_API_KEY;
+      }
+
+      const cms = await request(app)
+        .get('/api/device-management/cms')
+        .expect(200);
+
+      expect(cms.text).toContain("'X-Admin-Key': this.adminKey");
+      expect(cms.text).toContain('JSON.stringify({ ...this.newMapping, by: this.operator.trim() })');
+      expect(cms.text).toContain('JSON.stringify({ by: this.operator.trim() })');
+    });
+
+    test('GET /api/device-management/trackers/:trackerName/boat should answer which boat had the tracker at a time', async () => {
+      const boat = await database.createPrideBoat({ parade_position: 42, boat_name: 'Audit Route Test' });
+      const tracker = await database.createKPNTracker({ tracker_name: '1425301', asset_code: 'P42' });
+
+      const mapped = await request(app)
+        .post('/api/device-management/manual-map')
+        .send({ pride_boat_id: boat.id, kpn_tracker_id: tracker.id, by: 'control-anna', reason: 'Tracker handed out at the quay' })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/device-management/trackers/1425301/boat')
+        .query({ at: new Date(Date.now() + 1000).toISOString() })
+        .expect(200);
+
+      expect(response.body.boat).toMatchObject({ boatNumber: 42, mappingId: mapped.body.data.id });
+
+      await request(app)
+        .delete(`/api/device-management/mappings/${mapped.body.data.id}`)
+        .send({ by: 'control-anna', reason: 'Boat withdrawn' })
+        .expect(200);
+
+      const audit = await request(app)
+        .get('/api/device-management/audit')
+        .query({ tracker: '1425301' })
+        .expect(200);
+
+      expect(audit.body.entries.map(entry => [entry.action, entry.performed_by, entry.reason])).toEqual([
+        ['map', 'control-anna', 'Tracker handed out at the quay'],
+        ['unmap', 'control-anna', 'Boat withdrawn']
+      ]);
+
+      await request(app)
+        .post('/api/device-management/manual-map')
+        .send({ pride_boat_id: boat.id, kpn_tracker_id: tracker.id })
+        .expect(400);
+    });
+  });
+
+  describe('Auto Mapping', () => {
+    test('POST /api/device-management/auto-map should apply a previewed plan and roll it back', async () => {
+      await database.createPrideBoat({ parade_position: 61, boat_name: 'Auto Map Route Test' });
+      await database.createKPNTracker({ tracker_name: '1425601', asset_code: 'ZZ1' });
+      await database.createKPNTracker({ tracker_name: '1425602', asset_code: 'ZZ-BOAT' });
+      const rules = JSON.stringify([{ type: 'asset_code', pattern: '^ZZ\\d+$', target: 'support_vessel', vesselType: 'organisation' }]);
+
+      const preview = await request(app)
+        .post('/api/device-management/auto-map/preview')
+        .field('rules', rules)
+        .attach('assignment', Buffer.from('tracker,boat\n1425602,61\n'), 'assignment.csv')
+        .expect(200);
+
+      const planned = preview.body.changes.filter(change => change.action === 'map');
+      expect(planned.map(change => [change.trackerName, change.target.type])).toEqual([
+        ['1425602', 'parade_boat'], ['1425601', 'support_vessel']
+      ]);
+
+      const applied = await request(app)
+        .post('/api/device-management/auto-map')
+        .field('rules', rules)
+        .field('planHash', preview.body.planHash)
+        .field('by', 'control-anna')
+        .attach('assignment', Buffer.from('tracker,boat\n1425602,61\n'), 'assignment.csv')
+        .expect(200);
+
+      expect(applied.body.data).toMatchObject({ mappings_created: 2, errors: 0 });
+
+      const stats = await request(app)
+        .get('/api/device-management/stats')
+        .expect(200);
+      expect(stats.body.mappedSupportVessels).toBe(1);
+
+      const stale = await request(app)
+        .post('/api/device-management/auto-map')
+        .send({ rules: JSON.parse(rules), planHash: preview.body.planHash })
+        .expect(409);
+      expect(stale.body.success).toBe(false);
+
+      const rollback = await request(app)
+        .post('/api/device-management/auto-map/rollback')
+        .send({ by: 'control-anna' })
+        .expect(200);
+      expect(rollback.body.data).toMatchObject({ ended: 2, restored: [] });
+
+      await request(app)
+        .post('/api/device-management/auto-map/rollback')
+        .send({ by: 'control-anna' })
+        .expect(404);
+    });
+
+    test('POST /api/device-management/auto-map/preview should validate the rules', async () => {
+      await request(app)
+        .post('/api/device-management/auto-map/preview')
+        .send({ rules: [{ type: 'by_colour' }] })
+        .expect(400);
+
+      await request(app)
+        .post('/api/device-management/auto-map/preview')
+        .send({ rules: [{ type: 'asset_code', pattern: '^P\\d+$' }] })
+        .expect(400);
+    });
+  });
+
+  describe('Vessels', () => {
+    test('POST /api/vessels should register a support vessel and PATCH should update it', async () => {
+      const created = await request(app)
+        .post('/api/vessels')
+        .send({ code: 'R-ROUTE', name: 'KNRM Amsterdam', vesselType: 'rescue', contactPhone: '0201234567' })
+        .expect(201);
+
+      expect(created.body.vessel).toMatchObject({ type: 'rescue', code: 'R-ROUTE', contactPhone: '0201234567', position: null });
+
+      await request(app)
+        .post('/api/vessels')
+        .send({ code: 'R-ROUTE', name: 'Duplicate', vesselType: 'rescue' })
+        .expect(409);
+
+      await request(app)
+        .post('/api/vessels')
+        .send({ code: 'P-ROUTE', name: 'Not a support vessel', vesselType: 'parade' })
+        .expect(400);
+
+      const updated = await request(app)
+        .patch('/api/vessels/R-ROUTE')
+        .send({ vesselType: 'police' })
+        .expect(200);
+      expect(updated.body.vessel).toMatchObject({ type: 'police', name: 'KNRM Amsterdam' });
+
+      await request(app)
+        .patch('/api/vessels/UNKNOWN')
+        .send({ name: 'Nobody' })
+        .expect(404);
+    });
+
+    test('GET /api/vessels should only show public types to the public', async () => {
+      const control = await request(app)
+        .get('/api/vessels')
+        .query({ types: 'police' })
+        .expect(200);
+      expect(control.body.vessels.map(vessel => vessel.code)).toContain('R-ROUTE');
+
+      const publicView = await request(app)
+        .get('/api/vessels')
+        .query({ audience: 'public' })
+        .expect(200);
+      expect(publicView.body.vessels.some(vessel => vessel.type === 'police')).toBe(false);
+
+      const types = await request(app)
+        .get('/api/vessels/types')
+        .expect(200);
+      expect(types.body.types.map(type => type.type)).toEqual(['parade', 'organisation', 'rescue', 'police', 'media']);
+    });
+
+    test('GET /api/vessels/nearest-rescue should validate the location', async () => {
+      const response = await request(app)
+        .get('/api/vessels/nearest-rescue')
+        .query({ lat: 52.37, lng: 4.9 })
+        .expect(200);
+      expect(response.body.location).toMatchObject({ latitude: 52.37, longitude: 4.9, source: 'coordinates' });
+
+      await request(app)
+        .get('/api/vessels/nearest-rescue')
+        .expect(400);
+
+      await request(app)
+        .get('/api/vessels/nearest-rescue')
+        .query({ lat: 52.37 })
+        .expect(400);
+
+      await request(app)
+        .get('/api/vessels/nearest-rescue')
+        .query({ lat: 52.37, lng: 4.9, types: 'parade' })
+        .expect(400);
+    });
+  });
+
+  describe('Frequencies', () => {
+    test('POST /api/frequencies/assign should validate and assign a frequency', async () => {
+      await request(app)
+        .post('/api/frequencies/assign')
+        .send({ boatId: 5 })
+        .expect(400);
+
+      await request(app)
+        .post('/api/frequencies/assign')
+        .send({ boatId: 5, frequency: 95.1 })
+        .expect(400);
+
+      const response = await request(app)
+        .post('/api/frequencies/assign')
+        .send({ boatId: 5, frequency: 96.0 })
+        .expect(200);
+      expect(response.body.assignment).toMatchObject({ boatNumber: 5, frequency: 96, source: 'manual' });
+
+      const boat = await request(app)
+        .get('/api/boats/5/frequency')
+        .expect(200);
+      expect(boat.body.frequency).toBe(96);
+    });
+
+    test('GET /api/frequencies should list assignments, conflicts and available frequencies', async () => {
+      const list = await request(app)
+        .get('/api/frequencies')
+        .expect(200);
+      expect(list.body.assignments.map(assignment => assignment.boatNumber)).toContain(5);
+      expect(list.body.conflicts).toEqual([]);
+
+      const available = await request(app)
+        .get('/api/frequencies/available')
+        .expect(200);
+      expect(available.body.frequencies).not.toContain(96);
+
+      const pool = await request(app)
+        .get('/api/frequencies/pool')
+        .expect(200);
+      expect(pool.body.pool).toMatchObject({ stepMhz: 0.2, minSpacingMhz: 0.4 });
+
+      await request(app)
+        .put('/api/frequencies/pool')
+        .send({ stepMhz: 'wide' })
+        .expect(400);
+    });
+
+    test('GET /api/frequencies/plan should preview the allocation and the change log', async () => {
+      const plan = await request(app)
+        .get('/api/frequencies/plan')
+        .expect(200);
+      expect(plan.body.plan).toMatchObject({ changes: expect.any(Array), unplaced: [] });
+
+      await request(app)
+        .post('/api/frequencies/plan/apply')
+        .send({ immediate: 'soon' })
+        .expect(400);
+
+      const changes = await request(app)
+        .get('/api/frequencies/changes')
+        .query({ status: 'scheduled' })
+        .expect(200);
+      expect(changes.body.changes).toEqual([]);
+
+      await request(app)
+        .get('/api/frequencies/changes')
+        .query({ status: 'pending' })
+        .expect(400);
+    });
+
+    test('DELETE /api/frequencies/:boatId should take a boat off its frequency', async () => {
+      await request(app)
+        .delete('/api/frequencies/5')
+        .expect(200);
+
+      await request(app)
+        .delete('/api/frequencies/5')
+        .expect(404);
+    });
+  });
+
+  describe('Locations', () => {
+    test('GET /api/locations/within should return boats in a radius or a viewport', async () => {
+      const radius = await request(app)
+        .get('/api/locations/within')
+        .query({ lat: 52.37, lon: 4.9, radius: 1000 })
+        .expect(200);
+      expect(Array.isArray(radius.body.data)).toBe(true);
+
+      const viewport = await request(app)
+        .get('/api/locations/within')
+        .query({ south: 52.35, west: 4.85, north: 52.39, east: 4.95 })
+        .expect(200);
+      expect(viewport.body.count).toBe(viewport.body.data.length);
+
+      await request(app)
+        .get('/api/locations/within')
+        .expect(400);
+
+      await request(app)
+        .get('/api/locations/within')
+        .query({ lat: 52.37, lon: 4.9, south: 52.35, west: 4.85, north: 52.39, east: 4.95 })
+        .expect(400);
+
+      await request(app)
+        .get('/api/locations/within')
+        .query({ south: 52.39, west: 4.85, north: 52.35, east: 4.95 })
+        .expect(400);
+    });
+  });
+
+  describe('Incident Rules', () => {
+    test('GET /api/incident-rules should list the rules and conditions', async () => {
+      const response = await request(app)
+        .get('/api/incident-rules')
+        .expect(200);
+
+      expect(response.body.rules.find(rule => rule.id === 'stopped')).toMatchObject({ condition: 'stopped', durationSeconds: 180, isDefault: true });
+      expect(response.body.conditions.no_fix).toMatchObject({ clock: true, params: { maxAgeSeconds: 120 } });
+    });
+
+    test('PUT /api/incident-rules/:id should create a custom rule that can be deleted', async () => {
+      const saved = await request(app)
+        .put('/api/incident-rules/poor_accuracy_strict')
+        .send({ condition: 'poor_accuracy', params: { maxAccuracyMeters: 25 }, durationSeconds: 10, severity: 'info' })
+        .expect(200);
+
+      expect(saved.body.rule).toMatchObject({ id: 'poor_accuracy_strict', incidentType: 'poor_accuracy_strict', autoResolve: true });
+
+      await request(app)
+        .delete('/api/incident-rules/poor_accuracy_strict')
+        .expect(200);
+
+      await request(app)
+        .delete('/api/incident-rules/stopped')
+        .expect(409);
+    });
+
+    test('PUT /api/incident-rules/:id should validate the rule', async () => {
+      const response = await request(app)
+        .put('/api/incident-rules/stopped')
+        .send({ condition: 'sinking', severity: 'warning' })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Validation error');
+    });
+  });
+
+  describe('Event Stream', () => {
+    // Read the SSE stream until the given event arrives, then disconnect
+    const readStream = (path, headers, untilEvent) => new Promise((resolve, reject) => {
+      const server = app.listen(0);
+      const req = http.get({ port: server.address().port, path, headers }, res => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          body += chunk;
+          if (new RegExp(`event: ${untilEvent}\\ndata: .*\\n\\n`).test(body)) {
+            req.destroy();
+            server.close();
+            resolve({ headers: res.headers, body });
+          }
+        });
+      });
+      req.on('error', error => {
+        server.close();
+        reject(error);
+      });
+    });
+
+    test('GET /api/stream should replay filtered events after Last-Event-ID', async () => {
+      const since = eventStream.publish('position', 41, { latitude: 52.37 });
+      eventStream.publish('position', 42, { latitude: 52.36 });
+      eventStream.publish('incident', 41, { type: 'corridor_exit', state: 'opened' });
+
+      const { headers, body } = await readStream('/api/stream?boats=41&types=incident', { 'Last-Event-ID': since.id }, 'ready');
+
+      expect(headers['content-type']).toContain('text/event-stream');
+      expect(body).toContain('event: incident');
+      expect(body).toContain('"corridor_exit"');
+      expect(body).not.toContain('event: position');
+      expect(body).toContain('"replayed":1');
+    });
+
+    test('GET /api/stream should send a reset for unknown event ids', async () => {
+      const { body } = await readStream('/api/stream?lastEventId=stale-12', {}, 'ready');
+
+      expect(body).toContain('event: reset');
+    });
+
+    test('GET /api/stream/status should report stream statistics', async () => {
+      const response = await request(app)
+        .get('/api/stream/status')
+        .expect(200);
+
+      expect(response.body.stream).toHaveProperty('lastEventId');
+      expect(response.body.eventTypes).toEqual(['position', 'status', 'incident', 'notification']);
+    });
   });
 
   describe('Error Handling', () => {
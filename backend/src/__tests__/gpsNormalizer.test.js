@@ -0,0 +1,146 @@
+const gpsNormalizer = require('../services/gpsNormalizer');
+
+// Captured payloads: flat-boat-update is what test-webhook.js sends, kpn-tracker-records
+// is the tracker format produced by scripts/gps-simulator.js, kpn-serial-records is the
+// lowercase variant accepted by /kpn-serial
+const flatBoatUpdate = require('./fixtures/flat-boat-update.json');
+const kpnTrackerRecords = require('./fixtures/kpn-tracker-records.json');
+const kpnSerialRecords = require('./fixtures/kpn-serial-records.json');
+
+describe('GPS Normalizer', () => {
+
+  test('should register the built-in adapters in detection order', () => {
+    expect(gpsNormalizer.listAdapters()).toEqual(['kpn-records', 'flat']);
+  });
+
+  describe('kpn-records adapter', () => {
+    test('should normalize every GPS record oldest first', () => {
+      const result = gpsNormalizer.normalizePayload(kpnTrackerRecords);
+
+      expect(result.adapter).toBe('kpn-records');
+      expect(result.serNo).toBe(1326997);
+      expect(result.imei).toBe('353760970649317');
+      expect(result.totalRecords).toBe(3);
+      expect(result.fixes.map(fix => fix.seqNo)).toEqual([4710, 4711]);
+    });
+
+    test('should map GPS, digital I/O and analogue fields onto the canonical fix', () => {
+      const [, fix] = gpsNormalizer.normalizePayload(kpnTrackerRecords).fixes;
+
+      expect(fix).toMatchObject({
+        serNo: 1326997,
+        imei: '353760970649317',
+        seqNo: 4711,
+        recordIndex: 0,
+        latitude: 52.3836,
+        longitude: 4.8842,
+        altitude: 8,
+        speed: 3,
+        heading: 190,
+        accuracy: 22,
+        pdop: 1.8,
+        gpsStatus: 7,
+        digitalInputs: 2,
+        digitalOutputs: 0,
+        deviceStatus: 2,
+        battery: 5234
+      });
+      expect(fix.timestamp.toISOString()).toBe('2025-08-02T12:01:00.000Z');
+    });
+
+    test('should reject records without a GPS field', () => {
+      const { rejected } = gpsNormalizer.normalizePayload(kpnTrackerRecords);
+
+      expect(rejected).toEqual([
+        { recordIndex: 2, SeqNo: 4712, reason: 'No GPS field in record' }
+      ]);
+    });
+
+    test('should accept lowercase records with coordinates at record level', () => {
+      const result = gpsNormalizer.normalizePayload(kpnSerialRecords);
+
+      expect(result.adapter).toBe('kpn-records');
+      expect(result.serNo).toBe(1424670);
+      expect(result.imei).toBe('353760970649670');
+      expect(result.fixes).toHaveLength(1);
+      expect(result.fixes[0]).toMatchObject({
+        seqNo: 88,
+        latitude: 52.3677,
+        longitude: 4.8951,
+        speed: 4.5,
+        heading: 140,
+        accuracy: 12,
+        battery: null
+      });
+      expect(result.fixes[0].timestamp.toISOString()).toBe('2025-08-02T12:05:00.000Z');
+      expect(result.rejected).toEqual([
+        { recordIndex: 1, SeqNo: 89, reason: 'Invalid coordinates' }
+      ]);
+    });
+  });
+
+  describe('flat adapter', () => {
+    test('should normalize a single latitude/longitude update', () => {
+      const result = gpsNormalizer.normalizePayload(flatBoatUpdate);
+
+      expect(result.adapter).toBe('flat');
+      expect(result.totalRecords).toBe(1);
+      expect(result.fixes).toHaveLength(1);
+      expect(result.fixes[0]).toMatchObject({
+        seqNo: null,
+        latitude: 52.37338,
+        longitude: 4.89075,
+        speed: null,
+        heading: null
+      });
+      expect(result.fixes[0].timestamp.toISOString()).toBe('2025-07-21T14:36:00.000Z');
+    });
+
+    test('should use the receive time when no timestamp is sent', () => {
+      const before = Date.now();
+      const { fixes } = gpsNormalizer.normalizePayload({ latitude: 52.37338, longitude: 4.89075 });
+
+      expect(fixes[0].timestamp.getTime()).toBeGreaterThanOrEqual(before);
+    });
+  });
+
+  describe('adapter registry', () => {
+    test('should return no fixes for unknown payloads', () => {
+      const result = gpsNormalizer.normalizePayload({ SerNo: 1, hello: 'world' });
+
+      expect(result.adapter).toBeNull();
+      expect(result.serNo).toBe(1);
+      expect(result.fixes).toEqual([]);
+    });
+
+    test('should use a registered vendor adapter', () => {
+      gpsNormalizer.registerAdapter({
+        name: 'test-vendor',
+        detect: payload => Array.isArray(payload.positions),
+        normalize: payload => ({
+          fixes: payload.positions.map((position, recordIndex) => ({
+            seqNo: position.id,
+            recordIndex,
+            timestamp: new Date(position.ts * 1000),
+            latitude: position.y,
+            longitude: position.x
+          })),
+          rejected: [],
+          totalRecords: payload.positions.length
+        })
+      });
+
+      const result = gpsNormalizer.normalizePayload({
+        serial: 42,
+        positions: [{ id: 7, ts: 1754136000, x: 4.8947, y: 52.3851 }]
+      });
+
+      expect(result.adapter).toBe('test-vendor');
+      expect(result.fixes[0]).toMatchObject({ serNo: 42, seqNo: 7, latitude: 52.3851, longitude: 4.8947 });
+    });
+
+    test('should refuse adapters without detect and normalize', () => {
+      expect(() => gpsNormalizer.registerAdapter({ name: 'broken' })).toThrow();
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const routeParser = require('../services/routeParser');
+
+// parade-route.gpx: the canal route as a GPX track (with a repeated point) and two waypoints
+const paradeRouteGPX = fs.readFileSync(path.join(__dirname, 'fixtures', 'parade-route.gpx'), 'utf-8');
+
+const lineString = {
+  type: 'FeatureCollection',
+  features: [
+    {
+      type: 'Feature',
+      properties: { name: 'Prinsengracht test route' },
+      geometry: {
+        type: 'LineString',
+        coordinates: [[4.8947, 52.3851], [4.8842, 52.3836], [4.8835, 52.3758]]
+      }
+    },
+    {
+      type: 'Feature',
+      properties: { name: 'Start - Westerdok', type: 'start' },
+      geometry: { type: 'Point', coordinates: [4.8947, 52.3851] }
+    }
+  ]
+};
+
+describe('Route Parser', () => {
+
+  describe('GeoJSON', () => {
+    test('should compute cumulative distances along the LineString', () => {
+      const route = routeParser.parseRoute(lineString);
+
+      expect(route.format).toBe('geojson');
+      expect(route.name).toBe('Prinsengracht test route');
+      expect(route.points).toHaveLength(3);
+      expect(route.points[0].distance).toBe(0);
+      expect(route.points[1].distance).toBeCloseTo(732, -1);
+      expect(route.totalDistance).toBe(route.points[2].distance);
+      expect(route.totalDistance).toBeGreaterThan(1500);
+    });
+
+    test('should keep named waypoints and add a finish at the route end', () => {
+      const { waypoints, totalDistance } = routeParser.parseRoute(lineString);
+
+      expect(waypoints.map(waypoint => [waypoint.name, waypoint.type])).toEqual([
+        ['Start - Westerdok', 'start'],
+        ['Finish', 'finish']
+      ]);
+      expect(waypoints[1].distance).toBe(Math.round(totalDistance));
+    });
+
+    test('should accept a bare LineString geometry', () => {
+      const route = routeParser.parseRoute(lineString.features[0].geometry);
+
+      expect(route.points).toHaveLength(3);
+    });
+
+    test('should reject routes with fewer than two points', () => {
+      expect(() => routeParser.parseRoute({ type: 'LineString', coordinates: [[4.8947, 52.3851]] }))
+        .toThrow('at least two distinct points');
+    });
+  });
+
+  describe('GPX', () => {
+    test('should read track points and skip repeated points', () => {
+      const route = routeParser.parseRoute(paradeRouteGPX);
+
+      expect(route.format).toBe('gpx');
+      expect(route.name).toBe('Canal Parade 2025');
+      expect(route.points).toHaveLength(8);
+    });
+
+    test('should snap waypoints onto the route in sailing order', () => {
+      const { waypoints } = routeParser.parseRoute(paradeRouteGPX);
+
+      expect(waypoints.map(waypoint => waypoint.type)).toEqual(['start', 'bridge', 'finish']);
+      expect(waypoints[1]).toMatchObject({ name: 'Westerkerk bridge', distance: 732 });
+    });
+  });
+
+  test('should apply corridor tolerance ranges by segment', () => {
+    const { points } = routeParser.parseRoute(lineString, {
+      corridor: [{ from: 800, to: 2000, tolerance: 20 }],
+      defaultTolerance: 45
+    });
+
+    // The last point ends the route, so only the two segments carry a tolerance that matters
+    expect(points.slice(0, -1).map(point => point.tolerance)).toEqual([45, 20]);
+  });
+
+  test('should reject waypoints far from the route', () => {
+    expect(() => routeParser.parseRoute(lineString, {
+      waypoints: [{ name: 'Magere Brug', type: 'bridge', lat: 52.3633, lng: 4.9023 }]
+    })).toThrow('Magere Brug');
+  });
+});
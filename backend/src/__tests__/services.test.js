@@ -1,5 +1,25 @@
 const boatState = require('../services/boatState');
 const logger = require('../services/logger');
+const routeMapper = require('../services/routeMapper');
+const database = require('../models/database');
+const webhookAuth = require('../services/webhookAuth');
+const eventStream = require('../services/eventStream');
+const paradeSpacing = require('../services/paradeSpacing');
+const paradeSchedule = require('../services/paradeSchedule');
+const skipperInstructions = require('../services/skipperInstructions');
+const emergencies = require('../services/emergencies');
+const incidentRules = require('../services/incidentRules');
+const gpsIngestion = require('../services/gpsIngestion');
+const trackerHealth = require('../services/trackerHealth');
+const trackerMappings = require('../services/trackerMappings');
+const autoMapping = require('../services/autoMapping');
+const vessels = require('../services/vessels');
+const gpsNormalizer = require('../services/gpsNormalizer');
+const gpsFilter = require('../services/gpsFilter');
+const frequencyManager = require('../services/frequencyManager');
+const frequencyAllocator = require('../services/frequencyAllocator');
+const spatialIndex = require('../services/spatialIndex');
+const proximityCalculator = require('../services/proximityCalculator');
 
 describe('Services', () => {
   
@@ -97,6 +117,1341 @@ describe('Services', () => {
       const boatIds = allBoats.map(b => b.id).sort();
       expect(boatIds).toEqual([1, 2, 3]);
     });
+
+    test('should recover boat state from the last checkpoint', async () => {
+      const timestamp = new Date(Date.now() - 60 * 1000);
+
+      await boatState.updateBoatPosition(4, {
+        latitude: 52.3676,
+        longitude: 4.9041,
+        timestamp,
+        routeProgress: 40
+      });
+      await boatState.updateBoatStatus(4, 'emergency', {
+        message: 'Man overboard',
+        severity: 'critical',
+        timestamp
+      });
+
+      const checkpoint = await boatState.checkpointBoatStates();
+      expect(checkpoint.boats).toBe(1);
+
+      // Simulate a restart
+      boatState.clearAllBoatStates();
+      const status = await boatState.recoverBoatStates();
+
+      expect(status.recovered).toBe(true);
+      expect(status.source).toBe('database');
+      expect(status.stateAgeSeconds).toBeGreaterThanOrEqual(0);
+
+      const boat = boatState.getBoatState(4);
+      expect(boat.status).toBe('emergency');
+      expect(boat.position.routeProgress).toBe(40);
+      expect(boat.position.timestamp).toEqual(timestamp);
+      expect(boat.incidents).toHaveLength(1);
+      expect(boat.lastUpdate).toBeInstanceOf(Date);
+    });
+
+    test('should open a corridor incident once the boat stays out and close it with its duration on re-entry', async () => {
+      incidentRules.resetRules();
+      const exitTime = new Date(Date.now() - 5 * 60 * 1000);
+      const returnTime = new Date(exitTime.getTime() + 90 * 1000);
+
+      await boatState.updateBoatPosition(5, {
+        latitude: 52.3692,
+        longitude: 4.9033,
+        timestamp: exitTime,
+        distanceFromRoute: 35,
+        corridorTolerance: 20,
+        routeSegment: 5
+      });
+      await gpsIngestion.updateBoatState(5);
+      const outside = await boatState.checkCorridor(5);
+
+      expect(outside.outOfCorridor).toBe(true);
+      expect(outside.tolerance).toBe(20);
+      // Not outside long enough yet
+      expect(boatState.getBoatState(5).incidents).toHaveLength(0);
+
+      // Still outside after 30s: one incident, dated from the exit
+      await boatState.updateBoatPosition(5, { timestamp: new Date(exitTime.getTime() + 30 * 1000), distanceFromRoute: 48 });
+      await gpsIngestion.updateBoatState(5);
+      await boatState.updateBoatPosition(5, { timestamp: new Date(exitTime.getTime() + 60 * 1000), distanceFromRoute: 40 });
+      await gpsIngestion.updateBoatState(5);
+
+      await boatState.updateBoatPosition(5, { timestamp: returnTime, distanceFromRoute: 8 });
+      await gpsIngestion.updateBoatState(5);
+
+      expect(boatState.getBoatState(5).corridor.inCorridor).toBe(true);
+
+      const incidents = boatState.getBoatState(5).incidents.filter(incident => incident.type === 'corridor_exit');
+      expect(incidents).toHaveLength(1);
+      expect(incidents[0].durationSeconds).toBe(90);
+
+      const stored = (await database.getIncidentsSince(exitTime)).find(incident => incident.id === incidents[0].id);
+      expect(stored).toMatchObject({ incident_type: 'corridor_exit', duration_seconds: 90 });
+      expect(stored.metadata.maxDistanceFromRoute).toBe(48);
+    });
+  });
+
+  describe('Late Fixes', () => {
+    const t0 = new Date('2025-08-02T12:00:00Z').getTime();
+    const at = seconds => new Date(t0 + seconds * 1000);
+    const fix = (routeDistance, seconds) => ({ latitude: 52.38, longitude: 4.884, timestamp: at(seconds), routeDistance });
+
+    beforeEach(() => {
+      boatState.clearAllBoatStates();
+      gpsFilter.resetFilter();
+    });
+
+    test('should put a late fix into history without regressing the live position', async () => {
+      await boatState.updateBoatPosition(81, fix(1000, 0));
+      await boatState.updateBoatPosition(81, fix(1120, 120));
+      await boatState.updateBoatPosition(81, fix(1060, 60));
+
+      const boat = boatState.getBoatState(81);
+      expect(boat.position).toMatchObject({ routeDistance: 1120, speed: 3.6 });
+      expect(boat.position.timestamp).toEqual(at(120));
+
+      const history = boatState.getBoatHistory(81);
+      expect(history.map(entry => entry.routeDistance)).toEqual([1000, 1060, 1120]);
+      expect(history[1]).toMatchObject({ late: true, speed: 3.6 });
+      expect(history[2].speed).toBe(3.6);
+      expect(boatState.getRouteDistanceAt(81, at(90))).toBe(1060);
+    });
+
+    test('should recompute speeds after a late fix up to the next filtered fix, without saving it again', async () => {
+      const save = jest.spyOn(database, 'saveBoatPosition');
+      await boatState.updateBoatPosition(83, fix(1000, 0));
+      await boatState.updateBoatPosition(83, fix(1120, 120));
+      await boatState.updateBoatPosition(83, { ...fix(1180, 180), filtered: true, speed: 4 });
+      save.mockClear();
+
+      await boatState.updateBoatPosition(83, fix(1015, 30));
+
+      const history = boatState.getBoatHistory(83);
+      expect(history.slice(1).map(entry => entry.speed)).toEqual([1.8, 4.2, 4]);
+      expect(save).not.toHaveBeenCalled();
+      save.mockRestore();
+    });
+
+    test('should skip a late fix older than the history that is kept', async () => {
+      for (let i = 0; i < 100; i++) {
+        await boatState.updateBoatPosition(84, fix(1000 + i * 10, 60 + i * 10));
+      }
+
+      const warn = jest.spyOn(logger, 'warn');
+      const boat = await boatState.updateBoatPosition(84, fix(990, 0));
+
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('older than its history'), expect.objectContaining({ behindSeconds: 1050 }));
+      warn.mockRestore();
+      expect(boat.position.timestamp).toEqual(at(1050));
+      expect(boatState.getBoatHistory(84, 100)).toHaveLength(100);
+      expect(boatState.getBoatHistory(84, 100)[0].timestamp).toEqual(at(60));
+    });
+
+    test('should route late fixes around the GPS filter during ingestion', async () => {
+      const point = distance => routeMapper.pointAtDistance(distance);
+      const gpsFix = (distance, seconds) => ({ latitude: point(distance).lat, longitude: point(distance).lng, timestamp: at(seconds), accuracy: 5 });
+
+      await gpsIngestion.applyFixesToBoat({ boat_number: 82 }, [gpsFix(900, 0), gpsFix(1000, 60), gpsFix(1100, 120)]);
+      const live = { ...boatState.getBoatState(82).position };
+
+      const result = await gpsIngestion.applyFixesToBoat({ boat_number: 82 }, [gpsFix(950, 30), gpsFix(1050, 90)]);
+
+      expect(result.lateFixes).toBe(2);
+      expect(boatState.getBoatState(82).position).toMatchObject({ routeDistance: live.routeDistance, speed: live.speed });
+      expect(boatState.getBoatHistory(82).map(entry => entry.timestamp)).toEqual([0, 30, 60, 90, 120].map(at));
+    });
+  });
+
+  describe('Incident Rules Service', () => {
+    const start = new Date(Date.now() - 60 * 60 * 1000);
+    const at = seconds => new Date(start.getTime() + seconds * 1000);
+
+    // Feed a synthetic track ([seconds, routeDistance, extra position fields]) through the pipeline
+    const feed = async (boatId, track) => {
+      for (const [seconds, routeDistance, extra = {}] of track) {
+        await boatState.updateBoatPosition(boatId, {
+          latitude: 52.37,
+          longitude: 4.89,
+          timestamp: at(seconds),
+          routeDistance,
+          routeProgress: 20,
+          distanceFromRoute: 5,
+          corridorTolerance: 50,
+          ...extra
+        });
+        await gpsIngestion.updateBoatState(boatId);
+      }
+    };
+    const incidentsOf = (boatId, type) => boatState.getBoatState(boatId).incidents.filter(incident => incident.type === type);
+
+    beforeEach(() => {
+      boatState.clearAllBoatStates();
+      incidentRules.resetRules();
+    });
+
+    test('should open one stopped incident after three minutes and close it when the boat moves on', async () => {
+      // Moving at ~6 km/h, stopped from 60s to 330s, moving again
+      await feed(10, [[0, 1000], [30, 1050], [60, 1100]]);
+      await feed(10, [90, 120, 150, 180, 210, 240, 270, 300, 330].map(seconds => [seconds, 1100]));
+
+      const stopped = incidentsOf(10, 'stopped');
+      expect(stopped).toHaveLength(1);
+      expect(stopped[0]).toMatchObject({ severity: 'warning', endedAt: null });
+      // Condition started at the first fix without progress
+      expect(stopped[0].timestamp).toEqual(at(90));
+
+      await feed(10, [[360, 1150]]);
+
+      expect(incidentsOf(10, 'stopped')).toHaveLength(1);
+      expect(stopped[0].durationSeconds).toBe(270);
+      expect(stopped[0].metadata).toMatchObject({ ruleId: 'stopped', resolution: 'auto' });
+    });
+
+    test('should not flag a short stop', async () => {
+      await feed(11, [[0, 1000], [30, 1050], [60, 1050], [90, 1050], [120, 1100]]);
+
+      expect(incidentsOf(11, 'stopped')).toHaveLength(0);
+    });
+
+    test('should raise no_fix from the monitor and close it with the next fix', async () => {
+      await feed(12, [[0, 1000], [30, 1050]]);
+
+      await incidentRules.evaluateAll(at(120));
+      expect(incidentsOf(12, 'no_fix')).toHaveLength(0);
+
+      await incidentRules.evaluateAll(at(200));
+      await incidentRules.evaluateAll(at(260));
+      const noFix = incidentsOf(12, 'no_fix');
+      expect(noFix).toHaveLength(1);
+      expect(noFix[0].timestamp).toEqual(at(150));
+
+      await feed(12, [[300, 1300]]);
+      expect(noFix[0].durationSeconds).toBe(150);
+    });
+
+    test('should flag a boat that overtakes the boat ahead', async () => {
+      // Boat 2 passes boat 1 between 0s and 30s and stays ahead
+      for (const [seconds, first, second] of [[0, 1000, 980], [30, 1050, 1070], [60, 1100, 1160]]) {
+        await feed(1, [[seconds, first]]);
+        await feed(2, [[seconds, second]]);
+      }
+
+      const overtaking = incidentsOf(2, 'overtaking');
+      expect(overtaking).toHaveLength(1);
+      expect(overtaking[0].metadata).toMatchObject({ aheadBoatId: 1, overtakenByMeters: 60 });
+      expect(incidentsOf(1, 'overtaking')).toHaveLength(0);
+    });
+
+    test('should respect the cooldown between incidents of a flapping condition', async () => {
+      await incidentRules.saveRule('poor_accuracy', {
+        condition: 'poor_accuracy',
+        params: { maxAccuracyMeters: 50 },
+        durationSeconds: 0,
+        cooldownSeconds: 120
+      });
+
+      await feed(13, [
+        [0, 1000, { accuracy: 80 }],
+        [30, 1050, { accuracy: 10 }],
+        [60, 1100, { accuracy: 90 }],
+        [90, 1150, { accuracy: 10 }],
+        [180, 1200, { accuracy: 95 }]
+      ]);
+
+      const incidents = incidentsOf(13, 'poor_accuracy');
+      expect(incidents).toHaveLength(2);
+      expect(incidents[0].durationSeconds).toBe(30);
+      expect(incidents[1].timestamp).toEqual(at(180));
+    });
+
+    test('should keep incidents of rules without autoResolve open until resolved by hand', async () => {
+      await incidentRules.saveRule('speeding', { condition: 'speeding', durationSeconds: 0, autoResolve: false });
+
+      await feed(14, [[0, 1000], [30, 1200], [60, 1250]]);
+
+      const speeding = incidentsOf(14, 'speeding');
+      expect(speeding).toHaveLength(1);
+      expect(speeding[0].endedAt).toBeNull();
+
+      await incidentRules.resolveRuleIncident('speeding', 14, 'control room');
+      expect(speeding[0].endedAt).toBeInstanceOf(Date);
+      expect(speeding[0].metadata).toMatchObject({ resolution: 'manual', resolvedBy: 'control room' });
+      await expect(incidentRules.resolveRuleIncident('speeding', 14, 'control room')).rejects.toMatchObject({ status: 404 });
+    });
+
+    test('should close open incidents when a rule is disabled and validate rule definitions', async () => {
+      await incidentRules.saveRule('speeding', { condition: 'speeding', durationSeconds: 0 });
+      await feed(15, [[0, 1000], [30, 1200]]);
+      expect(incidentsOf(15, 'speeding')[0].endedAt).toBeNull();
+
+      await incidentRules.saveRule('speeding', { condition: 'speeding', enabled: false });
+      expect(incidentsOf(15, 'speeding')[0].metadata.resolution).toBe('rule_disabled');
+      expect(incidentRules.getOpenRuleIncidents()).toHaveLength(0);
+
+      await expect(incidentRules.saveRule('odd', { condition: 'stopped', params: { maxAccuracyMeters: 5 } }))
+        .rejects.toMatchObject({ status: 400 });
+      await expect(incidentRules.deleteRule('stopped')).rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('Route Mapper Service', () => {
+    test('should project a position in the middle of a long segment', async () => {
+      // Halfway along Prinsengracht (850 m to 1720 m), 30 m east of the centerline
+      const position = await routeMapper.mapToRoute({
+        latitude: 52.3797,
+        longitude: 4.88425,
+        timestamp: new Date()
+      });
+
+      expect(position).not.toBeNull();
+      expect(position.routeSegment).toBe(1);
+      expect(position.distanceMeters).toBeGreaterThan(1250);
+      expect(position.distanceMeters).toBeLessThan(1320);
+      expect(position.distanceFromRoute).toBeLessThan(40);
+      expect(position.offsetMeters).toBeLessThan(0);
+    });
+
+    test('should apply the corridor tolerance of the matched segment', async () => {
+      // 35 m off the wide Amstel and off the narrow Zwanenburgwal
+      const amstel = await routeMapper.mapToRoute({ latitude: 52.36645, longitude: 4.89685, timestamp: new Date() });
+      const zwanenburgwal = await routeMapper.mapToRoute({ latitude: 52.3692, longitude: 4.90325, timestamp: new Date() });
+
+      expect(amstel).toMatchObject({ routeSegment: 3, corridorTolerance: 70, inCorridor: true });
+      expect(zwanenburgwal).toMatchObject({ routeSegment: 5, corridorTolerance: 20, inCorridor: false });
+    });
+
+    test('should describe the corridor as GeoJSON polygons per segment', () => {
+      const { features } = routeMapper.getCorridorGeoJSON();
+      const segments = features.filter(feature => feature.properties.kind === 'corridor');
+
+      expect(segments).toHaveLength(7);
+      expect(segments[5].properties.tolerance).toBe(20);
+      expect(segments[5].geometry.coordinates[0]).toHaveLength(5);
+      expect(features[features.length - 1].geometry.type).toBe('LineString');
+    });
+
+    test('should reject positions too far from the route', async () => {
+      const position = await routeMapper.mapToRoute({
+        latitude: 52.3600,
+        longitude: 4.8500,
+        timestamp: new Date()
+      });
+
+      expect(position).toBeNull();
+    });
+
+    test('should follow previous progress at a route self-crossing', () => {
+      // Figure-of-four route: the last segment crosses the first at 52.370, 4.895
+      const route = [
+        { lat: 52.370, lng: 4.890, distance: 0 },
+        { lat: 52.370, lng: 4.900, distance: 679 },
+        { lat: 52.375, lng: 4.895, distance: 1331 },
+        { lat: 52.365, lng: 4.895, distance: 2443 }
+      ];
+
+      const early = routeMapper.projectOntoRoute(52.370, 4.895, { route, previousDistance: 300 });
+      const late = routeMapper.projectOntoRoute(52.370, 4.895, { route, previousDistance: 1850 });
+
+      expect(early.segmentIndex).toBe(0);
+      expect(early.distanceAlongRoute).toBeCloseTo(339.5, 0);
+      expect(late.segmentIndex).toBe(2);
+      expect(late.distanceAlongRoute).toBeCloseTo(1887, 0);
+    });
+
+    test('should not let previous progress pull a fix off the segment it is on', () => {
+      // Two parallel canals 150 m apart, sailed out and back
+      const route = [
+        { lat: 52.370, lng: 4.890, distance: 0, tolerance: 70 },
+        { lat: 52.370, lng: 4.900, distance: 679, tolerance: 70 },
+        { lat: 52.37135, lng: 4.900, distance: 829, tolerance: 70 },
+        { lat: 52.37135, lng: 4.890, distance: 1508 }
+      ];
+
+      // 20 m north of the first canal and 130 m from the second, where the boat was before:
+      // both are in mapping range, only the first one within its corridor tolerance
+      const projection = routeMapper.projectOntoRoute(52.37018, 4.895, { route, previousDistance: 1200 });
+
+      expect(projection.segmentIndex).toBe(0);
+      expect(projection.distanceFromRoute).toBeLessThan(25);
+    });
+  });
+
+  describe('GPS Filter Service', () => {
+    const t0 = new Date('2025-08-02T12:00:00Z').getTime();
+    // Fix at an along-route distance and offset (Prinsengracht runs from 850 m to 1720 m)
+    const fixAt = (seconds, distance, offset = 0, quality = { accuracy: 10 }) => {
+      const point = routeMapper.pointAtDistance(distance, offset);
+      return { latitude: point.lat, longitude: point.lng, timestamp: new Date(t0 + seconds * 1000), ...quality };
+    };
+    const filterAt = async (boatNumber, fix, previousDistance = null) =>
+      gpsFilter.filterFix(boatNumber, fix, await routeMapper.mapToRoute({ ...fix, previousDistance }));
+
+    beforeEach(() => {
+      gpsFilter.resetFilter();
+      boatState.clearAllBoatStates();
+    });
+
+    test('should smooth fixes jumping between the canal walls', async () => {
+      const raw = [];
+      const filtered = [];
+
+      // 15 m per 10 s (5.4 km/h), measured 20 m ahead / behind and 8 m left / right in turn
+      for (let i = 0; i < 12; i++) {
+        const fix = fixAt(i * 10, 900 + 15 * i + (i % 2 ? 20 : -20), i % 2 ? 8 : -8);
+        raw.push((await routeMapper.mapToRoute(fix)).distanceMeters);
+        filtered.push(await filterAt(71, fix, filtered.length ? filtered[filtered.length - 1].routeDistance : null));
+      }
+
+      expect(raw.some((distance, i) => i > 0 && distance < raw[i - 1])).toBe(true);
+      filtered.slice(1).forEach(result => {
+        expect(result.accepted).toBe(true);
+        expect(result.speedKmh).toBeGreaterThan(3);
+        expect(result.speedKmh).toBeLessThan(10);
+      });
+      expect(Math.abs(filtered[11].offsetMeters)).toBeLessThan(3);
+      expect(Math.abs(filtered[11].routeDistance - 1065)).toBeLessThan(15);
+    });
+
+    test('should reject impossible jumps and start over when they keep coming', async () => {
+      await filterAt(72, fixAt(0, 900));
+
+      const jump = await filterAt(72, fixAt(10, 1600));
+      expect(jump).toMatchObject({ accepted: false, reason: 'impossible_jump' });
+      expect(jump.impliedSpeedKmh).toBeGreaterThan(200);
+
+      expect((await filterAt(72, fixAt(20, 1610))).accepted).toBe(false);
+      expect((await filterAt(72, fixAt(30, 1620))).accepted).toBe(false);
+      expect(await filterAt(72, fixAt(40, 1630))).toMatchObject({ accepted: true, routeDistance: 1630 });
+    });
+
+    test('should give fixes with a poor PosAcc or PDOP less weight', async () => {
+      await filterAt(73, fixAt(0, 900));
+      await filterAt(74, fixAt(0, 900));
+
+      const good = await filterAt(73, fixAt(10, 930, 0, { accuracy: 5 }));
+      // KPN PDOP 25 and 8 in tenths, as normalized
+      const poor = await filterAt(74, fixAt(10, 930, 0, { accuracy: 5, pdop: 2.5 }));
+
+      expect(gpsFilter.measurementSigma({ accuracy: 5, pdop: 2.5 })).toBe(12.5);
+      expect(gpsFilter.measurementSigma({ accuracy: 5, pdop: 0.8 })).toBe(5);
+      expect(poor.weight).toBeLessThan(good.weight);
+      expect(poor.routeDistance).toBeLessThan(good.routeDistance);
+    });
+
+    test('should keep the raw fix next to the filtered position in the boat state', async () => {
+      await gpsIngestion.applyFixesToBoat({ boat_number: 75 }, [fixAt(0, 900), fixAt(10, 940, 6), fixAt(20, 1700)]);
+
+      const boat = boatState.getBoatState(75);
+      expect(boat.position).toMatchObject({ filtered: true, raw: { routeDistance: 940, distanceFromRoute: 6 } });
+      expect(boat.position.routeDistance).toBeLessThan(940);
+      expect(boat.position.speed).toBeGreaterThan(0);
+      expect(boatState.getBoatHistory(75)).toHaveLength(2);
+    });
+  });
+
+  describe('Event Stream Service', () => {
+    beforeEach(() => {
+      boatState.clearAllBoatStates();
+      eventStream.resetEventStream({ bufferSize: 1000 });
+    });
+
+    test('should publish position deltas and status changes from boat state', async () => {
+      const received = [];
+      const unsubscribe = eventStream.subscribe(eventStream.parseFilter({ boats: '12' }), event => received.push(event));
+
+      await boatState.updateBoatPosition(12, { latitude: 52.37, longitude: 4.89, timestamp: new Date(), routeProgress: 100 });
+      await boatState.updateBoatPosition(13, { latitude: 52.37, longitude: 4.89, timestamp: new Date(), routeProgress: 10 });
+      unsubscribe();
+
+      expect(received.map(event => event.type)).toEqual(['position', 'status']);
+      expect(received[0].data).toMatchObject({ latitude: 52.37, routeProgress: 100, status: 'finished' });
+      expect(received[1].data).toEqual({ status: 'finished', previousStatus: 'active' });
+    });
+
+    test('should replay missed events after the last event id', () => {
+      const first = eventStream.publish('position', 1, { latitude: 52.37 });
+      eventStream.publish('incident', 1, { type: 'corridor_exit' });
+      eventStream.publish('position', 2, { latitude: 52.36 });
+      eventStream.publish('position', 1, { latitude: 52.38 });
+
+      const { events, reset } = eventStream.getEventsSince(first.id, eventStream.parseFilter({ boats: '1', types: 'position' }));
+
+      expect(reset).toBe(false);
+      expect(events).toHaveLength(1);
+      expect(events[0].data.latitude).toBe(52.38);
+    });
+
+    test('should ask for a reset when the last event id is no longer buffered', () => {
+      eventStream.resetEventStream({ bufferSize: 2 });
+      const first = eventStream.publish('position', 1, {});
+      eventStream.publish('position', 1, {});
+      const third = eventStream.publish('position', 1, {});
+      eventStream.publish('position', 1, {});
+
+      expect(eventStream.getEventsSince(first.id, {}).reset).toBe(true);
+      expect(eventStream.getEventsSince(third.id, {}).events).toHaveLength(1);
+      expect(eventStream.getEventsSince('oldstream-3', {}).reset).toBe(true);
+    });
+  });
+
+  describe('Parade Spacing Service', () => {
+    const now = new Date();
+    const at = seconds => new Date(now.getTime() + seconds * 1000);
+    const fix = (boatId, routeDistance, time) => boatState.updateBoatPosition(boatId, {
+      latitude: 52.37,
+      longitude: 4.89,
+      timestamp: time,
+      routeDistance
+    });
+
+    beforeEach(async () => {
+      boatState.clearAllBoatStates();
+      paradeSpacing.resetSpacing();
+
+      // Boat 1 passed 550m 90s ago; boat 2 is there now, boat 3 right behind it
+      await fix(1, 500, at(-120));
+      await fix(1, 600, at(-60));
+      await fix(1, 700, now);
+      await fix(2, 550, now);
+      await fix(3, 540, now);
+    });
+
+    test('should measure gaps in meters and seconds between consecutive boats', () => {
+      const pairs = paradeSpacing.computePairs(now);
+
+      expect(pairs).toHaveLength(2);
+      expect(pairs[0]).toMatchObject({ aheadId: 1, behindId: 2, gapMeters: 150, gapSeconds: 90, gapSecondsEstimated: false, status: 'ok' });
+      expect(pairs[1]).toMatchObject({ aheadId: 2, behindId: 3, gapMeters: 10, status: 'compressed' });
+      expect(pairs[1].gapSecondsEstimated).toBe(true);
+    });
+
+    test('should flag gaps above the thresholds', () => {
+      paradeSpacing.setThresholds({ maxGapSeconds: 60 });
+
+      expect(paradeSpacing.computePairs(now)[0].status).toBe('gap');
+    });
+
+    test('should open an incident when a flag persists and close it when spacing recovers', async () => {
+      await paradeSpacing.evaluateSpacing(now);
+      expect(boatState.getBoatState(3).incidents).toHaveLength(0);
+
+      const persisting = await paradeSpacing.evaluateSpacing(at(61));
+      const incident = boatState.getBoatState(3).incidents.find(item => item.type === 'spacing_compression');
+
+      expect(persisting[1].incidentId).toBe(incident.id);
+      expect(incident.metadata).toMatchObject({ aheadBoatId: 2, gapMeters: 10 });
+      expect(paradeSpacing.getSpacing(at(61))[1]).toMatchObject({ flaggedSince: now, incidentId: incident.id });
+
+      await fix(3, 500, at(90));
+      await paradeSpacing.evaluateSpacing(at(90));
+
+      expect(incident.endedAt).toEqual(at(90));
+      expect(incident.durationSeconds).toBe(90);
+    });
+
+    test('should read spacing without opening incidents', () => {
+      const pairs = paradeSpacing.getSpacing(at(120));
+
+      expect(pairs[1]).toMatchObject({ status: 'compressed', flaggedSince: null, incidentId: null });
+      expect(boatState.getBoatState(3).incidents).toHaveLength(0);
+    });
+
+    test('should turn spacing into skipper zones with a reason', () => {
+      const tooClose = skipperInstructions.getSkipperInstruction(3, { now });
+      const fallingBack = skipperInstructions.getSkipperInstruction(2, { now });
+
+      expect(tooClose).toMatchObject({ zone: 1, color: 'red', instruction: 'Vertraag of stop om terug naar groene zone te gaan' });
+      expect(tooClose.reason).toContain('10m achter boot 2');
+      expect(tooClose.gapAhead).toEqual({ boatId: 2, gapMeters: 10, gapSeconds: expect.any(Number) });
+
+      expect(fallingBack).toMatchObject({ zone: 4, message: 'IETS TE ACHTER' });
+      expect(fallingBack.targetSpeedKmh).toBeGreaterThan(fallingBack.currentSpeedKmh);
+    });
+
+    test('should let the leading boat follow the schedule', () => {
+      expect(skipperInstructions.getSkipperInstruction(1, { now }).zone).toBe(3);
+
+      const early = skipperInstructions.getSkipperInstruction(1, { now, scheduleOffsetSeconds: 400 });
+      expect(early).toMatchObject({ zone: 1, gapAhead: null });
+      expect(early.reason).toContain('7 min voor op schema');
+    });
+  });
+
+  describe('Parade Schedule Service', () => {
+    const now = new Date();
+    const at = seconds => new Date(now.getTime() + seconds * 1000);
+    const fix = (boatId, routeDistance, time) => boatState.updateBoatPosition(boatId, {
+      latitude: 52.37,
+      longitude: 4.89,
+      timestamp: time,
+      routeDistance
+    });
+
+    beforeEach(async () => {
+      boatState.clearAllBoatStates();
+
+      // 6 km/h is 100m per minute: boat 2 leaves at -1740s and should be at 2850m at -30s
+      await paradeSchedule.saveSchedule({ startTime: at(-1800), departureIntervalSeconds: 60, targetSpeedKmh: 6 });
+      await fix(2, 2550, at(-180));
+      await fix(2, 2650, at(-120));
+      await fix(2, 2750, at(-60));
+      await fix(2, 2850, now);
+    });
+
+    afterAll(async () => {
+      await paradeSchedule.saveSchedule({ ...paradeSchedule.DEFAULT_SCHEDULE });
+    });
+
+    test('should use the named waypoints after the start as checkpoints', () => {
+      expect(paradeSchedule.getCheckpoints().map(checkpoint => checkpoint.name)).toEqual([
+        'Prinsengracht', 'Amstel', 'Magere Brug', 'Zwanenburgwal', 'Oudeschans', 'Finish - Oosterdok'
+      ]);
+    });
+
+    test('should compare planned with actual passing times and ETAs', () => {
+      const boat = paradeSchedule.getBoatSchedule(2);
+      const checkpoint = name => boat.checkpoints.find(item => item.name === name);
+
+      expect(boat).toMatchObject({ plannedDepartureAt: at(-1740).toISOString(), averageSpeedKmh: 6, etaSpeedSource: 'recent', delaySeconds: 30 });
+      expect(checkpoint('Amstel')).toMatchObject({ status: 'passed', actualAt: at(-162).toISOString(), delaySeconds: 30 });
+      expect(checkpoint('Prinsengracht')).toMatchObject({ status: 'passed', actualAt: null, delaySeconds: null });
+      expect(checkpoint('Magere Brug')).toMatchObject({ status: 'upcoming', etaAt: at(42).toISOString(), delaySeconds: 30 });
+      expect(checkpoint('Finish - Oosterdok')).toMatchObject({ plannedAt: at(780).toISOString(), etaAt: at(810).toISOString() });
+    });
+
+    test('should fall back to the target speed without recent movement', async () => {
+      await fix(3, 2000, now);
+
+      const boat = paradeSchedule.getBoatSchedule(3);
+      expect(boat).toMatchObject({ averageSpeedKmh: null, etaSpeedKmh: 6, etaSpeedSource: 'target' });
+      expect(boat.checkpoints.find(item => item.name === 'Amstel').etaAt).toBe(at(348).toISOString());
+    });
+
+    test('should report the overall deviation and the skipper schedule offset', async () => {
+      expect(paradeSchedule.getParadeSchedule().deviation).toEqual({
+        status: 'on_schedule', deviationSeconds: 30, maxDelaySeconds: 30, boatsLate: 0, boatsEarly: 0
+      });
+      expect(paradeSchedule.getScheduleOffset(2)).toBe(-30);
+
+      await paradeSchedule.saveSchedule({ startTime: at(-2400) });
+      expect(paradeSchedule.getParadeSchedule().deviation).toMatchObject({ status: 'late', deviationSeconds: 630, boatsLate: 1 });
+
+      await paradeSchedule.saveSchedule({ startTime: null });
+      expect(paradeSchedule.getParadeSchedule().deviation.status).toBe('not_scheduled');
+      expect(paradeSchedule.getScheduleOffset(2)).toBeNull();
+    });
+
+    test('should reject an invalid schedule', async () => {
+      await expect(paradeSchedule.saveSchedule({ startTime: 'tomorrow-ish' })).rejects.toMatchObject({ status: 400 });
+      await expect(paradeSchedule.saveSchedule({ targetSpeedKmh: 0 })).rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('Emergencies Service', () => {
+    beforeEach(async () => {
+      boatState.clearAllBoatStates();
+      for (const [boatId, routeDistance] of [[21, 900], [22, 800], [23, 700], [24, 600]]) {
+        await boatState.updateBoatPosition(boatId, { latitude: 52.37, longitude: 4.89, timestamp: new Date(), routeDistance });
+      }
+    });
+
+    afterEach(async () => {
+      // Leave no open emergency behind for the next test
+      const queue = await emergencies.getEmergencyQueue();
+      for (const emergency of queue.filter(item => item.status !== 'closed')) {
+        if (emergency.status === 'raised') await emergencies.transitionEmergency(emergency.id, 'acknowledge', { by: 'test' });
+        if (emergency.status !== 'resolved') await emergencies.transitionEmergency(emergency.id, 'resolve', { by: 'test' });
+        await emergencies.transitionEmergency(emergency.id, 'close', { by: 'test' });
+      }
+    });
+
+    test('should run the full lifecycle and record every transition', async () => {
+      const notifications = [];
+      const unsubscribe = eventStream.subscribe(eventStream.parseFilter({ types: 'notification' }), event => notifications.push(event));
+
+      const raised = await emergencies.raiseEmergency(22, { reason: 'Technisch probleem', message: 'Motor uitgevallen' });
+      expect(raised).toMatchObject({ boatId: 22, status: 'raised', latitude: 52.37, notifiedBoats: [23, 24] });
+      expect(boatState.getBoatState(22).status).toBe('emergency');
+      expect(notifications.map(event => [event.boatId, event.data.kind, event.data.distanceMeters]))
+        .toEqual([[23, 'emergency_ahead', 100], [24, 'emergency_ahead', 200]]);
+      expect(await emergencies.getAlertsForBoat(24)).toEqual([expect.objectContaining({ emergencyId: raised.id, affectedBoatId: 22 })]);
+
+      await emergencies.transitionEmergency(raised.id, 'acknowledge', { by: 'control-anna' });
+      await emergencies.transitionEmergency(raised.id, 'assign', { by: 'control-anna', assignee: 'RIB 2' });
+      await emergencies.transitionEmergency(raised.id, 'resolve', { by: 'RIB 2', note: 'Boot gesleept' });
+      const closed = await emergencies.transitionEmergency(raised.id, 'close', { by: 'control-anna' });
+      unsubscribe();
+
+      expect(closed).toMatchObject({ status: 'closed', assignedTo: 'RIB 2' });
+      expect(closed.closedAt).toBeInstanceOf(Date);
+      expect(closed.transitions.map(transition => [transition.status, transition.by]))
+        .toEqual([['raised', 'skipper boat 22'], ['acknowledged', 'control-anna'], ['assigned', 'control-anna'], ['resolved', 'RIB 2'], ['closed', 'control-anna']]);
+      expect(boatState.getBoatState(22).status).toBe('active');
+      expect(notifications.filter(event => event.data.kind === 'emergency_cleared')).toHaveLength(2);
+    });
+
+    test('should reject transitions out of order and duplicate emergencies', async () => {
+      const raised = await emergencies.raiseEmergency(21, { reason: 'Anders' });
+
+      await expect(emergencies.transitionEmergency(raised.id, 'resolve', { by: 'control' })).rejects.toMatchObject({ status: 409 });
+      await expect(emergencies.transitionEmergency(raised.id, 'assign', { by: 'control' })).rejects.toMatchObject({ status: 400 });
+      await expect(emergencies.raiseEmergency(21, { reason: 'Anders' })).rejects.toMatchObject({ status: 409 });
+      await expect(emergencies.transitionEmergency(99999, 'acknowledge', { by: 'control' })).rejects.toMatchObject({ status: 404 });
+    });
+
+    test('should keep one emergency when two are raised for a boat at the same time', async () => {
+      const results = await Promise.allSettled([
+        emergencies.raiseEmergency(24, { reason: 'Anders' }),
+        emergencies.raiseEmergency(24, { reason: 'Anders' })
+      ]);
+
+      expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+      expect(results.find(result => result.status === 'rejected').reason).toMatchObject({ status: 409 });
+      expect(await database.getWorkflowIncidents('emergency', { statuses: ['raised'], boatNumber: 24 })).toHaveLength(1);
+    });
+  });
+
+  describe('Tracker Health Service', () => {
+    const start = new Date('2025-08-02T10:00:00Z');
+    const at = seconds => new Date(start.getTime() + seconds * 1000);
+    const fixAt = (seconds, extra = {}) => ({ timestamp: at(seconds), gpsStatus: 7, pdop: 1.8, battery: 5200, ...extra });
+
+    beforeEach(() => {
+      trackerHealth.resetTrackerHealth();
+    });
+
+    test('should read reporting interval, fix quality and battery from a KPN payload', async () => {
+      const payload = require('./fixtures/kpn-tracker-records.json');
+      const { serNo, imei, fixes } = gpsNormalizer.normalizePayload(payload);
+      const receivedAt = new Date(fixes[fixes.length - 1].timestamp.getTime() + 5000);
+
+      await trackerHealth.recordPayload({ serNo, imei, fixes, receivedAt });
+      const [tracker] = await trackerHealth.evaluateTrackerHealth(receivedAt);
+
+      expect(tracker).toMatchObject({
+        trackerName: '1326997',
+        imei: '353760970649317',
+        status: 'ok',
+        fixCount: fixes.length,
+        batteryMv: fixes.filter(fix => fix.battery !== null).pop().battery,
+        lastGpsStatus: fixes[fixes.length - 1].gpsStatus
+      });
+      expect(tracker.reportingIntervalSeconds).toBeGreaterThan(0);
+    });
+
+    test('should alert on poor fixes and on going silent, and close alerts on recovery', async () => {
+      // One report every 30s, 4 of 10 fixes degraded (GpsStat 3 or PDOP 9.9)
+      const fixes = Array.from({ length: 10 }, (_, index) => fixAt(index * 30, index % 5 === 1 ? { gpsStatus: 3 } : index % 5 === 3 ? { pdop: 9.9 } : {}));
+      await trackerHealth.recordPayload({ serNo: 1424001, imei: '353760970641001', boatNumber: 7, fixes, receivedAt: at(270) });
+
+      let [tracker] = await trackerHealth.evaluateTrackerHealth(at(280));
+      expect(tracker).toMatchObject({ status: 'degraded', issues: ['poor_fix'], badFixRatio: 0.4, reportingIntervalSeconds: 30 });
+      expect(tracker.openAlerts).toEqual(['poor_fix']);
+
+      // Silent: stale after max(120s, 3 intervals), offline after 600s; one alert throughout
+      [tracker] = await trackerHealth.evaluateTrackerHealth(at(400));
+      expect(tracker.status).toBe('stale');
+      [tracker] = await trackerHealth.evaluateTrackerHealth(at(900));
+      expect(tracker.status).toBe('offline');
+      expect(tracker.openAlerts).toEqual(['poor_fix', 'silent']);
+
+      const stored = (await database.getIncidentsSince(at(0))).filter(incident => incident.metadata.trackerName === '1424001');
+      expect(stored.map(incident => incident.incident_type).sort()).toEqual(['tracker_poor_fix', 'tracker_silent']);
+      expect(stored.every(incident => incident.parade_position === 7)).toBe(true);
+
+      // Reporting again with good fixes
+      const good = Array.from({ length: 10 }, (_, index) => fixAt(900 + index * 30));
+      await trackerHealth.recordPayload({ serNo: 1424001, fixes: good, receivedAt: at(1170) });
+      [tracker] = await trackerHealth.evaluateTrackerHealth(at(1175));
+
+      expect(tracker.status).toBe('ok');
+      expect(tracker.openAlerts).toEqual([]);
+      const silent = (await database.getIncidentsSince(at(0))).find(incident => incident.incident_type === 'tracker_silent' && incident.metadata.trackerName === '1424001');
+      expect(silent.duration_seconds).toBe(1175 - 400);
+    });
+
+    test('should measure clock skew per tracker and count late fixes', async () => {
+      // Device clock 90s behind: fixes arrive at least 90s after their device time
+      const fixes = Array.from({ length: 6 }, (_, index) => fixAt(index * 30));
+      await trackerHealth.recordPayload({ serNo: 1424003, fixes, receivedAt: at(240) });
+      await trackerHealth.recordPayload({ serNo: 1424003, fixes: [fixAt(60)], receivedAt: at(400) });
+
+      const [tracker] = await trackerHealth.evaluateTrackerHealth(at(400));
+
+      expect(tracker.clockSkew).toEqual({ skewSeconds: 90, medianDelaySeconds: 180, maxDelaySeconds: 340, lateFixes: 1 });
+      expect(tracker).toMatchObject({ status: 'degraded', issues: ['clock_skew'], openAlerts: ['clock_skew'] });
+    });
+
+    test('should flag low battery and ignore retried fixes', async () => {
+      await trackerHealth.recordPayload({ serNo: 1424002, fixes: [fixAt(0), fixAt(60, { battery: 3400 })], receivedAt: at(60) });
+      await trackerHealth.recordPayload({ serNo: 1424002, fixes: [fixAt(60, { battery: 3400 })], receivedAt: at(65) });
+
+      const [tracker] = await trackerHealth.evaluateTrackerHealth(at(70));
+
+      expect(tracker).toMatchObject({ status: 'degraded', issues: ['low_battery'], fixCount: 2, payloads: 2 });
+      expect(tracker.lastSeenAt).toEqual(at(65));
+    });
+  });
+
+  describe('Tracker Mappings Service', () => {
+    const start = new Date('2025-08-02T11:00:00Z');
+    const at = seconds => new Date(start.getTime() + seconds * 1000);
+    const fixAt = (seconds, seqNo) => ({
+      seqNo,
+      timestamp: at(seconds),
+      latitude: 52.38 + seconds / 100000,
+      longitude: 4.89,
+      altitude: null,
+      accuracy: 5,
+      speed: 4,
+      heading: 90
+    });
+
+    let trackers;
+
+    beforeAll(async () => {
+      const boat = await database.createPrideBoat({ parade_position: 31, boat_name: 'Swap Test' });
+      const other = await database.createPrideBoat({ parade_position: 32, boat_name: 'Other Boat' });
+      trackers = {
+        dead: await database.createKPNTracker({ tracker_name: '1425101', asset_code: 'P31' }),
+        spare: await database.createKPNTracker({ tracker_name: '1425102', asset_code: 'R1' }),
+        other: await database.createKPNTracker({ tracker_name: '1425103', asset_code: 'P32' })
+      };
+
+      await database.createBoatTrackerMapping({ pride_boat_id: boat.id, kpn_tracker_id: trackers.dead.id, parade_position: 31, valid_from: at(0) });
+      await database.createBoatTrackerMapping({ pride_boat_id: other.id, kpn_tracker_id: trackers.other.id, parade_position: 32, valid_from: at(0) });
+    });
+
+    test('should keep the boat track continuous across a tracker swap', async () => {
+      for (const seconds of [0, 60, 120]) {
+        await gpsIngestion.saveGPSFix(fixAt(seconds, seconds), 1425101);
+      }
+
+      const swap = await trackerMappings.swapTracker(31, { trackerName: '1425102', swappedAt: at(150), by: 'control-anna' });
+
+      expect(swap.ended).toMatchObject({ tracker_name: '1425101', is_active: false, valid_to: at(150).toISOString() });
+      expect(swap.started).toMatchObject({ tracker_name: '1425102', parade_position: 31, is_active: true, valid_from: at(150).toISOString() });
+
+      for (const seconds of [180, 240]) {
+        await gpsIngestion.saveGPSFix(fixAt(seconds, seconds), 1425102);
+      }
+      // The old tracker comes back to life on the spare shelf: no longer boat 31
+      await gpsIngestion.saveGPSFix(fixAt(200, 200), 1425101);
+
+      const { trackers: carried, positions } = await trackerMappings.getBoatTrack(31);
+
+      expect(carried.map(tracker => [tracker.trackerName, tracker.active])).toEqual([['1425101', false], ['1425102', true]]);
+      expect(positions.map(position => [position.tracker_name, position.timestamp])).toEqual([
+        ['1425101', at(0)], ['1425101', at(60)], ['1425101', at(120)], ['1425102', at(180)], ['1425102', at(240)]
+      ]);
+
+      // Replay and late fixes resolve the boat at the time of the fix
+      expect((await database.getBoatTrackerMappingAt('1425101', at(100))).parade_position).toBe(31);
+      expect(await database.getBoatTrackerMappingAt('1425101', at(200))).toBeNull();
+      expect((await gpsIngestion.resolveBoat({ serNo: 1425102, at: at(240) })).boat_number).toBe(31);
+      expect(await gpsIngestion.resolveBoat({ serNo: 1425102, at: at(100) })).toBeNull();
+    });
+
+    test('should record every map and unmap in the audit trail and answer which boat had a tracker', async () => {
+      const audit = await database.getMappingAudit({ boatNumber: 31 });
+
+      expect(audit.map(entry => [entry.action, entry.tracker_name, entry.performed_by])).toEqual([
+        ['map', '1425101', 'system'],
+        ['unmap', '1425101', 'control-anna'],
+        ['map', '1425102', 'control-anna']
+      ]);
+      expect(audit[1]).toMatchObject({ reason: 'Swap: 1425101 -> 1425102', valid_to: at(150).toISOString() });
+
+      // Entries handed out are copies: the trail itself cannot be edited
+      audit[0].performed_by = 'someone else';
+      expect((await database.getMappingAudit({ boatNumber: 31 }))[0].performed_by).toBe('system');
+
+      const before = await trackerMappings.getBoatForTrackerAt('1425101', at(100));
+      expect(before.boat).toMatchObject({ boatNumber: 31, validFrom: at(0).toISOString(), validTo: at(150).toISOString() });
+      expect(before.audit.map(entry => entry.action)).toEqual(['map', 'unmap']);
+      expect((await trackerMappings.getBoatForTrackerAt('1425101', at(200))).boat).toBeNull();
+      await expect(trackerMappings.getBoatForTrackerAt('1425101', 'yesterday')).rejects.toMatchObject({ status: 400 });
+    });
+
+    test('should reject swaps that would put one tracker on two boats', async () => {
+      await expect(trackerMappings.swapTracker(31, { trackerName: '1425103', by: 'control' })).rejects.toMatchObject({ status: 409 });
+      await expect(trackerMappings.swapTracker(31, { trackerName: '1425102', by: 'control' })).rejects.toMatchObject({ status: 409 });
+      await expect(trackerMappings.swapTracker(31, { trackerName: '9999999', by: 'control' })).rejects.toMatchObject({ status: 404 });
+      await expect(trackerMappings.swapTracker(33, { trackerName: '1425101', by: 'control' })).rejects.toMatchObject({ status: 404 });
+      await expect(trackerMappings.swapTracker(31, { trackerName: '1425101', swappedAt: at(100), by: 'control' })).rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('Auto Mapping Service', () => {
+    const rules = [
+      { type: 'asset_code', pattern: '^AM(\\d+)$', target: 'parade_boat' },
+      { type: 'serial_range', from: 1425501, to: 1425502, target: 'support_vessel', vesselType: 'rescue' },
+      { type: 'assignment', csv: 'tracker;boat;vessel;type\n1425503;;ORG-1;organisation\n1425504;53;;' }
+    ];
+    const ours = ['1425401', '1425402', '1425405', '1425501', '1425502', '1425503', '1425504', '1425506'];
+    const actions = plan => Object.fromEntries(plan.changes
+      .filter(change => ours.includes(change.trackerName))
+      .map(change => [change.trackerName, [change.action, change.reason]]));
+
+    let occupied;
+
+    beforeAll(async () => {
+      for (const position of [51, 52, 53]) {
+        await database.createPrideBoat({ parade_position: position, boat_name: `Auto Map ${position}` });
+      }
+      for (const [trackerName, assetCode] of [
+        ['1425401', 'AM51'], ['1425402', 'AM52'], ['1425405', 'AM54'], ['1425506', 'AM53'],
+        ['1425501', 'X1'], ['1425502', 'X2'], ['1425503', 'X3'], ['1425504', 'X4'], ['1425507', 'Y1']
+      ]) {
+        await database.createKPNTracker({ tracker_name: trackerName, asset_code: assetCode });
+      }
+
+      const boat = (await database.getAllPrideBoats()).find(candidate => candidate.parade_position === 52);
+      const tracker = await database.getKPNTrackerByName('1425507');
+      occupied = await database.createBoatTrackerMapping({ pride_boat_id: boat.id, kpn_tracker_id: tracker.id, parade_position: 52 });
+    });
+
+    test('should preview the mapping per rule without changing anything', async () => {
+      const plan = await autoMapping.planAutoMapping(rules);
+
+      expect(actions(plan)).toEqual({
+        1425401: ['map', null],
+        1425402: ['skip', 'boat 52 already has tracker 1425507'],
+        1425405: ['skip', 'no boat at parade position 54'],
+        1425501: ['map', null],
+        1425502: ['map', null],
+        1425503: ['map', null],
+        1425504: ['skip', 'boat 53 claimed by tracker 1425506'],
+        1425506: ['map', null]
+      });
+      expect(plan.changes.find(change => change.trackerName === '1425501').target)
+        .toMatchObject({ type: 'support_vessel', code: 'X1', vesselType: 'rescue' });
+      expect(await database.getSupportVessels()).toEqual([]);
+
+      const replacing = await autoMapping.planAutoMapping(rules, { replaceExisting: true });
+      expect(replacing.changes.find(change => change.trackerName === '1425402'))
+        .toMatchObject({ action: 'remap', ends: [occupied.id] });
+      expect(replacing.planHash).not.toBe(plan.planHash);
+    });
+
+    test('should apply a previewed plan as one batch and map O/R trackers to support vessels', async () => {
+      const { planHash } = await autoMapping.planAutoMapping(rules, { replaceExisting: true });
+      const result = await autoMapping.applyAutoMapping(rules, { by: 'control-anna', replaceExisting: true, planHash });
+      const at = new Date(Date.now() + 1000);
+
+      expect(result.batch).toMatchObject({ created_by: 'control-anna' });
+      expect(result.errors).toEqual([]);
+      expect((await database.getBoatTrackerMappingAt('1425402', at)).parade_position).toBe(52);
+      expect(await database.getBoatTrackerMappingAt('1425507', at)).toBeNull();
+      expect((await database.getSupportVessels()).map(vessel => [vessel.code, vessel.vessel_type])).toEqual([
+        ['ORG-1', 'organisation'], ['X1', 'rescue'], ['X2', 'rescue']
+      ]);
+
+      // Support vessels are tracked, but not as parade boats
+      expect(await gpsIngestion.resolveBoat({ serNo: 1425501, at })).toBeNull();
+
+      const audit = await database.getMappingAudit({ batchId: result.batch.id });
+      expect(audit.filter(entry => entry.action === 'unmap').map(entry => entry.mapping_id)).toEqual([occupied.id]);
+      expect(audit.filter(entry => entry.action === 'map')).toHaveLength(6);
+
+      // The previewed plan no longer holds, and a second run has nothing left to do
+      await expect(autoMapping.applyAutoMapping(rules, { replaceExisting: true, planHash }))
+        .rejects.toMatchObject({ status: 409 });
+      expect((await autoMapping.applyAutoMapping(rules, { replaceExisting: true })).batch).toBeNull();
+    });
+
+    test('should roll back the last batch and restore the mappings it ended', async () => {
+      const result = await autoMapping.rollbackLastBatch({ by: 'control-anna' });
+      const at = new Date(Date.now() + 1000);
+
+      expect(result.ended).toBe(6);
+      expect(result.restored).toEqual([expect.objectContaining({ trackerName: '1425507', restoredFrom: occupied.id })]);
+      expect((await database.getBoatTrackerMappingAt('1425507', at)).parade_position).toBe(52);
+      expect(await database.getBoatTrackerMappingAt('1425401', at)).toBeNull();
+
+      await expect(autoMapping.rollbackLastBatch()).rejects.toMatchObject({ status: 404 });
+    });
+
+    test('should reject invalid rules and assignment files', async () => {
+      await expect(autoMapping.planAutoMapping([{ type: 'asset_code', pattern: '^P(' }])).rejects.toMatchObject({ status: 400 });
+      await expect(autoMapping.planAutoMapping([{ type: 'asset_code', pattern: '^P\\d+$' }])).rejects.toMatchObject({ status: 400 });
+      await expect(autoMapping.planAutoMapping([{ type: 'serial_range', from: 10, to: 1 }])).rejects.toMatchObject({ status: 400 });
+      expect(() => autoMapping.parseAssignmentCSV('tracker,name\n1425401,Boot')).toThrow(/boat or vessel column/);
+      expect(autoMapping.parseAssignmentCSV('tracker\tvessel\tname\nR7\tR7\tReddingsboot')).toEqual([
+        { tracker: 'R7', boatNumber: null, vesselCode: 'R7', vesselType: 'organisation', vesselName: 'Reddingsboot' }
+      ]);
+    });
+  });
+
+  describe('Vessels Service', () => {
+    const secondsAgo = seconds => new Date(Date.now() - seconds * 1000);
+    const fixAt = (latitude, longitude, timestamp) => ({
+      seqNo: 1,
+      timestamp,
+      latitude,
+      longitude,
+      altitude: null,
+      accuracy: 5,
+      speed: 3,
+      heading: 0
+    });
+
+    beforeAll(async () => {
+      for (const [code, vesselType, serNo, latitude, age] of [
+        ['R-NEAR', 'rescue', 1425701, 52.3700, 30],
+        ['R-FAR', 'rescue', 1425702, 52.3900, 60],
+        ['R-STALE', 'rescue', 1425703, 52.3701, 3600],
+        ['POL-1', 'police', 1425704, 52.3702, 30]
+      ]) {
+        const vessel = await vessels.createVessel({ code, name: `Vessel ${code}`, vesselType, contactPhone: '0612345678' });
+        const tracker = await database.createKPNTracker({ tracker_name: String(serNo), asset_code: code });
+        const { id } = (await database.getSupportVessels()).find(candidate => candidate.code === vessel.code);
+        await database.createBoatTrackerMapping({ support_vessel_id: id, kpn_tracker_id: tracker.id, valid_from: secondsAgo(7200) });
+        await gpsIngestion.saveGPSFix(fixAt(latitude, 4.9, secondsAgo(age)), serNo);
+      }
+
+      await boatState.updateBoatPosition(71, { latitude: 52.3705, longitude: 4.9, timestamp: new Date() });
+    });
+
+    test('should list support vessels with their tracker position and type styling', async () => {
+      const list = await vessels.listVessels({ types: ['rescue', 'police'] });
+      const near = list.find(vessel => vessel.code === 'R-NEAR');
+
+      expect(near).toMatchObject({
+        type: 'rescue',
+        trackerName: '1425701',
+        contactPhone: '0612345678',
+        label: 'Reddingsboot',
+        style: vessels.DEFAULT_VESSEL_TYPES.rescue.style,
+        position: { latitude: 52.37, longitude: 4.9 }
+      });
+    });
+
+    test('should hide types without publicMap and contact numbers from the public', async () => {
+      await vessels.createVessel({ code: 'MEDIA-1', name: 'AT5', vesselType: 'media', contactPhone: '0611111111' });
+
+      const publicList = await vessels.listVessels({ audience: 'public' });
+      expect(publicList.some(vessel => ['rescue', 'police'].includes(vessel.type))).toBe(false);
+      expect(publicList.find(vessel => vessel.code === 'MEDIA-1').contactPhone).toBeUndefined();
+
+      await vessels.saveVesselType('police', { permissions: { publicMap: true }, style: { color: '#000080' } });
+      const withPolice = await vessels.listVessels({ audience: 'public', types: ['police'] });
+      expect(withPolice.map(vessel => [vessel.code, vessel.style.color, vessel.style.shape])).toEqual([['POL-1', '#000080', 'diamond']]);
+      await vessels.saveVesselType('police', { permissions: { publicMap: false } });
+
+      await expect(vessels.saveVesselType('submarine', {})).rejects.toMatchObject({ status: 404 });
+      await expect(vessels.saveVesselType('rescue', { style: { color: 'orange' } })).rejects.toMatchObject({ status: 400 });
+    });
+
+    test('should find the nearest rescue vessel with a recent position', async () => {
+      const result = await vessels.findNearestVessels({ boatNumber: 71 });
+
+      expect(result.location).toMatchObject({ latitude: 52.3705, source: 'boat 71' });
+      expect(result.vessels.map(vessel => vessel.code)).toEqual(['R-NEAR', 'R-FAR']);
+      expect(result.vessels[0].distanceMeters).toBe(56);
+      expect(result.withoutPosition).toContain('R-STALE');
+
+      const withPolice = await vessels.findNearestVessels({ latitude: 52.3702, longitude: 4.9 }, { types: ['rescue', 'police'], limit: 1 });
+      expect(withPolice.vessels.map(vessel => vessel.code)).toEqual(['POL-1']);
+
+      await expect(vessels.findNearestVessels({ boatNumber: 71 }, { types: ['media'] })).rejects.toMatchObject({ status: 400 });
+      await expect(vessels.findNearestVessels({ boatNumber: 999 })).rejects.toMatchObject({ status: 404 });
+      await expect(vessels.findNearestVessels({})).rejects.toMatchObject({ status: 400 });
+    });
+
+    test('should find rescue vessels near an emergency', async () => {
+      const emergency = await emergencies.raiseEmergency(71, { reason: 'Medische noodsituatie', latitude: 52.3899, longitude: 4.9 });
+
+      const result = await vessels.findNearestVessels({ emergencyId: emergency.id });
+      expect(result.vessels[0].code).toBe('R-FAR');
+      expect(result.location.source).toBe(`emergency ${emergency.id}`);
+
+      await emergencies.transitionEmergency(emergency.id, 'acknowledge', { by: 'control' });
+      await emergencies.transitionEmergency(emergency.id, 'resolve', { by: 'control' });
+    });
+  });
+
+  describe('Frequency Manager Service', () => {
+    beforeAll(async () => {
+      // Boats 81 and 82 within hearing distance (about 110 m), 83 over a kilometer away
+      for (const [boatNumber, latitude] of [[81, 52.3700], [82, 52.3710], [83, 52.3800]]) {
+        await boatState.updateBoatPosition(boatNumber, { latitude, longitude: 4.9, timestamp: new Date() });
+      }
+    });
+
+    test('should build the pool from band, step and excluded frequencies', async () => {
+      const frequencies = frequencyManager.getAllowedFrequencies();
+      expect(frequencies[0]).toBe(87.6);
+      expect(frequencies[frequencies.length - 1]).toBe(107.8);
+      expect(frequencies).toContain(95);
+      expect(frequencies).not.toContain(95.1);
+
+      await expect(frequencyManager.savePool({ stepMhz: 0.15 })).rejects.toMatchObject({ status: 400 });
+      await expect(frequencyManager.savePool({ startMhz: 80 })).rejects.toMatchObject({ status: 400 });
+    });
+
+    test('should refuse frequencies that clash with a boat within hearing distance', async () => {
+      await frequencyManager.assignFrequency(81, 95.0);
+
+      await expect(frequencyManager.assignFrequency(82, 95.0)).rejects.toMatchObject({
+        status: 409,
+        conflicts: [{ type: 'same_frequency', boats: [82, 81], distanceMeters: 111, estimated: false }]
+      });
+      await expect(frequencyManager.assignFrequency(82, 95.2)).rejects.toMatchObject({
+        status: 409,
+        conflicts: [{ type: 'too_close', separationMhz: 0.2 }]
+      });
+      await expect(frequencyManager.assignFrequency(82, 95.1)).rejects.toMatchObject({ status: 400 });
+
+      const assigned = await frequencyManager.assignFrequency(82, 95.4);
+      expect(assigned).toMatchObject({ boatNumber: 82, frequency: 95.4, source: 'manual', conflicts: [] });
+
+      // Far away the same frequency is fine
+      await frequencyManager.assignFrequency(83, 95.0);
+      expect(frequencyManager.getBoatFrequency(83)).toBe(95);
+      expect(frequencyManager.findConflicts()).toEqual([]);
+    });
+
+    test('should list available frequencies for a boat and for the whole pool', () => {
+      const forBoat = frequencyManager.getAvailableFrequencies(82);
+      expect(forBoat).toContain(95.4);
+      expect(forBoat).toContain(95.6);
+      expect(forBoat).not.toContain(95.2);
+
+      const unused = frequencyManager.getAvailableFrequencies();
+      expect(unused).not.toContain(95);
+      expect(unused).not.toContain(95.4);
+      expect(unused).toContain(95.2);
+    });
+
+    test('should report forced clashes and boats left outside the pool', async () => {
+      const forced = await frequencyManager.assignFrequency(82, 95.2, { force: true });
+      expect(forced.conflicts).toHaveLength(1);
+      expect(frequencyManager.findConflicts()).toEqual([
+        { type: 'too_close', boats: [81, 82], frequencies: [95, 95.2], separationMhz: 0.2, distanceMeters: 111, estimated: false }
+      ]);
+
+      await frequencyManager.assignFrequency(82, 95.4);
+      await frequencyManager.savePool({ excludedMhz: [95.4] });
+      expect(frequencyManager.findConflicts()).toEqual([
+        expect.objectContaining({ type: 'outside_pool', boats: [82], frequencies: [95.4] })
+      ]);
+      await frequencyManager.savePool({ excludedMhz: [] });
+    });
+
+    test('should estimate the distance from parade order for boats without a position', async () => {
+      // Boats 75-78 have no position yet; the planned spacing is 100 m
+      await frequencyManager.assignFrequency(75, 100.0);
+
+      await expect(frequencyManager.assignFrequency(76, 100.0)).rejects.toMatchObject({
+        status: 409,
+        conflicts: [{ type: 'same_frequency', boats: [76, 75], distanceMeters: 100, estimated: true }]
+      });
+      await frequencyManager.assignFrequency(76, 100.4);
+
+      // Three places apart is out of hearing distance
+      await frequencyManager.assignFrequency(78, 100.0);
+      expect(frequencyManager.findConflicts()).toEqual([]);
+
+      const forBoat = frequencyManager.getAvailableFrequencies(77);
+      expect(forBoat).not.toContain(100.0);
+      expect(forBoat).not.toContain(100.4);
+      expect(forBoat).toContain(101.0);
+
+      for (const boatNumber of [75, 76, 78]) {
+        await frequencyManager.unassignFrequency(boatNumber);
+      }
+    });
+
+    test('should unassign and reload assignments from the database', async () => {
+      await frequencyManager.unassignFrequency(83);
+      await expect(frequencyManager.unassignFrequency(83)).rejects.toMatchObject({ status: 404 });
+
+      expect(await frequencyManager.loadFrequencies()).toBe(2);
+      expect(frequencyManager.getBoatFrequency(81)).toBe(95);
+      expect(frequencyManager.getBoatFrequency(82)).toBe(95.4);
+      expect(frequencyManager.getBoatFrequency(83)).toBeNull();
+    });
+  });
+
+  describe('Frequency Allocator Service', () => {
+    const base = Date.now();
+    let tick = 0;
+    const moveBoat = (boatNumber, routeDistance, latitude) => boatState.updateBoatPosition(boatNumber, {
+      latitude,
+      longitude: 4.8,
+      routeDistance,
+      timestamp: new Date(base + ++tick * 1000)
+    });
+    const planFor = (plan, boatNumbers) => plan.assignments
+      .filter(assignment => boatNumbers.includes(assignment.boatNumber))
+      .map(assignment => [assignment.boatNumber, assignment.frequency]);
+
+    beforeAll(async () => {
+      frequencyAllocator.resetAllocator();
+      // 91 and 92 close along the route; 93 and 94 far apart along the route but on
+      // opposite banks where it doubles back (about 11 m in a straight line)
+      await moveBoat(91, 5000, 52.4000);
+      await moveBoat(92, 5100, 52.4100);
+      await moveBoat(93, 6000, 52.4200);
+      await moveBoat(94, 8000, 52.4201);
+    });
+
+    test('should keep boats close along the route or in a straight line apart in a preview', () => {
+      const plan = frequencyAllocator.computePlan();
+
+      expect(planFor(plan, [91, 92, 93, 94])).toEqual([[91, 88.0], [92, 87.6], [93, 88.0], [94, 87.6]]);
+      expect(plan.assignments.find(assignment => assignment.boatNumber === 91).neighbours).toEqual([92]);
+      expect(plan.assignments.find(assignment => assignment.boatNumber === 93).neighbours).toEqual([94]);
+      expect(plan.changes.find(change => change.boatNumber === 91)).toMatchObject({ from: null, to: 88.0, reason: 'new' });
+
+      // Preview only
+      expect(frequencyManager.getBoatFrequency(91)).toBeNull();
+    });
+
+    test('should assign new boats at once', async () => {
+      const result = await frequencyAllocator.reallocate();
+
+      expect(result.scheduled).toEqual([]);
+      expect(frequencyManager.getBoatFrequency(91)).toBe(88);
+      expect(frequencyManager.getBoatFrequency(94)).toBe(87.6);
+      expect(frequencyAllocator.getChangeLog({ boatNumber: 91 })).toEqual([
+        expect.objectContaining({ from: null, to: 88, reason: 'new', status: 'applied' })
+      ]);
+    });
+
+    test('should announce a retune when boats close in and apply it after the notice', async () => {
+      await moveBoat(92, 5950, 52.4195);
+      const now = new Date();
+
+      const announced = await frequencyAllocator.reallocate({ now });
+      expect(announced.scheduled).toEqual([
+        expect.objectContaining({ boatNumber: 92, from: 87.6, to: 88.4, reason: 'conflict', clashesWith: [94] })
+      ]);
+      expect(frequencyManager.getBoatFrequency(92)).toBe(87.6);
+      expect(frequencyAllocator.getScheduledRetune(92)).toMatchObject({
+        to: 88.4,
+        effectiveAt: new Date(now.getTime() + frequencyAllocator.RETUNE_NOTICE_SECONDS * 1000).toISOString()
+      });
+
+      // Re-planning before the notice has passed does not announce it twice
+      const again = await frequencyAllocator.reallocate({ now: new Date(now.getTime() + 30 * 1000) });
+      expect(again.scheduled).toEqual([]);
+      expect(again.applied).toEqual([]);
+
+      const due = await frequencyAllocator.reallocate({ now: new Date(now.getTime() + (frequencyAllocator.RETUNE_NOTICE_SECONDS + 1) * 1000) });
+      expect(due.applied.map(change => [change.boatNumber, change.status])).toEqual([[92, 'applied']]);
+      expect(frequencyManager.getBoatFrequency(92)).toBe(88.4);
+      expect(frequencyAllocator.getScheduledRetune(92)).toBeNull();
+    });
+
+    test('should cancel an announced retune that is no longer needed', async () => {
+      await moveBoat(91, 6010, 52.4202);
+      const announced = await frequencyAllocator.reallocate();
+      expect(announced.scheduled).toHaveLength(1);
+
+      await moveBoat(91, 5000, 52.4000);
+      const result = await frequencyAllocator.reallocate();
+      expect(result.cancelled.map(change => change.id)).toEqual([announced.scheduled[0].id]);
+      expect(frequencyAllocator.getChangeLog({ status: 'scheduled' })).toEqual([]);
+      expect(frequencyAllocator.getChangeLog({ status: 'cancelled' })).toHaveLength(1);
+    });
+  });
+
+  describe('Spatial Index Service', () => {
+    // Far away from the boats of the other tests
+    const points = [[9001, 10.0000, 10.0000], [9002, 10.0010, 10.0000], [9003, 10.0050, 10.0000], [9004, 10.0000, 10.0100]];
+    const ids = result => result.map(boat => boat.id);
+
+    beforeAll(() => {
+      points.forEach(([id, lat, lon]) => spatialIndex.upsert(id, lat, lon, { name: `Boat ${id}` }));
+    });
+
+    afterAll(() => {
+      points.forEach(([id]) => spatialIndex.remove(id));
+    });
+
+    test('should answer k-nearest, radius and bounding box queries', () => {
+      const nearest = spatialIndex.nearest(10.0001, 10.0, 2);
+      expect(ids(nearest)).toEqual([9001, 9002]);
+      expect(nearest[0]).toMatchObject({ name: 'Boat 9001', lat: 10, lon: 10, distanceMeters: 11.1 });
+
+      expect(ids(spatialIndex.withinRadius(10.0, 10.0, 600))).toEqual([9001, 9002, 9003]);
+      expect(ids(spatialIndex.withinBounds({ south: 9.999, west: 9.999, north: 10.002, east: 10.001 }))).toEqual([9001, 9002]);
+      expect(spatialIndex.nearest(10.0, 10.0, 5, { maxDistanceMeters: 200 }).length).toBe(2);
+    });
+
+    test('should move a boat to its latest position', () => {
+      spatialIndex.upsert(9003, 10.0, 10.0002, { name: 'Boat 9003' });
+
+      expect(ids(spatialIndex.nearest(10.0, 10.0003, 1))).toEqual([9003]);
+      expect(ids(spatialIndex.withinRadius(10.005, 10.0, 100))).toEqual([]);
+    });
+
+    test('should find the same nearest boats as a linear scan', () => {
+      let seed = 42;
+      const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+      const scattered = Array.from({ length: 200 }, (_, index) => [9100 + index, 20 + random() * 0.05, 20 + random() * 0.05]);
+      scattered.forEach(([id, lat, lon]) => spatialIndex.upsert(id, lat, lon));
+
+      for (const [lat, lon] of [[20.01, 20.01], [20.049, 20.002], [19.9, 20.1]]) {
+        const expected = scattered
+          .map(([id, pointLat, pointLon]) => ({ id, distance: routeMapper.calculateDistance(lat, lon, pointLat, pointLon) }))
+          .sort((a, b) => a.distance - b.distance)
+          .slice(0, 5)
+          .map(candidate => candidate.id);
+        expect(ids(spatialIndex.nearest(lat, lon, 5))).toEqual(expected);
+      }
+
+      scattered.forEach(([id]) => spatialIndex.remove(id));
+    });
+
+    test('should follow the live boat positions for the proximity calculator', async () => {
+      await boatState.updateBoatPosition(95, { latitude: 11.0, longitude: 11.0, routeDistance: 100, timestamp: new Date() });
+
+      expect(spatialIndex.get(95)).toMatchObject({ lat: 11, lon: 11, routeDistance: 100, status: 'active' });
+      expect(proximityCalculator.findNearestBoat(11.0001, 11.0)).toMatchObject({ id: 95, distance: 0.011 });
+      expect(proximityCalculator.findBoatsInRadius(11.0, 11.0, null, 0.5).map(boat => boat.id)).toEqual([95]);
+
+      await boatState.updateBoatStatus(95, 'emergency');
+      expect(spatialIndex.get(95).status).toBe('emergency');
+    });
+  });
+
+  describe('Webhook Auth Service', () => {
+    test('should sign timestamp and body with HMAC-SHA256', () => {
+      const signature = webhookAuth.signPayload('secret', 1754136000, '{"SerNo":1}');
+
+      expect(signature).toMatch(/^sha256=[0-9a-f]{64}$/);
+      expect(webhookAuth.signPayload('secret', 1754136000, '{"SerNo":1}')).toBe(signature);
+      expect(webhookAuth.signPayload('secret', 1754136001, '{"SerNo":1}')).not.toBe(signature);
+      expect(webhookAuth.signPayload('other', 1754136000, '{"SerNo":1}')).not.toBe(signature);
+    });
+
+    test('should match IPs against exact addresses and CIDR ranges', () => {
+      const allowlist = ['145.7.0.0/16', '203.0.113.10'];
+
+      expect(webhookAuth.isIpAllowed('145.7.12.34', allowlist)).toBe(true);
+      expect(webhookAuth.isIpAllowed('::ffff:145.7.200.1', allowlist)).toBe(true);
+      expect(webhookAuth.isIpAllowed('203.0.113.10', allowlist)).toBe(true);
+      expect(webhookAuth.isIpAllowed('145.8.0.1', allowlist)).toBe(false);
+      expect(webhookAuth.isIpAllowed('203.0.113.11', allowlist)).toBe(false);
+      expect(webhookAuth.isIpAllowed('10.0.0.1', [])).toBe(true);
+    });
+
+    test('should match IPv6 addresses against exact addresses and CIDR ranges', () => {
+      const allowlist = ['2001:db8:1::/48', '2001:db8:2::10', '145.7.0.0/16'];
+
+      expect(webhookAuth.isIpAllowed('2001:db8:1:ffff::1', allowlist)).toBe(true);
+      expect(webhookAuth.isIpAllowed('2001:0db8:0002:0000:0000:0000:0000:0010', allowlist)).toBe(true);
+      expect(webhookAuth.isIpAllowed('2001:db8:2::11', allowlist)).toBe(false);
+      expect(webhookAuth.isIpAllowed('2001:db8:3::1', allowlist)).toBe(false);
+      expect(webhookAuth.isIpAllowed('145.7.1.1', allowlist)).toBe(true);
+      expect(webhookAuth.isIpAllowed('2001:db8:1::1', ['2001:db8:1::/129'])).toBe(false);
+    });
   });
 
   describe('Logger Service', () => {
@@ -6,6 +6,15 @@ require('dotenv').config();
 
 const logger = require('./services/logger');
 const database = require('./models/database');
+const boatState = require('./services/boatState');
+const routeMapper = require('./services/routeMapper');
+const paradeSpacing = require('./services/paradeSpacing');
+const incidentRules = require('./services/incidentRules');
+const trackerHealth = require('./services/trackerHealth');
+const vessels = require('./services/vessels');
+const paradeSchedule = require('./services/paradeSchedule');
+const frequencyManager = require('./services/frequencyManager');
+const frequencyAllocator = require('./services/frequencyAllocator');
 const webhookRoutes = require('./routes/webhooks');
 const boatRoutes = require('./routes/boats');
 const paradeRoutes = require('./routes/parade');
@@ -14,6 +23,13 @@ const deviceManagementRoutes = require('./routes/device-management');
 const votingRoutes = require('./routes/voting');
 const databaseRoutes = require('./routes/database');
 const locationRoutes = require('./routes/locations');
+const webhookSourceRoutes = require('./routes/webhook-sources');
+const paradeRouteRoutes = require('./routes/parade-routes');
+const streamRoutes = require('./routes/stream');
+const emergencyRoutes = require('./routes/emergencies');
+const incidentRuleRoutes = require('./routes/incident-rules');
+const vesselRoutes = require('./routes/vessels');
+const frequencyRoutes = require('./routes/frequencies');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -47,8 +63,13 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
-// Body parsing
-app.use(express.json({ limit: '10mb' }));
+// Body parsing (raw body is kept for webhook signature verification)
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Logging middleware
@@ -102,13 +123,20 @@ app.get('/health/detailed', async (req, res) => {
 
 // API Routes
 app.use('/api/webhooks', webhookRoutes);
+app.use('/api/webhook-sources', webhookSourceRoutes);
 app.use('/api/boats', boatRoutes);
+app.use('/api/parade/routes', paradeRouteRoutes);
 app.use('/api/parade', paradeRoutes);
 app.use('/api/cms', cmsRoutes);
 app.use('/api/device-management', deviceManagementRoutes);
 app.use('/api/voting', votingRoutes);
 app.use('/api/database', databaseRoutes);
 app.use('/api/locations', locationRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/emergencies', emergencyRoutes);
+app.use('/api/incident-rules', incidentRuleRoutes);
+app.use('/api/vessels', vesselRoutes);
+app.use('/api/frequencies', frequencyRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -144,8 +172,35 @@ const server = app.listen(PORT, '0.0.0.0', () => {
   // Initialize database in background after server is running
   setTimeout(() => {
     database.initializeDatabase()
-      .then(() => {
+      .then(async () => {
         logger.info('✅ Database initialization completed');
+
+        // Map positions onto the event's active route (built-in route until one is uploaded)
+        await routeMapper.loadActiveRoute();
+
+        // Pick up parade progress from before the restart, then keep checkpointing
+        await boatState.recoverBoatStates();
+        boatState.startCheckpointing();
+
+        // Raise incidents for gaps that persist between consecutive boats
+        paradeSpacing.startSpacingMonitor();
+
+        // Saved incident rules over the defaults; notice boats that stop sending fixes
+        await incidentRules.loadRules();
+        incidentRules.startRuleMonitor();
+
+        // Alert on trackers that go silent or degrade, also before the parade starts
+        trackerHealth.startTrackerHealthMonitor();
+
+        // Saved map styling and permissions per vessel type over the defaults
+        await vessels.loadVesselTypes();
+
+        // Saved start time, departure interval and target speed of the event's schedule
+        await paradeSchedule.loadSchedule();
+
+        // Saved frequency pool over the defaults and the FM frequency of each boat
+        await frequencyManager.loadFrequencies();
+        frequencyAllocator.startAllocator();
       })
       .catch((error) => {
         logger.error('❌ Database initialization failed:', error);
@@ -14,6 +14,23 @@ let inMemoryDeviceMappings = [];
 let inMemoryWebhookLogs = [];
 let inMemoryKPNTrackers = [];
 let inMemoryBoatTrackerMappings = [];
+let inMemoryMappingAudit = []; // append-only
+let inMemorySupportVessels = [];
+let inMemoryMappingBatches = [];
+let inMemoryVesselTypes = new Map();
+let inMemoryGPSDedupKeys = new Set();
+let inMemoryDuplicateStats = { total: 0, requests: 0, byEndpoint: {} };
+let inMemoryWebhookSources = [];
+let inMemoryRejectionStats = { total: 0, byReason: {} };
+let inMemoryIncidents = [];
+// Emergency statuses covered by idx_incidents_open_emergency
+const OPEN_EMERGENCY_STATUSES = ['raised', 'acknowledged', 'assigned'];
+let inMemoryBoatStateCheckpoints = new Map();
+let inMemoryParadeRoutes = [];
+let inMemoryIncidentRules = new Map();
+let inMemoryParadeSchedules = new Map();
+let inMemoryFrequencySettings = new Map();
+let inMemoryFrequencyAssignments = new Map();
 
 /**
  * Initialize database connections
@@ -163,10 +180,12 @@ async function createTables() {
       mapped_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       mapped_by VARCHAR(100),
       notes TEXT,
+      valid_from TIMESTAMP DEFAULT CURRENT_TIMESTAMP, -- Tracker on the boat from
+      valid_to TIMESTAMP, -- Tracker taken off the boat (swap / unmap), NULL while active
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (pride_boat_id) REFERENCES pride_boats(id) ON DELETE CASCADE,
       FOREIGN KEY (kpn_tracker_id) REFERENCES kpn_trackers(id) ON DELETE CASCADE,
-      FOREIGN KEY (parade_position) REFERENCES pride_boats(parade_position) ON DELETE CASCADE,
-      UNIQUE(pride_boat_id, is_active) -- Only one active mapping per boat
+      FOREIGN KEY (parade_position) REFERENCES pride_boats(parade_position) ON DELETE CASCADE
     );
   `;
 
@@ -277,6 +296,236 @@ async function createTables() {
     );
   `;
 
+  // Idempotent ingestion: KPN retries deliveries, so every fix carries a dedup key
+  // built from (SerNo, SeqNo, GpsUTC) or (SerNo, GpsUTC, Lat, Long) when SeqNo is missing
+  const addIdempotencyColumns = `
+    ALTER TABLE gps_positions ADD COLUMN IF NOT EXISTS seq_no BIGINT;
+    ALTER TABLE gps_positions ADD COLUMN IF NOT EXISTS dedup_key VARCHAR(160);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_gps_positions_dedup_key ON gps_positions(dedup_key);
+
+    ALTER TABLE webhook_logs ADD COLUMN IF NOT EXISTS duplicate_count INTEGER DEFAULT 0;
+  `;
+
+  // SeqNo keys first had no GPS time; a SeqNo that wrapped or was reset, or the GPS
+  // fields of one record, were taken for duplicates. Give stored keys their time.
+  const scopeSeqDedupKeys = `
+    UPDATE gps_positions
+    SET dedup_key = dedup_key || ':' || to_char(timestamp, 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"')
+    WHERE dedup_key LIKE '%:seq:%' AND dedup_key NOT LIKE '%:seq:%:%';
+  `;
+
+  // GPS filter: the raw fix stays as received; whether the filter accepted it and the
+  // filtered position, route distance and speed are stored next to it for comparison
+  const addGPSFilterColumns = `
+    ALTER TABLE gps_positions ADD COLUMN IF NOT EXISTS filter_status VARCHAR(20);
+    ALTER TABLE gps_positions ADD COLUMN IF NOT EXISTS filter_reason VARCHAR(50);
+    ALTER TABLE gps_positions ADD COLUMN IF NOT EXISTS raw_route_distance INTEGER;
+    ALTER TABLE gps_positions ADD COLUMN IF NOT EXISTS filtered_latitude DECIMAL(10, 8);
+    ALTER TABLE gps_positions ADD COLUMN IF NOT EXISTS filtered_longitude DECIMAL(11, 8);
+    ALTER TABLE gps_positions ADD COLUMN IF NOT EXISTS filtered_route_distance INTEGER;
+    ALTER TABLE gps_positions ADD COLUMN IF NOT EXISTS filtered_speed DECIMAL(5, 2);
+    ALTER TABLE gps_positions ADD COLUMN IF NOT EXISTS filter_weight DECIMAL(4, 3);
+  `;
+
+  // Incidents with a duration (e.g. outside the corridor) are closed when they end
+  const addIncidentDurationColumns = `
+    ALTER TABLE incidents ADD COLUMN IF NOT EXISTS ended_at TIMESTAMP;
+    ALTER TABLE incidents ADD COLUMN IF NOT EXISTS duration_seconds INTEGER;
+  `;
+
+  // Mappings are valid from valid_from until valid_to, so a boat can go through several
+  // trackers (swap mid-parade). Only one active mapping per boat, any number of ended ones.
+  const addMappingValidityColumns = `
+    ALTER TABLE boat_tracker_mappings DROP CONSTRAINT IF EXISTS boat_tracker_mappings_pride_boat_id_is_active_key;
+    -- The validity window was first stored as started_at / ended_at
+    DO $$
+    BEGIN
+      IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'boat_tracker_mappings' AND column_name = 'started_at') THEN
+        ALTER TABLE boat_tracker_mappings RENAME COLUMN started_at TO valid_from;
+        ALTER TABLE boat_tracker_mappings RENAME COLUMN ended_at TO valid_to;
+      END IF;
+    END $$;
+    ALTER TABLE boat_tracker_mappings ADD COLUMN IF NOT EXISTS valid_from TIMESTAMP;
+    ALTER TABLE boat_tracker_mappings ADD COLUMN IF NOT EXISTS valid_to TIMESTAMP;
+    ALTER TABLE boat_tracker_mappings ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+    ALTER TABLE boat_tracker_mappings ALTER COLUMN valid_from SET DEFAULT CURRENT_TIMESTAMP;
+    UPDATE boat_tracker_mappings SET valid_from = mapped_at WHERE valid_from IS NULL;
+    -- Mappings deactivated before validity was tracked have no known end: give them an empty window
+    UPDATE boat_tracker_mappings SET valid_to = valid_from WHERE is_active = false AND valid_to IS NULL;
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_boat_tracker_mappings_active_boat ON boat_tracker_mappings(pride_boat_id) WHERE is_active;
+    CREATE INDEX IF NOT EXISTS idx_boat_tracker_mappings_tracker_validity ON boat_tracker_mappings(tracker_name, valid_from);
+  `;
+
+  // Every map / unmap of a tracker, with user and reason. Rows are never changed or removed.
+  const createMappingAuditTable = `
+    CREATE TABLE IF NOT EXISTS boat_tracker_mapping_audit (
+      id SERIAL PRIMARY KEY,
+      mapping_id INTEGER NOT NULL,
+      action VARCHAR(20) NOT NULL, -- map, unmap
+      pride_boat_id INTEGER,
+      parade_position INTEGER,
+      kpn_tracker_id INTEGER,
+      tracker_name VARCHAR(50),
+      valid_from TIMESTAMP,
+      valid_to TIMESTAMP,
+      performed_by VARCHAR(100) NOT NULL,
+      reason TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_mapping_audit_tracker ON boat_tracker_mapping_audit(tracker_name, created_at);
+    CREATE INDEX IF NOT EXISTS idx_mapping_audit_boat ON boat_tracker_mapping_audit(parade_position, created_at);
+
+    CREATE OR REPLACE FUNCTION reject_mapping_audit_change() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'boat_tracker_mapping_audit is append-only';
+    END;
+    $$ LANGUAGE plpgsql;
+
+    DROP TRIGGER IF EXISTS boat_tracker_mapping_audit_append_only ON boat_tracker_mapping_audit;
+    CREATE TRIGGER boat_tracker_mapping_audit_append_only
+      BEFORE UPDATE OR DELETE ON boat_tracker_mapping_audit
+      FOR EACH ROW EXECUTE FUNCTION reject_mapping_audit_change();
+  `;
+
+  // Support vessels (organisation / rescue boats carrying O- and R-coded trackers) and
+  // auto-mapping batches, so the last batch can be rolled back
+  const createAutoMappingTables = `
+    CREATE TABLE IF NOT EXISTS support_vessels (
+      id SERIAL PRIMARY KEY,
+      code VARCHAR(20) UNIQUE NOT NULL, -- O1, R2, ... (asset code of its tracker)
+      name VARCHAR(255) NOT NULL,
+      vessel_type VARCHAR(20) NOT NULL, -- organisation, rescue, police, media
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS mapping_batches (
+      id SERIAL PRIMARY KEY,
+      rules JSONB NOT NULL,
+      summary JSONB,
+      created_by VARCHAR(100) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      rolled_back_at TIMESTAMP,
+      rolled_back_by VARCHAR(100)
+    );
+
+    ALTER TABLE boat_tracker_mappings ADD COLUMN IF NOT EXISTS support_vessel_id INTEGER REFERENCES support_vessels(id) ON DELETE CASCADE;
+    ALTER TABLE boat_tracker_mappings ADD COLUMN IF NOT EXISTS batch_id INTEGER;
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_boat_tracker_mappings_active_vessel ON boat_tracker_mappings(support_vessel_id) WHERE is_active;
+    ALTER TABLE boat_tracker_mapping_audit ADD COLUMN IF NOT EXISTS support_vessel_id INTEGER;
+    ALTER TABLE boat_tracker_mapping_audit ADD COLUMN IF NOT EXISTS batch_id INTEGER;
+  `;
+
+  // Vessel registry: support vessels of every type (organisation, rescue, police, media) with
+  // a contact number; map styling and permissions per type edited through /api/vessels/types
+  const createVesselRegistryTables = `
+    ALTER TABLE support_vessels ADD COLUMN IF NOT EXISTS contact_phone VARCHAR(30);
+    ALTER TABLE support_vessels ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+    CREATE TABLE IF NOT EXISTS vessel_types (
+      vessel_type VARCHAR(20) PRIMARY KEY,
+      definition JSONB NOT NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `;
+
+  // Emergencies follow a workflow (raised -> acknowledged -> assigned -> resolved -> closed);
+  // every transition is kept in transitions with its time and user
+  const addIncidentWorkflowColumns = `
+    ALTER TABLE incidents ADD COLUMN IF NOT EXISTS status VARCHAR(20);
+    ALTER TABLE incidents ADD COLUMN IF NOT EXISTS assigned_to VARCHAR(255);
+    ALTER TABLE incidents ADD COLUMN IF NOT EXISTS transitions JSONB DEFAULT '[]';
+    ALTER TABLE incidents ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP;
+    CREATE INDEX IF NOT EXISTS idx_incidents_type_status ON incidents(incident_type, status);
+
+    -- At most one open emergency per boat, also when two are raised at the same time
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_incidents_open_emergency ON incidents(parade_position)
+      WHERE incident_type = 'emergency' AND status IN ('raised', 'acknowledged', 'assigned');
+  `;
+
+  // Webhook sources: per-source shared secrets for HMAC-signed tracker webhooks
+  const createWebhookSourcesTable = `
+    CREATE TABLE IF NOT EXISTS webhook_sources (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(100) UNIQUE NOT NULL,
+      secret VARCHAR(255) NOT NULL,
+      description TEXT,
+      ip_allowlist JSONB DEFAULT '[]',
+      is_active BOOLEAN DEFAULT true,
+      last_used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    ALTER TABLE webhook_logs ADD COLUMN IF NOT EXISTS rejection_reason VARCHAR(100);
+  `;
+
+  // Boat state checkpoints so parade progress survives backend restarts
+  const createBoatStateCheckpointsTable = `
+    CREATE TABLE IF NOT EXISTS boat_state_checkpoints (
+      boat_id INTEGER PRIMARY KEY,
+      state JSONB NOT NULL,
+      history JSONB DEFAULT '[]',
+      checkpointed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `;
+
+  // Incident rules edited through /api/incident-rules (defaults apply until a rule is saved)
+  const createIncidentRulesTable = `
+    CREATE TABLE IF NOT EXISTS incident_rules (
+      id VARCHAR(100) PRIMARY KEY,
+      definition JSONB NOT NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `;
+
+  // Parade schedule per event (start time, departure interval, target speed) edited
+  // through /api/parade/schedule (defaults apply until a schedule is saved)
+  const createParadeSchedulesTable = `
+    CREATE TABLE IF NOT EXISTS parade_schedules (
+      event_name VARCHAR(100) PRIMARY KEY,
+      definition JSONB NOT NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `;
+
+  // Radio frequencies: allowed pool per event (edited through /api/frequencies/pool)
+  // and the FM frequency each boat transmits on
+  const createFrequencyTables = `
+    CREATE TABLE IF NOT EXISTS frequency_settings (
+      event_name VARCHAR(100) PRIMARY KEY,
+      definition JSONB NOT NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS frequency_assignments (
+      boat_number INTEGER PRIMARY KEY,
+      frequency DECIMAL(5,1) NOT NULL,
+      source VARCHAR(20) DEFAULT 'manual',
+      assigned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `;
+
+  // Parade routes: uploaded route versions per event, one active at a time
+  const createParadeRoutesTable = `
+    CREATE TABLE IF NOT EXISTS parade_routes (
+      id SERIAL PRIMARY KEY,
+      event_name VARCHAR(100) NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      version INTEGER NOT NULL,
+      source_format VARCHAR(20),
+      points JSONB NOT NULL,
+      waypoints JSONB DEFAULT '[]',
+      total_distance DECIMAL(10,1) NOT NULL,
+      is_active BOOLEAN DEFAULT false,
+      activated_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (event_name, version)
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_parade_routes_active_event ON parade_routes(event_name) WHERE is_active;
+  `;
+
   const createIndexes = `
     -- New simplified indexes
     CREATE INDEX IF NOT EXISTS idx_gps_positions_ser_no ON gps_positions(ser_no);
@@ -289,6 +538,8 @@ async function createTables() {
     CREATE INDEX IF NOT EXISTS idx_webhook_logs_endpoint ON webhook_logs(endpoint);
     CREATE INDEX IF NOT EXISTS idx_webhook_logs_created_at ON webhook_logs(created_at);
     CREATE INDEX IF NOT EXISTS idx_webhook_logs_body_serno ON webhook_logs USING GIN ((body->>'SerNo'));
+    CREATE INDEX IF NOT EXISTS idx_webhook_logs_rejection_reason ON webhook_logs(rejection_reason);
+    CREATE INDEX IF NOT EXISTS idx_incidents_timestamp ON incidents(timestamp);
 
     -- Legacy indexes (keep for compatibility)
     CREATE INDEX IF NOT EXISTS idx_boat_tracker_mappings_active ON boat_tracker_mappings(is_active);
@@ -306,6 +557,21 @@ async function createTables() {
     await pgPool.query(createGPSIndexes);
     await pgPool.query(createIncidentsTable);
     await pgPool.query(createWebhookLogsTable);
+    await pgPool.query(addIdempotencyColumns);
+    await pgPool.query(scopeSeqDedupKeys);
+    await pgPool.query(addGPSFilterColumns);
+    await pgPool.query(addIncidentDurationColumns);
+    await pgPool.query(addIncidentWorkflowColumns);
+    await pgPool.query(addMappingValidityColumns);
+    await pgPool.query(createMappingAuditTable);
+    await pgPool.query(createAutoMappingTables);
+    await pgPool.query(createVesselRegistryTables);
+    await pgPool.query(createWebhookSourcesTable);
+    await pgPool.query(createBoatStateCheckpointsTable);
+    await pgPool.query(createIncidentRulesTable);
+    await pgPool.query(createParadeRoutesTable);
+    await pgPool.query(createParadeSchedulesTable);
+    await pgPool.query(createFrequencyTables);
     await pgPool.query(createIndexes);
 
     logger.info('✅ Database tables created/verified successfully');
@@ -331,7 +597,10 @@ async function resetDatabase() {
     DROP TABLE IF EXISTS incidents CASCADE;
     DROP TABLE IF EXISTS gps_positions CASCADE;
     DROP TABLE IF EXISTS votes CASCADE;
+    DROP TABLE IF EXISTS boat_tracker_mapping_audit CASCADE;
+    DROP TABLE IF EXISTS mapping_batches CASCADE;
     DROP TABLE IF EXISTS boat_tracker_mappings CASCADE;
+    DROP TABLE IF EXISTS support_vessels CASCADE;
     DROP TABLE IF EXISTS kpn_trackers CASCADE;
     DROP TABLE IF EXISTS pride_boats CASCADE;
 
@@ -422,6 +691,88 @@ async function saveBoatPosition(boatNumber, positionData) {
   }
 }
 
+/**
+ * Build the idempotency key for a GPS fix
+ * (SerNo, SeqNo, GpsUTC) identifies a GPS field of a KPN record: SeqNo alone wraps or
+ * resets, and the GPS fields of one record share it. Without SeqNo fall back to
+ * (SerNo, GpsUTC, Lat, Long).
+ */
+function buildGPSDedupKey(serNo, seqNo, timestamp, latitude, longitude) {
+  if (serNo === undefined || serNo === null || serNo === '') {
+    return null;
+  }
+
+  const time = timestamp ? new Date(timestamp) : null;
+  if (!time || isNaN(time)) {
+    return null;
+  }
+
+  if (seqNo !== undefined && seqNo !== null && seqNo !== '') {
+    return `${serNo}:seq:${seqNo}:${time.toISOString()}`;
+  }
+
+  return `${serNo}:fix:${time.toISOString()}:${Number(latitude).toFixed(6)}:${Number(longitude).toFixed(6)}`;
+}
+
+/**
+ * Which of the given dedup keys are already stored in gps_positions
+ * @param {Array<string>} keys - Dedup keys from buildGPSDedupKey
+ * @returns {Promise<Set<string>>} Keys that already exist
+ */
+async function findExistingGPSDedupKeys(keys) {
+  const candidates = keys.filter(Boolean);
+  if (candidates.length === 0) {
+    return new Set();
+  }
+
+  if (!pgPool) {
+    return new Set(candidates.filter(key => inMemoryGPSDedupKeys.has(key)));
+  }
+
+  try {
+    const result = await pgPool.query(
+      'SELECT dedup_key FROM gps_positions WHERE dedup_key = ANY($1)',
+      [candidates]
+    );
+    return new Set(result.rows.map(row => row.dedup_key));
+  } catch (error) {
+    logger.error('Error checking GPS dedup keys:', error);
+    throw error;
+  }
+}
+
+/**
+ * Stored fixes for the given dedup keys, with their filter status
+ * A fix without filter_status never went through route mapping (e.g. its tracker
+ * was not mapped to a boat when it came in).
+ * @param {Array<string>} keys - Dedup keys from buildGPSDedupKey
+ * @returns {Promise<Map<string, Object>>} dedup_key -> { id, filter_status }
+ */
+async function getStoredGPSFixes(keys) {
+  const candidates = keys.filter(Boolean);
+  if (candidates.length === 0) {
+    return new Map();
+  }
+
+  if (!pgPool) {
+    const wanted = new Set(candidates);
+    return new Map(inMemoryPositions
+      .filter(position => position.tracker_name !== undefined && wanted.has(position.dedup_key))
+      .map(position => [position.dedup_key, { id: position.id, filter_status: position.filter_status || null }]));
+  }
+
+  try {
+    const result = await pgPool.query(
+      'SELECT id, dedup_key, filter_status FROM gps_positions WHERE dedup_key = ANY($1)',
+      [candidates]
+    );
+    return new Map(result.rows.map(row => [row.dedup_key, { id: row.id, filter_status: row.filter_status }]));
+  } catch (error) {
+    logger.error('Error loading stored GPS fixes:', error);
+    throw error;
+  }
+}
+
 /**
  * Save GPS position data for analysis (all devices, mapped and unmapped)
  */
@@ -440,9 +791,9 @@ async function saveGPSPosition(gpsData) {
     let paradePosition = gpsData.parade_position;
 
     if (!kpnTrackerId || !prideBoatId) {
-      // Look for mapping in in-memory mappings
+      // Look for the in-memory mapping valid at the time of the fix
       const mapping = inMemoryBoatTrackerMappings.find(m =>
-        m.tracker_name === gpsData.tracker_name && m.is_active
+        String(m.tracker_name) === String(gpsData.tracker_name) && isMappingValidAt(m, gpsData.timestamp)
       );
 
       if (mapping) {
@@ -489,7 +840,7 @@ async function saveGPSPosition(gpsData) {
     return position.id;
   }
 
-  // If no mapping data provided, try to look it up
+  // If no mapping data provided, look up the mapping valid at the time of the fix
   let kpnTrackerId = gpsData.kpn_tracker_id;
   let prideBoatId = gpsData.pride_boat_id;
   let paradePosition = gpsData.parade_position;
@@ -507,11 +858,13 @@ async function saveGPSPosition(gpsData) {
         FROM boat_tracker_mappings btm
         LEFT JOIN kpn_trackers kt ON btm.kpn_tracker_id = kt.id
         LEFT JOIN pride_boats pb ON btm.pride_boat_id = pb.id
-        WHERE btm.tracker_name = $1 AND btm.is_active = true
+        WHERE btm.tracker_name = $1
+          AND btm.valid_from <= $2 AND (btm.valid_to IS NULL OR btm.valid_to > $2)
+        ORDER BY btm.valid_from DESC
         LIMIT 1
       `;
 
-      const mappingResult = await pgPool.query(mappingQuery, [gpsData.tracker_name]);
+      const mappingResult = await pgPool.query(mappingQuery, [gpsData.tracker_name, gpsData.timestamp]);
 
       if (mappingResult.rows.length > 0) {
         const mapping = mappingResult.rows[0];
@@ -588,6 +941,13 @@ async function saveGPSPositionSimple(gpsData) {
 
   if (!pgPool) {
     // In-memory fallback
+    if (gpsData.dedup_key && inMemoryGPSDedupKeys.has(gpsData.dedup_key)) {
+      logger.info(`♻️ Duplicate GPS position ignored (in-memory) for SerNo ${gpsData.ser_no}`, {
+        dedup_key: gpsData.dedup_key
+      });
+      return null;
+    }
+
     const newPosition = {
       id: inMemoryPositions.length + 1,
       ser_no: gpsData.ser_no,
@@ -599,10 +959,15 @@ async function saveGPSPositionSimple(gpsData) {
       heading: gpsData.heading,
       timestamp: gpsData.timestamp,
       raw_data: gpsData.raw_data,
+      seq_no: gpsData.seq_no ?? null,
+      dedup_key: gpsData.dedup_key || null,
       received_at: new Date().toISOString()
     };
 
     inMemoryPositions.push(newPosition);
+    if (newPosition.dedup_key) {
+      inMemoryGPSDedupKeys.add(newPosition.dedup_key);
+    }
     logger.info(`✅ GPS position saved (in-memory) for SerNo ${gpsData.ser_no}`, {
       id: newPosition.id,
       totalPositions: inMemoryPositions.length
@@ -613,8 +978,9 @@ async function saveGPSPositionSimple(gpsData) {
   const query = `
     INSERT INTO gps_positions (
       ser_no, latitude, longitude, altitude, accuracy, speed, heading,
-      timestamp, raw_data
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      timestamp, raw_data, seq_no, dedup_key
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    ON CONFLICT (dedup_key) DO NOTHING
     RETURNING id
   `;
 
@@ -627,12 +993,20 @@ async function saveGPSPositionSimple(gpsData) {
     gpsData.speed,
     gpsData.heading,
     gpsData.timestamp,
-    JSON.stringify(gpsData.raw_data)
+    JSON.stringify(gpsData.raw_data),
+    gpsData.seq_no ?? null,
+    gpsData.dedup_key || null
   ];
 
   try {
     logger.info('💾 Inserting GPS position into database...');
     const result = await pgPool.query(query, values);
+    if (result.rows.length === 0) {
+      logger.info(`♻️ Duplicate GPS position ignored for SerNo ${gpsData.ser_no}`, {
+        dedup_key: gpsData.dedup_key
+      });
+      return null;
+    }
     logger.info(`✅ GPS position saved for SerNo ${gpsData.ser_no}`, {
       id: result.rows[0].id,
       latitude: gpsData.latitude,
@@ -812,24 +1186,33 @@ async function getGPSPositionsAtTimeInMemory(targetTimestamp, serNoFilter = null
     .filter(pos => new Date(pos.timestamp) <= targetTime)
     .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
 
-  // Get the latest position for each SerNo at or before target time
+  // Get the latest position for each boat (through the mapping valid at the time of
+  // the fix, so a swapped tracker continues the same boat) or unmapped SerNo
   for (const position of sortedPositions) {
     const serNo = position.ser_no || position.tracker_name;
-    if (!positionsAtTime.has(serNo)) {
-      // Filter by SerNo if specified
-      if (!serNoFilter || serNoFilter.includes(serNo)) {
-        // Add boat information if available
-        const boat = inMemoryBoats.find(b => b.ser_no === serNo);
-        const enrichedPosition = {
-          ...position,
-          boat_name: boat?.boat_name || null,
-          organisation: boat?.organisation || null,
-          parade_position: boat?.parade_position || null,
-          theme: boat?.theme || null,
-          asset_code: boat?.asset_code || null
-        };
-        positionsAtTime.set(serNo, enrichedPosition);
-      }
+    // Filter by SerNo if specified
+    if (serNoFilter && !serNoFilter.includes(serNo)) {
+      continue;
+    }
+
+    const mapping = inMemoryBoatTrackerMappings.find(m =>
+      String(m.tracker_name) === String(serNo) && isMappingValidAt(m, position.timestamp)
+    );
+    const key = mapping ? `boat:${mapping.parade_position}` : `tracker:${serNo}`;
+
+    if (!positionsAtTime.has(key)) {
+      // Add boat information if available
+      const boat = inMemoryBoats.find(b => b.ser_no === serNo);
+      const enrichedPosition = {
+        ...position,
+        boat_name: boat?.boat_name || null,
+        organisation: boat?.organisation || null,
+        pride_boat_id: mapping?.pride_boat_id ?? null,
+        parade_position: mapping?.parade_position ?? boat?.parade_position ?? null,
+        theme: boat?.theme || null,
+        asset_code: mapping?.asset_code || boat?.asset_code || null
+      };
+      positionsAtTime.set(key, enrichedPosition);
     }
   }
 
@@ -866,16 +1249,21 @@ async function getGPSPositionsFromWebhooks(startTime, endTime, serNoFilter = nul
       );
     }
 
-    // Add boat information
+    // Add boat information, through the mapping valid at the time of each fix
     const enrichedPositions = filteredPositions.map(pos => {
-      const boat = inMemoryBoats.find(b => b.ser_no === (pos.ser_no || pos.tracker_name));
+      const serNo = pos.ser_no || pos.tracker_name;
+      const boat = inMemoryBoats.find(b => b.ser_no === serNo);
+      const mapping = inMemoryBoatTrackerMappings.find(m =>
+        String(m.tracker_name) === String(serNo) && isMappingValidAt(m, pos.timestamp)
+      );
       return {
         ...pos,
         boat_name: boat?.boat_name || null,
         organisation: boat?.organisation || null,
-        parade_position: boat?.parade_position || null,
+        pride_boat_id: mapping?.pride_boat_id ?? null,
+        parade_position: mapping?.parade_position ?? boat?.parade_position ?? null,
         theme: boat?.theme || null,
-        asset_code: boat?.asset_code || null
+        asset_code: mapping?.asset_code || boat?.asset_code || null
       };
     });
 
@@ -894,11 +1282,16 @@ async function getGPSPositionsFromWebhooks(startTime, endTime, serNoFilter = nul
       body as raw_data,
       tb.boat_name,
       tb.organisation,
-      tb.parade_position,
+      btm.pride_boat_id,
+      COALESCE(btm.parade_position, tb.parade_position) as parade_position,
       tb.theme,
-      tb.asset_code
+      COALESCE(btm.asset_code, tb.asset_code) as asset_code
     FROM webhook_logs wl
     LEFT JOIN tracker_boats tb ON (wl.body->>'SerNo') = tb.ser_no AND tb.is_active = true
+    -- Boat that carried the tracker when the fix came in (trackers can be swapped mid-parade)
+    LEFT JOIN boat_tracker_mappings btm ON btm.tracker_name = (wl.body->>'SerNo')
+      AND btm.valid_from <= wl.created_at
+      AND (btm.valid_to IS NULL OR btm.valid_to > wl.created_at)
     WHERE wl.endpoint LIKE '%kpn%'
       AND wl.body ? 'SerNo'
       AND wl.body ? 'Long'
@@ -939,31 +1332,42 @@ async function getGPSPositionsAtTimeFromWebhooks(targetTimestamp, serNoFilter =
     return [];
   }
 
-  // Get the latest position for each SerNo before the target time
+  // Get the latest position for each boat before the target time. Fixes are tied to a
+  // boat through the mapping valid when they came in, so a swapped tracker continues
+  // the same boat; fixes of unmapped trackers are ranked per SerNo.
   let query = `
     WITH ranked_positions AS (
       SELECT
-        body->>'SerNo' as ser_no,
-        CAST(body->>'Long' as DECIMAL) as longitude,
-        CAST(body->>'Lat' as DECIMAL) as latitude,
-        CAST(body->>'Alt' as DECIMAL) as altitude,
-        CAST(body->>'Speed' as DECIMAL) as speed,
-        CAST(body->>'Dir' as INTEGER) as heading,
-        created_at as timestamp,
-        body as raw_data,
-        ROW_NUMBER() OVER (PARTITION BY body->>'SerNo' ORDER BY created_at DESC) as rn
-      FROM webhook_logs
-      WHERE endpoint LIKE '%kpn%'
-        AND body ? 'SerNo'
-        AND body ? 'Long'
-        AND body ? 'Lat'
-        AND created_at <= $1
+        wl.body->>'SerNo' as ser_no,
+        CAST(wl.body->>'Long' as DECIMAL) as longitude,
+        CAST(wl.body->>'Lat' as DECIMAL) as latitude,
+        CAST(wl.body->>'Alt' as DECIMAL) as altitude,
+        CAST(wl.body->>'Speed' as DECIMAL) as speed,
+        CAST(wl.body->>'Dir' as INTEGER) as heading,
+        wl.created_at as timestamp,
+        wl.body as raw_data,
+        btm.pride_boat_id,
+        btm.parade_position as mapped_position,
+        btm.asset_code as mapped_asset_code,
+        ROW_NUMBER() OVER (
+          PARTITION BY COALESCE('boat:' || btm.parade_position, 'tracker:' || (wl.body->>'SerNo'))
+          ORDER BY wl.created_at DESC
+        ) as rn
+      FROM webhook_logs wl
+      LEFT JOIN boat_tracker_mappings btm ON btm.tracker_name = (wl.body->>'SerNo')
+        AND btm.valid_from <= wl.created_at
+        AND (btm.valid_to IS NULL OR btm.valid_to > wl.created_at)
+      WHERE wl.endpoint LIKE '%kpn%'
+        AND wl.body ? 'SerNo'
+        AND wl.body ? 'Long'
+        AND wl.body ? 'Lat'
+        AND wl.created_at <= $1
   `;
 
   const params = [targetTimestamp];
 
   if (serNoFilter && serNoFilter.length > 0) {
-    query += ` AND (body->>'SerNo') = ANY($2)`;
+    query += ` AND (wl.body->>'SerNo') = ANY($2)`;
     params.push(serNoFilter);
   }
 
@@ -973,13 +1377,13 @@ async function getGPSPositionsAtTimeFromWebhooks(targetTimestamp, serNoFilter =
       rp.*,
       tb.boat_name,
       tb.organisation,
-      tb.parade_position,
+      COALESCE(rp.mapped_position, tb.parade_position) as parade_position,
       tb.theme,
-      tb.asset_code
+      COALESCE(rp.mapped_asset_code, tb.asset_code) as asset_code
     FROM ranked_positions rp
     LEFT JOIN tracker_boats tb ON rp.ser_no = tb.ser_no AND tb.is_active = true
     WHERE rp.rn = 1
-    ORDER BY tb.parade_position ASC, rp.ser_no ASC
+    ORDER BY COALESCE(rp.mapped_position, tb.parade_position) ASC, rp.ser_no ASC
   `;
 
   try {
@@ -1217,6 +1621,97 @@ async function getGPSPositionsInTimeRange(startTime, endTime, options = {}) {
   }
 }
 
+/**
+ * GPS track of one boat, resolved through the tracker mappings valid at the time of
+ * each fix, so the track continues across a tracker swap
+ * @param {number} paradePosition - Boat number (parade position)
+ * @param {Object} options - { from, to, limit }
+ * @returns {Promise<Array>} Fixes oldest first, each with the tracker_name it came from
+ */
+async function getBoatTrack(paradePosition, options = {}) {
+  const { from = null, to = null, limit = 1000 } = options;
+  const mappings = await getBoatTrackerMappingHistory(paradePosition);
+
+  if (!pgPool) {
+    return inMemoryPositions
+      .filter(position => {
+        const time = new Date(position.timestamp);
+        return (!from || time >= new Date(from)) && (!to || time <= new Date(to));
+      })
+      .map(position => ({
+        position,
+        mapping: mappings.find(mapping =>
+          String(mapping.tracker_name) === String(position.ser_no || position.tracker_name) &&
+          isMappingValidAt(mapping, position.timestamp)
+        )
+      }))
+      .filter(({ mapping }) => mapping)
+      .sort((a, b) => new Date(a.position.timestamp) - new Date(b.position.timestamp))
+      .slice(0, limit)
+      .map(({ position, mapping }) => ({
+        ...position,
+        pride_boat_id: mapping.pride_boat_id,
+        parade_position: mapping.parade_position,
+        mapping_id: mapping.id
+      }));
+  }
+
+  let query = `
+    SELECT
+      gp.tracker_name,
+      gp.latitude,
+      gp.longitude,
+      gp.altitude,
+      gp.accuracy,
+      gp.speed,
+      gp.heading,
+      gp.timestamp,
+      gp.received_at,
+      gp.filter_status,
+      gp.filter_reason,
+      gp.raw_route_distance,
+      gp.filtered_latitude,
+      gp.filtered_longitude,
+      gp.filtered_route_distance,
+      gp.filtered_speed,
+      gp.filter_weight,
+      btm.pride_boat_id,
+      btm.parade_position,
+      btm.id as mapping_id
+    FROM gps_positions gp
+    JOIN boat_tracker_mappings btm ON btm.tracker_name = gp.tracker_name
+      AND btm.valid_from <= gp.timestamp
+      AND (btm.valid_to IS NULL OR btm.valid_to > gp.timestamp)
+    WHERE btm.parade_position = $1
+  `;
+
+  const queryParams = [paradePosition];
+
+  if (from) {
+    queryParams.push(from);
+    query += ` AND gp.timestamp >= $${queryParams.length}`;
+  }
+  if (to) {
+    queryParams.push(to);
+    query += ` AND gp.timestamp <= $${queryParams.length}`;
+  }
+
+  query += `
+    ORDER BY gp.timestamp ASC
+    LIMIT $${queryParams.length + 1}
+  `;
+  queryParams.push(limit);
+
+  try {
+    const result = await pgPool.query(query, queryParams);
+    logger.info(`✅ Retrieved ${result.rows.length} track positions for boat ${paradePosition}`);
+    return result.rows;
+  } catch (error) {
+    logger.error(`❌ Error getting track for boat ${paradePosition}:`, error);
+    throw error;
+  }
+}
+
 /**
  * Get timeline metadata (earliest and latest timestamps, available trackers)
  */
@@ -1272,17 +1767,27 @@ async function getTimelineMetadata() {
 }
 
 /**
- * Save boat incident to database
+ * Save boat incident to the incidents table (boat number = parade position)
  */
 async function saveBoatIncident(boatNumber, incidentData) {
   if (!pgPool) {
-    logger.debug('No database connection, skipping incident save');
-    return;
+    const incident = {
+      id: inMemoryIncidents.length + 1,
+      parade_position: boatNumber,
+      incident_type: incidentData.type,
+      severity: incidentData.severity || 'info',
+      message: incidentData.message,
+      metadata: incidentData.metadata || {},
+      timestamp: incidentData.timestamp,
+      created_at: new Date().toISOString()
+    };
+    inMemoryIncidents.push(incident);
+    return incident.id;
   }
 
   const query = `
-    INSERT INTO boat_incidents (
-      boat_number, incident_type, severity, message, metadata, timestamp
+    INSERT INTO incidents (
+      parade_position, incident_type, severity, message, metadata, timestamp
     ) VALUES ($1, $2, $3, $4, $5, $6)
     RETURNING id;
   `;
@@ -1307,107 +1812,484 @@ async function saveBoatIncident(boatNumber, incidentData) {
 }
 
 /**
- * Get boat position history from database
+ * Close an open incident, recording when it ended and how long it lasted
+ * @param {number} incidentId - Incident ID returned by saveBoatIncident
+ * @param {Date} endedAt - End of the incident
+ * @param {Object} metadata - Merged into the incident metadata
+ * @returns {Promise<Object|null>} Closed incident, or null when it does not exist
  */
-async function getBoatPositionHistory(boatNumber, limit = 50) {
+async function closeBoatIncident(incidentId, endedAt, metadata = {}) {
   if (!pgPool) {
-    return [];
+    const incident = inMemoryIncidents.find(existing => existing.id === incidentId);
+    if (!incident) {
+      return null;
+    }
+    incident.ended_at = endedAt;
+    incident.duration_seconds = Math.max(0, Math.round((new Date(endedAt) - new Date(incident.timestamp)) / 1000));
+    incident.metadata = { ...incident.metadata, ...metadata };
+    return { ...incident };
   }
 
   const query = `
-    SELECT * FROM boat_positions 
-    WHERE boat_number = $1 
-    ORDER BY timestamp DESC 
-    LIMIT $2;
+    UPDATE incidents
+    SET ended_at = $2,
+        duration_seconds = GREATEST(0, ROUND(EXTRACT(EPOCH FROM ($2::timestamp - timestamp)))),
+        metadata = COALESCE(metadata, '{}'::jsonb) || $3::jsonb
+    WHERE id = $1
+    RETURNING *;
   `;
 
   try {
-    const result = await pgPool.query(query, [boatNumber, limit]);
-    return result.rows;
+    const result = await pgPool.query(query, [incidentId, endedAt, JSON.stringify(metadata)]);
+    return result.rows[0] || null;
   } catch (error) {
-    logger.error(`Error fetching position history for boat ${boatNumber}:`, error);
-    return [];
+    logger.error(`Error closing incident ${incidentId}:`, error);
+    throw error;
   }
 }
 
 /**
- * Cache data in Redis
+ * Store a workflow incident (e.g. an emergency) with its first transition
+ * A boat has at most one open emergency (unique index idx_incidents_open_emergency).
+ * @param {Object} incidentData - { parade_position, incident_type, severity, message, metadata, timestamp, status, transitions }
+ * @returns {Promise<Object|null>} Stored incident row, or null when the boat already has an open emergency
  */
-async function cacheSet(key, value, expireSeconds = 300) {
-  if (!redisClient) {
-    return;
+async function createWorkflowIncident(incidentData) {
+  if (!pgPool) {
+    const openEmergency = incidentData.incident_type === 'emergency' && inMemoryIncidents.some(existing =>
+      existing.incident_type === 'emergency' &&
+      existing.parade_position === incidentData.parade_position &&
+      OPEN_EMERGENCY_STATUSES.includes(existing.status)
+    );
+    if (openEmergency) {
+      return null;
+    }
+
+    const incident = {
+      id: inMemoryIncidents.length + 1,
+      parade_position: incidentData.parade_position,
+      incident_type: incidentData.incident_type,
+      severity: incidentData.severity || 'info',
+      message: incidentData.message,
+      metadata: incidentData.metadata || {},
+      timestamp: incidentData.timestamp,
+      ended_at: null,
+      duration_seconds: null,
+      status: incidentData.status,
+      assigned_to: null,
+      transitions: incidentData.transitions || [],
+      updated_at: incidentData.timestamp,
+      created_at: new Date().toISOString()
+    };
+    inMemoryIncidents.push(incident);
+    return { ...incident };
   }
 
+  const query = `
+    INSERT INTO incidents (
+      parade_position, incident_type, severity, message, metadata, timestamp, status, transitions, updated_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $6)
+    RETURNING *;
+  `;
+
   try {
-    await redisClient.setEx(key, expireSeconds, JSON.stringify(value));
+    const result = await pgPool.query(query, [
+      incidentData.parade_position,
+      incidentData.incident_type,
+      incidentData.severity || 'info',
+      incidentData.message,
+      JSON.stringify(incidentData.metadata || {}),
+      incidentData.timestamp,
+      incidentData.status,
+      JSON.stringify(incidentData.transitions || [])
+    ]);
+    return result.rows[0];
   } catch (error) {
-    logger.error(`Error setting cache for key ${key}:`, error);
+    if (error.code === '23505' && error.constraint === 'idx_incidents_open_emergency') {
+      return null;
+    }
+    logger.error('Error creating workflow incident:', error);
+    throw error;
   }
 }
 
 /**
- * Get data from Redis cache
+ * Move a workflow incident to its next status
+ * Only applied while the incident still has expectedStatus, so two operators acting
+ * on the same incident cannot both succeed.
+ * @param {number} incidentId - Incident ID
+ * @param {string} expectedStatus - Status the incident must currently have
+ * @param {Object} changes - { status, transition: {status, at, by, note}, assigned_to, metadata, ended_at }
+ * @returns {Promise<Object|null>} Updated row, or null when missing or no longer in expectedStatus
  */
-async function cacheGet(key) {
-  if (!redisClient) {
-    return null;
+async function transitionWorkflowIncident(incidentId, expectedStatus, changes) {
+  if (!pgPool) {
+    const incident = inMemoryIncidents.find(existing => existing.id === incidentId);
+    if (!incident || incident.status !== expectedStatus) {
+      return null;
+    }
+    incident.status = changes.status;
+    incident.transitions = [...(incident.transitions || []), changes.transition];
+    incident.updated_at = changes.transition.at;
+    if (changes.assigned_to !== undefined) incident.assigned_to = changes.assigned_to;
+    if (changes.metadata) incident.metadata = { ...incident.metadata, ...changes.metadata };
+    if (changes.ended_at) {
+      incident.ended_at = changes.ended_at;
+      incident.duration_seconds = Math.max(0, Math.round((new Date(changes.ended_at) - new Date(incident.timestamp)) / 1000));
+    }
+    return { ...incident };
   }
 
+  const query = `
+    UPDATE incidents
+    SET status = $3,
+        transitions = COALESCE(transitions, '[]'::jsonb) || jsonb_build_array($4::jsonb),
+        updated_at = $5,
+        assigned_to = CASE WHEN $6::boolean THEN $7 ELSE assigned_to END,
+        metadata = COALESCE(metadata, '{}'::jsonb) || $8::jsonb,
+        ended_at = COALESCE($9, ended_at),
+        duration_seconds = CASE WHEN $9::timestamp IS NULL THEN duration_seconds
+          ELSE GREATEST(0, ROUND(EXTRACT(EPOCH FROM ($9::timestamp - timestamp)))) END
+    WHERE id = $1 AND status = $2
+    RETURNING *;
+  `;
+
   try {
-    const value = await redisClient.get(key);
-    return value ? JSON.parse(value) : null;
+    const result = await pgPool.query(query, [
+      incidentId,
+      expectedStatus,
+      changes.status,
+      JSON.stringify(changes.transition),
+      changes.transition.at,
+      changes.assigned_to !== undefined,
+      changes.assigned_to === undefined ? null : changes.assigned_to,
+      JSON.stringify(changes.metadata || {}),
+      changes.ended_at || null
+    ]);
+    return result.rows[0] || null;
   } catch (error) {
-    logger.error(`Error getting cache for key ${key}:`, error);
-    return null;
+    logger.error(`Error updating workflow incident ${incidentId}:`, error);
+    throw error;
   }
 }
 
 /**
- * Delete data from Redis cache
+ * Get a single incident
+ * @param {number} incidentId - Incident ID
+ * @returns {Promise<Object|null>} Incident row
  */
-async function cacheDel(key) {
-  if (!redisClient) {
-    return;
+async function getIncident(incidentId) {
+  if (!pgPool) {
+    const incident = inMemoryIncidents.find(existing => existing.id === incidentId);
+    return incident ? { ...incident } : null;
   }
 
   try {
-    await redisClient.del(key);
+    const result = await pgPool.query('SELECT * FROM incidents WHERE id = $1', [incidentId]);
+    return result.rows[0] || null;
   } catch (error) {
-    logger.error(`Error deleting cache for key ${key}:`, error);
+    logger.error(`Error fetching incident ${incidentId}:`, error);
+    throw error;
   }
 }
 
 /**
- * CRUD Operations for Boats
+ * Get workflow incidents of one type, newest first
+ * @param {string} incidentType - e.g. 'emergency'
+ * @param {Object} filters - { statuses: [...], boatNumber, limit }
+ * @returns {Promise<Array>} Incident rows
  */
+async function getWorkflowIncidents(incidentType, filters = {}) {
+  const limit = filters.limit || 100;
 
-/**
- * Create a new boat
- */
-async function createBoat(boatData) {
   if (!pgPool) {
-    // Use in-memory storage as fallback
-    const newBoat = {
-      id: inMemoryBoats.length + 1,
-      boat_number: boatData.boat_number,
-      name: boatData.name,
-      imei: boatData.imei || null,
-      description: boatData.description || null,
-      captain_name: boatData.captain_name || null,
-      captain_phone: boatData.captain_phone || null,
-      status: boatData.status || 'waiting',
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    };
+    return inMemoryIncidents
+      .filter(incident => incident.incident_type === incidentType)
+      .filter(incident => !filters.statuses || filters.statuses.includes(incident.status))
+      .filter(incident => filters.boatNumber == null || incident.parade_position === filters.boatNumber)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .slice(0, limit)
+      .map(incident => ({ ...incident }));
+  }
 
-    // Check for duplicate boat numbers
-    const existingBoat = inMemoryBoats.find(b => b.boat_number === boatData.boat_number);
-    if (existingBoat) {
-      throw new Error(`Boat with number ${boatData.boat_number} already exists`);
-    }
+  const conditions = ['incident_type = $1'];
+  const values = [incidentType];
 
-    inMemoryBoats.push(newBoat);
-    logger.info(`Boat created (in-memory): ${boatData.name}`, { boat_number: boatData.boat_number });
+  if (filters.statuses) {
+    values.push(filters.statuses);
+    conditions.push(`status = ANY($${values.length})`);
+  }
+  if (filters.boatNumber != null) {
+    values.push(filters.boatNumber);
+    conditions.push(`parade_position = $${values.length}`);
+  }
+  values.push(limit);
+
+  const query = `
+    SELECT * FROM incidents
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY timestamp DESC
+    LIMIT $${values.length}
+  `;
+
+  try {
+    const result = await pgPool.query(query, values);
+    return result.rows;
+  } catch (error) {
+    logger.error(`Error fetching ${incidentType} incidents:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Get boat position history from database
+ */
+async function getBoatPositionHistory(boatNumber, limit = 50) {
+  if (!pgPool) {
+    return [];
+  }
+
+  const query = `
+    SELECT * FROM boat_positions 
+    WHERE boat_number = $1 
+    ORDER BY timestamp DESC 
+    LIMIT $2;
+  `;
+
+  try {
+    const result = await pgPool.query(query, [boatNumber, limit]);
+    return result.rows;
+  } catch (error) {
+    logger.error(`Error fetching position history for boat ${boatNumber}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Get incidents recorded or closed since a point in time, oldest first
+ * @param {Date|string} since - Lower bound on incident timestamp / ended_at
+ */
+async function getIncidentsSince(since) {
+  if (!pgPool) {
+    return inMemoryIncidents
+      .filter(incident => new Date(incident.timestamp) >= new Date(since) ||
+        (incident.ended_at && new Date(incident.ended_at) >= new Date(since)))
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+
+  const query = `
+    SELECT * FROM incidents
+    WHERE (timestamp >= $1 OR ended_at >= $1) AND parade_position IS NOT NULL
+    ORDER BY timestamp ASC
+  `;
+
+  try {
+    const result = await pgPool.query(query, [since]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error fetching incidents:', error);
+    return [];
+  }
+}
+
+/**
+ * Save boat state checkpoints (one row per boat, replaced on every checkpoint)
+ * @param {Array} checkpoints - [{ boat_id, state, history }]
+ */
+async function saveBoatStateCheckpoints(checkpoints) {
+  const checkpointedAt = new Date().toISOString();
+
+  if (!pgPool) {
+    checkpoints.forEach(checkpoint => {
+      inMemoryBoatStateCheckpoints.set(checkpoint.boat_id, {
+        ...JSON.parse(JSON.stringify(checkpoint)),
+        checkpointed_at: checkpointedAt
+      });
+    });
+    return checkpoints.length;
+  }
+
+  const query = `
+    INSERT INTO boat_state_checkpoints (boat_id, state, history, checkpointed_at)
+    VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+    ON CONFLICT (boat_id) DO UPDATE
+    SET state = EXCLUDED.state, history = EXCLUDED.history, checkpointed_at = EXCLUDED.checkpointed_at
+  `;
+
+  try {
+    for (const checkpoint of checkpoints) {
+      await pgPool.query(query, [
+        checkpoint.boat_id,
+        JSON.stringify(checkpoint.state),
+        JSON.stringify(checkpoint.history || [])
+      ]);
+    }
+    return checkpoints.length;
+  } catch (error) {
+    logger.error('Error saving boat state checkpoints:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get all boat state checkpoints
+ */
+async function getBoatStateCheckpoints() {
+  if (!pgPool) {
+    return Array.from(inMemoryBoatStateCheckpoints.values()).map(checkpoint => JSON.parse(JSON.stringify(checkpoint)));
+  }
+
+  try {
+    const result = await pgPool.query('SELECT * FROM boat_state_checkpoints ORDER BY boat_id');
+    return result.rows;
+  } catch (error) {
+    logger.error('Error fetching boat state checkpoints:', error);
+    return [];
+  }
+}
+
+/**
+ * Get all saved incident rule definitions
+ * @returns {Promise<Array>} Rule definitions ordered by id
+ */
+async function getIncidentRules() {
+  if (!pgPool) {
+    return Array.from(inMemoryIncidentRules.values())
+      .map(rule => JSON.parse(JSON.stringify(rule)))
+      .sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  try {
+    const result = await pgPool.query('SELECT definition FROM incident_rules ORDER BY id');
+    return result.rows.map(row => row.definition);
+  } catch (error) {
+    logger.error('Error fetching incident rules:', error);
+    return [];
+  }
+}
+
+/**
+ * Create or replace an incident rule definition
+ * @param {Object} rule - Rule definition with its id
+ */
+async function saveIncidentRule(rule) {
+  if (!pgPool) {
+    inMemoryIncidentRules.set(rule.id, JSON.parse(JSON.stringify(rule)));
+    return rule;
+  }
+
+  const query = `
+    INSERT INTO incident_rules (id, definition, updated_at)
+    VALUES ($1, $2, CURRENT_TIMESTAMP)
+    ON CONFLICT (id) DO UPDATE
+    SET definition = EXCLUDED.definition, updated_at = EXCLUDED.updated_at
+  `;
+
+  try {
+    await pgPool.query(query, [rule.id, JSON.stringify(rule)]);
+    return rule;
+  } catch (error) {
+    logger.error(`Error saving incident rule ${rule.id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete an incident rule definition
+ * @returns {Promise<boolean>} Whether a rule was deleted
+ */
+async function deleteIncidentRule(id) {
+  if (!pgPool) {
+    return inMemoryIncidentRules.delete(id);
+  }
+
+  try {
+    const result = await pgPool.query('DELETE FROM incident_rules WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  } catch (error) {
+    logger.error(`Error deleting incident rule ${id}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Cache data in Redis
+ */
+async function cacheSet(key, value, expireSeconds = 300) {
+  if (!redisClient) {
+    return;
+  }
+
+  try {
+    await redisClient.setEx(key, expireSeconds, JSON.stringify(value));
+  } catch (error) {
+    logger.error(`Error setting cache for key ${key}:`, error);
+  }
+}
+
+/**
+ * Get data from Redis cache
+ */
+async function cacheGet(key) {
+  if (!redisClient) {
+    return null;
+  }
+
+  try {
+    const value = await redisClient.get(key);
+    return value ? JSON.parse(value) : null;
+  } catch (error) {
+    logger.error(`Error getting cache for key ${key}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Delete data from Redis cache
+ */
+async function cacheDel(key) {
+  if (!redisClient) {
+    return;
+  }
+
+  try {
+    await redisClient.del(key);
+  } catch (error) {
+    logger.error(`Error deleting cache for key ${key}:`, error);
+  }
+}
+
+/**
+ * CRUD Operations for Boats
+ */
+
+/**
+ * Create a new boat
+ */
+async function createBoat(boatData) {
+  if (!pgPool) {
+    // Use in-memory storage as fallback
+    const newBoat = {
+      id: inMemoryBoats.length + 1,
+      boat_number: boatData.boat_number,
+      name: boatData.name,
+      imei: boatData.imei || null,
+      description: boatData.description || null,
+      captain_name: boatData.captain_name || null,
+      captain_phone: boatData.captain_phone || null,
+      status: boatData.status || 'waiting',
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+
+    // Check for duplicate boat numbers
+    const existingBoat = inMemoryBoats.find(b => b.boat_number === boatData.boat_number);
+    if (existingBoat) {
+      throw new Error(`Boat with number ${boatData.boat_number} already exists`);
+    }
+
+    inMemoryBoats.push(newBoat);
+    logger.info(`Boat created (in-memory): ${boatData.name}`, { boat_number: boatData.boat_number });
     return newBoat;
   }
 
@@ -1682,56 +2564,13 @@ async function updateDeviceMapping(id, updateData) {
   }
 }
 
-/**
- * Get all Pride boats
- */
-async function getAllPrideBoats() {
-  if (!pgPool) {
-    return [];
-  }
-
-  const query = `
-    SELECT * FROM pride_boats
-    ORDER BY parade_position ASC, nr ASC;
-  `;
-
-  try {
-    const result = await pgPool.query(query);
-    return result.rows;
-  } catch (error) {
-    logger.error('Error fetching Pride boats:', error);
-    return [];
-  }
-}
-
-/**
- * Get all KPN trackers
- */
-async function getAllKPNTrackers() {
-  if (!pgPool) {
-    return [];
-  }
-
-  const query = `
-    SELECT * FROM kpn_trackers
-    ORDER BY asset_code ASC;
-  `;
-
-  try {
-    const result = await pgPool.query(query);
-    return result.rows;
-  } catch (error) {
-    logger.error('Error fetching KPN trackers:', error);
-    return [];
-  }
-}
-
 /**
  * Get all boat-tracker mappings with details
  */
 async function getAllBoatTrackerMappings() {
   if (!pgPool) {
-    return [];
+    return [...inMemoryBoatTrackerMappings]
+      .sort((a, b) => (a.parade_position - b.parade_position) || (new Date(a.valid_from) - new Date(b.valid_from)));
   }
 
   const query = `
@@ -1742,12 +2581,15 @@ async function getAllBoatTrackerMappings() {
       pb.organisatie_boot as pride_boat_organisatie,
       pb.parade_position as pride_boat_position,
       kt.asset_code as kpn_tracker_asset_code,
-      kt.name as kpn_tracker_name,
-      kt.device_type as kpn_tracker_device_type
+      kt.tracker_name as kpn_tracker_name,
+      kt.device_type as kpn_tracker_device_type,
+      sv.code as support_vessel_code,
+      sv.vessel_type as support_vessel_type
     FROM boat_tracker_mappings btm
     LEFT JOIN pride_boats pb ON btm.pride_boat_id = pb.id
     LEFT JOIN kpn_trackers kt ON btm.kpn_tracker_id = kt.id
-    ORDER BY pb.parade_position ASC, pb.nr ASC;
+    LEFT JOIN support_vessels sv ON btm.support_vessel_id = sv.id
+    ORDER BY pb.parade_position ASC, pb.nr ASC, btm.valid_from ASC;
   `;
 
   try {
@@ -1764,7 +2606,9 @@ async function getAllBoatTrackerMappings() {
  */
 async function getAllActiveBoatTrackerMappings() {
   if (!pgPool) {
-    return [];
+    return inMemoryBoatTrackerMappings
+      .filter(mapping => mapping.is_active)
+      .sort((a, b) => a.parade_position - b.parade_position);
   }
 
   const query = `
@@ -1773,10 +2617,13 @@ async function getAllActiveBoatTrackerMappings() {
       pb.nr as pride_boat_nr,
       pb.naam as pride_boat_naam,
       kt.asset_code as kpn_tracker_asset_code,
-      kt.name as kpn_tracker_name
+      kt.tracker_name as kpn_tracker_name,
+      sv.code as support_vessel_code,
+      sv.vessel_type as support_vessel_type
     FROM boat_tracker_mappings btm
     LEFT JOIN pride_boats pb ON btm.pride_boat_id = pb.id
     LEFT JOIN kpn_trackers kt ON btm.kpn_tracker_id = kt.id
+    LEFT JOIN support_vessels sv ON btm.support_vessel_id = sv.id
     WHERE btm.is_active = true
     ORDER BY pb.parade_position ASC, pb.nr ASC;
   `;
@@ -1795,7 +2642,9 @@ async function getAllActiveBoatTrackerMappings() {
  */
 async function getActiveBoatTrackerMappings(prideBoatId) {
   if (!pgPool) {
-    return [];
+    return inMemoryBoatTrackerMappings.filter(mapping =>
+      mapping.pride_boat_id == prideBoatId && mapping.is_active
+    );
   }
 
   const query = `
@@ -1813,58 +2662,218 @@ async function getActiveBoatTrackerMappings(prideBoatId) {
 }
 
 /**
- * Create boat-tracker mapping
+ * Whether an in-memory mapping covered a point in time (valid_from <= at < valid_to)
  */
-async function createBoatTrackerMapping(mappingData) {
-  if (!pgPool) {
-    // In-memory fallback
-    // Find the tracker name from the KPN tracker
-    let trackerName = mappingData.tracker_name;
-    if (!trackerName && mappingData.kpn_tracker_id) {
-      const tracker = inMemoryKPNTrackers.find(t => t.id === mappingData.kpn_tracker_id);
-      if (tracker) {
-        trackerName = tracker.tracker_name;
-      }
-    }
+function isMappingValidAt(mapping, at) {
+  const time = new Date(at);
+  return new Date(mapping.valid_from) <= time &&
+    (!mapping.valid_to || time < new Date(mapping.valid_to));
+}
 
-    // Find the parade position from the pride boat
-    let paradePosition = mappingData.parade_position;
-    if (!paradePosition && mappingData.pride_boat_id) {
-      const boat = inMemoryBoats.find(b => b.id === mappingData.pride_boat_id);
-      if (boat) {
+/**
+ * Find the mapping that had a tracker on a boat at a point in time
+ * @param {string} trackerName - Tracker name (SerNo)
+ * @param {Date|string} at - Time of the fix
+ * @returns {Promise<Object|null>} Mapping valid at that time, or null when the tracker was on no boat
+ */
+async function getBoatTrackerMappingAt(trackerName, at) {
+  if (!trackerName || !at) {
+    return null;
+  }
+
+  if (!pgPool) {
+    return inMemoryBoatTrackerMappings
+      .filter(mapping => String(mapping.tracker_name) === String(trackerName) && isMappingValidAt(mapping, at))
+      .sort((a, b) => new Date(b.valid_from) - new Date(a.valid_from))[0] || null;
+  }
+
+  const query = `
+    SELECT * FROM boat_tracker_mappings
+    WHERE tracker_name = $1
+      AND valid_from <= $2
+      AND (valid_to IS NULL OR valid_to > $2)
+    ORDER BY valid_from DESC
+    LIMIT 1;
+  `;
+
+  try {
+    const result = await pgPool.query(query, [String(trackerName), at]);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error(`Error fetching mapping for tracker ${trackerName}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Every tracker a boat has carried, oldest first
+ * @param {number} paradePosition - Boat number (parade position)
+ */
+async function getBoatTrackerMappingHistory(paradePosition) {
+  if (!pgPool) {
+    return inMemoryBoatTrackerMappings
+      .filter(mapping => mapping.parade_position == paradePosition)
+      .sort((a, b) => new Date(a.valid_from) - new Date(b.valid_from));
+  }
+
+  const query = `
+    SELECT * FROM boat_tracker_mappings
+    WHERE parade_position = $1
+    ORDER BY valid_from ASC;
+  `;
+
+  try {
+    const result = await pgPool.query(query, [paradePosition]);
+    return result.rows;
+  } catch (error) {
+    logger.error(`Error fetching mapping history for boat ${paradePosition}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Append an entry to the mapping audit trail (in-memory)
+ */
+function recordMappingAuditInMemory(mapping, action, audit = {}) {
+  const entry = Object.freeze({
+    id: inMemoryMappingAudit.length + 1,
+    mapping_id: mapping.id,
+    action,
+    pride_boat_id: mapping.pride_boat_id,
+    parade_position: mapping.parade_position,
+    support_vessel_id: mapping.support_vessel_id ?? null,
+    kpn_tracker_id: mapping.kpn_tracker_id,
+    tracker_name: mapping.tracker_name,
+    valid_from: mapping.valid_from,
+    valid_to: mapping.valid_to,
+    performed_by: audit.by || 'system',
+    reason: audit.reason || null,
+    batch_id: audit.batchId ?? null,
+    created_at: new Date().toISOString()
+  });
+
+  inMemoryMappingAudit.push(entry);
+  return entry;
+}
+
+/**
+ * SQL that copies mapping rows into the audit trail
+ * @param {string} from - FROM clause with the mapping rows (e.g. a CTE name)
+ * @param {string} action - map / unmap
+ * @param {string} byParam - Placeholder of the user, e.g. '$2'
+ * @param {string} reasonParam - Placeholder of the reason
+ * @param {string} batchParam - Placeholder of the auto-mapping batch (default: none)
+ */
+function mappingAuditSQL(from, action, byParam, reasonParam, batchParam = 'NULL') {
+  return `
+    INSERT INTO boat_tracker_mapping_audit (
+      mapping_id, action, pride_boat_id, parade_position, support_vessel_id, kpn_tracker_id, tracker_name,
+      valid_from, valid_to, performed_by, reason, batch_id
+    )
+    SELECT
+      id, '${action}', pride_boat_id, parade_position, support_vessel_id, kpn_tracker_id, tracker_name,
+      valid_from, valid_to, ${byParam}::varchar, ${reasonParam}::text, ${batchParam}::integer
+    FROM ${from}
+  `;
+}
+
+/**
+ * Create boat-tracker mapping
+ * Tracker name, asset code and parade position are taken from the tracker and boat
+ * when not given; support_vessel_id maps the tracker to a support vessel instead of a
+ * parade boat. The mapping is valid from valid_from (default: now). Recorded in the
+ * audit trail with mapped_by, reason (default: notes) and batch_id.
+ */
+async function createBoatTrackerMapping(mappingData) {
+  const audit = {
+    by: mappingData.mapped_by || 'system',
+    reason: mappingData.reason || mappingData.notes || null,
+    batchId: mappingData.batch_id ?? null
+  };
+
+  if (!pgPool) {
+    // In-memory fallback
+    // Find the tracker name from the KPN tracker
+    let trackerName = mappingData.tracker_name;
+    let assetCode = mappingData.asset_code;
+    if ((!trackerName || !assetCode) && mappingData.kpn_tracker_id) {
+      const tracker = inMemoryKPNTrackers.find(t => t.id === mappingData.kpn_tracker_id);
+      if (tracker) {
+        trackerName = trackerName || tracker.tracker_name;
+        assetCode = assetCode || tracker.asset_code;
+      }
+    }
+
+    // Find the parade position from the pride boat
+    let paradePosition = mappingData.parade_position;
+    if (!paradePosition && mappingData.pride_boat_id) {
+      const boat = inMemoryBoats.find(b => b.id === mappingData.pride_boat_id);
+      if (boat) {
         paradePosition = boat.parade_position;
       }
     }
 
+    const isActive = mappingData.is_active !== undefined ? mappingData.is_active : true;
+    const now = new Date().toISOString();
     const newMapping = {
       id: inMemoryBoatTrackerMappings.length + 1,
-      pride_boat_id: mappingData.pride_boat_id,
+      pride_boat_id: mappingData.pride_boat_id ?? null,
+      support_vessel_id: mappingData.support_vessel_id ?? null,
       kpn_tracker_id: mappingData.kpn_tracker_id,
-      parade_position: paradePosition,
+      parade_position: paradePosition ?? null,
       tracker_name: trackerName,
-      asset_code: mappingData.asset_code || null,
-      is_active: mappingData.is_active !== undefined ? mappingData.is_active : true,
-      mapped_at: new Date().toISOString(),
-      mapped_by: mappingData.mapped_by || 'system',
-      notes: mappingData.notes || null
+      asset_code: assetCode || null,
+      is_active: isActive,
+      mapped_at: now,
+      mapped_by: audit.by,
+      notes: mappingData.notes || null,
+      valid_from: mappingData.valid_from ? new Date(mappingData.valid_from).toISOString() : now,
+      valid_to: isActive ? null : now,
+      batch_id: audit.batchId,
+      updated_at: now
     };
 
     inMemoryBoatTrackerMappings.push(newMapping);
+    recordMappingAuditInMemory(newMapping, 'map', audit);
     logger.info(`Boat-tracker mapping created (in-memory): Pride Boat ${mappingData.pride_boat_id} -> KPN Tracker ${mappingData.kpn_tracker_id}`);
     return newMapping;
   }
 
   const query = `
-    INSERT INTO boat_tracker_mappings (pride_boat_id, kpn_tracker_id, notes, is_active)
-    VALUES ($1, $2, $3, $4)
-    RETURNING *;
+    WITH created AS (
+      INSERT INTO boat_tracker_mappings (
+        pride_boat_id, kpn_tracker_id, parade_position, tracker_name, asset_code,
+        notes, is_active, mapped_by, valid_from, valid_to, support_vessel_id, batch_id
+      ) VALUES (
+        $1, $2,
+        COALESCE($3, (SELECT parade_position FROM pride_boats WHERE id = $1)),
+        COALESCE($4, (SELECT tracker_name FROM kpn_trackers WHERE id = $2)),
+        COALESCE($5, (SELECT asset_code FROM kpn_trackers WHERE id = $2)),
+        $6, $7, $8,
+        COALESCE($9::timestamp, CURRENT_TIMESTAMP),
+        CASE WHEN $7 THEN NULL ELSE CURRENT_TIMESTAMP END,
+        $11, $12
+      )
+      RETURNING *
+    ), audit AS (
+      ${mappingAuditSQL('created', 'map', '$8', '$10', '$12')}
+    )
+    SELECT * FROM created;
   `;
 
   const values = [
     mappingData.pride_boat_id,
     mappingData.kpn_tracker_id,
+    mappingData.parade_position || null,
+    mappingData.tracker_name || null,
+    mappingData.asset_code || null,
     mappingData.notes || null,
-    mappingData.is_active !== undefined ? mappingData.is_active : true
+    mappingData.is_active !== undefined ? mappingData.is_active : true,
+    audit.by,
+    mappingData.valid_from || null,
+    audit.reason,
+    mappingData.support_vessel_id ?? null,
+    audit.batchId
   ];
 
   try {
@@ -1877,22 +2886,125 @@ async function createBoatTrackerMapping(mappingData) {
   }
 }
 
+/**
+ * Swap the tracker on a boat: end the active mapping and start one for the new
+ * tracker at the same moment, in one transaction (both recorded in the audit trail)
+ * @param {number} mappingId - Active mapping to end
+ * @param {Object} swap - { kpn_tracker_id, tracker_name, asset_code, swapped_at, mapped_by, notes, reason }
+ * @returns {Promise<Object|null>} { ended, started }, or null when the mapping is not active (anymore)
+ */
+async function swapBoatTrackerMapping(mappingId, swap) {
+  const audit = { by: swap.mapped_by || 'system', reason: swap.reason || swap.notes || null };
+
+  if (!pgPool) {
+    const current = inMemoryBoatTrackerMappings.find(mapping => mapping.id === parseInt(mappingId) && mapping.is_active);
+    if (!current) {
+      return null;
+    }
+
+    const swappedAt = new Date(swap.swapped_at).toISOString();
+    current.is_active = false;
+    current.valid_to = swappedAt;
+    current.updated_at = new Date().toISOString();
+    recordMappingAuditInMemory(current, 'unmap', audit);
+
+    const started = await createBoatTrackerMapping({
+      pride_boat_id: current.pride_boat_id,
+      kpn_tracker_id: swap.kpn_tracker_id,
+      parade_position: current.parade_position,
+      tracker_name: swap.tracker_name,
+      asset_code: swap.asset_code,
+      mapped_by: audit.by,
+      notes: swap.notes,
+      reason: audit.reason,
+      valid_from: swappedAt
+    });
+
+    logger.info(`Tracker swapped (in-memory) on boat ${current.parade_position}: ${current.tracker_name} -> ${started.tracker_name}`);
+    return { ended: { ...current }, started: { ...started } };
+  }
+
+  const client = await pgPool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const ended = await client.query(`
+      UPDATE boat_tracker_mappings
+      SET is_active = false, valid_to = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND is_active = true
+      RETURNING *
+    `, [mappingId, swap.swapped_at]);
+
+    if (ended.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const current = ended.rows[0];
+    const started = await client.query(`
+      INSERT INTO boat_tracker_mappings (
+        pride_boat_id, kpn_tracker_id, parade_position, tracker_name, asset_code,
+        notes, is_active, mapped_by, valid_from
+      ) VALUES ($1, $2, $3, $4, $5, $6, true, $7, $8)
+      RETURNING *
+    `, [
+      current.pride_boat_id,
+      swap.kpn_tracker_id,
+      current.parade_position,
+      swap.tracker_name,
+      swap.asset_code || null,
+      swap.notes || null,
+      audit.by,
+      swap.swapped_at
+    ]);
+
+    await client.query(mappingAuditSQL('boat_tracker_mappings WHERE id = $1', 'unmap', '$2', '$3'), [current.id, audit.by, audit.reason]);
+    await client.query(mappingAuditSQL('boat_tracker_mappings WHERE id = $1', 'map', '$2', '$3'), [started.rows[0].id, audit.by, audit.reason]);
+
+    await client.query('COMMIT');
+    logger.info(`Tracker swapped on boat ${current.parade_position}: ${current.tracker_name} -> ${swap.tracker_name}`);
+    return { ended: current, started: started.rows[0] };
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error swapping boat tracker:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
 /**
  * Deactivate all mappings for a boat
+ * @param {number} prideBoatId - Pride boat ID
+ * @param {Object} audit - { by, reason, batchId } for the audit trail
  */
-async function deactivateBoatTrackerMappings(prideBoatId) {
+async function deactivateBoatTrackerMappings(prideBoatId, audit = {}) {
   if (!pgPool) {
-    throw new Error('Database not available');
+    const now = new Date().toISOString();
+    inMemoryBoatTrackerMappings
+      .filter(mapping => mapping.pride_boat_id == prideBoatId && mapping.is_active)
+      .forEach(mapping => {
+        Object.assign(mapping, { is_active: false, valid_to: now, updated_at: now });
+        recordMappingAuditInMemory(mapping, 'unmap', audit);
+      });
+    logger.info(`Deactivated all mappings for Pride boat ${prideBoatId} (in-memory)`);
+    return;
   }
 
   const query = `
-    UPDATE boat_tracker_mappings
-    SET is_active = false, updated_at = CURRENT_TIMESTAMP
-    WHERE pride_boat_id = $1;
+    WITH ended AS (
+      UPDATE boat_tracker_mappings
+      SET is_active = false, valid_to = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE pride_boat_id = $1 AND is_active = true
+      RETURNING *
+    )
+    ${mappingAuditSQL('ended', 'unmap', '$2', '$3', '$4')};
   `;
 
   try {
-    await pgPool.query(query, [prideBoatId]);
+    await pgPool.query(query, [prideBoatId, audit.by || 'system', audit.reason || null, audit.batchId ?? null]);
     logger.info(`Deactivated all mappings for Pride boat ${prideBoatId}`);
   } catch (error) {
     logger.error('Error deactivating boat mappings:', error);
@@ -1902,21 +3014,38 @@ async function deactivateBoatTrackerMappings(prideBoatId) {
 
 /**
  * Deactivate specific mapping
+ * @param {number} mappingId - Mapping ID
+ * @param {Object} audit - { by, reason, batchId } for the audit trail
+ * @returns {Promise<boolean>} Whether an active mapping was ended
  */
-async function deactivateBoatTrackerMapping(mappingId) {
+async function deactivateBoatTrackerMapping(mappingId, audit = {}) {
   if (!pgPool) {
-    throw new Error('Database not available');
+    const mapping = inMemoryBoatTrackerMappings.find(existing => existing.id === parseInt(mappingId) && existing.is_active);
+    if (!mapping) {
+      return false;
+    }
+
+    const now = new Date().toISOString();
+    Object.assign(mapping, { is_active: false, valid_to: now, updated_at: now });
+    recordMappingAuditInMemory(mapping, 'unmap', audit);
+    logger.info(`Deactivated boat-tracker mapping ${mappingId} (in-memory)`);
+    return true;
   }
 
   const query = `
-    UPDATE boat_tracker_mappings
-    SET is_active = false, updated_at = CURRENT_TIMESTAMP
-    WHERE id = $1;
+    WITH ended AS (
+      UPDATE boat_tracker_mappings
+      SET is_active = false, valid_to = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND is_active = true
+      RETURNING *
+    )
+    ${mappingAuditSQL('ended', 'unmap', '$2', '$3', '$4')};
   `;
 
   try {
-    await pgPool.query(query, [mappingId]);
+    const result = await pgPool.query(query, [mappingId, audit.by || 'system', audit.reason || null, audit.batchId ?? null]);
     logger.info(`Deactivated boat-tracker mapping ${mappingId}`);
+    return result.rowCount > 0;
   } catch (error) {
     logger.error('Error deactivating boat-tracker mapping:', error);
     throw error;
@@ -1924,154 +3053,508 @@ async function deactivateBoatTrackerMapping(mappingId) {
 }
 
 /**
- * Close database connections
+ * Audit trail of map / unmap operations, oldest first
+ * @param {Object} filters - { trackerName, boatNumber, mappingId, batchId, from, to, limit }
  */
-async function closeConnections() {
-  try {
-    if (pgPool) {
-      await pgPool.end();
-      logger.info('PostgreSQL connection closed');
-    }
+async function getMappingAudit(filters = {}) {
+  const { trackerName = null, boatNumber = null, mappingId = null, batchId = null, from = null, to = null, limit = 500 } = filters;
 
-    if (redisClient) {
-      await redisClient.quit();
-      logger.info('Redis connection closed');
-    }
+  if (!pgPool) {
+    return inMemoryMappingAudit
+      .filter(entry =>
+        (trackerName === null || String(entry.tracker_name) === String(trackerName)) &&
+        (boatNumber === null || entry.parade_position == boatNumber) &&
+        (mappingId === null || entry.mapping_id == mappingId) &&
+        (batchId === null || entry.batch_id == batchId) &&
+        (!from || new Date(entry.created_at) >= new Date(from)) &&
+        (!to || new Date(entry.created_at) <= new Date(to))
+      )
+      .slice(0, limit)
+      .map(entry => ({ ...entry }));
+  }
+
+  const conditions = [];
+  const values = [];
+  const addCondition = (sql, value) => {
+    values.push(value);
+    conditions.push(sql.replace('?', `$${values.length}`));
+  };
+
+  if (trackerName !== null) addCondition('tracker_name = ?', String(trackerName));
+  if (boatNumber !== null) addCondition('parade_position = ?', boatNumber);
+  if (mappingId !== null) addCondition('mapping_id = ?', mappingId);
+  if (batchId !== null) addCondition('batch_id = ?', batchId);
+  if (from) addCondition('created_at >= ?', from);
+  if (to) addCondition('created_at <= ?', to);
+  values.push(limit);
+
+  const query = `
+    SELECT * FROM boat_tracker_mapping_audit
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY created_at ASC, id ASC
+    LIMIT $${values.length}
+  `;
+
+  try {
+    const result = await pgPool.query(query, values);
+    return result.rows;
   } catch (error) {
-    logger.error('Error closing database connections:', error);
+    logger.error('Error fetching mapping audit trail:', error);
+    throw error;
   }
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', closeConnections);
-process.on('SIGTERM', closeConnections);
-
 /**
- * Bulk import boats from CSV data
+ * Get support vessels (organisation and rescue boats that carry a tracker)
  */
-async function bulkImportBoats(boatsData) {
+async function getSupportVessels() {
   if (!pgPool) {
-    throw new Error('Database not available');
+    return [...inMemorySupportVessels]
+      .sort((a, b) => a.vessel_type.localeCompare(b.vessel_type) || a.code.localeCompare(b.code))
+      .map(vessel => ({ ...vessel }));
   }
 
-  const client = await pgPool.connect();
-
   try {
-    await client.query('BEGIN');
-
-    const insertedBoats = [];
-
-    for (const boat of boatsData) {
-      const query = `
-        INSERT INTO boats (boat_number, name, organisation, theme, mac_address)
-        VALUES ($1, $2, $3, $4, $5)
-        ON CONFLICT (boat_number)
-        DO UPDATE SET
-          name = EXCLUDED.name,
-          organisation = EXCLUDED.organisation,
-          theme = EXCLUDED.theme,
-          mac_address = EXCLUDED.mac_address,
-          updated_at = CURRENT_TIMESTAMP
-        RETURNING *;
-      `;
-
-      const values = [
-        boat.boat_number,
-        boat.name,
-        boat.organisation || null,
-        boat.theme || null,
-        boat.mac_address || null
-      ];
+    const result = await pgPool.query('SELECT * FROM support_vessels ORDER BY vessel_type ASC, code ASC');
+    return result.rows;
+  } catch (error) {
+    logger.error('Error fetching support vessels:', error);
+    return [];
+  }
+}
 
-      const result = await client.query(query, values);
-      insertedBoats.push(result.rows[0]);
+/**
+ * Create a support vessel, or return the existing vessel with the same code
+ * @param {Object} vessel - { code, name, vessel_type, contact_phone }
+ */
+async function createSupportVessel(vessel) {
+  if (!pgPool) {
+    const existing = inMemorySupportVessels.find(candidate => candidate.code === vessel.code);
+    if (existing) {
+      return { ...existing };
     }
 
-    await client.query('COMMIT');
-    logger.info(`Bulk imported ${insertedBoats.length} boats`);
-    return insertedBoats;
+    const created = {
+      id: inMemorySupportVessels.length + 1,
+      code: vessel.code,
+      name: vessel.name || vessel.code,
+      vessel_type: vessel.vessel_type,
+      contact_phone: vessel.contact_phone || null,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+    inMemorySupportVessels.push(created);
+    logger.info(`Support vessel created (in-memory): ${created.code} (${created.vessel_type})`);
+    return { ...created };
+  }
 
+  const query = `
+    INSERT INTO support_vessels (code, name, vessel_type, contact_phone)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (code) DO UPDATE SET code = EXCLUDED.code
+    RETURNING *;
+  `;
+
+  try {
+    const result = await pgPool.query(query, [vessel.code, vessel.name || vessel.code, vessel.vessel_type, vessel.contact_phone || null]);
+    return result.rows[0];
   } catch (error) {
-    await client.query('ROLLBACK');
-    logger.error('Error bulk importing boats:', error);
+    logger.error('Error creating support vessel:', error);
     throw error;
-  } finally {
-    client.release();
   }
 }
 
 /**
- * Voting Functions
+ * Update name, type or contact number of a support vessel
+ * @param {string} code - Vessel code
+ * @param {Object} fields - { name, vessel_type, contact_phone }
+ * @returns {Promise<Object|null>} The vessel, or null when no vessel has that code
  */
+async function updateSupportVessel(code, fields) {
+  const allowed = ['name', 'vessel_type', 'contact_phone'];
+  const updates = Object.entries(fields).filter(([field, value]) => allowed.includes(field) && value !== undefined);
 
-/**
- * Record a vote
- */
-async function recordVote(voteData) {
   if (!pgPool) {
-    // Use in-memory storage fallback
-    const vote = {
-      id: inMemoryVotes.length + 1,
-      boat_id: voteData.boat_id || null,
-      boat_number: voteData.boat_number,
-      vote_type: voteData.vote_type,
-      user_session: voteData.user_session,
-      ip_address: voteData.ip_address || null,
-      user_agent: voteData.user_agent || null,
-      created_at: new Date().toISOString()
-    };
-
-    inMemoryVotes.push(vote);
-    logger.debug(`Vote recorded (in-memory): ${voteData.vote_type} for boat ${voteData.boat_number}`);
-    return vote;
-  }
-
-  // First, try to get the pride_boat_id from parade_position (boat_number)
-  let prideBoatId = null;
-  try {
-    const boatQuery = `SELECT id FROM pride_boats WHERE parade_position = $1`;
-    const boatResult = await pgPool.query(boatQuery, [voteData.boat_number]);
-    if (boatResult.rows.length > 0) {
-      prideBoatId = boatResult.rows[0].id;
+    const vessel = inMemorySupportVessels.find(candidate => candidate.code === code);
+    if (!vessel) {
+      return null;
     }
-  } catch (error) {
-    logger.warn(`Could not find pride_boat_id for parade_position ${voteData.boat_number}:`, error.message);
+    Object.assign(vessel, Object.fromEntries(updates), { updated_at: new Date().toISOString() });
+    return { ...vessel };
   }
 
+  const assignments = updates.map(([field], index) => `${field} = $${index + 2}`);
   const query = `
-    INSERT INTO votes (pride_boat_id, parade_position, vote_type, user_session, ip_address, user_agent, timestamp)
-    VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+    UPDATE support_vessels
+    SET ${[...assignments, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+    WHERE code = $1
     RETURNING *;
   `;
 
-  const values = [
-    prideBoatId,
-    voteData.boat_number,
-    voteData.vote_type,
-    voteData.user_session,
-    voteData.ip_address || null,
-    voteData.user_agent || null
-  ];
-
   try {
-    const result = await pgPool.query(query, values);
-    logger.info(`✅ Vote recorded in Railway DB: ${voteData.vote_type} for boat ${voteData.boat_number} (pride_boat_id: ${prideBoatId})`);
-    return result.rows[0];
+    const result = await pgPool.query(query, [code, ...updates.map(([, value]) => value)]);
+    return result.rows[0] || null;
   } catch (error) {
-    logger.error('❌ Error recording vote in Railway DB:', error);
+    logger.error('Error updating support vessel:', error);
     throw error;
   }
 }
 
 /**
- * Get vote counts for all boats
+ * Support vessels with their active tracker and its latest fix since it was put on board
+ * @returns {Promise<Array>} Vessels with tracker_name, latitude, longitude, speed, heading,
+ *   position_timestamp (null when the vessel has no tracker or no fix yet)
  */
-async function getVoteCounts() {
+async function getSupportVesselPositions() {
   if (!pgPool) {
-    // Use in-memory storage fallback with demo data
-    const demoBoats = [
-      { boat_number: 1, name: 'Rainbow Warriors', organisation: 'Pride Amsterdam', theme: 'Music & Dance' },
-      { boat_number: 2, name: 'Love Boat', organisation: 'COC Nederland', theme: 'Love & Unity' },
+    return [...inMemorySupportVessels]
+      .sort((a, b) => a.vessel_type.localeCompare(b.vessel_type) || a.code.localeCompare(b.code))
+      .map(vessel => {
+        const mapping = inMemoryBoatTrackerMappings.find(candidate => candidate.support_vessel_id === vessel.id && candidate.is_active);
+        const latest = mapping ? inMemoryPositions
+          .filter(position => String(position.tracker_name) === String(mapping.tracker_name) &&
+            new Date(position.timestamp) >= new Date(mapping.valid_from))
+          .reduce((newest, position) => (!newest || new Date(position.timestamp) > new Date(newest.timestamp) ? position : newest), null) : null;
+
+        return {
+          ...vessel,
+          tracker_name: mapping ? mapping.tracker_name : null,
+          latitude: latest ? latest.latitude : null,
+          longitude: latest ? latest.longitude : null,
+          speed: latest ? latest.speed : null,
+          heading: latest ? latest.heading : null,
+          position_timestamp: latest ? latest.timestamp : null
+        };
+      });
+  }
+
+  const query = `
+    SELECT DISTINCT ON (sv.vessel_type, sv.code)
+      sv.*,
+      btm.tracker_name,
+      gp.latitude,
+      gp.longitude,
+      gp.speed,
+      gp.heading,
+      gp.timestamp as position_timestamp
+    FROM support_vessels sv
+    LEFT JOIN boat_tracker_mappings btm ON btm.support_vessel_id = sv.id AND btm.is_active = true
+    LEFT JOIN gps_positions gp ON gp.tracker_name = btm.tracker_name AND gp.timestamp >= btm.valid_from
+    ORDER BY sv.vessel_type ASC, sv.code ASC, gp.timestamp DESC NULLS LAST
+  `;
+
+  try {
+    const result = await pgPool.query(query);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error fetching support vessel positions:', error);
+    return [];
+  }
+}
+
+/**
+ * Saved map styling and permissions per vessel type (defaults apply until a type is saved)
+ * @returns {Promise<Array>} Definitions with their vessel type
+ */
+async function getVesselTypeSettings() {
+  if (!pgPool) {
+    return Array.from(inMemoryVesselTypes.values()).map(definition => JSON.parse(JSON.stringify(definition)));
+  }
+
+  try {
+    const result = await pgPool.query('SELECT definition FROM vessel_types ORDER BY vessel_type');
+    return result.rows.map(row => row.definition);
+  } catch (error) {
+    logger.error('Error fetching vessel types:', error);
+    return [];
+  }
+}
+
+/**
+ * Create or replace the settings of a vessel type
+ * @param {Object} definition - { type, label, style, permissions }
+ */
+async function saveVesselTypeSettings(definition) {
+  if (!pgPool) {
+    inMemoryVesselTypes.set(definition.type, JSON.parse(JSON.stringify(definition)));
+    return definition;
+  }
+
+  const query = `
+    INSERT INTO vessel_types (vessel_type, definition, updated_at)
+    VALUES ($1, $2, CURRENT_TIMESTAMP)
+    ON CONFLICT (vessel_type) DO UPDATE
+    SET definition = EXCLUDED.definition, updated_at = EXCLUDED.updated_at
+  `;
+
+  try {
+    await pgPool.query(query, [definition.type, JSON.stringify(definition)]);
+    return definition;
+  } catch (error) {
+    logger.error(`Error saving vessel type ${definition.type}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Record an auto-mapping batch
+ * @param {Object} batch - { rules, summary, created_by }
+ */
+async function createMappingBatch(batch) {
+  if (!pgPool) {
+    const created = {
+      id: inMemoryMappingBatches.length + 1,
+      rules: batch.rules,
+      summary: batch.summary,
+      created_by: batch.created_by || 'system',
+      created_at: new Date().toISOString(),
+      rolled_back_at: null,
+      rolled_back_by: null
+    };
+    inMemoryMappingBatches.push(created);
+    return { ...created };
+  }
+
+  const query = `
+    INSERT INTO mapping_batches (rules, summary, created_by)
+    VALUES ($1, $2, $3)
+    RETURNING *;
+  `;
+
+  try {
+    const result = await pgPool.query(query, [
+      JSON.stringify(batch.rules),
+      JSON.stringify(batch.summary),
+      batch.created_by || 'system'
+    ]);
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Error creating mapping batch:', error);
+    throw error;
+  }
+}
+
+/**
+ * Most recent auto-mapping batch that has not been rolled back
+ */
+async function getLastMappingBatch() {
+  if (!pgPool) {
+    const batch = [...inMemoryMappingBatches].reverse().find(candidate => !candidate.rolled_back_at);
+    return batch ? { ...batch } : null;
+  }
+
+  try {
+    const result = await pgPool.query(`
+      SELECT * FROM mapping_batches
+      WHERE rolled_back_at IS NULL
+      ORDER BY created_at DESC, id DESC
+      LIMIT 1
+    `);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error fetching last mapping batch:', error);
+    throw error;
+  }
+}
+
+/**
+ * Mark an auto-mapping batch as rolled back
+ * @returns {Promise<Object|null>} The batch, or null when it was already rolled back
+ */
+async function markMappingBatchRolledBack(batchId, by) {
+  if (!pgPool) {
+    const batch = inMemoryMappingBatches.find(candidate => candidate.id === parseInt(batchId) && !candidate.rolled_back_at);
+    if (!batch) {
+      return null;
+    }
+    Object.assign(batch, { rolled_back_at: new Date().toISOString(), rolled_back_by: by || 'system' });
+    return { ...batch };
+  }
+
+  try {
+    const result = await pgPool.query(`
+      UPDATE mapping_batches
+      SET rolled_back_at = CURRENT_TIMESTAMP, rolled_back_by = $2
+      WHERE id = $1 AND rolled_back_at IS NULL
+      RETURNING *
+    `, [batchId, by || 'system']);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error marking mapping batch rolled back:', error);
+    throw error;
+  }
+}
+
+/**
+ * Mappings by id (active or not), used to restore mappings a batch ended
+ */
+async function getBoatTrackerMappingsByIds(mappingIds) {
+  const ids = mappingIds.map(id => parseInt(id));
+
+  if (!pgPool) {
+    return inMemoryBoatTrackerMappings
+      .filter(mapping => ids.includes(mapping.id))
+      .map(mapping => ({ ...mapping }));
+  }
+
+  try {
+    const result = await pgPool.query('SELECT * FROM boat_tracker_mappings WHERE id = ANY($1::int[])', [ids]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error fetching boat-tracker mappings by id:', error);
+    throw error;
+  }
+}
+
+/**
+ * Close database connections
+ */
+async function closeConnections() {
+  try {
+    if (pgPool) {
+      await pgPool.end();
+      logger.info('PostgreSQL connection closed');
+    }
+
+    if (redisClient) {
+      await redisClient.quit();
+      logger.info('Redis connection closed');
+    }
+  } catch (error) {
+    logger.error('Error closing database connections:', error);
+  }
+}
+
+// Handle graceful shutdown
+process.on('SIGINT', closeConnections);
+process.on('SIGTERM', closeConnections);
+
+/**
+ * Bulk import boats from CSV data
+ */
+async function bulkImportBoats(boatsData) {
+  if (!pgPool) {
+    throw new Error('Database not available');
+  }
+
+  const client = await pgPool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const insertedBoats = [];
+
+    for (const boat of boatsData) {
+      const query = `
+        INSERT INTO boats (boat_number, name, organisation, theme, mac_address)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (boat_number)
+        DO UPDATE SET
+          name = EXCLUDED.name,
+          organisation = EXCLUDED.organisation,
+          theme = EXCLUDED.theme,
+          mac_address = EXCLUDED.mac_address,
+          updated_at = CURRENT_TIMESTAMP
+        RETURNING *;
+      `;
+
+      const values = [
+        boat.boat_number,
+        boat.name,
+        boat.organisation || null,
+        boat.theme || null,
+        boat.mac_address || null
+      ];
+
+      const result = await client.query(query, values);
+      insertedBoats.push(result.rows[0]);
+    }
+
+    await client.query('COMMIT');
+    logger.info(`Bulk imported ${insertedBoats.length} boats`);
+    return insertedBoats;
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error bulk importing boats:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Voting Functions
+ */
+
+/**
+ * Record a vote
+ */
+async function recordVote(voteData) {
+  if (!pgPool) {
+    // Use in-memory storage fallback
+    const vote = {
+      id: inMemoryVotes.length + 1,
+      boat_id: voteData.boat_id || null,
+      boat_number: voteData.boat_number,
+      vote_type: voteData.vote_type,
+      user_session: voteData.user_session,
+      ip_address: voteData.ip_address || null,
+      user_agent: voteData.user_agent || null,
+      created_at: new Date().toISOString()
+    };
+
+    inMemoryVotes.push(vote);
+    logger.debug(`Vote recorded (in-memory): ${voteData.vote_type} for boat ${voteData.boat_number}`);
+    return vote;
+  }
+
+  // First, try to get the pride_boat_id from parade_position (boat_number)
+  let prideBoatId = null;
+  try {
+    const boatQuery = `SELECT id FROM pride_boats WHERE parade_position = $1`;
+    const boatResult = await pgPool.query(boatQuery, [voteData.boat_number]);
+    if (boatResult.rows.length > 0) {
+      prideBoatId = boatResult.rows[0].id;
+    }
+  } catch (error) {
+    logger.warn(`Could not find pride_boat_id for parade_position ${voteData.boat_number}:`, error.message);
+  }
+
+  const query = `
+    INSERT INTO votes (pride_boat_id, parade_position, vote_type, user_session, ip_address, user_agent, timestamp)
+    VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+    RETURNING *;
+  `;
+
+  const values = [
+    prideBoatId,
+    voteData.boat_number,
+    voteData.vote_type,
+    voteData.user_session,
+    voteData.ip_address || null,
+    voteData.user_agent || null
+  ];
+
+  try {
+    const result = await pgPool.query(query, values);
+    logger.info(`✅ Vote recorded in Railway DB: ${voteData.vote_type} for boat ${voteData.boat_number} (pride_boat_id: ${prideBoatId})`);
+    return result.rows[0];
+  } catch (error) {
+    logger.error('❌ Error recording vote in Railway DB:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get vote counts for all boats
+ */
+async function getVoteCounts() {
+  if (!pgPool) {
+    // Use in-memory storage fallback with demo data
+    const demoBoats = [
+      { boat_number: 1, name: 'Rainbow Warriors', organisation: 'Pride Amsterdam', theme: 'Music & Dance' },
+      { boat_number: 2, name: 'Love Boat', organisation: 'COC Nederland', theme: 'Love & Unity' },
       { boat_number: 3, name: 'Freedom Float', organisation: 'EuroPride', theme: 'Freedom' },
       { boat_number: 4, name: 'Unity Express', organisation: 'LGBTI+ Alliance', theme: 'Unity' },
       { boat_number: 5, name: 'Pride Power', organisation: 'Amsterdam Pride', theme: 'Power' }
@@ -2163,55 +3646,13 @@ async function getUserVotes(userSession) {
 }
 
 /**
- * Get all pride boats from database
+ * Ensure demo boats exist in pride_boats table
  */
-async function getAllPrideBoats() {
+async function ensureDemoBoats() {
   if (!pgPool) {
-    logger.warn('❌ No database connection, returning empty array');
-    return [];
-  }
-
-  const query = `
-    SELECT
-      id,
-      parade_position,
-      boat_name,
-      organisation,
-      theme,
-      description,
-      captain_name,
-      captain_phone,
-      captain_email,
-      boat_type,
-      length_meters,
-      width_meters,
-      max_persons,
-      status,
-      notes,
-      created_at,
-      updated_at
-    FROM pride_boats
-    ORDER BY parade_position ASC
-  `;
-
-  try {
-    const result = await pgPool.query(query);
-    logger.debug(`✅ Retrieved ${result.rows.length} pride boats from database`);
-    return result.rows;
-  } catch (error) {
-    logger.error('❌ Error getting all pride boats:', error);
-    return [];
-  }
-}
-
-/**
- * Ensure demo boats exist in pride_boats table
- */
-async function ensureDemoBoats() {
-  if (!pgPool) {
-    // In-memory mode - create demo boats and GPS data
-    await ensureDemoBoatsInMemory();
-    return;
+    // In-memory mode - create demo boats and GPS data
+    await ensureDemoBoatsInMemory();
+    return;
   }
 
   try {
@@ -2466,233 +3907,915 @@ async function createPrideBoat(boatData) {
   ];
 
   try {
-    const result = await pgPool.query(query, values);
-    logger.info(`Pride boat created: ${boatData.boat_name}`, { parade_position: boatData.parade_position });
-    return result.rows[0];
+    const result = await pgPool.query(query, values);
+    logger.info(`Pride boat created: ${boatData.boat_name}`, { parade_position: boatData.parade_position });
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Error creating pride boat:', error);
+    throw error;
+  }
+}
+
+async function getAllPrideBoats() {
+  if (!pgPool) {
+    return inMemoryBoats.sort((a, b) => a.parade_position - b.parade_position);
+  }
+
+  const query = 'SELECT * FROM pride_boats ORDER BY parade_position ASC';
+  try {
+    const result = await pgPool.query(query);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error fetching pride boats:', error);
+    return [];
+  }
+}
+
+/**
+ * KPN Trackers CRUD
+ */
+async function createKPNTracker(trackerData) {
+  if (!pgPool) {
+    // In-memory fallback
+    const newTracker = {
+      id: inMemoryKPNTrackers.length + 1,
+      tracker_name: trackerData.tracker_name,
+      asset_code: trackerData.asset_code,
+      device_type: trackerData.device_type || null,
+      serial_number: trackerData.serial_number || null,
+      enabled: trackerData.enabled !== undefined ? trackerData.enabled : true,
+      created_at: new Date().toISOString()
+    };
+
+    inMemoryKPNTrackers.push(newTracker);
+    logger.info(`KPN tracker created (in-memory): ${trackerData.tracker_name}`, { asset_code: trackerData.asset_code });
+    return newTracker;
+  }
+
+  const query = `
+    INSERT INTO kpn_trackers (tracker_name, asset_code, asset_type, device_type, serial_number, imei, enabled, current_status, project, department, description)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    RETURNING *;
+  `;
+
+  const values = [
+    trackerData.tracker_name,
+    trackerData.asset_code,
+    trackerData.asset_type || 'Boat',
+    trackerData.device_type || null,
+    trackerData.serial_number || null,
+    trackerData.imei || null,
+    trackerData.enabled !== undefined ? trackerData.enabled : true,
+    trackerData.current_status || null,
+    trackerData.project || null,
+    trackerData.department || null,
+    trackerData.description || null
+  ];
+
+  try {
+    const result = await pgPool.query(query, values);
+    logger.info(`KPN tracker created: ${trackerData.tracker_name}`, { asset_code: trackerData.asset_code });
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Error creating KPN tracker:', error);
+    throw error;
+  }
+}
+
+async function getAllKPNTrackers() {
+  if (!pgPool) {
+    return [...inMemoryKPNTrackers].sort((a, b) => a.asset_code.localeCompare(b.asset_code));
+  }
+
+  const query = 'SELECT * FROM kpn_trackers ORDER BY asset_code ASC';
+  try {
+    const result = await pgPool.query(query);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error fetching KPN trackers:', error);
+    return [];
+  }
+}
+
+async function getKPNTrackerByName(trackerName) {
+  if (!pgPool) {
+    return inMemoryKPNTrackers.find(t => t.tracker_name === trackerName) || null;
+  }
+
+  const query = 'SELECT * FROM kpn_trackers WHERE tracker_name = $1';
+  try {
+    const result = await pgPool.query(query, [trackerName]);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error fetching KPN tracker by name:', error);
+    return null;
+  }
+}
+
+/**
+ * Store live tracker health on the KPN tracker (no-op for trackers that were not imported)
+ * @param {string} trackerName - KPN tracker name (SerNo)
+ * @param {Object} status - { last_connected, current_status }
+ */
+async function updateKPNTrackerStatus(trackerName, status) {
+  if (!pgPool) {
+    const tracker = inMemoryKPNTrackers.find(t => String(t.tracker_name) === String(trackerName));
+    if (tracker) {
+      Object.assign(tracker, Object.fromEntries(Object.entries(status).filter(([, value]) => value !== undefined)));
+    }
+    return tracker || null;
+  }
+
+  const query = `
+    UPDATE kpn_trackers
+    SET last_connected = COALESCE($2, last_connected),
+        current_status = COALESCE($3, current_status),
+        updated_at = CURRENT_TIMESTAMP
+    WHERE tracker_name = $1
+    RETURNING *;
+  `;
+
+  try {
+    const result = await pgPool.query(query, [String(trackerName), status.last_connected || null, status.current_status || null]);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error updating KPN tracker status:', error);
+    throw error;
+  }
+}
+
+/**
+ * Webhook Logging Functions
+ */
+async function logWebhookRequest(webhookData) {
+  logger.info(`logWebhookRequest called for: ${webhookData.method} ${webhookData.endpoint}`);
+
+  if (!pgPool) {
+    logger.info('Using in-memory webhook logging (no PostgreSQL connection)');
+
+    // In-memory fallback
+    const logEntry = {
+      id: inMemoryWebhookLogs.length + 1,
+      endpoint: webhookData.endpoint,
+      method: webhookData.method,
+      headers: webhookData.headers,
+      body: webhookData.body,
+      query_params: webhookData.query_params,
+      ip_address: webhookData.ip_address,
+      user_agent: webhookData.user_agent,
+      response_status: webhookData.response_status,
+      response_body: webhookData.response_body,
+      processing_time_ms: webhookData.processing_time_ms,
+      error_message: webhookData.error_message,
+      duplicate_count: webhookData.duplicate_count || 0,
+      rejection_reason: webhookData.rejection_reason || null,
+      created_at: new Date().toISOString()
+    };
+
+    inMemoryWebhookLogs.unshift(logEntry); // Add to beginning
+
+    // Running duplicate totals survive the 100-entry log cap below
+    if (logEntry.duplicate_count > 0) {
+      inMemoryDuplicateStats.total += logEntry.duplicate_count;
+      inMemoryDuplicateStats.requests++;
+      inMemoryDuplicateStats.byEndpoint[logEntry.endpoint] =
+        (inMemoryDuplicateStats.byEndpoint[logEntry.endpoint] || 0) + logEntry.duplicate_count;
+    }
+
+    if (logEntry.rejection_reason) {
+      inMemoryRejectionStats.total++;
+      inMemoryRejectionStats.byReason[logEntry.rejection_reason] =
+        (inMemoryRejectionStats.byReason[logEntry.rejection_reason] || 0) + 1;
+    }
+
+    // Keep only last 100 entries in memory
+    if (inMemoryWebhookLogs.length > 100) {
+      inMemoryWebhookLogs = inMemoryWebhookLogs.slice(0, 100);
+    }
+
+    logger.info(`Webhook logged (in-memory): ${webhookData.endpoint}, total logs: ${inMemoryWebhookLogs.length}`, { status: webhookData.response_status });
+    return logEntry;
+  }
+
+  const query = `
+    INSERT INTO webhook_logs (endpoint, method, headers, body, query_params, ip_address, user_agent, response_status, response_body, processing_time_ms, error_message, duplicate_count, rejection_reason)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+    RETURNING *;
+  `;
+
+  const values = [
+    webhookData.endpoint,
+    webhookData.method,
+    JSON.stringify(webhookData.headers),
+    JSON.stringify(webhookData.body),
+    JSON.stringify(webhookData.query_params),
+    webhookData.ip_address,
+    webhookData.user_agent,
+    webhookData.response_status,
+    JSON.stringify(webhookData.response_body),
+    webhookData.processing_time_ms,
+    webhookData.error_message,
+    webhookData.duplicate_count || 0,
+    webhookData.rejection_reason || null
+  ];
+
+  try {
+    const result = await pgPool.query(query, values);
+    logger.debug(`Webhook logged: ${webhookData.endpoint}`, { id: result.rows[0].id, status: webhookData.response_status });
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Error logging webhook:', error);
+    throw error;
+  }
+}
+
+async function getWebhookLogs(limit = 50, offset = 0) {
+  logger.info(`getWebhookLogs called: limit=${limit}, offset=${offset}`);
+
+  if (!pgPool) {
+    logger.info(`Returning in-memory logs: ${inMemoryWebhookLogs.length} total logs`);
+    const result = inMemoryWebhookLogs.slice(offset, offset + limit);
+    logger.info(`Returning ${result.length} logs from in-memory storage`);
+    return result;
+  }
+
+  const query = `
+    SELECT * FROM webhook_logs
+    ORDER BY created_at DESC
+    LIMIT $1 OFFSET $2
+  `;
+
+  try {
+    const result = await pgPool.query(query, [limit, offset]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error fetching webhook logs:', error);
+    return [];
+  }
+}
+
+async function getWebhookStats() {
+  if (!pgPool) {
+    const total = inMemoryWebhookLogs.length;
+    const last24h = inMemoryWebhookLogs.filter(log =>
+      new Date(log.created_at) > new Date(Date.now() - 24 * 60 * 60 * 1000)
+    ).length;
+
+    return {
+      total_requests: total,
+      last_24h: last24h,
+      endpoints: [...new Set(inMemoryWebhookLogs.map(log => log.endpoint))],
+      latest_request: inMemoryWebhookLogs[0]?.created_at || null,
+      duplicates: {
+        total_positions: inMemoryDuplicateStats.total,
+        requests_with_duplicates: inMemoryDuplicateStats.requests,
+        by_endpoint: { ...inMemoryDuplicateStats.byEndpoint }
+      },
+      rejections: {
+        total: inMemoryRejectionStats.total,
+        by_reason: { ...inMemoryRejectionStats.byReason }
+      }
+    };
+  }
+
+  const query = `
+    SELECT
+      COUNT(*) as total_requests,
+      COUNT(CASE WHEN created_at > NOW() - INTERVAL '24 hours' THEN 1 END) as last_24h,
+      MAX(created_at) as latest_request,
+      array_agg(DISTINCT endpoint) as endpoints,
+      COALESCE(SUM(duplicate_count), 0) as duplicate_positions,
+      COUNT(CASE WHEN duplicate_count > 0 THEN 1 END) as requests_with_duplicates
+    FROM webhook_logs
+  `;
+
+  const duplicatesByEndpointQuery = `
+    SELECT endpoint, SUM(duplicate_count) as duplicates
+    FROM webhook_logs
+    WHERE duplicate_count > 0
+    GROUP BY endpoint
+  `;
+
+  const rejectionsByReasonQuery = `
+    SELECT rejection_reason, COUNT(*) as rejections
+    FROM webhook_logs
+    WHERE rejection_reason IS NOT NULL
+    GROUP BY rejection_reason
+  `;
+
+  try {
+    const result = await pgPool.query(query);
+    const byEndpointResult = await pgPool.query(duplicatesByEndpointQuery);
+    const byReasonResult = await pgPool.query(rejectionsByReasonQuery);
+    const { duplicate_positions, requests_with_duplicates, ...stats } = result.rows[0];
+
+    return {
+      ...stats,
+      duplicates: {
+        total_positions: parseInt(duplicate_positions),
+        requests_with_duplicates: parseInt(requests_with_duplicates),
+        by_endpoint: Object.fromEntries(
+          byEndpointResult.rows.map(row => [row.endpoint, parseInt(row.duplicates)])
+        )
+      },
+      rejections: {
+        total: byReasonResult.rows.reduce((sum, row) => sum + parseInt(row.rejections), 0),
+        by_reason: Object.fromEntries(
+          byReasonResult.rows.map(row => [row.rejection_reason, parseInt(row.rejections)])
+        )
+      }
+    };
+  } catch (error) {
+    logger.error('Error fetching webhook stats:', error);
+    return {
+      total_requests: 0,
+      last_24h: 0,
+      endpoints: [],
+      latest_request: null,
+      duplicates: { total_positions: 0, requests_with_duplicates: 0, by_endpoint: {} },
+      rejections: { total: 0, by_reason: {} }
+    };
+  }
+}
+
+/**
+ * Get logged webhook requests for replay, oldest first
+ * Requests rejected by webhook authentication are never returned.
+ * @param {Object} filters - { from, to, endpoint, serNo, status, ids, limit }
+ */
+async function getWebhookLogsForReplay(filters = {}) {
+  const limit = filters.limit || 100;
+
+  if (!pgPool) {
+    return inMemoryWebhookLogs
+      .filter(log => !log.rejection_reason && log.method === 'POST')
+      .filter(log => !filters.ids || filters.ids.includes(log.id))
+      .filter(log => !filters.from || new Date(log.created_at) >= new Date(filters.from))
+      .filter(log => !filters.to || new Date(log.created_at) <= new Date(filters.to))
+      .filter(log => !filters.endpoint || log.endpoint === filters.endpoint)
+      .filter(log => !filters.status || log.response_status === filters.status)
+      .filter(log => !filters.serNo || String(log.body?.SerNo) === String(filters.serNo))
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at) || a.id - b.id)
+      .slice(0, limit);
+  }
+
+  const conditions = ['rejection_reason IS NULL', "method = 'POST'"];
+  const values = [];
+
+  const addCondition = (sql, value) => {
+    values.push(value);
+    conditions.push(sql.replace('?', `$${values.length}`));
+  };
+
+  if (filters.ids) addCondition('id = ANY(?)', filters.ids);
+  if (filters.from) addCondition('created_at >= ?', filters.from);
+  if (filters.to) addCondition('created_at <= ?', filters.to);
+  if (filters.endpoint) addCondition('endpoint = ?', filters.endpoint);
+  if (filters.status) addCondition('response_status = ?', filters.status);
+  if (filters.serNo) addCondition("body->>'SerNo' = ?", String(filters.serNo));
+
+  values.push(limit);
+
+  const query = `
+    SELECT * FROM webhook_logs
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY created_at ASC, id ASC
+    LIMIT $${values.length}
+  `;
+
+  try {
+    const result = await pgPool.query(query, values);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error fetching webhook logs for replay:', error);
+    throw error;
+  }
+}
+
+/**
+ * Webhook Source Functions
+ * Each source (KPN platform, simulator, ...) signs its requests with its own shared secret
+ */
+
+/**
+ * Create webhook source
+ */
+async function createWebhookSource(sourceData) {
+  const source = {
+    name: sourceData.name,
+    secret: sourceData.secret,
+    description: sourceData.description || null,
+    ip_allowlist: sourceData.ip_allowlist || [],
+    is_active: sourceData.is_active !== false
+  };
+
+  if (!pgPool) {
+    if (inMemoryWebhookSources.some(existing => existing.name === source.name)) {
+      throw new Error(`Webhook source ${source.name} already exists`);
+    }
+
+    const entry = {
+      id: inMemoryWebhookSources.length + 1,
+      ...source,
+      last_used_at: null,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+    inMemoryWebhookSources.push(entry);
+    logger.info(`Webhook source created (in-memory): ${source.name}`);
+    return { ...entry };
+  }
+
+  const query = `
+    INSERT INTO webhook_sources (name, secret, description, ip_allowlist, is_active)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING *;
+  `;
+
+  try {
+    const result = await pgPool.query(query, [
+      source.name,
+      source.secret,
+      source.description,
+      JSON.stringify(source.ip_allowlist),
+      source.is_active
+    ]);
+    logger.info(`Webhook source created: ${source.name}`);
+    return result.rows[0];
+  } catch (error) {
+    if (error.code === '23505') {
+      throw new Error(`Webhook source ${source.name} already exists`);
+    }
+    logger.error('Error creating webhook source:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get all webhook sources
+ */
+async function getWebhookSources() {
+  if (!pgPool) {
+    return inMemoryWebhookSources.map(source => ({ ...source }));
+  }
+
+  try {
+    const result = await pgPool.query('SELECT * FROM webhook_sources ORDER BY name');
+    return result.rows;
+  } catch (error) {
+    logger.error('Error fetching webhook sources:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get webhook source by name
+ */
+async function getWebhookSourceByName(name) {
+  if (!pgPool) {
+    const source = inMemoryWebhookSources.find(existing => existing.name === name);
+    return source ? { ...source } : null;
+  }
+
+  try {
+    const result = await pgPool.query('SELECT * FROM webhook_sources WHERE name = $1', [name]);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error fetching webhook source:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update webhook source (secret, description, ip_allowlist, is_active, last_used_at)
+ */
+async function updateWebhookSource(name, updateData) {
+  const allowedFields = ['secret', 'description', 'ip_allowlist', 'is_active', 'last_used_at'];
+  const updates = Object.fromEntries(
+    Object.entries(updateData).filter(([key, value]) => allowedFields.includes(key) && value !== undefined)
+  );
+
+  if (Object.keys(updates).length === 0) {
+    throw new Error('No fields to update');
+  }
+
+  if (!pgPool) {
+    const source = inMemoryWebhookSources.find(existing => existing.name === name);
+    if (!source) {
+      return null;
+    }
+    Object.assign(source, updates, { updated_at: new Date().toISOString() });
+    return { ...source };
+  }
+
+  const fields = [];
+  const values = [];
+  let paramCount = 1;
+
+  Object.keys(updates).forEach(key => {
+    fields.push(`${key} = $${paramCount}`);
+    values.push(key === 'ip_allowlist' ? JSON.stringify(updates[key]) : updates[key]);
+    paramCount++;
+  });
+
+  fields.push(`updated_at = CURRENT_TIMESTAMP`);
+  values.push(name);
+
+  const query = `
+    UPDATE webhook_sources
+    SET ${fields.join(', ')}
+    WHERE name = $${paramCount}
+    RETURNING *;
+  `;
+
+  try {
+    const result = await pgPool.query(query, values);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error updating webhook source:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete webhook source
+ */
+async function deleteWebhookSource(name) {
+  if (!pgPool) {
+    const index = inMemoryWebhookSources.findIndex(existing => existing.name === name);
+    if (index === -1) {
+      return null;
+    }
+    const [removed] = inMemoryWebhookSources.splice(index, 1);
+    logger.info(`Webhook source deleted (in-memory): ${name}`);
+    return removed;
+  }
+
+  try {
+    const result = await pgPool.query('DELETE FROM webhook_sources WHERE name = $1 RETURNING *', [name]);
+    if (result.rows.length > 0) {
+      logger.info(`Webhook source deleted: ${name}`);
+      return result.rows[0];
+    }
+    return null;
+  } catch (error) {
+    logger.error('Error deleting webhook source:', error);
+    throw error;
+  }
+}
+
+/**
+ * Parade Route Functions
+ */
+
+/**
+ * Store a new parade route version
+ * Versions are numbered per event; new versions are inactive until activated.
+ * @param {Object} routeData - { event_name, name, source_format, points, waypoints, total_distance }
+ */
+async function createParadeRoute(routeData) {
+  if (!pgPool) {
+    const version = inMemoryParadeRoutes
+      .filter(route => route.event_name === routeData.event_name)
+      .reduce((max, route) => Math.max(max, route.version), 0) + 1;
+
+    const route = {
+      id: inMemoryParadeRoutes.reduce((max, existing) => Math.max(max, existing.id), 0) + 1,
+      event_name: routeData.event_name,
+      name: routeData.name,
+      version,
+      source_format: routeData.source_format || null,
+      points: routeData.points,
+      waypoints: routeData.waypoints || [],
+      total_distance: routeData.total_distance,
+      is_active: false,
+      activated_at: null,
+      created_at: new Date().toISOString()
+    };
+    inMemoryParadeRoutes.push(route);
+    logger.info(`Parade route stored (in-memory): ${route.name} v${version}`);
+    return JSON.parse(JSON.stringify(route));
+  }
+
+  const query = `
+    INSERT INTO parade_routes (event_name, name, version, source_format, points, waypoints, total_distance)
+    VALUES ($1, $2, (SELECT COALESCE(MAX(version), 0) + 1 FROM parade_routes WHERE event_name = $1), $3, $4, $5, $6)
+    RETURNING *;
+  `;
+
+  try {
+    const result = await pgPool.query(query, [
+      routeData.event_name,
+      routeData.name,
+      routeData.source_format || null,
+      JSON.stringify(routeData.points),
+      JSON.stringify(routeData.waypoints || []),
+      routeData.total_distance
+    ]);
+    logger.info(`Parade route stored: ${routeData.name} v${result.rows[0].version}`);
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Error storing parade route:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get parade routes, newest version first
+ * @param {string} eventName - Optional event filter
+ */
+async function getParadeRoutes(eventName = null) {
+  if (!pgPool) {
+    return inMemoryParadeRoutes
+      .filter(route => !eventName || route.event_name === eventName)
+      .sort((a, b) => a.event_name.localeCompare(b.event_name) || b.version - a.version)
+      .map(route => JSON.parse(JSON.stringify(route)));
+  }
+
+  try {
+    const result = eventName
+      ? await pgPool.query('SELECT * FROM parade_routes WHERE event_name = $1 ORDER BY version DESC', [eventName])
+      : await pgPool.query('SELECT * FROM parade_routes ORDER BY event_name, version DESC');
+    return result.rows;
+  } catch (error) {
+    logger.error('Error fetching parade routes:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get parade route by ID
+ */
+async function getParadeRoute(id) {
+  if (!pgPool) {
+    const route = inMemoryParadeRoutes.find(existing => existing.id === parseInt(id));
+    return route ? JSON.parse(JSON.stringify(route)) : null;
+  }
+
+  try {
+    const result = await pgPool.query('SELECT * FROM parade_routes WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error fetching parade route:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the active parade route of an event
+ */
+async function getActiveParadeRoute(eventName) {
+  if (!pgPool) {
+    const route = inMemoryParadeRoutes.find(existing => existing.event_name === eventName && existing.is_active);
+    return route ? JSON.parse(JSON.stringify(route)) : null;
+  }
+
+  try {
+    const result = await pgPool.query(
+      'SELECT * FROM parade_routes WHERE event_name = $1 AND is_active = true',
+      [eventName]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error fetching active parade route:', error);
+    throw error;
+  }
+}
+
+/**
+ * Make a route version the active route of its event
+ * The previously active route of the same event is deactivated.
+ * @returns {Promise<Object|null>} Activated route, or null when it does not exist
+ */
+async function activateParadeRoute(id) {
+  if (!pgPool) {
+    const route = inMemoryParadeRoutes.find(existing => existing.id === parseInt(id));
+    if (!route) {
+      return null;
+    }
+
+    inMemoryParadeRoutes
+      .filter(existing => existing.event_name === route.event_name)
+      .forEach(existing => { existing.is_active = false; });
+    route.is_active = true;
+    route.activated_at = new Date().toISOString();
+    logger.info(`Parade route activated (in-memory): ${route.name} v${route.version}`);
+    return JSON.parse(JSON.stringify(route));
+  }
+
+  const client = await pgPool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query('SELECT event_name FROM parade_routes WHERE id = $1', [id]);
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    await client.query(
+      'UPDATE parade_routes SET is_active = false WHERE event_name = $1 AND is_active = true',
+      [existing.rows[0].event_name]
+    );
+    const result = await client.query(
+      'UPDATE parade_routes SET is_active = true, activated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+      [id]
+    );
+
+    await client.query('COMMIT');
+    logger.info(`Parade route activated: ${result.rows[0].name} v${result.rows[0].version}`);
+    return result.rows[0];
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error activating parade route:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Delete an inactive parade route version
+ * @returns {Promise<Object|null>} Deleted route, or null when it does not exist
+ */
+async function deleteParadeRoute(id) {
+  const route = await getParadeRoute(id);
+  if (!route) {
+    return null;
+  }
+
+  if (route.is_active) {
+    throw new Error('Cannot delete the active route; activate another version first');
+  }
+
+  if (!pgPool) {
+    inMemoryParadeRoutes = inMemoryParadeRoutes.filter(existing => existing.id !== route.id);
+    return route;
+  }
+
+  try {
+    await pgPool.query('DELETE FROM parade_routes WHERE id = $1 AND is_active = false', [id]);
+    logger.info(`Parade route deleted: ${route.name} v${route.version}`);
+    return route;
   } catch (error) {
-    logger.error('Error creating pride boat:', error);
+    logger.error('Error deleting parade route:', error);
     throw error;
   }
 }
 
-async function getAllPrideBoats() {
+/**
+ * Get the saved parade schedule of an event
+ * @returns {Promise<Object|null>} Schedule definition, or null when none is saved
+ */
+async function getParadeSchedule(eventName) {
   if (!pgPool) {
-    return inMemoryBoats.sort((a, b) => a.parade_position - b.parade_position);
+    const schedule = inMemoryParadeSchedules.get(eventName);
+    return schedule ? JSON.parse(JSON.stringify(schedule)) : null;
   }
 
-  const query = 'SELECT * FROM pride_boats ORDER BY parade_position ASC';
   try {
-    const result = await pgPool.query(query);
-    return result.rows;
+    const result = await pgPool.query('SELECT definition FROM parade_schedules WHERE event_name = $1', [eventName]);
+    return result.rows[0] ? result.rows[0].definition : null;
   } catch (error) {
-    logger.error('Error fetching pride boats:', error);
-    return [];
+    logger.error('Error fetching parade schedule:', error);
+    return null;
   }
 }
 
 /**
- * KPN Trackers CRUD
+ * Create or replace the parade schedule of an event
+ * @param {string} eventName - Event
+ * @param {Object} definition - { startTime, departureIntervalSeconds, targetSpeedKmh }
  */
-async function createKPNTracker(trackerData) {
+async function saveParadeSchedule(eventName, definition) {
   if (!pgPool) {
-    // In-memory fallback
-    const newTracker = {
-      id: inMemoryKPNTrackers.length + 1,
-      tracker_name: trackerData.tracker_name,
-      asset_code: trackerData.asset_code,
-      device_type: trackerData.device_type || null,
-      serial_number: trackerData.serial_number || null,
-      enabled: trackerData.enabled !== undefined ? trackerData.enabled : true,
-      created_at: new Date().toISOString()
-    };
-
-    inMemoryKPNTrackers.push(newTracker);
-    logger.info(`KPN tracker created (in-memory): ${trackerData.tracker_name}`, { asset_code: trackerData.asset_code });
-    return newTracker;
+    inMemoryParadeSchedules.set(eventName, JSON.parse(JSON.stringify(definition)));
+    return definition;
   }
 
   const query = `
-    INSERT INTO kpn_trackers (tracker_name, asset_code, asset_type, device_type, serial_number, imei, enabled, current_status, project, department, description)
-    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-    RETURNING *;
+    INSERT INTO parade_schedules (event_name, definition, updated_at)
+    VALUES ($1, $2, CURRENT_TIMESTAMP)
+    ON CONFLICT (event_name) DO UPDATE
+    SET definition = EXCLUDED.definition, updated_at = EXCLUDED.updated_at
   `;
 
-  const values = [
-    trackerData.tracker_name,
-    trackerData.asset_code,
-    trackerData.asset_type || 'Boat',
-    trackerData.device_type || null,
-    trackerData.serial_number || null,
-    trackerData.imei || null,
-    trackerData.enabled !== undefined ? trackerData.enabled : true,
-    trackerData.current_status || null,
-    trackerData.project || null,
-    trackerData.department || null,
-    trackerData.description || null
-  ];
-
   try {
-    const result = await pgPool.query(query, values);
-    logger.info(`KPN tracker created: ${trackerData.tracker_name}`, { asset_code: trackerData.asset_code });
-    return result.rows[0];
+    await pgPool.query(query, [eventName, JSON.stringify(definition)]);
+    return definition;
   } catch (error) {
-    logger.error('Error creating KPN tracker:', error);
+    logger.error(`Error saving parade schedule of ${eventName}:`, error);
     throw error;
   }
 }
 
-async function getAllKPNTrackers() {
+/**
+ * Get the saved frequency pool of an event
+ * @returns {Promise<Object|null>} Pool definition, or null when none is saved
+ */
+async function getFrequencySettings(eventName) {
   if (!pgPool) {
-    return inMemoryDeviceMappings.sort((a, b) => a.asset_code.localeCompare(b.asset_code));
+    const settings = inMemoryFrequencySettings.get(eventName);
+    return settings ? JSON.parse(JSON.stringify(settings)) : null;
   }
 
-  const query = 'SELECT * FROM kpn_trackers ORDER BY asset_code ASC';
   try {
-    const result = await pgPool.query(query);
-    return result.rows;
+    const result = await pgPool.query('SELECT definition FROM frequency_settings WHERE event_name = $1', [eventName]);
+    return result.rows[0] ? result.rows[0].definition : null;
   } catch (error) {
-    logger.error('Error fetching KPN trackers:', error);
-    return [];
+    logger.error('Error fetching frequency settings:', error);
+    return null;
   }
 }
 
-async function getKPNTrackerByName(trackerName) {
+/**
+ * Create or replace the frequency pool of an event
+ * @param {string} eventName - Event
+ * @param {Object} definition - { startMhz, endMhz, stepMhz, excludedMhz, minSpacingMhz, hearingDistanceMeters, plannedSpacingMeters }
+ */
+async function saveFrequencySettings(eventName, definition) {
   if (!pgPool) {
-    return inMemoryDeviceMappings.find(t => t.tracker_name === trackerName) || null;
+    inMemoryFrequencySettings.set(eventName, JSON.parse(JSON.stringify(definition)));
+    return definition;
   }
 
-  const query = 'SELECT * FROM kpn_trackers WHERE tracker_name = $1';
+  const query = `
+    INSERT INTO frequency_settings (event_name, definition, updated_at)
+    VALUES ($1, $2, CURRENT_TIMESTAMP)
+    ON CONFLICT (event_name) DO UPDATE
+    SET definition = EXCLUDED.definition, updated_at = EXCLUDED.updated_at
+  `;
+
   try {
-    const result = await pgPool.query(query, [trackerName]);
-    return result.rows[0] || null;
+    await pgPool.query(query, [eventName, JSON.stringify(definition)]);
+    return definition;
   } catch (error) {
-    logger.error('Error fetching KPN tracker by name:', error);
-    return null;
+    logger.error(`Error saving frequency settings of ${eventName}:`, error);
+    throw error;
   }
 }
 
 /**
- * Webhook Logging Functions
+ * Get the FM frequency of every boat that has one
+ * @returns {Promise<Array>} Rows { boat_number, frequency, source, assigned_at }
  */
-async function logWebhookRequest(webhookData) {
-  logger.info(`logWebhookRequest called for: ${webhookData.method} ${webhookData.endpoint}`);
-
+async function getFrequencyAssignments() {
   if (!pgPool) {
-    logger.info('Using in-memory webhook logging (no PostgreSQL connection)');
-
-    // In-memory fallback
-    const logEntry = {
-      id: inMemoryWebhookLogs.length + 1,
-      endpoint: webhookData.endpoint,
-      method: webhookData.method,
-      headers: webhookData.headers,
-      body: webhookData.body,
-      query_params: webhookData.query_params,
-      ip_address: webhookData.ip_address,
-      user_agent: webhookData.user_agent,
-      response_status: webhookData.response_status,
-      response_body: webhookData.response_body,
-      processing_time_ms: webhookData.processing_time_ms,
-      error_message: webhookData.error_message,
-      created_at: new Date().toISOString()
-    };
-
-    inMemoryWebhookLogs.unshift(logEntry); // Add to beginning
-
-    // Keep only last 100 entries in memory
-    if (inMemoryWebhookLogs.length > 100) {
-      inMemoryWebhookLogs = inMemoryWebhookLogs.slice(0, 100);
-    }
-
-    logger.info(`Webhook logged (in-memory): ${webhookData.endpoint}, total logs: ${inMemoryWebhookLogs.length}`, { status: webhookData.response_status });
-    return logEntry;
+    return Array.from(inMemoryFrequencyAssignments.values()).map(row => ({ ...row }));
   }
 
-  const query = `
-    INSERT INTO webhook_logs (endpoint, method, headers, body, query_params, ip_address, user_agent, response_status, response_body, processing_time_ms, error_message)
-    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-    RETURNING *;
-  `;
-
-  const values = [
-    webhookData.endpoint,
-    webhookData.method,
-    JSON.stringify(webhookData.headers),
-    JSON.stringify(webhookData.body),
-    JSON.stringify(webhookData.query_params),
-    webhookData.ip_address,
-    webhookData.user_agent,
-    webhookData.response_status,
-    JSON.stringify(webhookData.response_body),
-    webhookData.processing_time_ms,
-    webhookData.error_message
-  ];
-
   try {
-    const result = await pgPool.query(query, values);
-    logger.debug(`Webhook logged: ${webhookData.endpoint}`, { id: result.rows[0].id, status: webhookData.response_status });
-    return result.rows[0];
+    const result = await pgPool.query('SELECT * FROM frequency_assignments ORDER BY boat_number');
+    return result.rows.map(row => ({ ...row, frequency: parseFloat(row.frequency) }));
   } catch (error) {
-    logger.error('Error logging webhook:', error);
-    throw error;
+    logger.error('Error fetching frequency assignments:', error);
+    return [];
   }
 }
 
-async function getWebhookLogs(limit = 50, offset = 0) {
-  logger.info(`getWebhookLogs called: limit=${limit}, offset=${offset}`);
-
+/**
+ * Create or replace the FM frequency of a boat
+ * @param {Object} assignment - { boat_number, frequency, source, assigned_at }
+ */
+async function saveFrequencyAssignment(assignment) {
   if (!pgPool) {
-    logger.info(`Returning in-memory logs: ${inMemoryWebhookLogs.length} total logs`);
-    const result = inMemoryWebhookLogs.slice(offset, offset + limit);
-    logger.info(`Returning ${result.length} logs from in-memory storage`);
-    return result;
+    inMemoryFrequencyAssignments.set(assignment.boat_number, { ...assignment });
+    return assignment;
   }
 
   const query = `
-    SELECT * FROM webhook_logs
-    ORDER BY created_at DESC
-    LIMIT $1 OFFSET $2
+    INSERT INTO frequency_assignments (boat_number, frequency, source, assigned_at)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (boat_number) DO UPDATE
+    SET frequency = EXCLUDED.frequency, source = EXCLUDED.source, assigned_at = EXCLUDED.assigned_at
   `;
 
   try {
-    const result = await pgPool.query(query, [limit, offset]);
-    return result.rows;
+    await pgPool.query(query, [assignment.boat_number, assignment.frequency, assignment.source, assignment.assigned_at]);
+    return assignment;
   } catch (error) {
-    logger.error('Error fetching webhook logs:', error);
-    return [];
+    logger.error(`Error saving frequency of boat ${assignment.boat_number}:`, error);
+    throw error;
   }
 }
 
-async function getWebhookStats() {
+/**
+ * Remove the FM frequency of a boat
+ * @returns {Promise<boolean>} Whether the boat had one
+ */
+async function deleteFrequencyAssignment(boatNumber) {
   if (!pgPool) {
-    const total = inMemoryWebhookLogs.length;
-    const last24h = inMemoryWebhookLogs.filter(log =>
-      new Date(log.created_at) > new Date(Date.now() - 24 * 60 * 60 * 1000)
-    ).length;
-
-    return {
-      total_requests: total,
-      last_24h: last24h,
-      endpoints: [...new Set(inMemoryWebhookLogs.map(log => log.endpoint))],
-      latest_request: inMemoryWebhookLogs[0]?.created_at || null
-    };
+    return inMemoryFrequencyAssignments.delete(boatNumber);
   }
 
-  const query = `
-    SELECT
-      COUNT(*) as total_requests,
-      COUNT(CASE WHEN created_at > NOW() - INTERVAL '24 hours' THEN 1 END) as last_24h,
-      MAX(created_at) as latest_request,
-      array_agg(DISTINCT endpoint) as endpoints
-    FROM webhook_logs
-  `;
-
   try {
-    const result = await pgPool.query(query);
-    return result.rows[0];
+    const result = await pgPool.query('DELETE FROM frequency_assignments WHERE boat_number = $1', [boatNumber]);
+    return result.rowCount > 0;
   } catch (error) {
-    logger.error('Error fetching webhook stats:', error);
-    return { total_requests: 0, last_24h: 0, endpoints: [], latest_request: null };
+    logger.error(`Error removing frequency of boat ${boatNumber}:`, error);
+    throw error;
   }
 }
 
@@ -3068,10 +5191,12 @@ async function forceCreateTables() {
         mapped_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         mapped_by VARCHAR(100),
         notes TEXT,
+        valid_from TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        valid_to TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (pride_boat_id) REFERENCES pride_boats(id) ON DELETE CASCADE,
         FOREIGN KEY (kpn_tracker_id) REFERENCES kpn_trackers(id) ON DELETE CASCADE,
-        FOREIGN KEY (parade_position) REFERENCES pride_boats(parade_position) ON DELETE CASCADE,
-        UNIQUE(pride_boat_id, is_active)
+        FOREIGN KEY (parade_position) REFERENCES pride_boats(parade_position) ON DELETE CASCADE
       );
 
       -- Votes table
@@ -3107,6 +5232,8 @@ async function forceCreateTables() {
         timestamp TIMESTAMP NOT NULL,
         received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         raw_data JSONB,
+        seq_no BIGINT,
+        dedup_key VARCHAR(160),
         FOREIGN KEY (kpn_tracker_id) REFERENCES kpn_trackers(id) ON DELETE SET NULL,
         FOREIGN KEY (pride_boat_id) REFERENCES pride_boats(id) ON DELETE SET NULL
       );
@@ -3123,6 +5250,12 @@ async function forceCreateTables() {
         message TEXT,
         metadata JSONB,
         timestamp TIMESTAMP NOT NULL,
+        ended_at TIMESTAMP,
+        duration_seconds INTEGER,
+        status VARCHAR(20),
+        assigned_to VARCHAR(255),
+        transitions JSONB DEFAULT '[]',
+        updated_at TIMESTAMP,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (kpn_tracker_id) REFERENCES kpn_trackers(id) ON DELETE SET NULL,
         FOREIGN KEY (pride_boat_id) REFERENCES pride_boats(id) ON DELETE SET NULL
@@ -3142,8 +5275,118 @@ async function forceCreateTables() {
         response_body JSONB,
         processing_time_ms INTEGER,
         error_message TEXT,
+        duplicate_count INTEGER DEFAULT 0,
+        rejection_reason VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Boat state checkpoints (restored after a backend restart)
+      CREATE TABLE IF NOT EXISTS boat_state_checkpoints (
+        boat_id INTEGER PRIMARY KEY,
+        state JSONB NOT NULL,
+        history JSONB DEFAULT '[]',
+        checkpointed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Support vessels (O / R trackers) and auto-mapping batches
+      CREATE TABLE IF NOT EXISTS support_vessels (
+        id SERIAL PRIMARY KEY,
+        code VARCHAR(20) UNIQUE NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        vessel_type VARCHAR(20) NOT NULL,
+        contact_phone VARCHAR(30),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS vessel_types (
+        vessel_type VARCHAR(20) PRIMARY KEY,
+        definition JSONB NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS mapping_batches (
+        id SERIAL PRIMARY KEY,
+        rules JSONB NOT NULL,
+        summary JSONB,
+        created_by VARCHAR(100) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        rolled_back_at TIMESTAMP,
+        rolled_back_by VARCHAR(100)
+      );
+
+      -- Boat-tracker mapping audit trail (append-only)
+      CREATE TABLE IF NOT EXISTS boat_tracker_mapping_audit (
+        id SERIAL PRIMARY KEY,
+        mapping_id INTEGER NOT NULL,
+        action VARCHAR(20) NOT NULL,
+        pride_boat_id INTEGER,
+        parade_position INTEGER,
+        kpn_tracker_id INTEGER,
+        tracker_name VARCHAR(50),
+        valid_from TIMESTAMP,
+        valid_to TIMESTAMP,
+        performed_by VARCHAR(100) NOT NULL,
+        reason TEXT,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
+
+      -- Incident rules (rule engine definitions edited through the admin API)
+      CREATE TABLE IF NOT EXISTS incident_rules (
+        id VARCHAR(100) PRIMARY KEY,
+        definition JSONB NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Parade routes (uploaded GeoJSON/GPX route versions, one active per event)
+      CREATE TABLE IF NOT EXISTS parade_routes (
+        id SERIAL PRIMARY KEY,
+        event_name VARCHAR(100) NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        version INTEGER NOT NULL,
+        source_format VARCHAR(20),
+        points JSONB NOT NULL,
+        waypoints JSONB DEFAULT '[]',
+        total_distance DECIMAL(10,1) NOT NULL,
+        is_active BOOLEAN DEFAULT false,
+        activated_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (event_name, version)
+      );
+
+      -- Parade schedules (start time, departure interval and target speed per event)
+      CREATE TABLE IF NOT EXISTS parade_schedules (
+        event_name VARCHAR(100) PRIMARY KEY,
+        definition JSONB NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Radio frequencies (allowed pool per event, FM frequency per boat)
+      CREATE TABLE IF NOT EXISTS frequency_settings (
+        event_name VARCHAR(100) PRIMARY KEY,
+        definition JSONB NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS frequency_assignments (
+        boat_number INTEGER PRIMARY KEY,
+        frequency DECIMAL(5,1) NOT NULL,
+        source VARCHAR(20) DEFAULT 'manual',
+        assigned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Webhook sources (per-source HMAC secrets and IP allowlists)
+      CREATE TABLE IF NOT EXISTS webhook_sources (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) UNIQUE NOT NULL,
+        secret VARCHAR(255) NOT NULL,
+        description TEXT,
+        ip_allowlist JSONB DEFAULT '[]',
+        is_active BOOLEAN DEFAULT true,
+        last_used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
     `;
 
     // Execute the table creation
@@ -3156,10 +5399,48 @@ async function forceCreateTables() {
       CREATE INDEX IF NOT EXISTS idx_gps_positions_timestamp ON gps_positions(timestamp);
       CREATE INDEX IF NOT EXISTS idx_gps_positions_pride_boat ON gps_positions(pride_boat_id);
       CREATE INDEX IF NOT EXISTS idx_boat_tracker_mappings_active ON boat_tracker_mappings(is_active);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_boat_tracker_mappings_active_boat ON boat_tracker_mappings(pride_boat_id) WHERE is_active;
+      CREATE INDEX IF NOT EXISTS idx_boat_tracker_mappings_tracker_validity ON boat_tracker_mappings(tracker_name, valid_from);
+      CREATE INDEX IF NOT EXISTS idx_mapping_audit_tracker ON boat_tracker_mapping_audit(tracker_name, created_at);
+      CREATE INDEX IF NOT EXISTS idx_mapping_audit_boat ON boat_tracker_mapping_audit(parade_position, created_at);
+
+      -- Support vessel mappings and auto-mapping batches
+      ALTER TABLE boat_tracker_mappings ADD COLUMN IF NOT EXISTS support_vessel_id INTEGER REFERENCES support_vessels(id) ON DELETE CASCADE;
+      ALTER TABLE boat_tracker_mappings ADD COLUMN IF NOT EXISTS batch_id INTEGER;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_boat_tracker_mappings_active_vessel ON boat_tracker_mappings(support_vessel_id) WHERE is_active;
+      ALTER TABLE boat_tracker_mapping_audit ADD COLUMN IF NOT EXISTS support_vessel_id INTEGER;
+      ALTER TABLE boat_tracker_mapping_audit ADD COLUMN IF NOT EXISTS batch_id INTEGER;
       CREATE INDEX IF NOT EXISTS idx_kpn_trackers_asset_code ON kpn_trackers(asset_code);
       CREATE INDEX IF NOT EXISTS idx_pride_boats_position ON pride_boats(parade_position);
       CREATE INDEX IF NOT EXISTS idx_webhook_logs_endpoint ON webhook_logs(endpoint);
       CREATE INDEX IF NOT EXISTS idx_webhook_logs_created_at ON webhook_logs(created_at);
+
+      -- Idempotent ingestion (tables created before dedup keys existed)
+      ALTER TABLE gps_positions ADD COLUMN IF NOT EXISTS seq_no BIGINT;
+      ALTER TABLE gps_positions ADD COLUMN IF NOT EXISTS dedup_key VARCHAR(160);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_gps_positions_dedup_key ON gps_positions(dedup_key);
+      ALTER TABLE webhook_logs ADD COLUMN IF NOT EXISTS duplicate_count INTEGER DEFAULT 0;
+      UPDATE gps_positions
+      SET dedup_key = dedup_key || ':' || to_char(timestamp, 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"')
+      WHERE dedup_key LIKE '%:seq:%' AND dedup_key NOT LIKE '%:seq:%:%';
+
+      -- GPS filter results next to the raw fixes
+      ALTER TABLE gps_positions ADD COLUMN IF NOT EXISTS filter_status VARCHAR(20);
+      ALTER TABLE gps_positions ADD COLUMN IF NOT EXISTS filter_reason VARCHAR(50);
+      ALTER TABLE gps_positions ADD COLUMN IF NOT EXISTS raw_route_distance INTEGER;
+      ALTER TABLE gps_positions ADD COLUMN IF NOT EXISTS filtered_latitude DECIMAL(10, 8);
+      ALTER TABLE gps_positions ADD COLUMN IF NOT EXISTS filtered_longitude DECIMAL(11, 8);
+      ALTER TABLE gps_positions ADD COLUMN IF NOT EXISTS filtered_route_distance INTEGER;
+      ALTER TABLE gps_positions ADD COLUMN IF NOT EXISTS filtered_speed DECIMAL(5, 2);
+      ALTER TABLE gps_positions ADD COLUMN IF NOT EXISTS filter_weight DECIMAL(4, 3);
+
+      -- Signed webhooks (tables created before webhook authentication existed)
+      ALTER TABLE webhook_logs ADD COLUMN IF NOT EXISTS rejection_reason VARCHAR(100);
+      CREATE INDEX IF NOT EXISTS idx_webhook_logs_rejection_reason ON webhook_logs(rejection_reason);
+
+      -- At most one open emergency per boat
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_incidents_open_emergency ON incidents(parade_position)
+        WHERE incident_type = 'emergency' AND status IN ('raised', 'acknowledged', 'assigned');
     `;
 
     await pgPool.query(createIndexesSQL);
@@ -3300,19 +5581,36 @@ async function processBoatsCSV(csvContent) {
         kpnTrackersCreated++;
 
         // 3. Create/update Boat-Tracker Mapping
+        // A different tracker than the active one ends that mapping instead of overwriting it
+        const reason = `CSV import: ${rowData.name || rowData.organisation}`;
+
+        await client.query(`
+          WITH ended AS (
+            UPDATE boat_tracker_mappings
+            SET is_active = false, valid_to = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE pride_boat_id = $1 AND is_active = true AND kpn_tracker_id IS DISTINCT FROM $2
+            RETURNING *
+          )
+          ${mappingAuditSQL('ended', 'unmap', '$3', '$4')}
+        `, [prideBoatId, kpnTrackerId, 'csv-import', reason]);
+
         const mappingQuery = `
-          INSERT INTO boat_tracker_mappings (
-            pride_boat_id, kpn_tracker_id, parade_position, tracker_name, asset_code, is_active, notes
+          WITH created AS (
+            INSERT INTO boat_tracker_mappings (
+              pride_boat_id, kpn_tracker_id, parade_position, tracker_name, asset_code, is_active, notes, mapped_by
+            )
+            VALUES ($1, $2, $3, $4, $5, true, $6, 'csv-import')
+            ON CONFLICT (pride_boat_id) WHERE is_active
+            DO UPDATE SET
+              tracker_name = EXCLUDED.tracker_name,
+              asset_code = EXCLUDED.asset_code,
+              notes = EXCLUDED.notes,
+              updated_at = CURRENT_TIMESTAMP
+            RETURNING *, (xmax = 0) AS inserted
+          ), audit AS (
+            ${mappingAuditSQL('created WHERE inserted', 'map', "'csv-import'", '$6')}
           )
-          VALUES ($1, $2, $3, $4, $5, true, $6)
-          ON CONFLICT (pride_boat_id, is_active)
-          DO UPDATE SET
-            kpn_tracker_id = EXCLUDED.kpn_tracker_id,
-            tracker_name = EXCLUDED.tracker_name,
-            asset_code = EXCLUDED.asset_code,
-            notes = EXCLUDED.notes,
-            mapped_at = CURRENT_TIMESTAMP
-          RETURNING id;
+          SELECT id FROM created;
         `;
 
         await client.query(mappingQuery, [
@@ -3321,7 +5619,7 @@ async function processBoatsCSV(csvContent) {
           rowData.position || 0,
           rowData.trackerId,
           rowData.assetCode || `T${rowData.trackerId}`,
-          `CSV import: ${rowData.name || rowData.organisation}`
+          reason
         ]);
 
         mappingsCreated++;
@@ -3767,6 +6065,48 @@ async function testGPSInsert() {
   }
 }
 
+/**
+ * Store the GPS filter result of a saved fix next to the raw values
+ * @param {number} id - gps_positions id
+ * @param {Object} result - { filter_status, filter_reason, raw_route_distance, filtered_latitude,
+ *   filtered_longitude, filtered_route_distance, filtered_speed, filter_weight }
+ */
+async function saveGPSFilterResult(id, result) {
+  if (!pgPool) {
+    const position = inMemoryPositions.find(existing => existing.id === id && existing.tracker_name !== undefined);
+    if (position) {
+      Object.assign(position, result);
+    }
+    return position || null;
+  }
+
+  const query = `
+    UPDATE gps_positions
+    SET filter_status = $2, filter_reason = $3, raw_route_distance = $4, filtered_latitude = $5,
+        filtered_longitude = $6, filtered_route_distance = $7, filtered_speed = $8, filter_weight = $9
+    WHERE id = $1
+    RETURNING id;
+  `;
+
+  try {
+    const updated = await pgPool.query(query, [
+      id,
+      result.filter_status,
+      result.filter_reason || null,
+      result.raw_route_distance ?? null,
+      result.filtered_latitude ?? null,
+      result.filtered_longitude ?? null,
+      result.filtered_route_distance ?? null,
+      result.filtered_speed ?? null,
+      result.filter_weight ?? null
+    ]);
+    return updated.rows[0] || null;
+  } catch (error) {
+    logger.error(`Error saving GPS filter result for position ${id}:`, error);
+    throw error;
+  }
+}
+
 async function saveGPSPositionDirect(gpsData) {
   logger.info('📍 saveGPSPositionDirect called with data:', {
     tracker_name: gpsData.tracker_name,
@@ -3776,14 +6116,21 @@ async function saveGPSPositionDirect(gpsData) {
   });
 
   if (!pgPool) {
+    if (gpsData.dedup_key && inMemoryGPSDedupKeys.has(gpsData.dedup_key)) {
+      logger.info(`♻️ Duplicate GPS position ignored (in-memory) for tracker ${gpsData.tracker_name}`, {
+        dedup_key: gpsData.dedup_key
+      });
+      return null;
+    }
+
     // In-memory fallback - try to find mapping
     let kpnTrackerId = null;
     let prideBoatId = null;
     let paradePosition = null;
 
-    // Look for mapping in in-memory mappings
+    // Look for the in-memory mapping valid at the time of the fix
     const mapping = inMemoryBoatTrackerMappings.find(m =>
-      m.tracker_name === gpsData.tracker_name && m.is_active
+      String(m.tracker_name) === String(gpsData.tracker_name) && isMappingValidAt(m, gpsData.timestamp)
     );
 
     if (mapping) {
@@ -3814,10 +6161,15 @@ async function saveGPSPositionDirect(gpsData) {
       heading: gpsData.heading,
       timestamp: gpsData.timestamp,
       raw_data: gpsData.raw_data,
+      seq_no: gpsData.seq_no ?? null,
+      dedup_key: gpsData.dedup_key || null,
       received_at: new Date().toISOString()
     };
 
     inMemoryPositions.push(newPosition);
+    if (newPosition.dedup_key) {
+      inMemoryGPSDedupKeys.add(newPosition.dedup_key);
+    }
     logger.info(`✅ GPS position saved (in-memory) for tracker ${gpsData.tracker_name}`, {
       id: newPosition.id,
       mapped: !!prideBoatId,
@@ -3828,7 +6180,7 @@ async function saveGPSPositionDirect(gpsData) {
     return newPosition.id;
   }
 
-  // First, try to find mapping for this tracker
+  // First, find the mapping that had this tracker on a boat at the time of the fix
   let kpnTrackerId = null;
   let prideBoatId = null;
   let paradePosition = null;
@@ -3845,11 +6197,13 @@ async function saveGPSPositionDirect(gpsData) {
       FROM boat_tracker_mappings btm
       LEFT JOIN kpn_trackers kt ON btm.kpn_tracker_id = kt.id
       LEFT JOIN pride_boats pb ON btm.pride_boat_id = pb.id
-      WHERE btm.tracker_name = $1 AND btm.is_active = true
+      WHERE btm.tracker_name = $1
+        AND btm.valid_from <= $2 AND (btm.valid_to IS NULL OR btm.valid_to > $2)
+      ORDER BY btm.valid_from DESC
       LIMIT 1
     `;
 
-    const mappingResult = await pgPool.query(mappingQuery, [gpsData.tracker_name]);
+    const mappingResult = await pgPool.query(mappingQuery, [gpsData.tracker_name, gpsData.timestamp]);
 
     if (mappingResult.rows.length > 0) {
       const mapping = mappingResult.rows[0];
@@ -3874,8 +6228,9 @@ async function saveGPSPositionDirect(gpsData) {
     INSERT INTO gps_positions (
       tracker_name, kpn_tracker_id, pride_boat_id, parade_position,
       latitude, longitude, altitude, accuracy, speed, heading,
-      timestamp, raw_data
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      timestamp, raw_data, seq_no, dedup_key
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+    ON CONFLICT (dedup_key) DO NOTHING
     RETURNING id
   `;
 
@@ -3891,12 +6246,20 @@ async function saveGPSPositionDirect(gpsData) {
     gpsData.speed,
     gpsData.heading,
     gpsData.timestamp,
-    JSON.stringify(gpsData.raw_data)
+    JSON.stringify(gpsData.raw_data),
+    gpsData.seq_no ?? null,
+    gpsData.dedup_key || null
   ];
 
   try {
     logger.info('💾 Inserting GPS position into database (direct)...');
     const result = await pgPool.query(query, values);
+    if (result.rows.length === 0) {
+      logger.info(`♻️ Duplicate GPS position ignored for tracker ${gpsData.tracker_name}`, {
+        dedup_key: gpsData.dedup_key
+      });
+      return null;
+    }
     logger.info(`✅ GPS position saved directly for tracker ${gpsData.tracker_name}`, {
       id: result.rows[0].id,
       latitude: gpsData.latitude,
@@ -3915,9 +6278,13 @@ module.exports = {
   resetDatabase,
   saveBoatPosition,
   saveGPSPosition,
+  buildGPSDedupKey,
+  findExistingGPSDedupKeys,
+  getStoredGPSFixes,
   getLatestGPSPositions,
   getGPSPositionsAtTime,
   getGPSPositionsInTimeRange,
+  getBoatTrack,
   getTimelineMetadata,
   // Simplified GPS functions
   saveGPSPositionSimple,
@@ -3929,6 +6296,17 @@ module.exports = {
   createTrackerBoat,
   getTrackerBoats,
   saveBoatIncident,
+  closeBoatIncident,
+  getIncidentsSince,
+  createWorkflowIncident,
+  transitionWorkflowIncident,
+  getIncident,
+  getWorkflowIncidents,
+  saveBoatStateCheckpoints,
+  getBoatStateCheckpoints,
+  getIncidentRules,
+  saveIncidentRule,
+  deleteIncidentRule,
   getBoatPositionHistory,
   cacheSet,
   cacheGet,
@@ -3948,6 +6326,7 @@ module.exports = {
   createKPNTracker,
   getAllKPNTrackers,
   getKPNTrackerByName,
+  updateKPNTrackerStatus,
   // Device mapping operations (legacy)
   createDeviceMapping,
   getDeviceMappingByIMEI,
@@ -3957,9 +6336,23 @@ module.exports = {
   getAllBoatTrackerMappings,
   getAllActiveBoatTrackerMappings,
   getActiveBoatTrackerMappings,
+  getBoatTrackerMappingAt,
+  getBoatTrackerMappingHistory,
   createBoatTrackerMapping,
+  swapBoatTrackerMapping,
   deactivateBoatTrackerMappings,
   deactivateBoatTrackerMapping,
+  getMappingAudit,
+  getBoatTrackerMappingsByIds,
+  getSupportVessels,
+  createSupportVessel,
+  updateSupportVessel,
+  getSupportVesselPositions,
+  getVesselTypeSettings,
+  saveVesselTypeSettings,
+  createMappingBatch,
+  getLastMappingBatch,
+  markMappingBatchRolledBack,
   // Voting operations
   recordVote,
   getVoteCounts,
@@ -3970,6 +6363,28 @@ module.exports = {
   logWebhookRequest,
   getWebhookLogs,
   getWebhookStats,
+  getWebhookLogsForReplay,
+  // Webhook sources (signed webhooks)
+  createWebhookSource,
+  getWebhookSources,
+  getWebhookSourceByName,
+  updateWebhookSource,
+  deleteWebhookSource,
+  // Parade routes
+  createParadeRoute,
+  getParadeRoutes,
+  getParadeRoute,
+  getActiveParadeRoute,
+  activateParadeRoute,
+  deleteParadeRoute,
+  getParadeSchedule,
+  saveParadeSchedule,
+  // Radio frequencies
+  getFrequencySettings,
+  saveFrequencySettings,
+  getFrequencyAssignments,
+  saveFrequencyAssignment,
+  deleteFrequencyAssignment,
   // Database connections
   pgPool: () => pgPool,
   redisClient: () => redisClient,
@@ -3983,5 +6398,6 @@ module.exports = {
   extractHistoricalGPSData,
   forceExtractGPSFromWebhooks,
   testGPSInsert,
-  saveGPSPositionDirect
+  saveGPSPositionDirect,
+  saveGPSFilterResult
 };
@@ -1,5 +1,11 @@
 const express = require('express');
 const boatState = require('../services/boatState');
+const skipperInstructions = require('../services/skipperInstructions');
+const paradeSchedule = require('../services/paradeSchedule');
+const frequencyManager = require('../services/frequencyManager');
+const frequencyAllocator = require('../services/frequencyAllocator');
+const emergencies = require('../services/emergencies');
+const trackerMappings = require('../services/trackerMappings');
 const logger = require('../services/logger');
 
 const router = express.Router();
@@ -143,9 +149,164 @@ router.get('/:id/history', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/boats/:id/track?from=&to=&limit=
+ * Stored GPS track of a boat, continuous across tracker swaps: every fix is tied to
+ * the boat through the tracker mapping valid at the time of the fix
+ */
+router.get('/:id/track', async (req, res) => {
+  try {
+    const boatId = parseInt(req.params.id);
+    const limit = parseInt(req.query.limit) || 1000;
+
+    if (isNaN(boatId)) {
+      return res.status(400).json({
+        error: 'Invalid boat ID',
+        provided: req.params.id
+      });
+    }
+
+    const { trackers, positions } = await trackerMappings.getBoatTrack(boatId, {
+      from: req.query.from || null,
+      to: req.query.to || null,
+      limit
+    });
+
+    res.json({
+      success: true,
+      boatId,
+      trackers,
+      count: positions.length,
+      positions,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`Error fetching boat track for ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to fetch boat track',
+      boatId: req.params.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/boats/:id/schedule
+ * Planned vs actual passing time and live ETA (from the recent average speed) at each
+ * named checkpoint, and the boat's current delay
+ */
+router.get('/:id/schedule', (req, res) => {
+  try {
+    const boatId = parseInt(req.params.id);
+
+    if (isNaN(boatId)) {
+      return res.status(400).json({
+        error: 'Invalid boat ID',
+        provided: req.params.id
+      });
+    }
+
+    const boatSchedule = paradeSchedule.getBoatSchedule(boatId);
+    if (!boatSchedule) {
+      return res.status(404).json({
+        error: 'Boat not found',
+        boatId
+      });
+    }
+
+    res.json({
+      success: true,
+      schedule: paradeSchedule.getSchedule(),
+      boat: boatSchedule,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`Error computing schedule for boat ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to compute boat schedule',
+      boatId: req.params.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/boats/:id/frequency
+ * FM frequency the boat transmits on (null when none is assigned) and an announced
+ * retune, so the boat's sound engineer knows in advance
+ */
+router.get('/:id/frequency', (req, res) => {
+  const boatId = parseInt(req.params.id);
+
+  if (isNaN(boatId)) {
+    return res.status(400).json({
+      error: 'Invalid boat ID',
+      provided: req.params.id
+    });
+  }
+
+  res.json({
+    success: true,
+    boatId,
+    frequency: frequencyManager.getBoatFrequency(boatId),
+    upcomingRetune: frequencyAllocator.getScheduledRetune(boatId),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * GET /api/boats/:id/instructions
+ * Skipper instruction: zone (1-5), instruction text, target speed and the reason,
+ * computed from the gap to the boats ahead and behind, plus alerts for open
+ * emergencies ahead of the boat
+ */
+router.get('/:id/instructions', async (req, res) => {
+  try {
+    const boatId = parseInt(req.params.id);
+
+    if (isNaN(boatId)) {
+      return res.status(400).json({
+        error: 'Invalid boat ID',
+        provided: req.params.id
+      });
+    }
+
+    const instruction = skipperInstructions.getSkipperInstruction(boatId, {
+      scheduleOffsetSeconds: paradeSchedule.getScheduleOffset(boatId)
+    });
+    if (!instruction) {
+      return res.status(404).json({
+        error: 'Boat not found',
+        boatId
+      });
+    }
+
+    // Open emergencies ahead of this boat
+    const alerts = await emergencies.getAlertsForBoat(boatId);
+
+    res.json({
+      success: true,
+      instruction,
+      alerts,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error(`Error computing instructions for boat ${req.params.id}:`, error);
+    res.status(500).json({
+      error: 'Failed to compute skipper instructions',
+      boatId: req.params.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * POST /api/boats/:id/status
  * Update boat status manually (for testing/admin)
+ * Emergencies are raised through POST /api/emergencies so they are tracked and persisted
  */
 router.post('/:id/status', async (req, res) => {
   try {
@@ -1,7 +1,87 @@
 const express = require('express');
+const Joi = require('joi');
+const multer = require('multer');
 const router = express.Router();
 const database = require('../models/database');
 const logger = require('../services/logger');
+const autoMapping = require('../services/autoMapping');
+const trackerHealth = require('../services/trackerHealth');
+const trackerMappings = require('../services/trackerMappings');
+const webhookAuth = require('../services/webhookAuth');
+
+const swapSchema = Joi.object({
+  trackerName: Joi.alternatives().try(Joi.string().min(1).max(50), Joi.number().integer()).required(),
+  swappedAt: Joi.date().iso().optional(),
+  by: Joi.string().min(1).max(100).required(),
+  reason: Joi.string().max(1000).allow('').optional(),
+  notes: Joi.string().max(1000).allow('').optional()
+});
+
+const manualMapSchema = Joi.object({
+  pride_boat_id: Joi.number().integer().positive().required(),
+  kpn_tracker_id: Joi.number().integer().positive().required(),
+  notes: Joi.string().max(1000).allow('', null).optional(),
+  by: Joi.string().min(1).max(100).required(),
+  reason: Joi.string().max(1000).allow('').optional()
+});
+
+const unmapSchema = Joi.object({
+  by: Joi.string().min(1).max(100).required(),
+  reason: Joi.string().max(1000).allow('').optional()
+});
+
+const auditQuerySchema = Joi.object({
+  tracker: Joi.string().max(50).optional(),
+  boat: Joi.number().integer().positive().optional(),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional(),
+  limit: Joi.number().integer().min(1).max(5000).optional()
+});
+
+const autoMapRuleSchema = Joi.object({
+  type: Joi.string().valid(...Object.keys(autoMapping.RULE_TYPES)).required(),
+  pattern: Joi.string().max(200).when('type', { is: 'asset_code', then: Joi.required(), otherwise: Joi.forbidden() }),
+  from: Joi.number().integer().min(0).when('type', { is: 'serial_range', then: Joi.required(), otherwise: Joi.forbidden() }),
+  to: Joi.number().integer().min(0).when('type', { is: 'serial_range', then: Joi.required(), otherwise: Joi.forbidden() }),
+  firstPosition: Joi.number().integer().positive().optional(),
+  target: Joi.string().valid('parade_boat', 'support_vessel').optional(),
+  vesselType: Joi.string().valid(...autoMapping.VESSEL_TYPES).optional(),
+  csv: Joi.string().max(1024 * 1024).when('type', { is: 'assignment', then: Joi.required(), otherwise: Joi.forbidden() })
+});
+
+const autoMapSchema = Joi.object({
+  rules: Joi.array().items(autoMapRuleSchema).min(1).optional(),
+  replaceExisting: Joi.boolean().default(false),
+  by: Joi.string().min(1).max(100).default('auto-map'),
+  planHash: Joi.string().hex().length(64).optional()
+});
+
+const rollbackSchema = Joi.object({
+  by: Joi.string().min(1).max(100).default('auto-map')
+});
+
+// Assignment CSV upload for auto-mapping
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 1024 * 1024 // 1MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'text/csv' || file.mimetype === 'text/plain' || file.originalname.endsWith('.csv')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed'));
+    }
+  }
+});
+
+function validationError(res, error) {
+  return res.status(400).json({
+    success: false,
+    error: 'Validation error',
+    details: error.details.map(detail => detail.message)
+  });
+}
 
 /**
  * Get all Pride boats and KPN trackers for mapping
@@ -12,88 +92,93 @@ const logger = require('../services/logger');
 
 
 /**
- * Auto-map boats to trackers based on asset codes
- * POST /api/device-management/auto-map
+ * Rules and options of an auto-map request
+ * Accepts JSON, or multipart with an assignment CSV upload (field "assignment",
+ * added as an assignment rule) and rules as a JSON string
  */
-router.post('/auto-map', async (req, res) => {
-  try {
-    const [prideBoats, kpnTrackers] = await Promise.all([
-      database.getAllPrideBoats(),
-      database.getAllKPNTrackers()
-    ]);
-
-    // Validatie
-    if (prideBoats.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Geen Pride boten gevonden',
-        message: 'Upload eerst je Pride CSV via de import pagina.'
-      });
+function autoMapRequest(req) {
+  const body = { ...(req.body || {}) };
+
+  if (typeof body.rules === 'string') {
+    try {
+      body.rules = JSON.parse(body.rules);
+    } catch (error) {
+      body.rules = null;
     }
+  }
 
-    if (kpnTrackers.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Geen KPN trackers gevonden',
-        message: 'Upload eerst je KPN CSV via de import pagina.'
-      });
-    }
+  if (req.file) {
+    body.rules = [
+      ...(body.rules || []),
+      { type: 'assignment', csv: req.file.buffer.toString('utf-8') }
+    ];
+  }
 
-    let mappingsCreated = 0;
-    let skippedTrackers = [];
-    let errors = [];
+  return autoMapSchema.validate(body);
+}
 
-    // Filter alleen P-nummers (P1, P2, P3, etc.) - negeer O en R nummers
-    const pTrackers = kpnTrackers.filter(tracker =>
-      tracker.asset_code &&
-      tracker.asset_code.startsWith('P') &&
-      /^P\d+$/.test(tracker.asset_code)
-    );
+function autoMapErrorResponse(res, error, message) {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message
+    });
+  }
 
-    logger.info(`Auto-mapping: Found ${pTrackers.length} P-trackers out of ${kpnTrackers.length} total trackers`);
-
-    for (const tracker of pTrackers) {
-      try {
-        const assetCode = tracker.asset_code;
-        // Extract position number from asset code (P1 -> 1, P2 -> 2, etc.)
-        const position = parseInt(assetCode.substring(1));
-
-        // Find Pride boat with matching position (P1 -> boot positie 1)
-        const targetBoat = prideBoats.find(boat => boat.parade_position === position);
-
-        if (targetBoat) {
-          // Check if boat is already mapped
-          const existingMappings = await database.getActiveBoatTrackerMappings(targetBoat.id);
-          if (existingMappings.length === 0) {
-            // Deactivate any existing mappings for this boat
-            await database.deactivateBoatTrackerMappings(targetBoat.id);
-
-            // Create new mapping
-            await database.createBoatTrackerMapping({
-              pride_boat_id: targetBoat.id,
-              kpn_tracker_id: tracker.id,
-              notes: `Auto-mapped: ${assetCode} -> ${targetBoat.name} (positie ${position})`,
-              is_active: true
-            });
-
-            mappingsCreated++;
-            logger.info(`Mapped ${assetCode} to boat ${targetBoat.name} (position ${position})`);
-          } else {
-            skippedTrackers.push(`${assetCode} (boot al gekoppeld)`);
-          }
-        } else {
-          skippedTrackers.push(`${assetCode} (geen boot gevonden op positie ${position})`);
-        }
-      } catch (error) {
-        errors.push(`${tracker.asset_code}: ${error.message}`);
-        logger.error(`Error mapping ${tracker.asset_code}:`, error);
-      }
-    }
+  logger.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    error: message,
+    message: error.message
+  });
+}
+
+/**
+ * Preview what auto-mapping would change, without changing anything
+ * POST /api/device-management/auto-map/preview
+ * Body: { rules, replaceExisting } (rules default: P-codes to boats, O/R codes to support vessels)
+ */
+router.post('/auto-map/preview', upload.single('assignment'), async (req, res) => {
+  const { error, value } = autoMapRequest(req);
+  if (error) {
+    return validationError(res, error);
+  }
+
+  try {
+    const plan = await autoMapping.planAutoMapping(value.rules, value);
+
+    res.json({
+      success: true,
+      ...plan,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    autoMapErrorResponse(res, error, 'Auto-mapping preview failed');
+  }
+});
+
+/**
+ * Auto-map trackers by rules, as one batch that can be rolled back
+ * POST /api/device-management/auto-map (requires X-Admin-Key)
+ * Body: { rules, replaceExisting, by, planHash } (planHash from the preview: 409 when mappings changed since)
+ */
+router.post('/auto-map', webhookAuth.requireAdminKey, upload.single('assignment'), async (req, res) => {
+  const { error, value } = autoMapRequest(req);
+  if (error) {
+    return validationError(res, error);
+  }
+
+  try {
+    const result = await autoMapping.applyAutoMapping(value.rules, value);
+    const { summary, changes, errors } = result;
+    const skipped = changes
+      .filter(change => change.action === 'skip')
+      .map(change => `${change.assetCode || change.trackerName} (${change.reason})`);
 
     // Bouw feedback bericht
-    let message = `✅ ${mappingsCreated} automatische koppelingen gemaakt van ${pTrackers.length} P-trackers`;
-    if (skippedTrackers.length > 0) {
-      message += `\n⚠️ ${skippedTrackers.length} overgeslagen: ${skippedTrackers.join(', ')}`;
+    let message = `✅ ${summary.map + summary.remap - errors.length} automatische koppelingen gemaakt van ${summary.trackers} trackers`;
+    if (skipped.length > 0) {
+      message += `\n⚠️ ${skipped.length} overgeslagen: ${skipped.join(', ')}`;
     }
     if (errors.length > 0) {
       message += `\n❌ ${errors.length} fouten opgetreden`;
@@ -103,21 +188,46 @@ router.post('/auto-map', async (req, res) => {
       success: true,
       message,
       data: {
-        mappings_created: mappingsCreated,
-        total_p_trackers: pTrackers.length,
-        skipped: skippedTrackers.length,
+        batch: result.batch,
+        summary,
+        changes,
+        mappings_created: summary.map + summary.remap - errors.length,
+        total_trackers: summary.trackers,
+        skipped: skipped.length,
         errors: errors.length,
-        skipped_details: skippedTrackers,
+        skipped_details: skipped,
         error_details: errors
-      }
+      },
+      timestamp: new Date().toISOString()
     });
   } catch (error) {
-    logger.error('Error in auto-mapping:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Auto-mapping failed',
-      message: 'Fout bij automatische koppeling: ' + error.message
+    autoMapErrorResponse(res, error, 'Auto-mapping failed');
+  }
+});
+
+/**
+ * Roll back the last auto-mapping batch
+ * POST /api/device-management/auto-map/rollback (requires X-Admin-Key)
+ * Body: { by }
+ * Ends the batch's mappings and restores the mappings it ended (where still free)
+ */
+router.post('/auto-map/rollback', webhookAuth.requireAdminKey, async (req, res) => {
+  const { error, value } = rollbackSchema.validate(req.body || {});
+  if (error) {
+    return validationError(res, error);
+  }
+
+  try {
+    const result = await autoMapping.rollbackLastBatch(value);
+
+    res.json({
+      success: true,
+      message: `Auto-mapping batch ${result.batch.id} teruggedraaid`,
+      data: result,
+      timestamp: new Date().toISOString()
     });
+  } catch (error) {
+    autoMapErrorResponse(res, error, 'Auto-mapping rollback failed');
   }
 });
 
@@ -239,29 +349,30 @@ router.get('/mappings', async (req, res) => {
 
 /**
  * Manual mapping endpoint
- * POST /api/device-management/manual-map
+ * POST /api/device-management/manual-map (requires X-Admin-Key)
+ * Body: { pride_boat_id, kpn_tracker_id, notes, by, reason }
+ * Ends the boat's current mapping and starts a new one; both land in the audit trail
  */
-router.post('/manual-map', async (req, res) => {
-  try {
-    const { pride_boat_id, kpn_tracker_id, notes } = req.body;
+router.post('/manual-map', webhookAuth.requireAdminKey, async (req, res) => {
+  const { error, value } = manualMapSchema.validate(req.body);
+  if (error) {
+    return validationError(res, error);
+  }
 
-    if (!pride_boat_id || !kpn_tracker_id) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        message: 'pride_boat_id and kpn_tracker_id are required'
-      });
-    }
+  try {
+    const { pride_boat_id, kpn_tracker_id, notes, by, reason } = value;
 
     // Deactivate any existing mappings for this boat
-    await database.deactivateBoatTrackerMappings(pride_boat_id);
+    await database.deactivateBoatTrackerMappings(pride_boat_id, { by, reason });
 
     // Create new mapping
     const mapping = await database.createBoatTrackerMapping({
       pride_boat_id,
       kpn_tracker_id,
       notes: notes || null,
-      is_active: true
+      is_active: true,
+      mapped_by: by,
+      reason
     });
 
     res.json({
@@ -281,13 +392,27 @@ router.post('/manual-map', async (req, res) => {
 
 /**
  * Delete mapping endpoint
- * DELETE /api/device-management/mappings/:mappingId
+ * DELETE /api/device-management/mappings/:mappingId (requires X-Admin-Key)
+ * Body: { by, reason }
+ * Ends the mapping (valid_to = now); the row and its audit entries are kept
  */
-router.delete('/mappings/:mappingId', async (req, res) => {
+router.delete('/mappings/:mappingId', webhookAuth.requireAdminKey, async (req, res) => {
+  const { error, value } = unmapSchema.validate(req.body || {});
+  if (error) {
+    return validationError(res, error);
+  }
+
   try {
     const { mappingId } = req.params;
 
-    await database.deactivateBoatTrackerMapping(mappingId);
+    const ended = await database.deactivateBoatTrackerMapping(mappingId, value);
+    if (!ended) {
+      return res.status(404).json({
+        success: false,
+        error: 'Active mapping not found',
+        mappingId
+      });
+    }
 
     res.json({
       success: true,
@@ -303,6 +428,109 @@ router.delete('/mappings/:mappingId', async (req, res) => {
   }
 });
 
+/**
+ * Which boat carried a tracker at time T (post-parade disputes, historical queries)
+ * GET /api/device-management/trackers/:trackerName/boat?at=2025-08-02T12:30:00Z
+ */
+router.get('/trackers/:trackerName/boat', async (req, res) => {
+  try {
+    const answer = await trackerMappings.getBoatForTrackerAt(req.params.trackerName, req.query.at || new Date());
+
+    res.json({
+      success: true,
+      ...answer,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Error looking up tracker mapping:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to look up tracker mapping',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Audit trail of map / unmap operations, oldest first
+ * GET /api/device-management/audit?tracker=&boat=&from=&to=&limit=
+ */
+router.get('/audit', async (req, res) => {
+  const { error, value } = auditQuerySchema.validate(req.query);
+  if (error) {
+    return validationError(res, error);
+  }
+
+  try {
+    const entries = await database.getMappingAudit({
+      trackerName: value.tracker ?? null,
+      boatNumber: value.boat ?? null,
+      from: value.from,
+      to: value.to,
+      limit: value.limit
+    });
+
+    res.json({
+      success: true,
+      count: entries.length,
+      entries,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching mapping audit trail:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch mapping audit trail',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Swap the tracker on a boat mid-parade (requires X-Admin-Key)
+ * POST /api/device-management/boats/:boatNumber/swap-tracker
+ * Body: { trackerName, swappedAt, by, reason, notes }
+ * Ends the current mapping at swappedAt (default now) and starts one for the spare
+ */
+router.post('/boats/:boatNumber/swap-tracker', webhookAuth.requireAdminKey, async (req, res) => {
+  const { error, value } = swapSchema.validate(req.body);
+  if (error) {
+    return validationError(res, error);
+  }
+
+  try {
+    const swap = await trackerMappings.swapTracker(parseInt(req.params.boatNumber), value);
+
+    res.json({
+      success: true,
+      message: `Tracker van boot ${swap.boatNumber} gewisseld`,
+      data: swap,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Error swapping tracker:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to swap tracker',
+      message: error.message
+    });
+  }
+});
+
 /**
  * Update stats endpoint to return proper format
  * GET /api/device-management/stats
@@ -315,11 +543,13 @@ router.get('/stats', async (req, res) => {
       database.getAllActiveBoatTrackerMappings()
     ]);
 
+    const boatMappings = activeMappings.filter(mapping => mapping.pride_boat_id);
     const stats = {
       prideBoats: prideBoats.length,
       kpnTrackers: kpnTrackers.length,
-      unmappedBoats: prideBoats.length - activeMappings.length,
-      mappedBoats: activeMappings.length
+      unmappedBoats: prideBoats.length - boatMappings.length,
+      mappedBoats: boatMappings.length,
+      mappedSupportVessels: activeMappings.length - boatMappings.length
     };
 
     res.json(stats);
@@ -333,6 +563,32 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+/**
+ * Live tracker health from the webhook stream
+ * GET /api/device-management/health?status=offline,stale
+ */
+router.get('/health', async (req, res) => {
+  try {
+    const { summary, trackers } = await trackerHealth.getTrackerHealth();
+    const statuses = req.query.status ? req.query.status.split(',') : null;
+
+    res.json({
+      success: true,
+      summary,
+      thresholds: trackerHealth.getThresholds(),
+      trackers: statuses ? trackers.filter(tracker => statuses.includes(tracker.status)) : trackers,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching tracker health:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch tracker health',
+      message: error.message
+    });
+  }
+});
+
 /**
  * Serve modern device management interface
  */
@@ -406,7 +662,7 @@ router.get('/cms', (req, res) => {
                             <li>• P3 → Boot op positie 3</li>
                             <li>• <em>etc...</em></li>
                         </ul>
-                        <p class="text-xs text-purple-600 mt-2 font-medium">O-nummers en R-nummers worden genegeerd</p>
+                        <p class="text-xs text-purple-600 mt-2 font-medium">O-nummers en R-nummers worden gekoppeld aan organisatie- en reddingsboten</p>
                     </div>
                     <button @click="autoMap()"
                             :disabled="stats.prideBoats === 0 || stats.kpnTrackers === 0"
@@ -523,7 +779,11 @@ router.get('/cms', (req, res) => {
                                                   class="px-2 py-1 text-xs font-medium rounded-full bg-blue-100 text-blue-800">
                                                 P-tracker
                                             </span>
-                                            <span x-show="!tracker.is_mapped && tracker.asset_code && !tracker.asset_code.startsWith('P')"
+                                            <span x-show="!tracker.is_mapped && tracker.asset_code && /^[OR]/.test(tracker.asset_code)"
+                                                  class="px-2 py-1 text-xs font-medium rounded-full bg-orange-100 text-orange-800">
+                                                Ondersteuning
+                                            </span>
+                                            <span x-show="!tracker.is_mapped && tracker.asset_code && !/^[POR]/.test(tracker.asset_code)"
                                                   class="px-2 py-1 text-xs font-medium rounded-full bg-gray-100 text-gray-600">
                                                 Genegeerd
                                             </span>
@@ -591,6 +851,20 @@ router.get('/cms', (req, res) => {
                 <p class="text-sm text-gray-600 mt-1">Koppel handmatig een Pride boot aan een KPN tracker</p>
             </div>
             <div class="p-6">
+                <div class="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-2">Operator (verplicht)</label>
+                        <input type="text" x-model="operator" @change="saveCredentials()"
+                               class="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+                               placeholder="Naam, komt in de audit trail">
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-2">Admin key</label>
+                        <input type="password" x-model="adminKey" @change="saveCredentials()"
+                               class="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+                               placeholder="X-Admin-Key">
+                    </div>
+                </div>
                 <form @submit.prevent="createManualMapping()" class="grid grid-cols-1 md:grid-cols-4 gap-4">
                     <div>
                         <label class="block text-sm font-medium text-gray-700 mb-2">Pride Boot</label>
@@ -651,6 +925,31 @@ router.get('/cms', (req, res) => {
                     notes: ''
                 },
 
+                // Mapping changes are recorded with the operator and need the admin key.
+                // The operator is remembered on this device, the admin key only for this tab.
+                operator: localStorage.getItem('pridesync-operator') || '',
+                adminKey: sessionStorage.getItem('pridesync-admin-key') || '',
+
+                saveCredentials() {
+                    localStorage.setItem('pridesync-operator', this.operator);
+                    sessionStorage.setItem('pridesync-admin-key', this.adminKey);
+                },
+
+                mutationHeaders() {
+                    return {
+                        'Content-Type': 'application/json',
+                        ...(this.adminKey && { 'X-Admin-Key': this.adminKey })
+                    };
+                },
+
+                requireOperator() {
+                    if (!this.operator.trim()) {
+                        alert('⚠️ Vul eerst je naam in bij Operator.');
+                        return false;
+                    }
+                    return true;
+                },
+
                 async init() {
                     await this.loadAllData();
                     // Refresh data every 30 seconds
@@ -737,13 +1036,31 @@ router.get('/cms', (req, res) => {
                         alert('⚠️ Upload eerst beide CSV bestanden voordat je auto-mapping kunt starten.');
                         return;
                     }
+                    if (!this.requireOperator()) return;
 
                     try {
-                        const response = await fetch('/api/device-management/auto-map', {
+                        const previewResponse = await fetch('/api/device-management/auto-map/preview', {
                             method: 'POST',
                             headers: {
                                 'Content-Type': 'application/json'
-                            }
+                            },
+                            body: JSON.stringify({})
+                        });
+                        const preview = await previewResponse.json();
+                        if (!preview.success) {
+                            alert('❌ Fout tijdens auto-mapping: ' + (preview.message || preview.error));
+                            return;
+                        }
+
+                        const { map, remap, unchanged, skip } = preview.summary;
+                        if (!confirm(\`Auto-mapping koppelt \${map} trackers, wijzigt \${remap}, laat \${unchanged} ongemoeid en slaat \${skip} over. Doorgaan?\`)) {
+                            return;
+                        }
+
+                        const response = await fetch('/api/device-management/auto-map', {
+                            method: 'POST',
+                            headers: this.mutationHeaders(),
+                            body: JSON.stringify({ planHash: preview.planHash, by: this.operator.trim() })
                         });
 
                         const result = await response.json();
@@ -751,10 +1068,10 @@ router.get('/cms', (req, res) => {
                             let message = '🎉 Auto-mapping voltooid!\\n\\n';
 
                             if (result.data) {
-                                const { mappings_created, total_p_trackers, skipped, errors, skipped_details } = result.data;
+                                const { mappings_created, total_trackers, skipped, errors, skipped_details } = result.data;
 
                                 message += \`📊 Resultaat:\\n\`;
-                                message += \`✅ \${mappings_created} van \${total_p_trackers} P-trackers gekoppeld\\n\`;
+                                message += \`✅ \${mappings_created} van \${total_trackers} trackers gekoppeld\\n\`;
 
                                 if (skipped > 0) {
                                     message += \`⚠️ \${skipped} overgeslagen\\n\`;
@@ -783,14 +1100,13 @@ router.get('/cms', (req, res) => {
                         alert('⚠️ Selecteer zowel een Pride boot als een KPN tracker.');
                         return;
                     }
+                    if (!this.requireOperator()) return;
 
                     try {
                         const response = await fetch('/api/device-management/manual-map', {
                             method: 'POST',
-                            headers: {
-                                'Content-Type': 'application/json'
-                            },
-                            body: JSON.stringify(this.newMapping)
+                            headers: this.mutationHeaders(),
+                            body: JSON.stringify({ ...this.newMapping, by: this.operator.trim() })
                         });
 
                         const result = await response.json();
@@ -808,11 +1124,14 @@ router.get('/cms', (req, res) => {
                 },
 
                 async removeMapping(mappingId) {
+                    if (!this.requireOperator()) return;
                     if (!confirm('🗑️ Weet je zeker dat je deze koppeling wilt verwijderen?')) return;
 
                     try {
                         const response = await fetch('/api/device-management/mappings/' + mappingId, {
-                            method: 'DELETE'
+                            method: 'DELETE',
+                            headers: this.mutationHeaders(),
+                            body: JSON.stringify({ by: this.operator.trim() })
                         });
 
                         const result = await response.json();
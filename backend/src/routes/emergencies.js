@@ -0,0 +1,157 @@
+const express = require('express');
+const Joi = require('joi');
+const logger = require('../services/logger');
+const emergencies = require('../services/emergencies');
+const webhookAuth = require('../services/webhookAuth');
+
+const router = express.Router();
+
+// Validation schemas
+const raiseSchema = Joi.object({
+  boatNumber: Joi.number().integer().positive().required(),
+  reason: Joi.string().valid(...emergencies.REASONS).required(),
+  message: Joi.string().max(1000).allow('').optional(),
+  latitude: Joi.number().min(-90).max(90).optional(),
+  longitude: Joi.number().min(-180).max(180).optional(),
+  raisedBy: Joi.string().max(255).optional()
+}).and('latitude', 'longitude');
+
+const transitionSchema = Joi.object({
+  by: Joi.string().min(1).max(255).required(),
+  note: Joi.string().max(1000).allow('').optional(),
+  assignee: Joi.string().min(1).max(255).optional()
+});
+
+function validationError(res, error) {
+  return res.status(400).json({
+    success: false,
+    error: 'Validation error',
+    details: error.details.map(detail => detail.message)
+  });
+}
+
+/**
+ * Respond with the status attached to workflow errors (404 / 409 / 400), else 500
+ */
+function workflowErrorResponse(res, error, message) {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  logger.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error',
+    message
+  });
+}
+
+/**
+ * GET /api/emergencies
+ * Control-room queue: open emergencies first, then resolved (?includeClosed=true adds closed ones)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const queue = await emergencies.getEmergencyQueue({
+      includeClosed: req.query.includeClosed === 'true'
+    });
+
+    res.json({
+      success: true,
+      count: queue.length,
+      open: queue.filter(emergency => emergencies.OPEN_STATUSES.includes(emergency.status)).length,
+      emergencies: queue,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching emergency queue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to fetch emergencies'
+    });
+  }
+});
+
+/**
+ * GET /api/emergencies/:id
+ * One emergency with all its transitions
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const emergency = await emergencies.getEmergency(parseInt(req.params.id));
+    if (!emergency) {
+      return res.status(404).json({
+        success: false,
+        error: 'Emergency not found',
+        id: req.params.id
+      });
+    }
+
+    res.json({
+      success: true,
+      emergency,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching emergency:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to fetch emergency'
+    });
+  }
+});
+
+/**
+ * POST /api/emergencies
+ * Raise an emergency from the skipper app
+ * Body: { boatNumber, reason, message, latitude, longitude, raisedBy }
+ */
+router.post('/', async (req, res) => {
+  const { error, value } = raiseSchema.validate(req.body);
+  if (error) {
+    return validationError(res, error);
+  }
+
+  try {
+    const { boatNumber, ...details } = value;
+    const emergency = await emergencies.raiseEmergency(boatNumber, details);
+
+    res.status(201).json({
+      success: true,
+      emergency,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    workflowErrorResponse(res, error, 'Failed to raise emergency');
+  }
+});
+
+/**
+ * POST /api/emergencies/:id/acknowledge | assign | resolve | close
+ * Control-room transitions; body { by, note } (assign also needs { assignee })
+ */
+router.post('/:id/:action(acknowledge|assign|resolve|close)', webhookAuth.requireAdminKey, async (req, res) => {
+  const { error, value } = transitionSchema.validate(req.body);
+  if (error) {
+    return validationError(res, error);
+  }
+
+  try {
+    const emergency = await emergencies.transitionEmergency(parseInt(req.params.id), req.params.action, value);
+
+    res.json({
+      success: true,
+      emergency,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    workflowErrorResponse(res, error, `Failed to ${req.params.action} emergency`);
+  }
+});
+
+module.exports = router;
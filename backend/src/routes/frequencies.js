@@ -0,0 +1,269 @@
+const express = require('express');
+const Joi = require('joi');
+const logger = require('../services/logger');
+const frequencyManager = require('../services/frequencyManager');
+const frequencyAllocator = require('../services/frequencyAllocator');
+const webhookAuth = require('../services/webhookAuth');
+
+const router = express.Router();
+
+// Validation schemas
+const frequencySchema = Joi.number().min(87.5).max(108.0);
+
+const assignSchema = Joi.object({
+  boatId: Joi.number().integer().positive().required(),
+  frequency: frequencySchema.required(),
+  force: Joi.boolean().default(false)
+});
+
+const availableQuerySchema = Joi.object({
+  boat: Joi.number().integer().positive().optional()
+});
+
+const poolSchema = Joi.object({
+  startMhz: frequencySchema.optional(),
+  endMhz: frequencySchema.optional(),
+  stepMhz: Joi.number().positive().max(2).optional(),
+  excludedMhz: Joi.array().items(frequencySchema).optional(),
+  minSpacingMhz: Joi.number().positive().max(5).optional(),
+  hearingDistanceMeters: Joi.number().positive().max(5000).optional(),
+  plannedSpacingMeters: Joi.number().positive().max(5000).optional()
+}).min(1);
+
+const applyPlanSchema = Joi.object({
+  immediate: Joi.boolean().default(false)
+});
+
+const changesQuerySchema = Joi.object({
+  boat: Joi.number().integer().positive().optional(),
+  status: Joi.string().valid('scheduled', 'applied', 'cancelled').optional()
+});
+
+function validationError(res, error) {
+  return res.status(400).json({
+    success: false,
+    error: 'Validation error',
+    details: error.details.map(detail => detail.message)
+  });
+}
+
+/**
+ * Respond with the status attached to frequency errors (400 / 404 / 409), else 500
+ */
+function frequencyErrorResponse(res, error, message) {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      ...(error.conflicts && { conflicts: error.conflicts })
+    });
+  }
+
+  logger.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error',
+    message
+  });
+}
+
+/**
+ * GET /api/frequencies
+ * FM frequency per boat and the current conflicts (boats within hearing distance
+ * closer in frequency than the minimum spacing, frequencies outside the pool)
+ */
+router.get('/', (req, res) => {
+  try {
+    const assignments = frequencyManager.getAllAssignments();
+
+    res.json({
+      success: true,
+      count: assignments.length,
+      assignments,
+      conflicts: frequencyManager.findConflicts(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    frequencyErrorResponse(res, error, 'Failed to fetch frequency assignments');
+  }
+});
+
+/**
+ * GET /api/frequencies/available?boat=12
+ * Frequencies from the pool no boat is on, or with ?boat= those the boat can take
+ * without a conflict
+ */
+router.get('/available', (req, res) => {
+  const { error, value } = availableQuerySchema.validate(req.query);
+  if (error) {
+    return validationError(res, error);
+  }
+
+  try {
+    const frequencies = frequencyManager.getAvailableFrequencies(value.boat);
+
+    res.json({
+      success: true,
+      boatId: value.boat || null,
+      count: frequencies.length,
+      frequencies,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    frequencyErrorResponse(res, error, 'Failed to fetch available frequencies');
+  }
+});
+
+/**
+ * GET /api/frequencies/pool
+ * Allowed band, channel step, excluded frequencies, minimum spacing and hearing distance
+ */
+router.get('/pool', (req, res) => {
+  res.json({
+    success: true,
+    pool: frequencyManager.getPool(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * PUT /api/frequencies/pool
+ * Change the frequency pool of the event (requires X-Admin-Key)
+ * Body: { startMhz, endMhz, stepMhz, excludedMhz, minSpacingMhz, hearingDistanceMeters, plannedSpacingMeters }
+ */
+router.put('/pool', webhookAuth.requireAdminKey, async (req, res) => {
+  const { error, value } = poolSchema.validate(req.body);
+  if (error) {
+    return validationError(res, error);
+  }
+
+  try {
+    const pool = await frequencyManager.savePool(value);
+
+    res.json({
+      success: true,
+      pool,
+      conflicts: frequencyManager.findConflicts(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    frequencyErrorResponse(res, error, 'Failed to save frequency pool');
+  }
+});
+
+/**
+ * GET /api/frequencies/plan
+ * Preview of the allocation from the live along-route positions: the frequency per
+ * positioned boat, the boats it must stay clear of, and the retunes it would take
+ */
+router.get('/plan', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      plan: frequencyAllocator.computePlan(),
+      scheduled: frequencyAllocator.getChangeLog({ status: 'scheduled' }),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    frequencyErrorResponse(res, error, 'Failed to plan frequencies');
+  }
+});
+
+/**
+ * POST /api/frequencies/plan/apply
+ * Re-plan now (requires X-Admin-Key): new boats are assigned at once, boats that clash
+ * are announced and retuned after the notice period (or at once with immediate)
+ * Body: { immediate }
+ */
+router.post('/plan/apply', webhookAuth.requireAdminKey, async (req, res) => {
+  const { error, value } = applyPlanSchema.validate(req.body);
+  if (error) {
+    return validationError(res, error);
+  }
+
+  try {
+    const result = await frequencyAllocator.reallocate({ immediate: value.immediate });
+
+    res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    frequencyErrorResponse(res, error, 'Failed to apply frequency plan');
+  }
+});
+
+/**
+ * GET /api/frequencies/changes?boat=12&status=scheduled
+ * Change log of retunes with their notice (announcedAt, effectiveAt), oldest first
+ */
+router.get('/changes', (req, res) => {
+  const { error, value } = changesQuerySchema.validate(req.query);
+  if (error) {
+    return validationError(res, error);
+  }
+
+  const changes = frequencyAllocator.getChangeLog({ boatNumber: value.boat || null, status: value.status || null });
+
+  res.json({
+    success: true,
+    count: changes.length,
+    changes,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * POST /api/frequencies/assign
+ * Put a boat on a frequency (requires X-Admin-Key). Refused with 409 and the
+ * conflicts when it clashes with a boat within hearing distance, unless force is set.
+ * Body: { boatId, frequency, force }
+ */
+router.post('/assign', webhookAuth.requireAdminKey, async (req, res) => {
+  const { error, value } = assignSchema.validate(req.body);
+  if (error) {
+    return validationError(res, error);
+  }
+
+  try {
+    const assignment = await frequencyManager.assignFrequency(value.boatId, value.frequency, { force: value.force });
+
+    res.json({
+      success: true,
+      assignment,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    frequencyErrorResponse(res, error, 'Failed to assign frequency');
+  }
+});
+
+/**
+ * DELETE /api/frequencies/:boatId
+ * Take a boat off its frequency (requires X-Admin-Key)
+ */
+router.delete('/:boatId', webhookAuth.requireAdminKey, async (req, res) => {
+  const boatId = parseInt(req.params.boatId);
+  if (isNaN(boatId)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid boat ID',
+      provided: req.params.boatId
+    });
+  }
+
+  try {
+    const assignment = await frequencyManager.unassignFrequency(boatId);
+
+    res.json({
+      success: true,
+      assignment,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    frequencyErrorResponse(res, error, 'Failed to remove frequency');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,159 @@
+const express = require('express');
+const Joi = require('joi');
+const logger = require('../services/logger');
+const incidentRules = require('../services/incidentRules');
+const webhookAuth = require('../services/webhookAuth');
+
+const router = express.Router();
+
+// Validation schemas
+const ruleSchema = Joi.object({
+  name: Joi.string().min(1).max(255).optional(),
+  condition: Joi.string().valid(...Object.keys(incidentRules.CONDITIONS)).required(),
+  params: Joi.object().pattern(Joi.string(), Joi.number()).optional(),
+  statuses: Joi.array().items(Joi.string().valid('active', 'waiting', 'finished', 'emergency')).min(1).optional(),
+  durationSeconds: Joi.number().min(0).optional(),
+  severity: Joi.string().valid(...incidentRules.SEVERITIES).optional(),
+  cooldownSeconds: Joi.number().min(0).optional(),
+  autoResolve: Joi.boolean().optional(),
+  enabled: Joi.boolean().optional(),
+  incidentType: Joi.string().pattern(/^[a-z0-9_]+$/).max(50).optional()
+});
+
+const ruleIdSchema = Joi.string().pattern(/^[a-z0-9_]+$/).max(100);
+
+const resolveSchema = Joi.object({
+  by: Joi.string().min(1).max(255).required()
+});
+
+function validationError(res, error) {
+  return res.status(400).json({
+    success: false,
+    error: 'Validation error',
+    details: error.details.map(detail => detail.message)
+  });
+}
+
+/**
+ * Respond with the status attached to rule errors (404 / 409 / 400), else 500
+ */
+function ruleErrorResponse(res, error, message) {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  logger.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error',
+    message
+  });
+}
+
+/**
+ * GET /api/incident-rules
+ * Rules and the conditions they can use (with default parameters)
+ */
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    rules: incidentRules.getRules(),
+    conditions: Object.fromEntries(Object.entries(incidentRules.CONDITIONS).map(([name, condition]) => [name, {
+      description: condition.description,
+      params: condition.params,
+      clock: Boolean(condition.clock)
+    }])),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * GET /api/incident-rules/open
+ * Incidents currently held open by a rule
+ */
+router.get('/open', (req, res) => {
+  const open = incidentRules.getOpenRuleIncidents();
+
+  res.json({
+    success: true,
+    count: open.length,
+    incidents: open,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * PUT /api/incident-rules/:id
+ * Create or replace a rule (requires X-Admin-Key)
+ * Body: { condition, params, statuses, durationSeconds, severity, cooldownSeconds, autoResolve, enabled, name, incidentType }
+ */
+router.put('/:id', webhookAuth.requireAdminKey, async (req, res) => {
+  const { error: idError } = ruleIdSchema.validate(req.params.id);
+  if (idError) {
+    return validationError(res, idError);
+  }
+
+  const { error, value } = ruleSchema.validate(req.body);
+  if (error) {
+    return validationError(res, error);
+  }
+
+  try {
+    const rule = await incidentRules.saveRule(req.params.id, value);
+
+    res.json({
+      success: true,
+      rule,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    ruleErrorResponse(res, error, 'Failed to save incident rule');
+  }
+});
+
+/**
+ * DELETE /api/incident-rules/:id
+ * Delete a custom rule and close its open incidents (requires X-Admin-Key)
+ */
+router.delete('/:id', webhookAuth.requireAdminKey, async (req, res) => {
+  try {
+    await incidentRules.deleteRule(req.params.id);
+
+    res.json({
+      success: true,
+      message: `Incident rule ${req.params.id} deleted`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    ruleErrorResponse(res, error, 'Failed to delete incident rule');
+  }
+});
+
+/**
+ * POST /api/incident-rules/:id/boats/:boatId/resolve
+ * Close a rule incident by hand, for rules without autoResolve (requires X-Admin-Key)
+ * Body: { by }
+ */
+router.post('/:id/boats/:boatId/resolve', webhookAuth.requireAdminKey, async (req, res) => {
+  const { error, value } = resolveSchema.validate(req.body);
+  if (error) {
+    return validationError(res, error);
+  }
+
+  try {
+    const incident = await incidentRules.resolveRuleIncident(req.params.id, parseInt(req.params.boatId), value.by);
+
+    res.json({
+      success: true,
+      incident,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    ruleErrorResponse(res, error, 'Failed to resolve incident');
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,75 @@
 const express = require('express');
+const Joi = require('joi');
 const router = express.Router();
 const logger = require('../services/logger');
-const { getLatestGPSPositions, getAllPrideBoats } = require('../models/database');
+const frequencyManager = require('../services/frequencyManager');
+const proximityCalculator = require('../services/proximityCalculator');
+const spatialIndex = require('../services/spatialIndex');
+const { getLatestGPSPositions, getAllPrideBoats, getAllActiveBoatTrackerMappings } = require('../models/database');
 
-// GPS service using real database data with improved boat-tracker matching
+// Pride boat details (name, theme, organisation) change rarely; refetched at most this often
+const BOAT_DETAILS_TTL_MS = 60 * 1000;
+
+const withinQuerySchema = Joi.object({
+  lat: Joi.number().min(-90).max(90),
+  lon: Joi.number().min(-180).max(180),
+  radius: Joi.number().positive().max(10000).default(500),
+  south: Joi.number().min(-90).max(90),
+  west: Joi.number().min(-180).max(180),
+  north: Joi.number().min(Joi.ref('south')).max(90),
+  east: Joi.number().min(Joi.ref('west')).max(180),
+  limit: Joi.number().integer().min(1).max(500).default(100)
+}).and('lat', 'lon').and('south', 'west', 'north', 'east').xor('lat', 'south');
+
+// GPS service: live positions from the spatial index (kept up to date by ingestion)
+// with pride boat details, or from the database until the index has boats
 const gpsService = {
+  boatDetails: null,
+  boatDetailsFetchedAt: 0,
+
+  async getBoatDetails() {
+    if (!this.boatDetails || Date.now() - this.boatDetailsFetchedAt > BOAT_DETAILS_TTL_MS) {
+      const prideBoats = await getAllPrideBoats();
+      this.boatDetails = new Map(prideBoats.map(boat => [boat.parade_position, boat]));
+      this.boatDetailsFetchedAt = Date.now();
+    }
+    return this.boatDetails;
+  },
+
+  // Boats from the spatial index (boat number = parade position) with their pride boat details
+  async describeIndexedBoats(indexedBoats) {
+    const details = await this.getBoatDetails();
+
+    return indexedBoats.map(indexed => {
+      const prideBoat = details.get(indexed.id);
+      return {
+        id: indexed.id,
+        name: prideBoat?.boat_name || indexed.name,
+        lat: indexed.lat,
+        lon: indexed.lon,
+        theme: prideBoat?.theme || 'Pride Boat',
+        organisation: prideBoat?.organisation || 'Pride Amsterdam',
+        description: prideBoat?.description || '',
+        position: indexed.id,
+        timestamp: indexed.timestamp,
+        accuracy: indexed.accuracy,
+        captain_name: prideBoat?.captain_name || null,
+        boat_type: prideBoat?.boat_type || null,
+        status: prideBoat?.status || 'active',
+        pride_boat_id: prideBoat?.id || null,
+        ...(indexed.distance !== undefined && { distance: indexed.distance })
+      };
+    });
+  },
+
   async getAllBoats() {
+    if (spatialIndex.size() > 0) {
+      return this.describeIndexedBoats(spatialIndex.getAll());
+    }
+    return this.getBoatsFromDatabase();
+  },
+
+  async getBoatsFromDatabase() {
     try {
       // Get latest GPS positions from database
       const gpsPositions = await getLatestGPSPositions();
@@ -131,49 +195,6 @@ const gpsService = {
   }
 };
 
-// Proximity calculator utility
-const proximityCalculator = {
-  calculateDistance(lat1, lon1, lat2, lon2) {
-    const R = 6371; // Earth's radius in km
-    const dLat = this.toRad(lat2 - lat1);
-    const dLon = this.toRad(lon2 - lon1);
-    
-    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-              Math.cos(this.toRad(lat1)) * Math.cos(this.toRad(lat2)) *
-              Math.sin(dLon/2) * Math.sin(dLon/2);
-    
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    return R * c;
-  },
-
-  toRad(degrees) {
-    return degrees * (Math.PI/180);
-  },
-
-  findNearestBoat(userLat, userLon, boats) {
-    if (!boats || boats.length === 0) {
-      return null;
-    }
-
-    let nearestBoat = null;
-    let minDistance = Infinity;
-
-    boats.forEach(boat => {
-      const distance = this.calculateDistance(userLat, userLon, boat.lat, boat.lon);
-      
-      if (distance < minDistance) {
-        minDistance = distance;
-        nearestBoat = {
-          ...boat,
-          distance: Math.round(distance * 1000) / 1000 // Round to 3 decimals
-        };
-      }
-    });
-
-    return nearestBoat;
-  }
-};
-
 // GET /api/locations/nearest - Find nearest boat to user location
 router.get('/nearest', async (req, res) => {
   try {
@@ -196,8 +217,9 @@ router.get('/nearest', async (req, res) => {
       });
     }
     
-    const boats = await gpsService.getAllBoats();
-    const nearestBoat = proximityCalculator.findNearestBoat(userLat, userLon, boats);
+    const nearestBoat = spatialIndex.size() > 0
+      ? (await gpsService.describeIndexedBoats(proximityCalculator.findNearestBoats(userLat, userLon, 1)))[0]
+      : proximityCalculator.findNearestBoat(userLat, userLon, await gpsService.getAllBoats());
     
     if (!nearestBoat) {
       return res.status(404).json({ 
@@ -216,6 +238,8 @@ router.get('/nearest', async (req, res) => {
       success: true,
       data: {
         boat: nearestBoat,
+        // FM frequency the boat plays on, for auto-tune in the webapp
+        frequency: frequencyManager.getBoatFrequency(nearestBoat.id),
         distance: nearestBoat.distance,
         distanceText: nearestBoat.distance < 1 
           ? `${Math.round(nearestBoat.distance * 1000)}m`
@@ -231,6 +255,52 @@ router.get('/nearest', async (req, res) => {
   }
 });
 
+// GET /api/locations/within?lat=&lon=&radius=500 | ?south=&west=&north=&east=
+// Boats within a radius in meters (nearest first, distance in km) or inside a map viewport
+router.get('/within', async (req, res) => {
+  const { error, value } = withinQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+
+  try {
+    const bounds = { south: value.south, west: value.west, north: value.north, east: value.east };
+    let boats;
+
+    if (spatialIndex.size() > 0) {
+      boats = await gpsService.describeIndexedBoats(value.lat !== undefined
+        ? proximityCalculator.findBoatsInRadius(value.lat, value.lon, null, value.radius / 1000)
+        : proximityCalculator.findBoatsInBounds(bounds));
+    } else {
+      const allBoats = await gpsService.getBoatsFromDatabase();
+      boats = value.lat !== undefined
+        ? proximityCalculator.findBoatsInRadius(value.lat, value.lon, allBoats, value.radius / 1000)
+        : proximityCalculator.findBoatsInBounds(bounds, allBoats);
+    }
+
+    const data = boats
+      .slice(0, value.limit)
+      .map(boat => ({ ...boat, frequency: frequencyManager.getBoatFrequency(boat.id) }));
+
+    res.json({
+      success: true,
+      count: data.length,
+      data,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error finding boats within area:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
 // GET /api/locations/all - Get all boat locations
 router.get('/all', async (req, res) => {
   try {
@@ -238,7 +308,7 @@ router.get('/all', async (req, res) => {
 
     res.json({
       success: true,
-      data: boats
+      data: boats.map(boat => ({ ...boat, frequency: frequencyManager.getBoatFrequency(boat.id) }))
     });
   } catch (error) {
     logger.error('Error fetching boat locations:', error);
@@ -0,0 +1,327 @@
+const express = require('express');
+const Joi = require('joi');
+const multer = require('multer');
+const logger = require('../services/logger');
+const database = require('../models/database');
+const routeMapper = require('../services/routeMapper');
+const routeParser = require('../services/routeParser');
+const webhookAuth = require('../services/webhookAuth');
+
+const router = express.Router();
+
+// Configure multer for route file uploads
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(gpx|geojson|json)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only GPX and GeoJSON files are allowed'));
+    }
+  }
+});
+
+// Validation schemas
+const waypointSchema = Joi.object({
+  name: Joi.string().min(1).max(255).required(),
+  type: Joi.string().valid(...routeParser.WAYPOINT_TYPES).optional(),
+  lat: Joi.number().min(-90).max(90).required(),
+  lng: Joi.number().min(-180).max(180).required()
+});
+
+const corridorRangeSchema = Joi.object({
+  from: Joi.number().min(0).required(),
+  to: Joi.number().greater(Joi.ref('from')).required(),
+  tolerance: Joi.number().positive().max(500).required()
+});
+
+const createRouteSchema = Joi.object({
+  name: Joi.string().min(1).max(255).optional(),
+  event: Joi.string().pattern(/^[a-z0-9_-]+$/i).max(100).optional(),
+  format: Joi.string().valid('geojson', 'gpx').optional(),
+  data: Joi.alternatives().try(Joi.object(), Joi.string()).optional(),
+  waypoints: Joi.array().items(waypointSchema).optional(),
+  corridor: Joi.array().items(corridorRangeSchema).optional(),
+  defaultTolerance: Joi.number().positive().max(500).optional(),
+  activate: Joi.boolean().optional()
+});
+
+/**
+ * Route listing without the (long) point list
+ */
+function toRouteSummary(route) {
+  const { points, ...summary } = route;
+  return {
+    ...summary,
+    total_distance: parseFloat(route.total_distance),
+    point_count: points.length
+  };
+}
+
+/**
+ * Parse the :id parameter, responding 400 when it is not a number
+ */
+function parseRouteId(req, res) {
+  const id = parseInt(req.params.id);
+  if (!Number.isInteger(id)) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid route ID',
+      id: req.params.id
+    });
+    return null;
+  }
+  return id;
+}
+
+/**
+ * Make the mapper use a newly activated route when it belongs to the current event
+ */
+function applyIfCurrentEvent(route) {
+  if (route.event_name === routeMapper.getEventName()) {
+    routeMapper.setActiveRoute(route);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * GET /api/parade/routes
+ * List stored route versions (optionally ?event=name)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const routes = await database.getParadeRoutes(req.query.event || null);
+    const activeRoute = routeMapper.getActiveRoute();
+
+    res.json({
+      success: true,
+      count: routes.length,
+      event: routeMapper.getEventName(),
+      activeRouteId: activeRoute.id,
+      routes: routes.map(toRouteSummary),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching parade routes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to fetch parade routes'
+    });
+  }
+});
+
+/**
+ * GET /api/parade/routes/active
+ * Route currently used for GPS mapping (the built-in route until one is activated)
+ */
+router.get('/active', (req, res) => {
+  res.json({
+    success: true,
+    route: routeMapper.getActiveRoute(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * GET /api/parade/routes/:id
+ * Full route version including points and waypoints
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const id = parseRouteId(req, res);
+    if (id === null) return;
+
+    const route = await database.getParadeRoute(id);
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        error: 'Route not found',
+        id
+      });
+    }
+
+    res.json({
+      success: true,
+      route,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error fetching parade route:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to fetch parade route'
+    });
+  }
+});
+
+/**
+ * POST /api/parade/routes
+ * Upload a GeoJSON LineString or GPX track as a new route version
+ * JSON body { name, event, format, data, waypoints, corridor, defaultTolerance, activate }
+ * or multipart with a routeFile (.gpx / .geojson) and the same fields.
+ * corridor: [{ from, to, tolerance }] sets the corridor half-width (meters) for
+ * along-route distance ranges, e.g. a narrow Zwanenburgwal.
+ */
+router.post('/', webhookAuth.requireAdminKey, upload.single('routeFile'), async (req, res) => {
+  try {
+    const { error, value } = createRouteSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const content = req.file ? req.file.buffer.toString('utf-8') : value.data;
+    if (!content) {
+      return res.status(400).json({
+        success: false,
+        error: 'No route data',
+        message: 'Send a GeoJSON/GPX document in "data" or upload a routeFile'
+      });
+    }
+
+    const format = value.format ||
+      (req.file && /\.gpx$/i.test(req.file.originalname) ? 'gpx' : undefined);
+
+    let parsed;
+    try {
+      parsed = routeParser.parseRoute(content, {
+        format,
+        waypoints: value.waypoints,
+        corridor: value.corridor,
+        defaultTolerance: value.defaultTolerance
+      });
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid route',
+        message: parseError.message
+      });
+    }
+
+    let route = await database.createParadeRoute({
+      event_name: value.event || routeMapper.getEventName(),
+      name: value.name || parsed.name || (req.file ? req.file.originalname : 'Parade route'),
+      source_format: parsed.format,
+      points: parsed.points,
+      waypoints: parsed.waypoints,
+      total_distance: parsed.totalDistance
+    });
+
+    let inUse = false;
+    if (value.activate) {
+      route = await database.activateParadeRoute(route.id);
+      inUse = applyIfCurrentEvent(route);
+    }
+
+    logger.info(`🗺️ Parade route uploaded: ${route.name} v${route.version}`, {
+      event: route.event_name,
+      points: parsed.points.length,
+      waypoints: parsed.waypoints.length,
+      totalDistance: parsed.totalDistance,
+      active: route.is_active
+    });
+
+    res.status(201).json({
+      success: true,
+      route: toRouteSummary(route),
+      inUse,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error uploading parade route:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to store parade route'
+    });
+  }
+});
+
+/**
+ * POST /api/parade/routes/:id/activate
+ * Make a route version the active route of its event
+ */
+router.post('/:id/activate', webhookAuth.requireAdminKey, async (req, res) => {
+  try {
+    const id = parseRouteId(req, res);
+    if (id === null) return;
+
+    const route = await database.activateParadeRoute(id);
+    if (!route) {
+      return res.status(404).json({
+        success: false,
+        error: 'Route not found',
+        id
+      });
+    }
+
+    const inUse = applyIfCurrentEvent(route);
+
+    res.json({
+      success: true,
+      route: toRouteSummary(route),
+      inUse,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error activating parade route:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to activate parade route'
+    });
+  }
+});
+
+/**
+ * DELETE /api/parade/routes/:id
+ * Delete an inactive route version
+ */
+router.delete('/:id', webhookAuth.requireAdminKey, async (req, res) => {
+  try {
+    const id = parseRouteId(req, res);
+    if (id === null) return;
+
+    const existing = await database.getParadeRoute(id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Route not found',
+        id
+      });
+    }
+
+    if (existing.is_active) {
+      return res.status(409).json({
+        success: false,
+        error: 'Route is active',
+        message: 'Activate another version before deleting this one'
+      });
+    }
+
+    await database.deleteParadeRoute(id);
+
+    res.json({
+      success: true,
+      message: `Route ${existing.name} v${existing.version} deleted`
+    });
+  } catch (error) {
+    logger.error('Error deleting parade route:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to delete parade route'
+    });
+  }
+});
+
+module.exports = router;
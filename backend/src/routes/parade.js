@@ -1,10 +1,28 @@
 const express = require('express');
+const Joi = require('joi');
 const boatState = require('../services/boatState');
 const routeMapper = require('../services/routeMapper');
+const paradeSpacing = require('../services/paradeSpacing');
+const paradeSchedule = require('../services/paradeSchedule');
+const webhookAuth = require('../services/webhookAuth');
 const logger = require('../services/logger');
 
 const router = express.Router();
 
+const spacingThresholdsSchema = Joi.object({
+  maxGapMeters: Joi.number().positive().optional(),
+  maxGapSeconds: Joi.number().positive().optional(),
+  minGapMeters: Joi.number().min(0).optional(),
+  persistSeconds: Joi.number().min(0).optional(),
+  staleSeconds: Joi.number().positive().optional()
+}).min(1);
+
+const scheduleSchema = Joi.object({
+  startTime: Joi.date().iso().allow(null).optional(),
+  departureIntervalSeconds: Joi.number().min(0).max(3600).optional(),
+  targetSpeedKmh: Joi.number().positive().max(20).optional()
+}).min(1);
+
 /**
  * GET /api/parade/status
  * Get overall parade status and statistics
@@ -19,6 +37,7 @@ router.get('/status', async (req, res) => {
       parade: {
         status: stats.activeBoats > 0 ? 'active' : 'waiting',
         statistics: stats,
+        recovery: boatState.getRecoveryStatus(),
         route: {
           totalDistance: routeInfo.totalDistance,
           totalPoints: routeInfo.totalPoints,
@@ -60,6 +79,31 @@ router.get('/route', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/parade/corridor
+ * Corridor of the active route as GeoJSON (per-segment polygons and the centerline)
+ */
+router.get('/corridor', async (req, res) => {
+  try {
+    const routeInfo = routeMapper.getRouteInfo();
+
+    res.json({
+      success: true,
+      routeId: routeInfo.id,
+      routeVersion: routeInfo.version,
+      corridor: routeMapper.getCorridorGeoJSON(),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error fetching parade corridor:', error);
+    res.status(500).json({
+      error: 'Failed to fetch parade corridor',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * GET /api/parade/leaderboard
  * Get boat leaderboard based on progress
@@ -147,6 +191,124 @@ router.get('/incidents', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/parade/spacing
+ * Gap to the boat ahead and behind for every boat (meters and seconds), flagged as
+ * gap / compressed against the spacing thresholds. Read-only: spacing incidents are
+ * raised by the spacing monitor.
+ */
+router.get('/spacing', (req, res) => {
+  try {
+    const pairs = paradeSpacing.getSpacing();
+    const { boats, summary } = paradeSpacing.describeSpacing(pairs);
+
+    res.json({
+      success: true,
+      thresholds: paradeSpacing.getThresholds(),
+      summary,
+      flagged: pairs.filter(pair => pair.status !== 'ok'),
+      boats,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error fetching parade spacing:', error);
+    res.status(500).json({
+      error: 'Failed to fetch parade spacing',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * PUT /api/parade/spacing/thresholds
+ * Change spacing thresholds for the running parade (admin)
+ */
+router.put('/spacing/thresholds', webhookAuth.requireAdminKey, (req, res) => {
+  const { error, value } = spacingThresholdsSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+
+  if (value.minGapMeters !== undefined || value.maxGapMeters !== undefined) {
+    const { minGapMeters, maxGapMeters } = { ...paradeSpacing.getThresholds(), ...value };
+    if (minGapMeters >= maxGapMeters) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: ['minGapMeters must be smaller than maxGapMeters']
+      });
+    }
+  }
+
+  res.json({
+    success: true,
+    thresholds: paradeSpacing.setThresholds(value),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * GET /api/parade/schedule
+ * Planned timetable with, for every boat, planned vs actual passing time and live ETA
+ * at each named checkpoint, and the overall schedule deviation
+ */
+router.get('/schedule', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...paradeSchedule.getParadeSchedule(),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error fetching parade schedule:', error);
+    res.status(500).json({
+      error: 'Failed to fetch parade schedule',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * PUT /api/parade/schedule
+ * Change start time, departure interval per parade position or target speed (admin)
+ * Body: { startTime, departureIntervalSeconds, targetSpeedKmh }
+ */
+router.put('/schedule', webhookAuth.requireAdminKey, async (req, res) => {
+  const { error, value } = scheduleSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation error',
+      details: error.details.map(detail => detail.message)
+    });
+  }
+
+  try {
+    res.json({
+      success: true,
+      schedule: await paradeSchedule.saveSchedule(value),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+
+    logger.error('Error saving parade schedule:', error);
+    res.status(500).json({
+      error: 'Failed to save parade schedule',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * GET /api/parade/summary
  * Get comprehensive parade summary for dashboard
@@ -156,6 +318,7 @@ router.get('/summary', async (req, res) => {
     const stats = boatState.getParadeStats();
     const boats = boatState.getAllBoatStates();
     const routeInfo = routeMapper.getRouteInfo();
+    const { schedule, deviation } = paradeSchedule.getParadeSchedule();
 
     // Calculate additional metrics
     const boatsInCorridor = boats.filter(b => b.corridor.inCorridor).length;
@@ -209,6 +372,10 @@ router.get('/summary', async (req, res) => {
           estimatedDuration: '2 hours', // Static for now
           weatherConditions: 'Good' // TODO: Integrate weather API
         },
+        schedule: {
+          startTime: schedule.startTime,
+          ...deviation
+        },
         lastUpdate: new Date().toISOString()
       }
     });
@@ -0,0 +1,98 @@
+const express = require('express');
+const logger = require('../services/logger');
+const eventStream = require('../services/eventStream');
+
+const router = express.Router();
+
+const DEFAULT_HEARTBEAT_MS = 15 * 1000;
+const RECONNECT_DELAY_MS = 3000;
+
+/**
+ * Write one Server-Sent Event
+ */
+function writeEvent(res, event, data, id) {
+  if (id) {
+    res.write(`id: ${id}\n`);
+  }
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * GET /api/stream
+ * Server-Sent Events stream of position, status and incident deltas
+ * Query: boats=1,2,3 (boat numbers), types=position,status,incident,notification
+ * Resume: the Last-Event-ID header (sent by EventSource on reconnect) or ?lastEventId=
+ * replays missed events; a "reset" event means the id is no longer buffered and the
+ * client should reload a snapshot (e.g. /api/webhooks/gps-positions).
+ */
+router.get('/', (req, res) => {
+  const filter = eventStream.parseFilter(req.query);
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // disable proxy buffering
+  });
+  res.status(200);
+  res.flushHeaders();
+
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  // Replay and subscribe run synchronously, so no event can slip in between
+  let replayed = 0;
+  if (lastEventId) {
+    const { events, reset } = eventStream.getEventsSince(lastEventId, filter);
+    if (reset) {
+      writeEvent(res, 'reset', { lastEventId, reason: 'Event id is no longer available, reload a snapshot' });
+    }
+    events.forEach(event => writeEvent(res, event.type, event, event.id));
+    replayed = events.length;
+  }
+
+  // The ready event carries the current id, so a reconnect resumes from here
+  const stats = eventStream.getStreamStats();
+  writeEvent(res, 'ready', {
+    streamId: stats.streamId,
+    lastEventId: stats.lastEventId,
+    replayed,
+    filter
+  }, stats.lastEventId);
+
+  const unsubscribe = eventStream.subscribe(filter, event => {
+    writeEvent(res, event.type, event, event.id);
+  });
+
+  const heartbeatMs = parseInt(process.env.EVENT_STREAM_HEARTBEAT_MS) || DEFAULT_HEARTBEAT_MS;
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), heartbeatMs);
+
+  logger.info('📡 Stream client connected', {
+    ip: req.ip,
+    filter,
+    resumedFrom: lastEventId || null,
+    replayed
+  });
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    logger.info('📡 Stream client disconnected', { ip: req.ip });
+  });
+});
+
+/**
+ * GET /api/stream/status
+ * Stream statistics (connected subscribers, buffered events)
+ */
+router.get('/status', (req, res) => {
+  res.json({
+    success: true,
+    stream: eventStream.getStreamStats(),
+    eventTypes: eventStream.EVENT_TYPES,
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = router;
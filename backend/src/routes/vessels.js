@@ -0,0 +1,225 @@
+const express = require('express');
+const Joi = require('joi');
+const logger = require('../services/logger');
+const vessels = require('../services/vessels');
+const webhookAuth = require('../services/webhookAuth');
+
+const router = express.Router();
+
+const TYPES = Object.keys(vessels.DEFAULT_VESSEL_TYPES);
+
+// Validation schemas
+const typeListSchema = Joi.string().pattern(new RegExp(`^(${TYPES.join('|')})(,(${TYPES.join('|')}))*$`));
+
+const listQuerySchema = Joi.object({
+  audience: Joi.string().valid('control', 'public').default('control'),
+  types: typeListSchema.optional()
+});
+
+const vesselTypeSchema = Joi.object({
+  label: Joi.string().min(1).max(100).optional(),
+  style: Joi.object({
+    color: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).optional(),
+    shape: Joi.string().valid(...vessels.SHAPES).optional(),
+    size: Joi.number().integer().min(8).max(64).optional()
+  }).optional(),
+  permissions: Joi.object({
+    publicMap: Joi.boolean().optional(),
+    dispatchable: Joi.boolean().optional()
+  }).optional()
+});
+
+const createVesselSchema = Joi.object({
+  code: Joi.string().pattern(/^[A-Za-z0-9_-]+$/).max(20).required(),
+  name: Joi.string().min(1).max(255).required(),
+  vesselType: Joi.string().valid(...vessels.SUPPORT_VESSEL_TYPES).required(),
+  contactPhone: Joi.string().max(30).allow('', null).optional()
+});
+
+const updateVesselSchema = Joi.object({
+  name: Joi.string().min(1).max(255).optional(),
+  vesselType: Joi.string().valid(...vessels.SUPPORT_VESSEL_TYPES).optional(),
+  contactPhone: Joi.string().max(30).allow('', null).optional()
+}).min(1);
+
+const nearestQuerySchema = Joi.object({
+  boat: Joi.number().integer().positive().optional(),
+  incident: Joi.number().integer().positive().optional(),
+  lat: Joi.number().min(-90).max(90).optional(),
+  lng: Joi.number().min(-180).max(180).optional(),
+  types: typeListSchema.default('rescue'),
+  limit: Joi.number().integer().min(1).max(20).default(3)
+}).and('lat', 'lng').oxor('boat', 'incident', 'lat');
+
+function validationError(res, error) {
+  return res.status(400).json({
+    success: false,
+    error: 'Validation error',
+    details: error.details.map(detail => detail.message)
+  });
+}
+
+/**
+ * Respond with the status attached to vessel errors (404 / 409 / 400), else 500
+ */
+function vesselErrorResponse(res, error, message) {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  logger.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error',
+    message
+  });
+}
+
+/**
+ * GET /api/vessels?audience=public&types=parade,organisation
+ * Parade boats and support vessels with their type, map style and last known position.
+ * The public audience only gets types shown on the public map, without contact numbers.
+ */
+router.get('/', async (req, res) => {
+  const { error, value } = listQuerySchema.validate(req.query);
+  if (error) {
+    return validationError(res, error);
+  }
+
+  try {
+    const list = await vessels.listVessels({
+      audience: value.audience,
+      types: value.types ? value.types.split(',') : null
+    });
+
+    res.json({
+      success: true,
+      count: list.length,
+      vessels: list,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    vesselErrorResponse(res, error, 'Failed to fetch vessels');
+  }
+});
+
+/**
+ * GET /api/vessels/types
+ * Vessel types with their map styling and permissions
+ */
+router.get('/types', (req, res) => {
+  res.json({
+    success: true,
+    types: vessels.getVesselTypes(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * PUT /api/vessels/types/:type
+ * Change label, map styling or permissions of a vessel type (requires X-Admin-Key)
+ * Body: { label, style: { color, shape, size }, permissions: { publicMap, dispatchable } }
+ */
+router.put('/types/:type', webhookAuth.requireAdminKey, async (req, res) => {
+  const { error, value } = vesselTypeSchema.validate(req.body);
+  if (error) {
+    return validationError(res, error);
+  }
+
+  try {
+    const vesselType = await vessels.saveVesselType(req.params.type, value);
+
+    res.json({
+      success: true,
+      type: vesselType,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    vesselErrorResponse(res, error, 'Failed to save vessel type');
+  }
+});
+
+/**
+ * GET /api/vessels/nearest-rescue?boat=12 | ?incident=7 | ?lat=52.37&lng=4.90
+ * Nearest rescue vessels to a parade boat, an emergency or a location
+ * (?types=rescue,police for other dispatchable types, ?limit=3)
+ */
+router.get('/nearest-rescue', async (req, res) => {
+  const { error, value } = nearestQuerySchema.validate(req.query);
+  if (error) {
+    return validationError(res, error);
+  }
+
+  try {
+    const result = await vessels.findNearestVessels({
+      boatNumber: value.boat,
+      emergencyId: value.incident,
+      latitude: value.lat,
+      longitude: value.lng
+    }, {
+      types: value.types.split(','),
+      limit: value.limit
+    });
+
+    res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    vesselErrorResponse(res, error, 'Failed to find nearest rescue vessel');
+  }
+});
+
+/**
+ * POST /api/vessels
+ * Register a support vessel (requires X-Admin-Key)
+ * Body: { code, name, vesselType, contactPhone }
+ */
+router.post('/', webhookAuth.requireAdminKey, async (req, res) => {
+  const { error, value } = createVesselSchema.validate(req.body);
+  if (error) {
+    return validationError(res, error);
+  }
+
+  try {
+    const vessel = await vessels.createVessel(value);
+
+    res.status(201).json({
+      success: true,
+      vessel,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    vesselErrorResponse(res, error, 'Failed to create vessel');
+  }
+});
+
+/**
+ * PATCH /api/vessels/:code
+ * Change name, type or contact number of a support vessel (requires X-Admin-Key)
+ * Body: { name, vesselType, contactPhone }
+ */
+router.patch('/:code', webhookAuth.requireAdminKey, async (req, res) => {
+  const { error, value } = updateVesselSchema.validate(req.body);
+  if (error) {
+    return validationError(res, error);
+  }
+
+  try {
+    const vessel = await vessels.updateVessel(req.params.code, value);
+
+    res.json({
+      success: true,
+      vessel,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    vesselErrorResponse(res, error, 'Failed to update vessel');
+  }
+});
+
+module.exports = router;
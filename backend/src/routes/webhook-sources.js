@@ -0,0 +1,227 @@
+const express = require('express');
+const Joi = require('joi');
+const logger = require('../services/logger');
+const database = require('../models/database');
+const webhookAuth = require('../services/webhookAuth');
+
+const router = express.Router();
+
+// All webhook source management requires the admin key
+router.use(webhookAuth.requireAdminKey);
+
+// Validation schemas
+const ipAllowlistSchema = Joi.array().items(Joi.string().ip({ version: ['ipv4', 'ipv6'], cidr: 'optional' }));
+
+const createSourceSchema = Joi.object({
+  name: Joi.string().pattern(/^[a-z0-9_-]+$/i).min(1).max(100).required(),
+  secret: Joi.string().min(32).max(255).optional(),
+  description: Joi.string().max(1000).optional(),
+  ip_allowlist: ipAllowlistSchema.optional(),
+  is_active: Joi.boolean().optional()
+});
+
+const updateSourceSchema = Joi.object({
+  description: Joi.string().max(1000).allow(null).optional(),
+  ip_allowlist: ipAllowlistSchema.optional(),
+  is_active: Joi.boolean().optional()
+});
+
+const rotateSecretSchema = Joi.object({
+  secret: Joi.string().min(32).max(255).optional()
+});
+
+/**
+ * Hide the shared secret in API responses; only its last characters are shown
+ */
+function toPublicSource(source) {
+  const { secret, ...publicSource } = source;
+  return {
+    ...publicSource,
+    secret_hint: secret ? `…${secret.slice(-4)}` : null
+  };
+}
+
+/**
+ * GET /api/webhook-sources
+ * List webhook sources (secrets masked)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const sources = await database.getWebhookSources();
+
+    res.json({
+      success: true,
+      count: sources.length,
+      authRequired: webhookAuth.isAuthRequired(),
+      sources: sources.map(toPublicSource)
+    });
+  } catch (error) {
+    logger.error('Error fetching webhook sources:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to fetch webhook sources'
+    });
+  }
+});
+
+/**
+ * POST /api/webhook-sources
+ * Create a webhook source; the secret is generated unless provided and is only returned here
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = createSourceSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const existing = await database.getWebhookSourceByName(value.name);
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: 'Webhook source already exists',
+        name: value.name
+      });
+    }
+
+    const source = await database.createWebhookSource({
+      ...value,
+      secret: value.secret || webhookAuth.generateSecret()
+    });
+
+    logger.info(`🔑 Webhook source created: ${source.name}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook source created. Store the secret now, it is not shown again.',
+      source: toPublicSource(source),
+      secret: source.secret
+    });
+  } catch (error) {
+    logger.error('Error creating webhook source:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to create webhook source'
+    });
+  }
+});
+
+/**
+ * PUT /api/webhook-sources/:name
+ * Update description, IP allowlist or active flag
+ */
+router.put('/:name', async (req, res) => {
+  try {
+    const { error, value } = updateSourceSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const source = await database.updateWebhookSource(req.params.name, value);
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook source not found',
+        name: req.params.name
+      });
+    }
+
+    res.json({
+      success: true,
+      source: toPublicSource(source)
+    });
+  } catch (error) {
+    logger.error('Error updating webhook source:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message === 'No fields to update' ? error.message : 'Failed to update webhook source'
+    });
+  }
+});
+
+/**
+ * POST /api/webhook-sources/:name/rotate
+ * Replace the shared secret; the new secret is only returned here
+ */
+router.post('/:name/rotate', async (req, res) => {
+  try {
+    const { error, value } = rotateSecretSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const source = await database.updateWebhookSource(req.params.name, {
+      secret: value.secret || webhookAuth.generateSecret()
+    });
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook source not found',
+        name: req.params.name
+      });
+    }
+
+    logger.info(`🔑 Webhook source secret rotated: ${source.name}`);
+
+    res.json({
+      success: true,
+      message: 'Secret rotated. Requests signed with the old secret are rejected from now on.',
+      source: toPublicSource(source),
+      secret: source.secret
+    });
+  } catch (error) {
+    logger.error('Error rotating webhook source secret:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to rotate webhook source secret'
+    });
+  }
+});
+
+/**
+ * DELETE /api/webhook-sources/:name
+ * Remove a webhook source
+ */
+router.delete('/:name', async (req, res) => {
+  try {
+    const source = await database.deleteWebhookSource(req.params.name);
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook source not found',
+        name: req.params.name
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Webhook source deleted',
+      source: toPublicSource(source)
+    });
+  } catch (error) {
+    logger.error('Error deleting webhook source:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to delete webhook source'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,112 +1,26 @@
 const express = require('express');
 const Joi = require('joi');
 const logger = require('../services/logger');
-const routeMapper = require('../services/routeMapper');
-const boatState = require('../services/boatState');
+const gpsIngestion = require('../services/gpsIngestion');
 const database = require('../models/database');
+const webhookAuth = require('../services/webhookAuth');
+const webhookReplay = require('../services/webhookReplay');
+const trackerHealth = require('../services/trackerHealth');
 
 const router = express.Router();
 
-/**
- * Extract and save GPS position from webhook payload
- * Scans for Long/Lat fields, timestamp, and accuracy (PosAcc)
- */
-async function extractAndSaveGPSPosition(payload, serNo, deviceIMEI, boatNumber = null) {
-  logger.info('🔍 Extracting GPS data from webhook payload:', { SerNo: serNo, IMEI: deviceIMEI });
-
-  try {
-    // Scan payload for GPS data in Records.Fields array
-    let gpsData = null;
-    let gpsTimestamp = null;
-
-    if (payload.Records && Array.isArray(payload.Records)) {
-      for (const record of payload.Records) {
-        if (record.Fields && Array.isArray(record.Fields)) {
-          for (const field of record.Fields) {
-            // Look for GPS coordinates (Long/Lat or Lng/Lat)
-            if ((field.Long !== undefined || field.Lng !== undefined) && field.Lat !== undefined) {
-              gpsData = {
-                latitude: parseFloat(field.Lat),
-                longitude: parseFloat(field.Long || field.Lng),
-                altitude: field.Alt ? parseFloat(field.Alt) : null,
-                speed: field.Spd ? parseFloat(field.Spd) : null,
-                heading: field.Head ? parseFloat(field.Head) : null,
-                accuracy: field.PosAcc ? parseFloat(field.PosAcc) : null, // Position accuracy
-                pdop: field.PDOP ? parseFloat(field.PDOP) : null, // Dilution of precision
-                gpsStatus: field.GpsStat ? parseInt(field.GpsStat) : null
-              };
-
-              // Use GPS timestamp if available, otherwise record timestamp
-              gpsTimestamp = field.GpsUTC || record.DateUTC || new Date().toISOString();
-
-              logger.info('📍 GPS data extracted:', {
-                lat: gpsData.latitude,
-                lng: gpsData.longitude,
-                accuracy: gpsData.accuracy,
-                timestamp: gpsTimestamp,
-                SerNo: serNo
-              });
-
-              break;
-            }
-          }
-          if (gpsData) break;
-        }
-      }
-    }
-
-    // If no GPS data found, return null
-    if (!gpsData || !gpsData.latitude || !gpsData.longitude) {
-      logger.warn('⚠️ No valid GPS coordinates found in webhook payload');
-      return null;
-    }
-
-    // Prepare GPS position data for database (without foreign key constraint)
-    const gpsPositionData = {
-      tracker_name: serNo ? serNo.toString() : (deviceIMEI || 'unknown'),
-      latitude: gpsData.latitude,
-      longitude: gpsData.longitude,
-      altitude: gpsData.altitude,
-      accuracy: gpsData.accuracy,
-      speed: gpsData.speed,
-      heading: gpsData.heading,
-      timestamp: new Date(gpsTimestamp),
-      raw_data: {
-        SerNo: serNo,
-        IMEI: deviceIMEI,
-        gpsStatus: gpsData.gpsStatus,
-        pdop: gpsData.pdop,
-        originalPayload: payload
-      }
-    };
-
-    // Save to database using direct insert (bypass foreign key constraint)
-    const savedId = await database.saveGPSPositionDirect(gpsPositionData);
-
-    logger.info('✅ GPS position saved to database:', {
-      id: savedId,
-      SerNo: serNo,
-      tracker: gpsPositionData.tracker_name,
-      lat: gpsData.latitude,
-      lng: gpsData.longitude,
-      accuracy: gpsData.accuracy,
-      mapped: !!boatNumber
-    });
-
-    return gpsPositionData;
-
-  } catch (error) {
-    logger.error('❌ Error extracting/saving GPS position:', error);
-    throw error;
-  }
-}
-
 // Middleware to log webhook requests (only for actual webhook endpoints, not monitoring)
 async function logWebhookMiddleware(req, res, next) {
   // Skip logging for monitoring endpoints
-  if (req.path === '/logs' || req.path === '/stats' || req.path === '/gps-positions') {
+  if (req.path === '/logs' || req.path === '/stats' || req.path === '/gps-positions' || req.path === '/replay') {
+    return next();
+  }
+
+  // Registered both router-wide and per route; log each request only once
+  if (res.locals.webhookLogging) {
     return next();
   }
+  res.locals.webhookLogging = true;
 
   const startTime = Date.now();
 
@@ -142,7 +56,7 @@ async function logWebhookMiddleware(req, res, next) {
       const webhookData = {
         endpoint: req.path,
         method: req.method,
-        headers: req.headers,
+        headers: { ...req.headers, [webhookAuth.ADMIN_KEY_HEADER]: req.headers[webhookAuth.ADMIN_KEY_HEADER] ? '[redacted]' : undefined },
         body: req.body,
         query_params: req.query,
         ip_address: req.ip || req.connection.remoteAddress,
@@ -150,7 +64,9 @@ async function logWebhookMiddleware(req, res, next) {
         response_status: finalStatus,
         response_body: responseBody,
         processing_time_ms: processingTime,
-        error_message: null
+        error_message: res.locals.rejectionReason ? `Rejected: ${res.locals.rejectionReason}` : null,
+        duplicate_count: res.locals.duplicateCount || 0,
+        rejection_reason: res.locals.rejectionReason || null
       };
 
       await database.logWebhookRequest(webhookData);
@@ -249,9 +165,11 @@ const trackerPayloadSchema = Joi.object({
  * POST /api/webhooks/kpn-gps
  * 
  * Receives real-time GPS updates from KPN for parade boats
- * Maps GPS coordinates to parade route and updates boat state
+ * Every record in a (buffered) batch is saved and mapped to the parade route in
+ * chronological order; the response reports accepted, deduplicated and rejected records
+ * Requests must be signed by a registered webhook source (see services/webhookAuth.js)
  */
-router.post('/kpn-gps', logWebhookMiddleware, async (req, res) => {
+router.post('/kpn-gps', logWebhookMiddleware, webhookAuth.requireSignedWebhook, async (req, res) => {
   const startTime = Date.now();
 
   try {
@@ -270,94 +188,58 @@ router.post('/kpn-gps', logWebhookMiddleware, async (req, res) => {
       });
     }
 
-    // Extract data from payload - handle both simple and KPN formats
-    const { bootnummer, imei, IMEI, timestamp, DateUTC, latitude, longitude, altitude, accuracy, speed, heading, Records } = value;
-
-    // Extract serial number if present in payload
-    const serNo = req.body.SerNo || req.body.SerialNumber || req.body.serial || null;
-
-    // Use IMEI or imei (KPN uses uppercase)
-    const deviceIMEI = IMEI || imei;
-
-    // Extract GPS data from KPN Records format or direct fields
-    let gpsData = null;
-    let gpsTimestamp = timestamp || DateUTC;
-
-    if (Records && Array.isArray(Records) && Records.length > 0) {
-      // KPN format: extract from Records array
-      const record = Records[0]; // Use first record
-      gpsTimestamp = gpsTimestamp || record.DateUTC;
-
-      if (record.Fields && Array.isArray(record.Fields)) {
-        // Find GPS field (FType 0 or 1 is usually GPS, support both Long and Lng)
-        const gpsField = record.Fields.find(field =>
-          (field.FType === 0 || field.FType === 1) &&
-          field.Lat && (field.Long || field.Lng)
-        ) || record.Fields.find(field =>
-          field.Lat && (field.Long || field.Lng)
-        );
-
-        if (gpsField) {
-          gpsData = {
-            latitude: gpsField.Lat,
-            longitude: gpsField.Long || gpsField.Lng,
-            altitude: gpsField.Alt || altitude,
-            accuracy: gpsField.Acc || accuracy,
-            speed: gpsField.Speed || speed,
-            heading: gpsField.Course || heading
-          };
-
-          logger.info('🎯 GPS coordinates extracted from Records:', {
-            latitude: gpsData.latitude,
-            longitude: gpsData.longitude,
-            FType: gpsField.FType
-          });
-        } else {
-          logger.warn('❌ No GPS field found in Records.Fields:', record.Fields);
-        }
-      }
-    } else if (latitude && longitude) {
-      // Simple format: direct lat/long fields
-      gpsData = {
-        latitude,
-        longitude,
-        altitude,
-        accuracy,
-        speed,
-        heading
-      };
-    }
+    const { bootnummer } = value;
+
+    // Save every GPS fix (mapped and unmapped devices) and feed new fixes to boat state
+    const {
+      serNo,
+      imei: deviceIMEI,
+      boat,
+      records: recordSummary,
+      savedFixes,
+      latestFix,
+      lastRoutePosition,
+      updatedBoat
+    } = await gpsIngestion.ingestPayload(value, { bootnummer });
+
+    res.locals.duplicateCount = recordSummary.deduplicated;
 
-    if (!gpsData) {
+    // Live tracker health: last seen, reporting interval, fix quality and battery
+    await trackerHealth.recordPayload({ serNo, imei: deviceIMEI, boatNumber: boat ? boat.boat_number : null, fixes: savedFixes });
+
+    if (!latestFix) {
       logger.warn('No GPS coordinates found in payload:', req.body);
       return res.status(200).json({
         success: true,
         message: 'Data received but no GPS coordinates found',
-        device: { serNo, IMEI: deviceIMEI, mapped: false }
+        device: { serNo, IMEI: deviceIMEI, mapped: false },
+        records: recordSummary
       });
     }
 
-    // Determine boat identifier and get boat info from database
-    let boat = null;
-    let boatIdentifier = null;
-
-    if (bootnummer) {
-      boat = await database.getBoat(bootnummer);
-      boatIdentifier = bootnummer;
-    } else if (deviceIMEI) {
-      boat = await database.getBoat(deviceIMEI);
-      boatIdentifier = deviceIMEI;
-    }
+    const latestGps = {
+      timestamp: latestFix.timestamp,
+      coordinates: [latestFix.latitude, latestFix.longitude],
+      latitude: latestFix.latitude,
+      longitude: latestFix.longitude,
+      altitude: latestFix.altitude,
+      accuracy: latestFix.accuracy,
+      speed: latestFix.speed,
+      heading: latestFix.heading
+    };
 
     // Log GPS data even if boat not found (for serial tracking)
     logger.info('KPN GPS data received:', {
       bootnummer,
       imei: deviceIMEI,
       serNo,
-      coordinates: [gpsData.latitude, gpsData.longitude],
-      timestamp: gpsTimestamp,
+      coordinates: latestGps.coordinates,
+      timestamp: latestGps.timestamp,
       boatFound: !!boat,
-      recordCount: Records ? Records.length : 0
+      recordCount: recordSummary.total,
+      accepted: recordSummary.accepted,
+      deduplicated: recordSummary.deduplicated,
+      rejected: recordSummary.rejected
     });
 
     if (!boat) {
@@ -365,8 +247,8 @@ router.post('/kpn-gps', logWebhookMiddleware, async (req, res) => {
         bootnummer,
         imei: deviceIMEI,
         serNo,
-        coordinates: [gpsData.latitude, gpsData.longitude],
-        timestamp: gpsTimestamp
+        coordinates: latestGps.coordinates,
+        timestamp: latestGps.timestamp
       });
 
       // Return success instead of error to keep KPN happy
@@ -379,11 +261,8 @@ router.post('/kpn-gps', logWebhookMiddleware, async (req, res) => {
           bootnummer,
           mapped: false
         },
-        gpsData: {
-          timestamp: gpsTimestamp,
-          coordinates: [gpsData.latitude, gpsData.longitude],
-          ...gpsData
-        },
+        gpsData: latestGps,
+        records: recordSummary,
         processed: {
           timestamp: new Date().toISOString(),
           processingTimeMs: Date.now() - startTime
@@ -392,32 +271,9 @@ router.post('/kpn-gps', logWebhookMiddleware, async (req, res) => {
     }
 
     const actualBoatNumber = boat.boat_number;
+    const processingTime = Date.now() - startTime;
 
-    logger.info(`GPS update received for boat ${actualBoatNumber}`, {
-      bootnummer: actualBoatNumber,
-      imei: boat.imei,
-      serNo,
-      timestamp: gpsTimestamp,
-      coordinates: [gpsData.latitude, gpsData.longitude],
-      accuracy: gpsData.accuracy,
-      speed: gpsData.speed || 'unknown'
-    });
-
-    // Map GPS coordinates to parade route
-    const routePosition = await routeMapper.mapToRoute({
-      latitude: gpsData.latitude,
-      longitude: gpsData.longitude,
-      timestamp: new Date(gpsTimestamp)
-    });
-
-    if (!routePosition) {
-      logger.warn(`Could not map GPS position to route for boat ${actualBoatNumber}`, {
-        bootnummer: actualBoatNumber,
-        imei: boat.imei,
-        serNo,
-        coordinates: [gpsData.latitude, gpsData.longitude]
-      });
-
+    if (!lastRoutePosition) {
       // Return success even if route mapping fails
       return res.status(200).json({
         success: true,
@@ -429,76 +285,16 @@ router.post('/kpn-gps', logWebhookMiddleware, async (req, res) => {
           boatNumber: actualBoatNumber,
           boatName: boat.name
         },
-        gpsData: {
-          timestamp: gpsTimestamp,
-          coordinates: [gpsData.latitude, gpsData.longitude],
-          ...gpsData
-        }
+        gpsData: latestGps,
+        records: recordSummary
       });
     }
 
-    // Prepare position data
-    const positionData = {
-      latitude: gpsData.latitude,
-      longitude: gpsData.longitude,
-      timestamp: new Date(gpsTimestamp),
-      routeDistance: routePosition.distanceMeters,
-      routeProgress: routePosition.progressPercent,
-      speed: gpsData.speed || routePosition.estimatedSpeed,
-      heading: gpsData.heading || routePosition.heading,
-      altitude: gpsData.altitude || null,
-      accuracy: accuracy || null
-    };
-
-    // Save to database (mapped boats)
-    if (actualBoatNumber) {
-      try {
-        await database.saveBoatPosition(actualBoatNumber, {
-          ...positionData,
-          imei: boat.imei
-        });
-      } catch (dbError) {
-        logger.error('Failed to save position to database:', dbError);
-        // Continue processing even if database save fails
-      }
-    }
-
-    // Always save GPS data for later analysis (even unmapped devices)
-    let gpsPositionData = null;
-    let gpsMapped = false;
-
-    try {
-      gpsPositionData = await extractAndSaveGPSPosition(req.body, serNo, deviceIMEI, actualBoatNumber);
-
-      if (gpsPositionData) {
-        gpsMapped = true;
-        logger.info('✅ GPS position saved successfully:', {
-          SerNo: serNo,
-          IMEI: deviceIMEI,
-          boatNumber: actualBoatNumber || 'unmapped',
-          latitude: gpsPositionData.latitude,
-          longitude: gpsPositionData.longitude,
-          accuracy: gpsPositionData.accuracy,
-          timestamp: gpsPositionData.timestamp,
-          mapped: !!actualBoatNumber
-        });
-      }
-    } catch (saveError) {
-      logger.error('Failed to save GPS data for analysis:', saveError);
-    }
-
-    // Update in-memory boat state
-    const updatedBoat = await boatState.updateBoatPosition(actualBoatNumber, positionData);
-
-    // Trigger corridor algorithm and status updates
-    await updateBoatState(actualBoatNumber, updatedBoat);
-
-    const processingTime = Date.now() - startTime;
-
     logger.info(`GPS update processed successfully for boat ${actualBoatNumber}`, {
       bootnummer: actualBoatNumber,
       imei: boat.imei,
-      routeProgress: routePosition.progressPercent,
+      routeProgress: lastRoutePosition.progressPercent,
+      fixesProcessed: savedFixes.length - recordSummary.unmappedToRoute - recordSummary.outliersRejected,
       processingTimeMs: processingTime
     });
 
@@ -507,23 +303,23 @@ router.post('/kpn-gps', logWebhookMiddleware, async (req, res) => {
       success: true,
       bootnummer: actualBoatNumber,
       imei: boat.imei,
-      mapped: gpsMapped, // GPS position successfully saved to database
-      gps: gpsPositionData ? {
-        latitude: gpsPositionData.latitude,
-        longitude: gpsPositionData.longitude,
-        accuracy: gpsPositionData.accuracy,
-        timestamp: gpsPositionData.timestamp
-      } : null,
+      mapped: savedFixes.length > 0, // GPS positions successfully saved to database
+      gps: {
+        latitude: latestGps.latitude,
+        longitude: latestGps.longitude,
+        accuracy: latestGps.accuracy,
+        timestamp: latestGps.timestamp
+      },
+      records: recordSummary,
       processed: {
         timestamp: new Date().toISOString(),
-        routeProgress: `${routePosition.progressPercent.toFixed(2)}%`,
-        routeDistance: `${routePosition.distanceMeters}m`,
+        routeProgress: `${lastRoutePosition.progressPercent.toFixed(2)}%`,
+        routeDistance: `${lastRoutePosition.distanceMeters}m`,
         processingTimeMs: processingTime
       },
       ...(process.env.NODE_ENV === 'development' && {
         debug: {
-          originalCoordinates: [latitude, longitude],
-          mappedPosition: routePosition,
+          mappedPosition: lastRoutePosition,
           boatState: updatedBoat
         }
       })
@@ -552,8 +348,10 @@ router.post('/kpn-gps', logWebhookMiddleware, async (req, res) => {
  *
  * Receives GPS updates from tracker devices in the format:
  * {"SerNo":1326997,"IMEI":"353760970649317","Records":[...]}
+ * Records are processed oldest first, regardless of their order in the payload
+ * Requests must be signed by a registered webhook source
  */
-router.post('/tracker-gps', logWebhookMiddleware, async (req, res) => {
+router.post('/tracker-gps', logWebhookMiddleware, webhookAuth.requireSignedWebhook, async (req, res) => {
   const startTime = Date.now();
 
   try {
@@ -572,210 +370,84 @@ router.post('/tracker-gps', logWebhookMiddleware, async (req, res) => {
       });
     }
 
-    const { SerNo, IMEI, Records } = value;
+    const { SerNo, IMEI } = value;
+
+    // Same pipeline as /kpn-gps: the boat is the one the tracker was mapped to at the time of the fixes
+    const {
+      boat,
+      records: recordSummary,
+      savedFixes,
+      lastRoutePosition
+    } = await gpsIngestion.ingestPayload(value);
+
+    res.locals.duplicateCount = recordSummary.deduplicated;
+    const boatNumber = boat ? boat.boat_number : null;
 
-    // Get device mapping from IMEI
-    const deviceMapping = await database.getDeviceMappingByIMEI(IMEI);
-    let boatNumber = null;
+    // Retried deliveries are not counted twice in the tracker health
+    await trackerHealth.recordPayload({ serNo: SerNo, imei: IMEI, boatNumber, fixes: savedFixes });
+
+    recordSummary.rejectedDetails.forEach(rejection => {
+      logger.debug('Record without valid GPS data skipped', rejection);
+    });
 
-    if (!deviceMapping) {
+    if (!boat) {
       logger.warn('GPS data received for unmapped device - storing serial data anyway:', {
         SerNo,
         IMEI,
-        recordCount: Records.length
-      });
-      // Continue processing even without mapping - just log the serial data
-    } else {
-      boatNumber = deviceMapping.boat_number;
-      logger.info('GPS data received for mapped device:', {
-        SerNo,
-        IMEI,
-        boatNumber,
-        recordCount: Records.length
+        recordCount: recordSummary.total
       });
     }
 
-    const boatName = deviceMapping?.boat_name || 'Unmapped Device';
-
-    const processedRecords = [];
-
-    // Process each GPS record
-    for (const record of Records) {
-      try {
-        // Find GPS field - try multiple methods for flexibility
-        let gpsField = null;
-
-        if (record.Fields && Array.isArray(record.Fields)) {
-          // Method 1: Find GPS data by FType 0
-          gpsField = record.Fields.find(field => field.FType === 0);
-
-          // Method 2: Find any field with Lat/Long if FType method fails
-          if (!gpsField || !gpsField.Lat || !gpsField.Long) {
-            gpsField = record.Fields.find(field => field.Lat && field.Long);
-          }
-        }
-
-        // Method 3: Check if GPS data is directly in the record
-        if (!gpsField && record.Lat && record.Long) {
-          gpsField = record;
-        }
-
-        if (!gpsField || !gpsField.Lat || !gpsField.Long) {
-          logger.debug('Record without valid GPS data skipped', {
-            SeqNo: record.SeqNo,
-            hasFields: !!record.Fields,
-            fieldsCount: record.Fields?.length || 0,
-            recordKeys: Object.keys(record)
-          });
-          continue;
-        }
-
-        const { Lat: latitude, Long: longitude, Alt: altitude, Spd: speed, Head: heading, PosAcc: accuracy, GpsUTC } = gpsField;
-
-        // Use GPS timestamp or record timestamp
-        const timestamp = new Date(GpsUTC || record.DateUTC);
-
-        // Prepare basic position data
-        const positionData = {
-          latitude,
-          longitude,
-          timestamp,
-          speed: speed || null,
-          heading: heading || null,
-          altitude: altitude || null,
-          accuracy: accuracy || null,
-          serNo: SerNo,
-          imei: IMEI
-        };
-
-        // Try to map GPS coordinates to parade route (only if we have a boat mapping)
-        let routePosition = null;
-        if (boatNumber) {
-          try {
-            routePosition = await routeMapper.mapToRoute({
-              latitude,
-              longitude,
-              timestamp
-            });
-
-            if (routePosition) {
-              positionData.routeDistance = routePosition.distanceMeters;
-              positionData.routeProgress = routePosition.progressPercent;
-              positionData.speed = speed || routePosition.estimatedSpeed;
-              positionData.heading = heading || routePosition.heading;
-            }
-          } catch (routeError) {
-            logger.warn('Route mapping failed, continuing with basic GPS data:', routeError.message);
-          }
-        }
-
-        // Save to database (only if we have a boat number)
-        if (boatNumber) {
-          try {
-            await database.saveBoatPosition(boatNumber, {
-              ...positionData,
-              device_imei: IMEI
-            });
-
-            // Update in-memory boat state
-            const updatedBoat = await boatState.updateBoatPosition(boatNumber, positionData);
-
-            // Trigger corridor algorithm and status updates
-            await updateBoatState(boatNumber, updatedBoat);
-          } catch (dbError) {
-            logger.error('Failed to save position to database:', dbError);
-            // Continue processing even if database save fails
-          }
-        }
-
-        // Always save GPS data for later analysis (even unmapped devices)
-        let recordGpsData = null;
-        try {
-          recordGpsData = await extractAndSaveGPSPosition(req.body, SerNo, IMEI, boatNumber);
-
-          if (recordGpsData) {
-            logger.info('✅ GPS position saved from tracker-gps webhook:', {
-              SerNo,
-              IMEI,
-              boatNumber: boatNumber || 'unmapped',
-              latitude: recordGpsData.latitude,
-              longitude: recordGpsData.longitude,
-              accuracy: recordGpsData.accuracy,
-              timestamp: recordGpsData.timestamp,
-              hasRouteMapping: !!routePosition
-            });
-          }
-        } catch (saveError) {
-          logger.error('Failed to save GPS data for analysis:', saveError);
-        }
-
-        processedRecords.push({
-          SeqNo: record.SeqNo,
-          serNo: SerNo,
-          imei: IMEI,
-          timestamp: timestamp.toISOString(),
-          coordinates: [latitude, longitude],
-          routeProgress: routePosition?.progressPercent || null,
-          boatNumber: boatNumber || null,
-          mapped: !!recordGpsData, // GPS successfully saved to database
-          gps: recordGpsData ? {
-            latitude: recordGpsData.latitude,
-            longitude: recordGpsData.longitude,
-            accuracy: recordGpsData.accuracy
-          } : null
-        });
-
-        logger.debug(`GPS record processed`, {
-          SeqNo: record.SeqNo,
-          SerNo,
-          IMEI,
-          boatNumber: boatNumber || 'unmapped',
-          routeProgress: routePosition?.progressPercent || null
-        });
-
-      } catch (recordError) {
-        logger.error('Error processing GPS record:', {
-          error: recordError.message,
-          SeqNo: record.SeqNo,
-          boatNumber
-        });
-      }
-    }
-
     const processingTime = Date.now() - startTime;
 
     logger.info(`Tracker GPS update processed`, {
       SerNo,
       IMEI,
       boatNumber: boatNumber || 'unmapped',
-      boatName,
-      totalRecords: Records.length,
-      processedRecords: processedRecords.length,
+      totalRecords: recordSummary.total,
+      accepted: recordSummary.accepted,
+      deduplicated: recordSummary.deduplicated,
+      lateFixes: recordSummary.lateFixes,
       processingTimeMs: processingTime,
-      mapped: !!boatNumber
+      mapped: !!boat
     });
 
     // Always return success response (even for unmapped devices)
     res.status(200).json({
       success: true,
-      message: boatNumber ? 'GPS data processed and mapped to boat' : 'GPS data received and logged (device not mapped)',
+      message: boat ? 'GPS data processed and mapped to boat' : 'GPS data received and logged (device not mapped)',
       device: {
         SerNo,
         IMEI,
-        mapped: !!boatNumber,
-        boatNumber: boatNumber || null,
-        boatName: boatName || null
+        mapped: !!boat,
+        boatNumber,
+        boatName: boat ? boat.name || null : null
       },
       processed: {
         timestamp: new Date().toISOString(),
-        totalRecords: Records.length,
-        processedRecords: processedRecords.length,
+        totalRecords: recordSummary.total,
+        processedRecords: savedFixes.length,
+        accepted: recordSummary.accepted,
+        deduplicated: recordSummary.deduplicated,
+        rejected: recordSummary.rejected,
+        unmappedToRoute: recordSummary.unmappedToRoute,
+        outliersRejected: recordSummary.outliersRejected,
+        lateFixes: recordSummary.lateFixes,
+        routeProgress: lastRoutePosition ? lastRoutePosition.progressPercent : null,
         processingTimeMs: processingTime
       },
-      records: processedRecords,
+      records: savedFixes.map(fix => ({
+        SeqNo: fix.seqNo,
+        serNo: SerNo,
+        imei: IMEI,
+        timestamp: fix.timestamp.toISOString(),
+        coordinates: [fix.latitude, fix.longitude],
+        boatNumber,
+        gpsPositionId: fix.gpsPositionId
+      })),
+      rejectedRecords: recordSummary.rejectedDetails,
       ...(process.env.NODE_ENV === 'development' && {
         debug: {
-          deviceMapping,
           rawPayload: req.body
         }
       })
@@ -798,62 +470,15 @@ router.post('/tracker-gps', logWebhookMiddleware, async (req, res) => {
   }
 });
 
-/**
- * Update boat state and trigger status changes
- * @param {number} bootId - Boat ID
- * @param {Object} boatData - Updated boat data
- */
-async function updateBoatState(bootId, boatData) {
-  try {
-    // Check corridor status
-    const corridorStatus = await boatState.checkCorridor(bootId);
-    
-    // Update boat status based on position and corridor
-    if (corridorStatus.outOfCorridor) {
-      await boatState.updateBoatStatus(bootId, 'corridor_warning', {
-        message: 'Boat is outside designated corridor',
-        severity: 'warning',
-        timestamp: new Date()
-      });
-    }
-
-    // Check for incidents or emergencies
-    const incidentStatus = await boatState.checkForIncidents(bootId, boatData);
-    if (incidentStatus.hasIncident) {
-      await boatState.triggerIncident(bootId, incidentStatus);
-    }
-
-    // Notify frontend via API or WebSocket
-    await notifyFrontend(bootId, {
-      position: boatData,
-      status: corridorStatus,
-      incidents: incidentStatus
-    });
-
-  } catch (error) {
-    logger.error(`Error updating boat state for boat ${bootId}:`, error);
-  }
-}
-
-/**
- * Notify frontend of boat status changes
- * @param {number} bootId - Boat ID
- * @param {Object} statusData - Status update data
- */
-async function notifyFrontend(bootId, statusData) {
-  // TODO: Implement WebSocket or Server-Sent Events for real-time updates
-  // For now, data is available via API endpoints
-  logger.debug(`Status update ready for boat ${bootId}`, statusData);
-}
-
 /**
  * KPN Serial Data Webhook Endpoint
  * POST /api/webhooks/kpn-serial
  *
  * Simplified endpoint for KPN serial data with minimal validation
  * Accepts any JSON payload and extracts GPS data flexibly
+ * Requests must be signed by a registered webhook source
  */
-router.post('/kpn-serial', logWebhookMiddleware, async (req, res) => {
+router.post('/kpn-serial', logWebhookMiddleware, webhookAuth.requireSignedWebhook, async (req, res) => {
   const startTime = Date.now();
 
   try {
@@ -872,100 +497,22 @@ router.post('/kpn-serial', logWebhookMiddleware, async (req, res) => {
     }
 
     const payload = req.body;
-    let processedRecords = [];
-
-    // Extract SerNo/IMEI for identification
-    const serNo = payload.SerNo || payload.SerialNumber || payload.serial;
-    const imei = payload.IMEI || payload.imei;
-
-    logger.info('Processing KPN serial data:', { serNo, imei });
-
-    // Try to extract GPS data from various possible structures
-    let records = [];
-
-    if (payload.Records && Array.isArray(payload.Records)) {
-      records = payload.Records;
-    } else if (payload.records && Array.isArray(payload.records)) {
-      records = payload.records;
-    } else if (payload.data && Array.isArray(payload.data)) {
-      records = payload.data;
-    } else if (payload.Lat && payload.Long) {
-      // Single GPS record
-      records = [payload];
-    }
 
-    for (const record of records) {
-      try {
-        let lat = null, lng = null, timestamp = null;
-
-        // Try different ways to extract GPS coordinates
-        if (record.Lat && record.Long) {
-          lat = record.Lat;
-          lng = record.Long;
-        } else if (record.latitude && record.longitude) {
-          lat = record.latitude;
-          lng = record.longitude;
-        } else if (record.Fields && Array.isArray(record.Fields)) {
-          for (const field of record.Fields) {
-            if (field.Lat && field.Long) {
-              lat = field.Lat;
-              lng = field.Long;
-              break;
-            }
-          }
-        }
+    // Whatever structure was sent (Records/records/data or a single fix) goes through the
+    // same pipeline as /kpn-gps, boat state included when the tracker is mapped
+    const {
+      adapter,
+      serNo,
+      imei,
+      boat,
+      records: recordSummary,
+      savedFixes
+    } = await gpsIngestion.ingestPayload(payload);
 
-        // Try different timestamp formats
-        timestamp = record.GpsUTC || record.DateUTC || record.timestamp || record.time || new Date().toISOString();
-
-        if (lat && lng && serNo) {
-          const gpsData = {
-            ser_no: serNo,
-            latitude: parseFloat(lat),
-            longitude: parseFloat(lng),
-            altitude: record.Alt || record.altitude || null,
-            accuracy: record.Accuracy || record.accuracy || null,
-            speed: record.Speed || record.speed || null,
-            heading: record.Dir || record.direction || record.heading || null,
-            timestamp: new Date(timestamp),
-            raw_data: record
-          };
-
-          // Save GPS position to database
-          try {
-            await database.saveGPSPositionSimple(gpsData);
-            logger.info('✅ GPS position saved to database:', {
-              serNo,
-              lat,
-              lng,
-              timestamp
-            });
-          } catch (saveError) {
-            logger.error('❌ Failed to save GPS position:', saveError);
-          }
-
-          processedRecords.push({
-            latitude: lat,
-            longitude: lng,
-            timestamp: timestamp,
-            serNo: serNo,
-            imei: imei,
-            rawRecord: record,
-            saved: true
-          });
-
-          logger.info('GPS data extracted and saved:', {
-            serNo,
-            imei,
-            lat,
-            lng,
-            timestamp
-          });
-        }
-      } catch (recordError) {
-        logger.warn('Error processing record:', recordError);
-      }
-    }
+    logger.info('Processing KPN serial data:', { serNo, imei, adapter, accepted: recordSummary.accepted });
+
+    res.locals.duplicateCount = recordSummary.deduplicated;
+    await trackerHealth.recordPayload({ serNo, imei, boatNumber: boat ? boat.boat_number : null, fixes: savedFixes });
 
     const processingTime = Date.now() - startTime;
 
@@ -975,13 +522,25 @@ router.post('/kpn-serial', logWebhookMiddleware, async (req, res) => {
       message: 'KPN serial data received',
       serNo,
       imei,
+      boatNumber: boat ? boat.boat_number : null,
       processed: {
         timestamp: new Date().toISOString(),
-        totalRecords: records.length,
-        processedRecords: processedRecords.length,
+        totalRecords: recordSummary.total,
+        processedRecords: savedFixes.length,
+        deduplicated: recordSummary.deduplicated,
+        rejected: recordSummary.rejected,
         processingTimeMs: processingTime
       },
-      gpsData: processedRecords,
+      gpsData: savedFixes.map(fix => ({
+        latitude: fix.latitude,
+        longitude: fix.longitude,
+        timestamp: fix.timestamp.toISOString(),
+        serNo,
+        imei,
+        rawRecord: fix.record,
+        saved: true
+      })),
+      rejectedRecords: recordSummary.rejectedDetails,
       debug: {
         originalPayload: payload
       }
@@ -1071,6 +630,61 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+// Filters for replaying logged webhook requests
+const replaySchema = Joi.object({
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional(),
+  endpoint: Joi.string().optional(),
+  serNo: Joi.alternatives(Joi.number().integer(), Joi.string()).optional(),
+  status: Joi.number().integer().min(100).max(599).optional(),
+  ids: Joi.array().items(Joi.number().integer()).optional(),
+  limit: Joi.number().integer().min(1).max(1000).default(100),
+  dryRun: Joi.boolean().default(true),
+  reapply: Joi.boolean().default(false),
+  boatNumber: Joi.number().integer().min(1).optional()
+});
+
+/**
+ * Replay Logged Webhooks
+ * POST /api/webhooks/replay
+ *
+ * Re-runs logged GPS webhook requests through the current ingestion pipeline.
+ * Filters: from, to, endpoint, serNo, status, ids, limit. Defaults to a dry run;
+ * send dryRun: false to write. Already stored fixes are never inserted twice.
+ * reapply: true runs stored fixes through route mapping and boat state again;
+ * boatNumber assigns the fixes to that boat instead of the tracker mapping.
+ * The report lists the boats and route positions that (would) change.
+ * Requires X-Admin-Key
+ */
+router.post('/replay', webhookAuth.requireAdminKey, async (req, res) => {
+  try {
+    const { error, value } = replaySchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { dryRun, reapply, boatNumber, ...filters } = value;
+    const report = await webhookReplay.replayWebhookLogs(filters, { dryRun, reapply, boatNumber });
+
+    res.json({
+      success: true,
+      data: report,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('❌ Error replaying webhook logs:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to replay webhook logs',
+      message: error.message
+    });
+  }
+});
+
 /**
  * Get Latest GPS Positions
  * GET /api/webhooks/gps-positions
@@ -1274,8 +888,9 @@ router.post('/test-log', logWebhookMiddleware, async (req, res) => {
  * POST /api/webhooks/test-gps
  *
  * Creates a test GPS position for debugging database save
+ * Requires X-Admin-Key
  */
-router.post('/test-gps', async (req, res) => {
+router.post('/test-gps', webhookAuth.requireAdminKey, async (req, res) => {
   try {
     logger.info('🧪 Testing GPS position save');
 
@@ -1341,8 +956,9 @@ router.post('/test-gps', async (req, res) => {
  * POST /api/webhooks/create-demo-mappings
  *
  * Creates demo boat-tracker mappings for testing
+ * Requires X-Admin-Key
  */
-router.post('/create-demo-mappings', async (req, res) => {
+router.post('/create-demo-mappings', webhookAuth.requireAdminKey, async (req, res) => {
   try {
     logger.info('🔧 Creating demo boat-tracker mappings...');
 
@@ -1432,8 +1048,9 @@ router.post('/create-demo-mappings', async (req, res) => {
  * POST /api/webhooks/create-simple-mappings
  *
  * Creates simplified tracker-boat mappings using SerNo directly
+ * Requires X-Admin-Key
  */
-router.post('/create-simple-mappings', async (req, res) => {
+router.post('/create-simple-mappings', webhookAuth.requireAdminKey, async (req, res) => {
   try {
     logger.info('🔧 Creating simplified tracker-boat mappings...');
 
@@ -0,0 +1,442 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+const vessels = require('./vessels');
+const database = require('../models/database');
+
+/**
+ * Rule-based auto-mapping of trackers
+ *
+ * Each tracker is mapped by the first rule that gives it a target: a parade boat
+ * (by parade position) or a support vessel (organisation, rescue, police or media
+ * boats with a tracker but no place in the parade). A plan is previewed first;
+ * applying it records one batch, so the last run can be rolled back as a whole.
+ */
+
+const RULE_TYPES = {
+  asset_code: 'Asset code matches a pattern; for parade boats the first capture group is the parade position',
+  serial_range: 'Tracker serial number (SerNo) within from..to; parade positions count up from firstPosition',
+  assignment: 'Assignment CSV with a tracker column and a boat (parade position) or vessel column'
+};
+
+const TARGETS = ['parade_boat', 'support_vessel'];
+const VESSEL_TYPES = vessels.SUPPORT_VESSEL_TYPES;
+
+const DEFAULT_RULES = [
+  { type: 'asset_code', pattern: '^P(\\d+)$', target: 'parade_boat' },
+  { type: 'asset_code', pattern: '^O\\d+$', target: 'support_vessel', vesselType: 'organisation' },
+  { type: 'asset_code', pattern: '^R\\d+$', target: 'support_vessel', vesselType: 'rescue' }
+];
+
+function autoMappingError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Parse an assignment CSV (comma, semicolon or tab separated)
+ * Columns: tracker (SerNo or asset code), boat (parade position) or vessel (code),
+ * and optionally type (a support vessel type, default organisation) and name
+ * @returns {Array<Object>} [{ tracker, boatNumber, vesselCode, vesselType, vesselName }]
+ */
+function parseAssignmentCSV(csv) {
+  const lines = String(csv || '').trim().split(/\r?\n/).filter(line => line.trim());
+  if (lines.length < 2) {
+    throw autoMappingError('Assignment CSV must contain a header row and at least one assignment', 400);
+  }
+
+  const separator = ['\t', ';', ','].find(candidate => lines[0].includes(candidate)) || ',';
+  const headers = lines[0].split(separator).map(header => header.trim().toLowerCase());
+  const column = names => headers.findIndex(header => names.includes(header));
+  const columns = {
+    tracker: column(['tracker', 'tracker_name', 'serno', 'asset_code']),
+    boat: column(['boat', 'boot', 'parade_position', 'position']),
+    vessel: column(['vessel', 'support_vessel']),
+    type: column(['type', 'vessel_type']),
+    name: column(['name', 'naam'])
+  };
+
+  if (columns.tracker === -1 || (columns.boat === -1 && columns.vessel === -1)) {
+    throw autoMappingError('Assignment CSV needs a tracker column and a boat or vessel column', 400);
+  }
+
+  return lines.slice(1).map((line, index) => {
+    const cells = line.split(separator).map(cell => cell.trim());
+    const cell = position => (position === -1 ? '' : cells[position] || '');
+    const assignment = {
+      tracker: cell(columns.tracker),
+      boatNumber: cell(columns.boat) ? parseInt(cell(columns.boat)) : null,
+      vesselCode: cell(columns.vessel) || null,
+      vesselType: cell(columns.type).toLowerCase() || 'organisation',
+      vesselName: cell(columns.name) || null
+    };
+
+    const row = index + 2;
+    if (!assignment.tracker) {
+      throw autoMappingError(`Assignment CSV row ${row}: tracker is empty`, 400);
+    }
+    if (assignment.boatNumber === null && !assignment.vesselCode) {
+      throw autoMappingError(`Assignment CSV row ${row}: give a boat or a vessel`, 400);
+    }
+    if (assignment.boatNumber !== null && (isNaN(assignment.boatNumber) || assignment.boatNumber < 1)) {
+      throw autoMappingError(`Assignment CSV row ${row}: boat must be a parade position`, 400);
+    }
+    if (assignment.vesselCode && !VESSEL_TYPES.includes(assignment.vesselType)) {
+      throw autoMappingError(`Assignment CSV row ${row}: type must be one of ${VESSEL_TYPES.join(', ')}`, 400);
+    }
+
+    return assignment;
+  });
+}
+
+/**
+ * Check rules and prepare them for matching (compiled patterns, parsed assignments)
+ * @param {Array<Object>} rules - Rules as given (default: DEFAULT_RULES)
+ */
+function normalizeRules(rules = DEFAULT_RULES) {
+  if (!Array.isArray(rules) || rules.length === 0) {
+    throw autoMappingError('At least one rule is required', 400);
+  }
+
+  return rules.map((rule, index) => {
+    const label = `Rule ${index + 1}`;
+    if (!RULE_TYPES[rule.type]) {
+      throw autoMappingError(`${label}: unknown type ${rule.type}`, 400);
+    }
+
+    const target = rule.target || 'parade_boat';
+    if (rule.type !== 'assignment') {
+      if (!TARGETS.includes(target)) {
+        throw autoMappingError(`${label}: target must be one of ${TARGETS.join(', ')}`, 400);
+      }
+      if (target === 'support_vessel' && !VESSEL_TYPES.includes(rule.vesselType)) {
+        throw autoMappingError(`${label}: vesselType must be one of ${VESSEL_TYPES.join(', ')}`, 400);
+      }
+    }
+
+    if (rule.type === 'asset_code') {
+      let pattern;
+      try {
+        pattern = new RegExp(rule.pattern);
+      } catch (error) {
+        throw autoMappingError(`${label}: invalid pattern (${error.message})`, 400);
+      }
+      // Matching the empty alternative reveals the number of capture groups
+      if (target === 'parade_boat' && new RegExp(`${rule.pattern}|`).exec('').length < 2) {
+        throw autoMappingError(`${label}: a parade boat pattern needs a capture group for the parade position`, 400);
+      }
+      return { ...rule, index, target, pattern };
+    }
+
+    if (rule.type === 'serial_range') {
+      const from = Number(rule.from);
+      const to = Number(rule.to);
+      if (!Number.isInteger(from) || !Number.isInteger(to) || from > to) {
+        throw autoMappingError(`${label}: from and to must be serial numbers with from <= to`, 400);
+      }
+      if (target === 'parade_boat' && !(parseInt(rule.firstPosition) >= 1)) {
+        throw autoMappingError(`${label}: firstPosition is required when mapping to parade boats`, 400);
+      }
+      return { ...rule, index, target, from, to, firstPosition: parseInt(rule.firstPosition) || null };
+    }
+
+    return { ...rule, index, target: 'assignment', assignments: parseAssignmentCSV(rule.csv) };
+  });
+}
+
+/**
+ * Target of a tracker under one rule, or null when the rule does not apply
+ * @returns {Object|null} { type: 'parade_boat', boatNumber } or { type: 'support_vessel', code, vesselType, name }
+ */
+function ruleTarget(rule, tracker) {
+  const vessel = (code, vesselType, name) => ({ type: 'support_vessel', code, vesselType, name: name || code });
+
+  if (rule.type === 'asset_code') {
+    const match = tracker.asset_code ? rule.pattern.exec(tracker.asset_code) : null;
+    if (!match) return null;
+    return rule.target === 'parade_boat'
+      ? { type: 'parade_boat', boatNumber: parseInt(match[1]) }
+      : vessel(tracker.asset_code, rule.vesselType);
+  }
+
+  if (rule.type === 'serial_range') {
+    const serial = Number(tracker.tracker_name);
+    if (!Number.isInteger(serial) || serial < rule.from || serial > rule.to) return null;
+    return rule.target === 'parade_boat'
+      ? { type: 'parade_boat', boatNumber: rule.firstPosition + (serial - rule.from) }
+      : vessel(tracker.asset_code || tracker.tracker_name, rule.vesselType);
+  }
+
+  const assignment = rule.assignments.find(candidate =>
+    candidate.tracker === String(tracker.tracker_name) || candidate.tracker === tracker.asset_code
+  );
+  if (!assignment) return null;
+  return assignment.boatNumber !== null
+    ? { type: 'parade_boat', boatNumber: assignment.boatNumber }
+    : vessel(assignment.vesselCode, assignment.vesselType, assignment.vesselName);
+}
+
+function targetKey(target) {
+  return target.type === 'parade_boat' ? `boat:${target.boatNumber}` : `vessel:${target.code}`;
+}
+
+function describeTarget(target) {
+  return target.type === 'parade_boat' ? `boat ${target.boatNumber}` : `${target.vesselType} vessel ${target.code}`;
+}
+
+/**
+ * Work out what the rules would change, without changing anything
+ * @param {Array<Object>} rules - Rules (default: DEFAULT_RULES)
+ * @param {Object} options - { replaceExisting: also move trackers and targets that are already mapped }
+ * @returns {Promise<Object>} { rules, replaceExisting, changes, summary, planHash }
+ */
+async function planAutoMapping(rules = DEFAULT_RULES, { replaceExisting = false } = {}) {
+  const normalized = normalizeRules(rules);
+
+  const [boats, trackers, activeMappings, vessels] = await Promise.all([
+    database.getAllPrideBoats(),
+    database.getAllKPNTrackers(),
+    database.getAllActiveBoatTrackerMappings(),
+    database.getSupportVessels()
+  ]);
+
+  if (trackers.length === 0) {
+    throw autoMappingError('No KPN trackers found, import the KPN CSV first', 400);
+  }
+
+  const boatByNumber = new Map(boats.map(boat => [boat.parade_position, boat]));
+  const vesselByCode = new Map(vessels.map(vessel => [vessel.code, vessel]));
+  const vesselById = new Map(vessels.map(vessel => [vessel.id, vessel]));
+  const boatById = new Map(boats.map(boat => [boat.id, boat]));
+
+  const mappedTarget = mapping => {
+    if (mapping.support_vessel_id) {
+      const vessel = vesselById.get(mapping.support_vessel_id);
+      return { type: 'support_vessel', code: vessel ? vessel.code : null, vesselType: vessel ? vessel.vessel_type : null };
+    }
+    const boat = boatById.get(mapping.pride_boat_id);
+    return { type: 'parade_boat', boatNumber: boat ? boat.parade_position : mapping.parade_position };
+  };
+
+  const mappingOfTarget = target => activeMappings.find(mapping => (target.type === 'parade_boat'
+    ? mapping.pride_boat_id === target.prideBoatId
+    : target.vesselId && mapping.support_vessel_id === target.vesselId));
+
+  const claimed = new Map();
+  const changes = [];
+
+  for (const tracker of trackers) {
+    const change = {
+      trackerName: String(tracker.tracker_name),
+      assetCode: tracker.asset_code || null,
+      kpnTrackerId: tracker.id,
+      rule: null,
+      target: null,
+      current: null,
+      ends: []
+    };
+    const skip = reason => changes.push({ ...change, action: 'skip', reason });
+
+    const current = activeMappings.find(mapping => mapping.kpn_tracker_id === tracker.id);
+    if (current) {
+      change.current = { mappingId: current.id, ...mappedTarget(current) };
+    }
+
+    let target = null;
+    for (const rule of normalized) {
+      target = ruleTarget(rule, tracker);
+      if (target) {
+        change.rule = rule.index;
+        break;
+      }
+    }
+
+    if (!target) {
+      skip('no rule matches');
+      continue;
+    }
+
+    if (target.type === 'parade_boat') {
+      const boat = boatByNumber.get(target.boatNumber);
+      if (!boat) {
+        change.target = target;
+        skip(`no boat at parade position ${target.boatNumber}`);
+        continue;
+      }
+      Object.assign(target, { prideBoatId: boat.id, boatName: boat.boat_name || boat.name || null });
+    } else {
+      const vessel = vesselByCode.get(target.code);
+      target.vesselId = vessel ? vessel.id : null;
+    }
+    change.target = target;
+
+    const key = targetKey(target);
+    if (claimed.has(key)) {
+      skip(`${describeTarget(target)} claimed by tracker ${claimed.get(key)}`);
+      continue;
+    }
+    claimed.set(key, change.trackerName);
+
+    if (change.current && targetKey(change.current) === key) {
+      changes.push({ ...change, action: 'unchanged', reason: null });
+      continue;
+    }
+
+    const occupant = mappingOfTarget(target);
+    if (!replaceExisting && (current || occupant)) {
+      skip(current
+        ? `tracker already mapped to ${describeTarget(change.current)}`
+        : `${describeTarget(target)} already has tracker ${occupant.tracker_name}`);
+      continue;
+    }
+
+    change.ends = [current, occupant].filter(Boolean).map(mapping => mapping.id);
+    changes.push({ ...change, action: change.ends.length > 0 ? 'remap' : 'map', reason: null });
+  }
+
+  const summary = { trackers: trackers.length, map: 0, remap: 0, unchanged: 0, skip: 0 };
+  changes.forEach(change => { summary[change.action]++; });
+
+  const planHash = crypto.createHash('sha256')
+    .update(JSON.stringify(changes.map(change => [change.kpnTrackerId, change.action, change.target && targetKey(change.target), change.ends])))
+    .digest('hex');
+
+  return {
+    rules: normalized.map(({ index, pattern, assignments, ...rule }) => (
+      pattern ? { ...rule, pattern: pattern.source } : rule
+    )),
+    replaceExisting,
+    changes,
+    summary,
+    planHash
+  };
+}
+
+/**
+ * Apply the plan of a set of rules as one batch
+ * @param {Array<Object>} rules - Rules (default: DEFAULT_RULES)
+ * @param {Object} options - { by, replaceExisting, planHash (from the preview; 409 when the plan changed since) }
+ * @returns {Promise<Object>} Plan plus { batch, errors } (batch null when nothing changes)
+ */
+async function applyAutoMapping(rules = DEFAULT_RULES, { by = 'auto-map', replaceExisting = false, planHash } = {}) {
+  const plan = await planAutoMapping(rules, { replaceExisting });
+
+  if (planHash && planHash !== plan.planHash) {
+    throw autoMappingError('Mappings changed since the preview, preview again', 409);
+  }
+
+  const applicable = plan.changes.filter(change => change.action === 'map' || change.action === 'remap');
+  if (applicable.length === 0) {
+    return { ...plan, batch: null, errors: [] };
+  }
+
+  const batch = await database.createMappingBatch({ rules: plan.rules, summary: plan.summary, created_by: by });
+  const audit = { by, reason: `Auto-map batch ${batch.id}`, batchId: batch.id };
+  const errors = [];
+
+  for (const change of applicable) {
+    try {
+      for (const mappingId of change.ends) {
+        await database.deactivateBoatTrackerMapping(mappingId, audit);
+      }
+
+      const { target } = change;
+      if (target.type === 'support_vessel' && !target.vesselId) {
+        const vessel = await database.createSupportVessel({ code: target.code, name: target.name, vessel_type: target.vesselType });
+        target.vesselId = vessel.id;
+      }
+
+      await database.createBoatTrackerMapping({
+        pride_boat_id: target.type === 'parade_boat' ? target.prideBoatId : null,
+        support_vessel_id: target.type === 'support_vessel' ? target.vesselId : null,
+        kpn_tracker_id: change.kpnTrackerId,
+        parade_position: target.type === 'parade_boat' ? target.boatNumber : null,
+        notes: `Auto-mapped: ${change.assetCode || change.trackerName} -> ${describeTarget(target)}`,
+        mapped_by: by,
+        reason: audit.reason,
+        batch_id: batch.id
+      });
+    } catch (error) {
+      errors.push(`${change.assetCode || change.trackerName}: ${error.message}`);
+      logger.error(`Error auto-mapping ${change.trackerName}:`, error);
+    }
+  }
+
+  logger.info(`🔗 Auto-map batch ${batch.id}: ${plan.summary.map} mapped, ${plan.summary.remap} remapped, ${plan.summary.skip} skipped`, { by });
+
+  return { ...plan, batch, errors };
+}
+
+/**
+ * Undo the last auto-mapping batch: end the mappings it created and restore the
+ * mappings it ended, where the boat or vessel and the tracker are still free
+ * @param {Object} options - { by }
+ * @returns {Promise<Object>} { batch, ended, restored, notRestored }
+ */
+async function rollbackLastBatch({ by = 'auto-map' } = {}) {
+  const batch = await database.getLastMappingBatch();
+  if (!batch) {
+    throw autoMappingError('No auto-mapping batch to roll back', 404);
+  }
+
+  const audit = { by, reason: `Rollback of auto-map batch ${batch.id}` };
+  const entries = await database.getMappingAudit({ batchId: batch.id, limit: 100000 });
+
+  let ended = 0;
+  for (const entry of entries.filter(candidate => candidate.action === 'map')) {
+    if (await database.deactivateBoatTrackerMapping(entry.mapping_id, audit)) {
+      ended++;
+    }
+  }
+
+  const endedIds = entries.filter(entry => entry.action === 'unmap').map(entry => entry.mapping_id);
+  const originals = endedIds.length > 0 ? await database.getBoatTrackerMappingsByIds(endedIds) : [];
+  const activeMappings = await database.getAllActiveBoatTrackerMappings();
+  const restored = [];
+  const notRestored = [];
+
+  for (const original of originals) {
+    const taken = activeMappings.find(mapping =>
+      mapping.kpn_tracker_id === original.kpn_tracker_id ||
+      (original.pride_boat_id && mapping.pride_boat_id === original.pride_boat_id) ||
+      (original.support_vessel_id && mapping.support_vessel_id === original.support_vessel_id)
+    );
+    if (taken) {
+      notRestored.push({ mappingId: original.id, trackerName: original.tracker_name, reason: `taken by mapping ${taken.id}` });
+      continue;
+    }
+
+    const mapping = await database.createBoatTrackerMapping({
+      pride_boat_id: original.pride_boat_id,
+      support_vessel_id: original.support_vessel_id,
+      kpn_tracker_id: original.kpn_tracker_id,
+      parade_position: original.parade_position,
+      tracker_name: original.tracker_name,
+      asset_code: original.asset_code,
+      notes: original.notes,
+      mapped_by: by,
+      reason: audit.reason
+    });
+    activeMappings.push(mapping);
+    restored.push({ mappingId: mapping.id, trackerName: mapping.tracker_name, restoredFrom: original.id });
+  }
+
+  const rolledBack = await database.markMappingBatchRolledBack(batch.id, by);
+  if (!rolledBack) {
+    throw autoMappingError(`Auto-map batch ${batch.id} was rolled back concurrently`, 409);
+  }
+
+  logger.info(`↩️ Auto-map batch ${batch.id} rolled back: ${ended} ended, ${restored.length} restored`, { by });
+
+  return { batch: rolledBack, ended, restored, notRestored };
+}
+
+module.exports = {
+  RULE_TYPES,
+  VESSEL_TYPES,
+  DEFAULT_RULES,
+  parseAssignmentCSV,
+  planAutoMapping,
+  applyAutoMapping,
+  rollbackLastBatch
+};
@@ -1,10 +1,32 @@
 const logger = require('./logger');
+const routeMapper = require('./routeMapper');
+const eventStream = require('./eventStream');
+const spatialIndex = require('./spatialIndex');
 const database = require('../models/database');
 
 // In-memory storage for boat states (with database persistence)
 const boatStates = new Map();
 const boatHistory = new Map();
 
+// Checkpointing: boat states are written to Redis and boat_state_checkpoints so a
+// redeploy during the parade can pick up where it left off
+const CHECKPOINT_CACHE_KEY = 'boat-states:checkpoint';
+const CHECKPOINT_TTL_SECONDS = 12 * 60 * 60;
+const DEFAULT_CHECKPOINT_INTERVAL_MS = 30 * 1000;
+const INCIDENT_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
+let checkpointTimer = null;
+let lastCheckpointAt = null;
+let recoveryStatus = {
+  recovered: false,
+  source: null,
+  recoveredAt: null,
+  stateTimestamp: null,
+  boatCount: 0,
+  positionsCaughtUp: 0,
+  incidentsRestored: 0
+};
+
 /**
  * Boat state structure
  */
@@ -24,15 +46,123 @@ const createBoatState = (boatId) => ({
   corridor: {
     inCorridor: true,
     lastWarning: null,
-    warningCount: 0
+    warningCount: 0,
+    exitedAt: null,
+    maxDistanceOutside: null
   },
   incidents: [],
   lastUpdate: new Date(),
   created: new Date()
 });
 
+/**
+ * Position fields sent to stream subscribers
+ */
+function toPositionDelta(boat) {
+  const { latitude, longitude, timestamp, routeDistance, routeProgress, speed, heading,
+    distanceFromRoute, routeSegment, corridorTolerance } = boat.position;
+
+  return {
+    latitude,
+    longitude,
+    timestamp,
+    routeDistance,
+    routeProgress,
+    speed,
+    heading,
+    distanceFromRoute,
+    routeSegment,
+    corridorTolerance,
+    status: boat.status
+  };
+}
+
+/**
+ * Put the boat's live position in the spatial index used by the location queries
+ */
+function indexBoat(boat) {
+  if (boat.position.latitude == null || boat.position.longitude == null) {
+    return;
+  }
+
+  spatialIndex.upsert(boat.id, boat.position.latitude, boat.position.longitude, {
+    name: boat.name,
+    status: boat.status,
+    routeDistance: boat.position.routeDistance,
+    speed: boat.position.speed,
+    heading: boat.position.heading,
+    accuracy: boat.position.accuracy != null ? boat.position.accuracy : null,
+    timestamp: boat.position.timestamp
+  });
+}
+
+/**
+ * Publish an incident to stream subscribers
+ */
+function publishIncident(boatId, incident, state = 'opened') {
+  eventStream.publish('incident', boatId, { ...incident, state });
+}
+
+/**
+ * Open an incident that lasts until closeBoatIncident is called
+ * The incident is added to the boat, persisted and published to stream subscribers.
+ * @param {number} boatId - Boat identifier
+ * @param {Object} incident - { type, message, severity, timestamp, metadata }
+ * @returns {Promise<Object|null>} The open incident (with its database id when saved)
+ */
+async function openBoatIncident(boatId, incident) {
+  const boat = boatStates.get(boatId);
+  if (!boat) {
+    return null;
+  }
+
+  const openIncident = {
+    ...incident,
+    timestamp: incident.timestamp || new Date(),
+    endedAt: null,
+    durationSeconds: null
+  };
+  boat.incidents.push(openIncident);
+
+  try {
+    openIncident.id = await database.saveBoatIncident(boatId, openIncident);
+  } catch (error) {
+    logger.error(`Error saving ${openIncident.type} incident for boat ${boatId}:`, error);
+  }
+
+  publishIncident(boatId, openIncident);
+  return openIncident;
+}
+
+/**
+ * Close an incident opened with openBoatIncident, recording its duration
+ * @param {number} boatId - Boat identifier
+ * @param {Object} incident - The open incident
+ * @param {Date} endedAt - When the condition ended
+ * @param {Object} metadata - Extra metadata stored with the closed incident
+ * @returns {Promise<Object>} The closed incident
+ */
+async function closeBoatIncident(boatId, incident, endedAt = new Date(), metadata = {}) {
+  incident.endedAt = endedAt;
+  incident.durationSeconds = Math.max(0, Math.round((new Date(endedAt) - new Date(incident.timestamp)) / 1000));
+  incident.metadata = { ...incident.metadata, ...metadata };
+
+  if (incident.id) {
+    try {
+      await database.closeBoatIncident(incident.id, endedAt, metadata);
+    } catch (error) {
+      logger.error(`Error closing ${incident.type} incident for boat ${boatId}:`, error);
+    }
+  }
+
+  publishIncident(boatId, incident, 'closed');
+  return incident;
+}
+
 /**
  * Update boat position with new GPS data
+ * Fixes are processed in event time: one older than the current position (a
+ * delayed batch from a tracker that lost coverage) is only inserted into history.
  * @param {number} boatId - Boat identifier
  * @param {Object} positionData - New position data
  * @returns {Promise<Object>} Updated boat state
@@ -47,6 +177,11 @@ async function updateBoatPosition(boatId, positionData) {
       logger.info(`Created new boat state for boat ${boatId}`);
     }
 
+    // A delayed fix goes into history only; the live position does not go back in time
+    if (isLateFix(boatId, positionData.timestamp)) {
+      return await insertLateFix(boat, positionData);
+    }
+
     // Store previous position for speed calculation
     const previousPosition = { ...boat.position };
     
@@ -57,8 +192,9 @@ async function updateBoatPosition(boatId, positionData) {
       lastUpdate: new Date()
     };
 
-    // Calculate speed if we have previous position
-    if (previousPosition.timestamp && previousPosition.routeDistance) {
+    // Filtered fixes carry the speed estimated by the GPS filter; otherwise difference
+    // the route distance with the previous position
+    if (!positionData.filtered && previousPosition.timestamp && previousPosition.routeDistance) {
       const timeDiff = (new Date(positionData.timestamp) - new Date(previousPosition.timestamp)) / 1000; // seconds
       const distanceDiff = positionData.routeDistance - previousPosition.routeDistance; // meters
       
@@ -68,6 +204,7 @@ async function updateBoatPosition(boatId, positionData) {
     }
 
     // Update boat status based on progress
+    const previousStatus = boat.status;
     if (boat.position.routeProgress >= 100) {
       boat.status = 'finished';
     } else if (boat.position.routeProgress > 0) {
@@ -75,6 +212,12 @@ async function updateBoatPosition(boatId, positionData) {
     }
 
     boat.lastUpdate = new Date();
+    indexBoat(boat);
+
+    eventStream.publish('position', boatId, toPositionDelta(boat));
+    if (boat.status !== previousStatus) {
+      eventStream.publish('status', boatId, { status: boat.status, previousStatus });
+    }
 
     // Store position history
     addToHistory(boatId, {
@@ -111,9 +254,10 @@ async function updateBoatPosition(boatId, positionData) {
 }
 
 /**
- * Add position to boat history
+ * Add position to boat history, in order of fix time
  * @param {number} boatId - Boat identifier
  * @param {Object} positionData - Position data to store
+ * @returns {Object} Stored history entry
  */
 function addToHistory(boatId, positionData) {
   if (!boatHistory.has(boatId)) {
@@ -121,19 +265,127 @@ function addToHistory(boatId, positionData) {
   }
   
   const history = boatHistory.get(boatId);
-  history.push({
+  const entry = {
     ...positionData,
     recorded: new Date()
-  });
+  };
+
+  const time = new Date(positionData.timestamp);
+  let index = history.length;
+  while (index > 0 && new Date(history[index - 1].timestamp) > time) {
+    index--;
+  }
+  history.splice(index, 0, entry);
 
   // Keep only last 100 positions to prevent memory issues
   if (history.length > 100) {
     history.shift();
   }
+
+  return entry;
+}
+
+/**
+ * Is a fix older than the boat's current position?
+ * @param {number} boatId - Boat identifier
+ * @param {Date|string} timestamp - Fix time
+ */
+function isLateFix(boatId, timestamp) {
+  const boat = boatStates.get(boatId);
+  return Boolean(boat && boat.position.timestamp && timestamp &&
+    new Date(timestamp) < new Date(boat.position.timestamp));
+}
+
+/**
+ * Does the boat state already hold a fix taken at this time?
+ * Used by webhook replay to re-apply stored fixes without applying one twice.
+ * @param {number} boatId - Boat identifier
+ * @param {Date|string} timestamp - Fix time
+ */
+function hasFixAt(boatId, timestamp) {
+  const time = new Date(timestamp).getTime();
+  const boat = boatStates.get(boatId);
+  if (boat && boat.position.timestamp && new Date(boat.position.timestamp).getTime() === time) {
+    return true;
+  }
+  return (boatHistory.get(boatId) || []).some(entry => new Date(entry.timestamp).getTime() === time);
+}
+
+/**
+ * Speed between two history entries from their route distances
+ * @returns {number|null} km/h, or null when they cannot be compared
+ */
+function speedBetween(before, after) {
+  const seconds = (new Date(after.timestamp) - new Date(before.timestamp)) / 1000;
+  if (seconds <= 0 || before.routeDistance == null || after.routeDistance == null) {
+    return null;
+  }
+  return Math.round(((after.routeDistance - before.routeDistance) / seconds) * 3.6 * 100) / 100;
+}
+
+/**
+ * Put a delayed fix into history at its place in time
+ * The live position stays as it is. Speeds derived from route distance are
+ * recomputed from the late fix up to the next filtered fix (filtered fixes keep the
+ * speed of the GPS filter); ETAs and passing times read the corrected history.
+ * The fix itself is stored in gps_positions by the ingestion pipeline.
+ * @param {Object} boat - Boat state
+ * @param {Object} positionData - Late position data
+ * @returns {Promise<Object>} Unchanged boat state
+ */
+async function insertLateFix(boat, positionData) {
+  const entry = addToHistory(boat.id, { ...positionData, late: true });
+  const history = boatHistory.get(boat.id);
+  const index = history.indexOf(entry);
+  const behindSeconds = Math.round((new Date(boat.position.timestamp) - new Date(positionData.timestamp)) / 1000);
+
+  // Older than the whole history that is kept: evicted straight away
+  if (index === -1) {
+    logger.warn(`Late fix for boat ${boat.id} is older than its history, not kept`, {
+      fixTime: new Date(positionData.timestamp).toISOString(),
+      oldestInHistory: history.length > 0 ? new Date(history[0].timestamp).toISOString() : null,
+      behindSeconds
+    });
+    return boat;
+  }
+
+  for (let i = Math.max(index, 1); i < history.length; i++) {
+    if (i > index && history[i].filtered) break;
+    const speed = speedBetween(history[i - 1], history[i]);
+    if (speed !== null) {
+      history[i].speed = speed;
+    }
+  }
+
+  logger.info(`Late fix for boat ${boat.id} inserted into history`, {
+    fixTime: new Date(positionData.timestamp).toISOString(),
+    behindSeconds
+  });
+
+  return boat;
+}
+
+/**
+ * Along-route distance of a boat around a point in time, from its history
+ * Used to map a late fix near self-crossings of the route.
+ * @returns {number|null} Distance of the last fix at or before the time (else the first after), or null
+ */
+function getRouteDistanceAt(boatId, timestamp) {
+  const history = (boatHistory.get(boatId) || []).filter(entry => entry.routeDistance != null);
+  if (history.length === 0) {
+    return getLastRouteDistance(boatId);
+  }
+
+  const time = new Date(timestamp);
+  const before = history.filter(entry => new Date(entry.timestamp) <= time);
+  return before.length > 0 ? before[before.length - 1].routeDistance : history[0].routeDistance;
 }
 
 /**
  * Check if boat is within designated corridor
+ * The limit is the corridor tolerance of the route segment the boat was mapped to.
+ * Tracks when the boat left the corridor and how far out it went; the
+ * out_of_corridor incident rule turns that into a corridor_exit incident.
  * @param {number} boatId - Boat identifier
  * @returns {Promise<Object>} Corridor status
  */
@@ -143,22 +395,40 @@ async function checkCorridor(boatId) {
     return { inCorridor: false, error: 'Boat not found' };
   }
 
-  // Simple corridor check based on distance from route
-  const maxDistanceFromRoute = 50; // meters
+  const tolerance = boat.position.corridorTolerance || routeMapper.DEFAULT_CORRIDOR_TOLERANCE;
   const distanceFromRoute = boat.position.distanceFromRoute || 0;
-  
-  const inCorridor = distanceFromRoute <= maxDistanceFromRoute;
+  const eventTime = boat.position.timestamp ? new Date(boat.position.timestamp) : new Date();
+
+  const inCorridor = distanceFromRoute <= tolerance;
   
   if (!inCorridor && boat.corridor.inCorridor) {
     // Boat just left corridor
     boat.corridor.lastWarning = new Date();
     boat.corridor.warningCount++;
-    
+    boat.corridor.exitedAt = eventTime;
+    boat.corridor.maxDistanceOutside = distanceFromRoute;
+
     logger.warn(`Boat ${boatId} left designated corridor`, {
       boatId,
       distanceFromRoute,
+      tolerance,
+      routeSegment: boat.position.routeSegment,
       warningCount: boat.corridor.warningCount
     });
+  } else if (!inCorridor) {
+    boat.corridor.maxDistanceOutside = Math.max(boat.corridor.maxDistanceOutside || 0, distanceFromRoute);
+  } else if (!boat.corridor.inCorridor) {
+    // Boat re-entered the corridor
+    const exitedAt = boat.corridor.exitedAt ? new Date(boat.corridor.exitedAt) : eventTime;
+    const durationSeconds = Math.max(0, Math.round((eventTime - exitedAt) / 1000));
+
+    logger.info(`Boat ${boatId} back in corridor after ${durationSeconds}s`, {
+      boatId,
+      maxDistanceFromRoute: boat.corridor.maxDistanceOutside
+    });
+
+    boat.corridor.exitedAt = null;
+    boat.corridor.maxDistanceOutside = null;
   }
 
   boat.corridor.inCorridor = inCorridor;
@@ -166,63 +436,14 @@ async function checkCorridor(boatId) {
   return {
     inCorridor,
     distanceFromRoute,
+    tolerance,
     outOfCorridor: !inCorridor,
+    outsideSince: boat.corridor.exitedAt,
     warningCount: boat.corridor.warningCount,
     lastWarning: boat.corridor.lastWarning
   };
 }
 
-/**
- * Check for potential incidents based on boat behavior
- * @param {number} boatId - Boat identifier
- * @param {Object} currentData - Current boat data
- * @returns {Promise<Object>} Incident status
- */
-async function checkForIncidents(boatId, currentData) {
-  const boat = boatStates.get(boatId);
-  if (!boat) {
-    return { hasIncident: false, error: 'Boat not found' };
-  }
-
-  const incidents = [];
-
-  // Check for stopped boat (speed too low for too long)
-  if (boat.position.speed < 0.5 && boat.status === 'active') {
-    incidents.push({
-      type: 'stopped',
-      severity: 'warning',
-      message: 'Boat appears to be stopped',
-      timestamp: new Date()
-    });
-  }
-
-  // Check for boat going backwards
-  if (boat.position.speed < -1) {
-    incidents.push({
-      type: 'reverse',
-      severity: 'warning', 
-      message: 'Boat is moving backwards',
-      timestamp: new Date()
-    });
-  }
-
-  // Check for excessive speed
-  if (boat.position.speed > 10) {
-    incidents.push({
-      type: 'speeding',
-      severity: 'warning',
-      message: 'Boat speed exceeds safe limits',
-      timestamp: new Date()
-    });
-  }
-
-  return {
-    hasIncident: incidents.length > 0,
-    incidents,
-    count: incidents.length
-  };
-}
-
 /**
  * Update boat status
  * @param {number} boatId - Boat identifier
@@ -236,8 +457,12 @@ async function updateBoatStatus(boatId, status, metadata = {}) {
     throw new Error(`Boat ${boatId} not found`);
   }
 
+  const previousStatus = boat.status;
   boat.status = status;
   boat.lastUpdate = new Date();
+  indexBoat(boat);
+
+  eventStream.publish('status', boatId, { status, previousStatus, metadata });
 
   if (metadata.message) {
     const incident = {
@@ -255,6 +480,8 @@ async function updateBoatStatus(boatId, status, metadata = {}) {
     } catch (error) {
       logger.error(`Error saving incident to database for boat ${boatId}:`, error);
     }
+
+    publishIncident(boatId, incident);
   }
 
   // Update cache
@@ -287,10 +514,12 @@ async function triggerIncident(boatId, incidentData) {
 
   // Add incidents to boat state
   boat.incidents.push(...incidentData.incidents);
+  incidentData.incidents.forEach(incident => publishIncident(boatId, incident));
 
   // Update status if severe incident
   const severeIncidents = incidentData.incidents.filter(i => i.severity === 'critical');
-  if (severeIncidents.length > 0) {
+  if (severeIncidents.length > 0 && boat.status !== 'emergency') {
+    eventStream.publish('status', boatId, { status: 'emergency', previousStatus: boat.status });
     boat.status = 'emergency';
   }
 
@@ -348,24 +577,313 @@ function getParadeStats() {
   };
 }
 
+/**
+ * Restore a boat state from its JSON form (checkpoint or Redis)
+ */
+function reviveBoatState(state) {
+  const fresh = createBoatState(state.id);
+
+  return {
+    ...fresh,
+    ...state,
+    position: {
+      ...fresh.position,
+      ...state.position,
+      timestamp: state.position && state.position.timestamp ? new Date(state.position.timestamp) : null
+    },
+    corridor: {
+      ...fresh.corridor,
+      ...state.corridor,
+      exitedAt: state.corridor && state.corridor.exitedAt ? new Date(state.corridor.exitedAt) : null
+    },
+    incidents: state.incidents || [],
+    lastUpdate: state.lastUpdate ? new Date(state.lastUpdate) : fresh.lastUpdate,
+    created: state.created ? new Date(state.created) : fresh.created
+  };
+}
+
+/**
+ * Write all boat states to Redis and the boat_state_checkpoints table
+ * @returns {Promise<Object>} { boats, checkpointedAt }
+ */
+async function checkpointBoatStates() {
+  const checkpoints = Array.from(boatStates.values()).map(boat => ({
+    boat_id: boat.id,
+    state: boat,
+    history: boatHistory.get(boat.id) || []
+  }));
+
+  if (checkpoints.length === 0) {
+    return { boats: 0, checkpointedAt: lastCheckpointAt };
+  }
+
+  const checkpointedAt = new Date();
+
+  try {
+    await database.cacheSet(CHECKPOINT_CACHE_KEY, { checkpointedAt, boats: checkpoints }, CHECKPOINT_TTL_SECONDS);
+    await database.saveBoatStateCheckpoints(checkpoints);
+    lastCheckpointAt = checkpointedAt;
+    logger.debug(`Boat state checkpoint written for ${checkpoints.length} boats`);
+  } catch (error) {
+    logger.error('Error writing boat state checkpoint:', error);
+  }
+
+  return { boats: checkpoints.length, checkpointedAt: lastCheckpointAt };
+}
+
+/**
+ * Rebuild boat states after a restart
+ * Loads the latest checkpoint (Redis first, then the database), catches up with
+ * newer gps_positions rows per parade position and restores incidents recorded
+ * since the checkpoint. Without a checkpoint, state is rebuilt from gps_positions
+ * and the last 24 hours of incidents. Boats that already have live state are kept.
+ * @returns {Promise<Object>} Recovery status
+ */
+async function recoverBoatStates() {
+  let source = null;
+  let checkpointedAt = null;
+  let checkpoints = [];
+
+  try {
+    const cached = await database.cacheGet(CHECKPOINT_CACHE_KEY);
+    if (cached && Array.isArray(cached.boats) && cached.boats.length > 0) {
+      source = 'redis';
+      checkpoints = cached.boats;
+      checkpointedAt = new Date(cached.checkpointedAt);
+    } else {
+      const rows = await database.getBoatStateCheckpoints();
+      if (rows.length > 0) {
+        source = 'database';
+        checkpoints = rows;
+        checkpointedAt = new Date(Math.max(...rows.map(row => new Date(row.checkpointed_at).getTime())));
+      }
+    }
+
+    for (const checkpoint of checkpoints) {
+      const boatId = checkpoint.boat_id;
+      if (boatStates.has(boatId)) continue;
+
+      boatStates.set(boatId, reviveBoatState(checkpoint.state));
+      boatHistory.set(boatId, checkpoint.history || []);
+    }
+
+    // Catch up with fixes received after the checkpoint (or rebuild when there is none)
+    const latestByBoat = new Map();
+    const latestPositions = await database.getLatestGPSPositions();
+
+    for (const row of latestPositions) {
+      if (row.parade_position === null || row.parade_position === undefined) continue;
+
+      const boatId = parseInt(row.parade_position);
+      const current = latestByBoat.get(boatId);
+      if (!current || new Date(row.timestamp) > new Date(current.timestamp)) {
+        latestByBoat.set(boatId, row);
+      }
+    }
+
+    let positionsCaughtUp = 0;
+
+    for (const [boatId, row] of latestByBoat) {
+      let boat = boatStates.get(boatId);
+      const fixTime = new Date(row.timestamp);
+
+      if (boat && boat.position.timestamp && new Date(boat.position.timestamp) >= fixTime) continue;
+
+      if (!boat) {
+        boat = createBoatState(boatId);
+        boatStates.set(boatId, boat);
+      }
+
+      const latitude = parseFloat(row.latitude);
+      const longitude = parseFloat(row.longitude);
+      const routePosition = await routeMapper.mapToRoute({
+        latitude,
+        longitude,
+        timestamp: fixTime,
+        previousDistance: getLastRouteDistance(boatId)
+      });
+
+      boat.position = {
+        ...boat.position,
+        latitude,
+        longitude,
+        timestamp: fixTime,
+        speed: row.speed !== null && row.speed !== undefined ? parseFloat(row.speed) : boat.position.speed,
+        heading: row.heading !== null && row.heading !== undefined ? parseFloat(row.heading) : boat.position.heading,
+        ...(routePosition && {
+          routeDistance: routePosition.distanceMeters,
+          routeProgress: routePosition.progressPercent,
+          distanceFromRoute: routePosition.distanceFromRoute,
+          routeSegment: routePosition.routeSegment,
+          routeOffset: routePosition.offsetMeters,
+          corridorTolerance: routePosition.corridorTolerance
+        })
+      };
+
+      if (boat.status !== 'emergency') {
+        if (boat.position.routeProgress >= 100) {
+          boat.status = 'finished';
+        } else if (boat.position.routeProgress > 0) {
+          boat.status = 'active';
+        }
+      }
+
+      boat.lastUpdate = new Date();
+      positionsCaughtUp++;
+    }
+
+    boatStates.forEach(indexBoat);
+
+    if (!source && positionsCaughtUp > 0) {
+      source = 'gps_positions';
+    }
+
+    // Restore incidents recorded since the checkpoint
+    const since = checkpointedAt || new Date(Date.now() - INCIDENT_LOOKBACK_MS);
+    const incidents = await database.getIncidentsSince(since);
+    let incidentsRestored = 0;
+
+    for (const incident of incidents) {
+      const boat = boatStates.get(parseInt(incident.parade_position));
+      if (!boat) continue;
+
+      const timestamp = new Date(incident.timestamp);
+      const known = boat.incidents.find(existing =>
+        existing.type === incident.incident_type && new Date(existing.timestamp).getTime() === timestamp.getTime()
+      );
+      if (known) {
+        // Closed after the checkpoint was written
+        if (incident.ended_at && !known.endedAt) {
+          known.endedAt = new Date(incident.ended_at);
+          known.durationSeconds = incident.duration_seconds;
+
+          if (incident.incident_type === 'corridor_exit') {
+            boat.corridor = { ...boat.corridor, inCorridor: true, exitedAt: null, maxDistanceOutside: null };
+          }
+        }
+        continue;
+      }
+
+      boat.incidents.push({
+        id: incident.id,
+        type: incident.incident_type,
+        message: incident.message,
+        severity: incident.severity,
+        timestamp,
+        ...(incident.ended_at !== undefined && {
+          endedAt: incident.ended_at ? new Date(incident.ended_at) : null,
+          durationSeconds: incident.duration_seconds
+        })
+      });
+      incidentsRestored++;
+    }
+
+    const positionTimes = Array.from(boatStates.values())
+      .map(boat => boat.position.timestamp ? new Date(boat.position.timestamp).getTime() : 0);
+    const newest = Math.max(checkpointedAt ? checkpointedAt.getTime() : 0, ...positionTimes);
+
+    recoveryStatus = {
+      recovered: source !== null,
+      source,
+      recoveredAt: new Date(),
+      stateTimestamp: newest > 0 ? new Date(newest) : null,
+      boatCount: boatStates.size,
+      positionsCaughtUp,
+      incidentsRestored
+    };
+
+    logger.info(source ? `♻️ Boat state recovered from ${source}` : 'No previous boat state to recover', {
+      boats: boatStates.size,
+      checkpointedAt,
+      positionsCaughtUp,
+      incidentsRestored
+    });
+  } catch (error) {
+    logger.error('Error recovering boat states:', error);
+    recoveryStatus = { ...recoveryStatus, recovered: false, recoveredAt: new Date(), error: error.message };
+  }
+
+  return getRecoveryStatus();
+}
+
+/**
+ * Recovery and checkpoint status for /api/parade/status
+ * stateAgeSeconds is how old the recovered state was when the backend came back up.
+ * @returns {Object} Recovery status
+ */
+function getRecoveryStatus() {
+  const { recoveredAt, stateTimestamp } = recoveryStatus;
+
+  return {
+    ...recoveryStatus,
+    stateAgeSeconds: recoveredAt && stateTimestamp
+      ? Math.max(0, Math.round((recoveredAt - stateTimestamp) / 1000))
+      : null,
+    lastCheckpointAt,
+    checkpointing: checkpointTimer !== null
+  };
+}
+
+/**
+ * Start periodic checkpointing
+ * @param {number} intervalMs - Defaults to BOAT_STATE_CHECKPOINT_INTERVAL_MS or 30 seconds
+ */
+function startCheckpointing(intervalMs = parseInt(process.env.BOAT_STATE_CHECKPOINT_INTERVAL_MS) || DEFAULT_CHECKPOINT_INTERVAL_MS) {
+  stopCheckpointing();
+  checkpointTimer = setInterval(checkpointBoatStates, intervalMs);
+  checkpointTimer.unref();
+  logger.info(`💾 Boat state checkpoint every ${Math.round(intervalMs / 1000)}s`);
+}
+
+/**
+ * Stop periodic checkpointing
+ */
+function stopCheckpointing() {
+  if (checkpointTimer) {
+    clearInterval(checkpointTimer);
+    checkpointTimer = null;
+  }
+}
+
+/**
+ * Last known along-route distance of a boat, for route mapping near self-crossings
+ * @param {number} boatId - Boat ID
+ * @returns {number|null} Distance in meters, or null before the boat's first fix
+ */
+function getLastRouteDistance(boatId) {
+  const boat = boatStates.get(boatId);
+  return boat && boat.position.timestamp ? boat.position.routeDistance : null;
+}
+
 /**
  * Clear all boat states (for testing)
  */
 function clearAllBoatStates() {
   boatStates.clear();
   boatHistory.clear();
+  spatialIndex.clear();
   logger.debug('Cleared all boat states');
 }
 
 module.exports = {
   updateBoatPosition,
   checkCorridor,
-  checkForIncidents,
   updateBoatStatus,
   triggerIncident,
+  openBoatIncident,
+  closeBoatIncident,
   getBoatState,
   getAllBoatStates,
   getBoatHistory,
   getParadeStats,
-  clearAllBoatStates
+  getLastRouteDistance,
+  getRouteDistanceAt,
+  isLateFix,
+  hasFixAt,
+  clearAllBoatStates,
+  checkpointBoatStates,
+  recoverBoatStates,
+  getRecoveryStatus,
+  startCheckpointing,
+  stopCheckpointing
 };
@@ -0,0 +1,280 @@
+const logger = require('./logger');
+const boatState = require('./boatState');
+const eventStream = require('./eventStream');
+const database = require('../models/database');
+
+/**
+ * Emergencies
+ *
+ * Calamity workflow for skippers and the control room. An emergency is an
+ * incident of type "emergency" that moves through
+ *   raised -> acknowledged -> assigned -> resolved -> closed
+ * Every transition is stored on the incident with its time, user and note.
+ * Raising an emergency puts the boat in emergency status and notifies the boats
+ * behind it; resolving it lifts the status and clears their notice.
+ */
+
+const INCIDENT_TYPE = 'emergency';
+const STATUSES = ['raised', 'acknowledged', 'assigned', 'resolved', 'closed'];
+const OPEN_STATUSES = ['raised', 'acknowledged', 'assigned'];
+const NOTIFY_BOATS_BEHIND = parseInt(process.env.EMERGENCY_NOTIFY_BOATS_BEHIND) || 5;
+
+// Action -> { from: allowed current statuses, to: resulting status }
+const TRANSITIONS = {
+  acknowledge: { from: ['raised'], to: 'acknowledged' },
+  assign: { from: ['raised', 'acknowledged', 'assigned'], to: 'assigned' },
+  resolve: { from: ['acknowledged', 'assigned'], to: 'resolved' },
+  close: { from: ['resolved'], to: 'closed' }
+};
+
+const REASONS = [
+  'Technisch probleem',
+  'Medische noodsituatie',
+  'Weersomstandigheden',
+  'Obstakel in water',
+  'Anders'
+];
+
+function workflowError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Public representation of an emergency incident row
+ */
+function toEmergency(row) {
+  const metadata = row.metadata || {};
+
+  return {
+    id: row.id,
+    boatId: row.parade_position,
+    status: row.status,
+    reason: metadata.reason,
+    message: row.message,
+    latitude: metadata.latitude,
+    longitude: metadata.longitude,
+    raisedBy: metadata.raisedBy,
+    assignedTo: row.assigned_to,
+    notifiedBoats: metadata.notifiedBoats || [],
+    raisedAt: row.timestamp,
+    updatedAt: row.updated_at,
+    closedAt: row.ended_at,
+    durationSeconds: row.duration_seconds,
+    transitions: row.transitions || []
+  };
+}
+
+/**
+ * Boats following the affected boat in parade order, nearest first
+ */
+function findBoatsBehind(boatId, limit = NOTIFY_BOATS_BEHIND) {
+  const affected = boatState.getBoatState(boatId);
+  const affectedDistance = affected ? affected.position.routeDistance || 0 : null;
+
+  return boatState.getAllBoatStates()
+    .filter(boat => boat.id > boatId && boat.status !== 'finished')
+    .sort((a, b) => a.id - b.id)
+    .slice(0, limit)
+    .map(boat => ({
+      boatId: boat.id,
+      distanceMeters: affectedDistance != null
+        ? Math.round(affectedDistance - (boat.position.routeDistance || 0))
+        : null
+    }));
+}
+
+function notify(boatIds, data) {
+  boatIds.forEach(boatId => eventStream.publish('notification', boatId, data));
+}
+
+/**
+ * Raise an emergency for a boat
+ * @param {number} boatId - Boat number
+ * @param {Object} details - { reason, message, latitude, longitude, raisedBy }
+ *   Without coordinates the boat's last known position is used.
+ * @returns {Promise<Object>} The emergency
+ */
+async function raiseEmergency(boatId, details = {}) {
+  const open = await database.getWorkflowIncidents(INCIDENT_TYPE, { statuses: OPEN_STATUSES, boatNumber: boatId, limit: 1 });
+  if (open.length > 0) {
+    throw workflowError(`Boat ${boatId} already has an open emergency (#${open[0].id})`, 409);
+  }
+
+  const boat = boatState.getBoatState(boatId);
+  const now = new Date();
+  const latitude = details.latitude != null ? details.latitude : (boat ? boat.position.latitude : null);
+  const longitude = details.longitude != null ? details.longitude : (boat ? boat.position.longitude : null);
+  const boatsBehind = findBoatsBehind(boatId);
+  const raisedBy = details.raisedBy || `skipper boat ${boatId}`;
+
+  const row = await database.createWorkflowIncident({
+    parade_position: boatId,
+    incident_type: INCIDENT_TYPE,
+    severity: 'critical',
+    message: details.message || details.reason,
+    timestamp: now,
+    status: 'raised',
+    metadata: {
+      reason: details.reason,
+      latitude,
+      longitude,
+      positionSource: details.latitude != null ? 'reported' : 'last_fix',
+      raisedBy,
+      notifiedBoats: boatsBehind.map(behind => behind.boatId)
+    },
+    transitions: [{ status: 'raised', at: now, by: raisedBy, note: details.message || null }]
+  });
+  if (!row) {
+    // Raised concurrently; the unique index on open emergencies kept the other one
+    throw workflowError(`Boat ${boatId} already has an open emergency`, 409);
+  }
+  const emergency = toEmergency(row);
+
+  if (boat) {
+    await boatState.updateBoatStatus(boatId, 'emergency');
+  }
+
+  eventStream.publish('incident', boatId, { type: INCIDENT_TYPE, state: 'raised', emergency });
+  boatsBehind.forEach(behind => eventStream.publish('notification', behind.boatId, {
+    kind: 'emergency_ahead',
+    emergencyId: emergency.id,
+    affectedBoatId: boatId,
+    distanceMeters: behind.distanceMeters,
+    message: `Calamiteit bij boot ${boatId}${behind.distanceMeters != null ? `, ${behind.distanceMeters}m voor u` : ''}. Vertraag en volg de aanwijzingen van Pride Control`
+  }));
+
+  logger.warn(`🚨 Emergency raised for boat ${boatId}: ${details.reason}`, {
+    emergencyId: emergency.id,
+    latitude,
+    longitude,
+    notifiedBoats: emergency.notifiedBoats
+  });
+
+  return emergency;
+}
+
+/**
+ * Move an emergency through the workflow
+ * @param {number} emergencyId - Incident ID
+ * @param {string} action - acknowledge, assign, resolve or close
+ * @param {Object} details - { by, note, assignee }
+ * @returns {Promise<Object>} The updated emergency
+ */
+async function transitionEmergency(emergencyId, action, details = {}) {
+  const transition = TRANSITIONS[action];
+  if (!transition) {
+    throw workflowError(`Unknown action: ${action}`, 400);
+  }
+
+  const current = await database.getIncident(emergencyId);
+  if (!current || current.incident_type !== INCIDENT_TYPE) {
+    throw workflowError(`Emergency ${emergencyId} not found`, 404);
+  }
+
+  if (!transition.from.includes(current.status)) {
+    throw workflowError(`Cannot ${action} an emergency that is ${current.status}`, 409);
+  }
+
+  if (action === 'assign' && !details.assignee) {
+    throw workflowError('An assignee is required', 400);
+  }
+
+  const now = new Date();
+  const row = await database.transitionWorkflowIncident(emergencyId, current.status, {
+    status: transition.to,
+    transition: {
+      status: transition.to,
+      at: now,
+      by: details.by,
+      note: details.note || null,
+      ...(action === 'assign' && { assignee: details.assignee })
+    },
+    ...(action === 'assign' && { assigned_to: details.assignee }),
+    ...(action === 'close' && { ended_at: now })
+  });
+
+  if (!row) {
+    // Changed by someone else between reading and updating
+    throw workflowError(`Emergency ${emergencyId} was updated by someone else, reload and try again`, 409);
+  }
+
+  const emergency = toEmergency(row);
+  const boatId = emergency.boatId;
+
+  if (action === 'resolve') {
+    const boat = boatState.getBoatState(boatId);
+    if (boat && boat.status === 'emergency') {
+      await boatState.updateBoatStatus(boatId, 'active');
+    }
+    notify(emergency.notifiedBoats, {
+      kind: 'emergency_cleared',
+      emergencyId: emergency.id,
+      affectedBoatId: boatId,
+      message: `Calamiteit bij boot ${boatId} is opgelost`
+    });
+  }
+
+  eventStream.publish('incident', boatId, { type: INCIDENT_TYPE, state: emergency.status, emergency });
+
+  logger.info(`🚨 Emergency ${emergencyId} ${emergency.status} by ${details.by}`, {
+    boatId,
+    assignedTo: emergency.assignedTo
+  });
+
+  return emergency;
+}
+
+/**
+ * Control-room queue: open emergencies first (raised before acknowledged before
+ * assigned), oldest first within a status; then resolved and, optionally, closed
+ * @param {Object} options - { includeClosed, limit }
+ * @returns {Promise<Array>} Emergencies
+ */
+async function getEmergencyQueue(options = {}) {
+  const statuses = options.includeClosed ? STATUSES : STATUSES.filter(status => status !== 'closed');
+  const rows = await database.getWorkflowIncidents(INCIDENT_TYPE, { statuses, limit: options.limit || 200 });
+
+  return rows
+    .map(toEmergency)
+    .sort((a, b) => STATUSES.indexOf(a.status) - STATUSES.indexOf(b.status) ||
+      new Date(a.raisedAt) - new Date(b.raisedAt));
+}
+
+async function getEmergency(emergencyId) {
+  const row = await database.getIncident(emergencyId);
+  return row && row.incident_type === INCIDENT_TYPE ? toEmergency(row) : null;
+}
+
+/**
+ * Open emergencies a boat was notified about (boats ahead of it)
+ * @param {number} boatId - Boat number
+ * @returns {Promise<Array>} [{ emergencyId, affectedBoatId, status, reason }]
+ */
+async function getAlertsForBoat(boatId) {
+  const rows = await database.getWorkflowIncidents(INCIDENT_TYPE, { statuses: OPEN_STATUSES });
+
+  return rows
+    .map(toEmergency)
+    .filter(emergency => emergency.notifiedBoats.includes(boatId))
+    .map(emergency => ({
+      emergencyId: emergency.id,
+      affectedBoatId: emergency.boatId,
+      status: emergency.status,
+      reason: emergency.reason,
+      raisedAt: emergency.raisedAt
+    }));
+}
+
+module.exports = {
+  STATUSES,
+  OPEN_STATUSES,
+  TRANSITIONS,
+  REASONS,
+  raiseEmergency,
+  transitionEmergency,
+  getEmergencyQueue,
+  getEmergency,
+  getAlertsForBoat
+};
@@ -0,0 +1,166 @@
+const { EventEmitter } = require('events');
+const logger = require('./logger');
+
+/**
+ * Event Stream
+ *
+ * Publishes boat position, status and incident deltas as they are processed, and
+ * notifications addressed to a boat's skipper, so clients can stream them
+ * (GET /api/stream) instead of polling. Recent events are kept in a ring buffer;
+ * a client that reconnects with its last event id receives everything it missed,
+ * or a reset event when that id is no longer buffered.
+ *
+ * Event ids are "<streamId>-<sequence>". The stream id changes on every restart,
+ * so ids from a previous process are recognised and answered with a reset.
+ */
+
+const EVENT_TYPES = ['position', 'status', 'incident', 'notification'];
+const DEFAULT_BUFFER_SIZE = 1000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // one listener per connected client
+
+const streamId = Date.now().toString(36);
+let sequence = 0;
+let buffer = [];
+let bufferSize = parseInt(process.env.EVENT_STREAM_BUFFER_SIZE) || DEFAULT_BUFFER_SIZE;
+
+/**
+ * Publish an event to all subscribers
+ * @param {string} type - position, status, incident or notification
+ * @param {number} boatId - Boat number the event belongs to
+ * @param {Object} data - Event payload
+ * @returns {Object} Published event
+ */
+function publish(type, boatId, data) {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown event type: ${type}`);
+  }
+
+  sequence++;
+  const event = {
+    id: `${streamId}-${sequence}`,
+    sequence,
+    type,
+    boatId,
+    timestamp: new Date().toISOString(),
+    data
+  };
+
+  buffer.push(event);
+  if (buffer.length > bufferSize) {
+    buffer.shift();
+  }
+
+  try {
+    emitter.emit('event', event);
+  } catch (error) {
+    // A failing subscriber must never break ingestion
+    logger.error('Error delivering stream event:', error);
+  }
+
+  return event;
+}
+
+/**
+ * Parse subscription filters from query values
+ * @param {Object} query - { boats: '1,2', types: 'position,incident' }
+ * @returns {Object} { boats: number[]|null, types: string[]|null }
+ */
+function parseFilter(query = {}) {
+  const toList = value => (Array.isArray(value) ? value.join(',') : String(value))
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+
+  const boats = query.boats ? toList(query.boats).map(id => parseInt(id)).filter(Number.isInteger) : [];
+  const types = query.types ? toList(query.types).filter(type => EVENT_TYPES.includes(type)) : [];
+
+  return {
+    boats: boats.length > 0 ? boats : null,
+    types: types.length > 0 ? types : null
+  };
+}
+
+function matchesFilter(event, filter = {}) {
+  if (filter.types && !filter.types.includes(event.type)) return false;
+  if (filter.boats && !filter.boats.includes(event.boatId)) return false;
+  return true;
+}
+
+/**
+ * Subscribe to published events
+ * @param {Object} filter - Result of parseFilter
+ * @param {Function} listener - Called with each matching event
+ * @returns {Function} Unsubscribe function
+ */
+function subscribe(filter, listener) {
+  const handler = event => {
+    if (matchesFilter(event, filter)) {
+      listener(event);
+    }
+  };
+
+  emitter.on('event', handler);
+  return () => emitter.off('event', handler);
+}
+
+/**
+ * Events published after lastEventId
+ * @param {string} lastEventId - Id of the last event the client received
+ * @param {Object} filter - Result of parseFilter
+ * @returns {Object} { events, reset } - reset is true when the id is unknown or
+ *   no longer buffered, so the client should reload a full snapshot
+ */
+function getEventsSince(lastEventId, filter) {
+  const match = /^([a-z0-9]+)-(\d+)$/.exec(String(lastEventId || ''));
+  const lastSequence = match ? parseInt(match[2]) : null;
+
+  if (!match || match[1] !== streamId || lastSequence > sequence) {
+    return { events: [], reset: true };
+  }
+
+  const oldestSequence = buffer.length > 0 ? buffer[0].sequence : sequence + 1;
+  if (lastSequence < oldestSequence - 1) {
+    return { events: [], reset: true };
+  }
+
+  return {
+    events: buffer.filter(event => event.sequence > lastSequence && matchesFilter(event, filter)),
+    reset: false
+  };
+}
+
+/**
+ * Stream statistics for the status endpoint
+ */
+function getStreamStats() {
+  return {
+    streamId,
+    lastEventId: `${streamId}-${sequence}`,
+    bufferedEvents: buffer.length,
+    bufferSize,
+    subscribers: emitter.listenerCount('event')
+  };
+}
+
+/**
+ * Drop buffered events (tests); optionally change the buffer size
+ */
+function resetEventStream(options = {}) {
+  buffer = [];
+  if (options.bufferSize) {
+    bufferSize = options.bufferSize;
+  }
+}
+
+module.exports = {
+  EVENT_TYPES,
+  publish,
+  parseFilter,
+  matchesFilter,
+  subscribe,
+  getEventsSince,
+  getStreamStats,
+  resetEventStream
+};
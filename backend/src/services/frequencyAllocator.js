@@ -0,0 +1,327 @@
+const logger = require('./logger');
+const boatState = require('./boatState');
+const eventStream = require('./eventStream');
+const frequencyManager = require('./frequencyManager');
+const proximityCalculator = require('./proximityCalculator');
+
+/**
+ * Frequency Allocator
+ *
+ * Plans the FM frequencies of the parade so that boats close to each other never
+ * share a frequency or sit on adjacent channels (the pool's minimum spacing). Boats
+ * count as close when they are within the planning radius (hearing distance plus a
+ * margin, so a clash is fixed before it can be heard) along the route or in a
+ * straight line, which catches boats on opposite banks where the route doubles back.
+ *
+ * The plan keeps every frequency that still fits and only moves the boats that clash.
+ * A boat without a frequency gets one straight away; a boat that has to move is
+ * announced to its sound engineer (notification on the event stream, change log)
+ * and retuned after the notice period. Re-planned periodically as boats move.
+ */
+
+const AUTO_ALLOCATE = process.env.FREQUENCY_AUTO_ALLOCATE !== 'false';
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+// Advance notice before a boat is retuned
+const RETUNE_NOTICE_SECONDS = parseFloat(process.env.FREQUENCY_RETUNE_NOTICE_SECONDS) || 120;
+// Added to the hearing distance: boats closing in are separated before they hear each other
+const PLAN_MARGIN_METERS = parseFloat(process.env.FREQUENCY_PLAN_MARGIN_METERS) || 100;
+const MAX_CHANGE_LOG = 500;
+
+let allocatorTimer = null;
+let changeSequence = 0;
+// Retunes: { id, boatNumber, from, to, reason, clashesWith, status, announcedAt, effectiveAt, appliedAt }
+let changeLog = [];
+
+function toUnits(mhz) {
+  return Math.round(mhz * 10);
+}
+
+function getPlanningRadius() {
+  return frequencyManager.getPool().hearingDistanceMeters + PLAN_MARGIN_METERS;
+}
+
+/**
+ * Boats with a live position, as the proximity calculator expects them (lat/lon)
+ */
+function getPositionedBoats() {
+  return boatState.getAllBoatStates()
+    .filter(boat => boat.position.latitude != null && boat.status !== 'finished')
+    .map(boat => ({
+      id: boat.id,
+      lat: boat.position.latitude,
+      lon: boat.position.longitude,
+      routeDistance: boat.position.routeDistance != null ? boat.position.routeDistance : null
+    }));
+}
+
+/**
+ * Boats within the radius of a boat, along the route or in a straight line
+ * @returns {Map} boatNumber -> { alongRouteMeters, distanceMeters }
+ */
+function findNeighbours(boat, boats, radiusMeters) {
+  const others = boats.filter(other => other.id !== boat.id);
+  const neighbours = new Map();
+
+  for (const other of others) {
+    if (boat.routeDistance != null && other.routeDistance != null &&
+        Math.abs(boat.routeDistance - other.routeDistance) <= radiusMeters) {
+      neighbours.set(other.id, { alongRouteMeters: Math.round(Math.abs(boat.routeDistance - other.routeDistance)), distanceMeters: null });
+    }
+  }
+
+  // Straight-line neighbours from the spatial index of live positions
+  const otherIds = new Set(others.map(other => other.id));
+  const nearbyBoats = proximityCalculator.findBoatsInRadius(boat.lat, boat.lon, null, radiusMeters / 1000)
+    .filter(nearby => otherIds.has(nearby.id));
+
+  for (const nearby of nearbyBoats) {
+    const existing = neighbours.get(nearby.id) || { alongRouteMeters: null };
+    neighbours.set(nearby.id, { ...existing, distanceMeters: Math.round(nearby.distance * 1000) });
+  }
+
+  return neighbours;
+}
+
+function clashingBoats(frequency, neighbours, planned) {
+  const minSpacing = toUnits(frequencyManager.getPool().minSpacingMhz);
+
+  return Array.from(neighbours.keys()).filter(id =>
+    planned.has(id) && Math.abs(toUnits(planned.get(id)) - toUnits(frequency)) < minSpacing
+  );
+}
+
+function scheduledRetune(boatNumber) {
+  return changeLog.find(change => change.boatNumber === boatNumber && change.status === 'scheduled') || null;
+}
+
+/**
+ * Plan frequencies for all positioned boats (pure, nothing is changed)
+ * @param {Date} now - Planning time
+ * @returns {Object} { generatedAt, radiusMeters, boats, changes, unplaced, assignments }
+ */
+function computePlan(now = new Date()) {
+  const radiusMeters = getPlanningRadius();
+  const allowed = frequencyManager.getAllowedFrequencies();
+  const allowedUnits = new Set(allowed.map(toUnits));
+
+  // Lead boat first
+  const boats = getPositionedBoats().sort((a, b) => (b.routeDistance || 0) - (a.routeDistance || 0) || a.id - b.id);
+  const neighbours = new Map(boats.map(boat => [boat.id, findNeighbours(boat, boats, radiusMeters)]));
+  const planned = new Map();
+  const clashes = new Map();
+
+  // Keep every current frequency that still fits
+  for (const boat of boats) {
+    const current = frequencyManager.getBoatFrequency(boat.id);
+    if (current === null) {
+      continue;
+    }
+
+    const clashing = clashingBoats(current, neighbours.get(boat.id), planned);
+    if (allowedUnits.has(toUnits(current)) && clashing.length === 0) {
+      planned.set(boat.id, current);
+    } else {
+      clashes.set(boat.id, allowedUnits.has(toUnits(current)) ? clashing : []);
+    }
+  }
+
+  // Place the rest: an already announced frequency when it still fits, else the lowest free one
+  const unplaced = [];
+  for (const boat of boats.filter(candidate => !planned.has(candidate.id))) {
+    const announced = scheduledRetune(boat.id);
+    const candidates = announced ? [announced.to, ...allowed] : allowed;
+    const frequency = candidates.find(candidate => clashingBoats(candidate, neighbours.get(boat.id), planned).length === 0);
+
+    if (frequency === undefined) {
+      unplaced.push(boat.id);
+    } else {
+      planned.set(boat.id, frequency);
+    }
+  }
+
+  const changes = boats
+    .filter(boat => planned.has(boat.id) && planned.get(boat.id) !== frequencyManager.getBoatFrequency(boat.id))
+    .map(boat => {
+      const from = frequencyManager.getBoatFrequency(boat.id);
+      return {
+        boatNumber: boat.id,
+        from,
+        to: planned.get(boat.id),
+        reason: from === null ? 'new' : (allowedUnits.has(toUnits(from)) ? 'conflict' : 'outside_pool'),
+        clashesWith: clashes.get(boat.id) || []
+      };
+    });
+
+  if (unplaced.length > 0) {
+    logger.warn(`Frequency plan: no free frequency for boat ${unplaced.join(', ')} (pool too small for the planning radius)`);
+  }
+
+  return {
+    generatedAt: now.toISOString(),
+    radiusMeters,
+    boats: boats.length,
+    changes,
+    unplaced,
+    assignments: boats
+      .filter(boat => planned.has(boat.id))
+      .map(boat => ({
+        boatNumber: boat.id,
+        frequency: planned.get(boat.id),
+        routeDistance: boat.routeDistance,
+        neighbours: Array.from(neighbours.get(boat.id).keys()).sort((a, b) => a - b)
+      }))
+      .sort((a, b) => a.boatNumber - b.boatNumber)
+  };
+}
+
+function logChange(change) {
+  changeLog.push(change);
+  if (changeLog.length > MAX_CHANGE_LOG) {
+    changeLog.shift();
+  }
+  return change;
+}
+
+function notifyRetune(change) {
+  const messages = {
+    scheduled: `Frequentiewissel: om ${new Date(change.effectiveAt).toLocaleTimeString('nl-NL', { timeZone: 'Europe/Amsterdam' })} van ${change.from} naar ${change.to} MHz`,
+    applied: `Zend nu uit op ${change.to} MHz`,
+    cancelled: `Frequentiewissel naar ${change.to} MHz vervalt, blijf op ${change.from} MHz`
+  };
+
+  eventStream.publish('notification', change.boatNumber, {
+    kind: 'frequency_retune',
+    state: change.status,
+    changeId: change.id,
+    from: change.from,
+    to: change.to,
+    effectiveAt: change.effectiveAt,
+    message: messages[change.status]
+  });
+}
+
+async function applyChange(change, now) {
+  await frequencyManager.assignFrequency(change.boatNumber, change.to, { source: 'auto', force: true });
+  change.status = 'applied';
+  change.appliedAt = now.toISOString();
+  notifyRetune(change);
+}
+
+function cancelChange(change, now) {
+  change.status = 'cancelled';
+  change.cancelledAt = now.toISOString();
+  notifyRetune(change);
+}
+
+/**
+ * Re-plan and act on it: new boats get their frequency now, boats that clash are
+ * announced and retuned once their notice has passed, announcements that are no
+ * longer needed are cancelled
+ * @param {Object} options - { now, immediate: retune without notice (before the parade) }
+ * @returns {Promise<Object>} { plan, scheduled, applied, cancelled } (change log entries)
+ */
+async function reallocate({ now = new Date(), immediate = false } = {}) {
+  const plan = computePlan(now);
+  const planned = new Map(plan.changes.map(change => [change.boatNumber, change]));
+  const result = { plan, scheduled: [], applied: [], cancelled: [] };
+
+  // Announcements the plan no longer needs, or that now point elsewhere
+  for (const change of changeLog.filter(entry => entry.status === 'scheduled')) {
+    const next = planned.get(change.boatNumber);
+    if (!next || next.to !== change.to) {
+      cancelChange(change, now);
+      result.cancelled.push(change);
+    }
+  }
+
+  for (const next of plan.changes) {
+    if (scheduledRetune(next.boatNumber)) {
+      continue;
+    }
+
+    const change = logChange({
+      id: ++changeSequence,
+      ...next,
+      status: 'scheduled',
+      announcedAt: now.toISOString(),
+      effectiveAt: new Date(now.getTime() + (next.reason === 'new' || immediate ? 0 : RETUNE_NOTICE_SECONDS * 1000)).toISOString(),
+      appliedAt: null
+    });
+
+    if (change.effectiveAt === change.announcedAt) {
+      await applyChange(change, now);
+      result.applied.push(change);
+    } else {
+      notifyRetune(change);
+      result.scheduled.push(change);
+      logger.info(`📻 Boat ${change.boatNumber} to retune from ${change.from} to ${change.to} MHz at ${change.effectiveAt}`);
+    }
+  }
+
+  // Announced retunes that are due
+  for (const change of changeLog.filter(entry => entry.status === 'scheduled' && new Date(entry.effectiveAt) <= now)) {
+    await applyChange(change, now);
+    result.applied.push(change);
+  }
+
+  return result;
+}
+
+/**
+ * Change log of retunes, oldest first
+ * @param {Object} filter - { boatNumber, status }
+ */
+function getChangeLog({ boatNumber = null, status = null } = {}) {
+  return changeLog
+    .filter(change => boatNumber === null || change.boatNumber === boatNumber)
+    .filter(change => status === null || change.status === status)
+    .map(change => ({ ...change }));
+}
+
+function getScheduledRetune(boatNumber) {
+  const change = scheduledRetune(boatNumber);
+  return change ? { ...change } : null;
+}
+
+/**
+ * Re-plan periodically as boats move
+ */
+function startAllocator(intervalMs = parseInt(process.env.FREQUENCY_ALLOCATION_INTERVAL_MS) || DEFAULT_INTERVAL_MS) {
+  stopAllocator();
+  if (!AUTO_ALLOCATE) {
+    logger.info('📻 Frequency allocator disabled (FREQUENCY_AUTO_ALLOCATE=false)');
+    return;
+  }
+
+  allocatorTimer = setInterval(() => {
+    reallocate().catch(error => logger.error('Error allocating frequencies:', error));
+  }, intervalMs);
+  allocatorTimer.unref();
+  logger.info(`📻 Frequency allocator started (every ${intervalMs / 1000}s, ${RETUNE_NOTICE_SECONDS}s retune notice)`);
+}
+
+function stopAllocator() {
+  if (allocatorTimer) {
+    clearInterval(allocatorTimer);
+    allocatorTimer = null;
+  }
+}
+
+/**
+ * Forget the change log (tests)
+ */
+function resetAllocator() {
+  changeLog = [];
+  changeSequence = 0;
+}
+
+module.exports = {
+  RETUNE_NOTICE_SECONDS,
+  computePlan,
+  reallocate,
+  getChangeLog,
+  getScheduledRetune,
+  startAllocator,
+  stopAllocator,
+  resetAllocator
+};
@@ -0,0 +1,341 @@
+const logger = require('./logger');
+const boatState = require('./boatState');
+const routeMapper = require('./routeMapper');
+const database = require('../models/database');
+
+/**
+ * Frequency Manager
+ *
+ * Every parade boat plays its music on a low-power FM transmitter so spectators can
+ * tune in (the webapp auto-tunes to the nearest boat). Frequencies come from a pool
+ * of allowed channels: a band with a channel step, minus frequencies taken by local
+ * broadcasters. Two boats within hearing distance of each other must be at least the
+ * minimum spacing apart, otherwise spectators between them hear both; far apart, boats
+ * may share a frequency. When a boat has no position yet (before the parade starts)
+ * the distance is estimated from parade order: the difference in parade position
+ * times the planned spacing between consecutive boats.
+ *
+ * Defaults come from the environment; a pool saved through /api/frequencies/pool
+ * overrides them for the event. Assignments are stored per boat number.
+ */
+
+const FM_BAND_MHZ = { min: 87.5, max: 108.0 };
+
+const DEFAULT_POOL = {
+  startMhz: parseFloat(process.env.FREQUENCY_BAND_START_MHZ) || 87.6,
+  endMhz: parseFloat(process.env.FREQUENCY_BAND_END_MHZ) || 107.9,
+  stepMhz: parseFloat(process.env.FREQUENCY_STEP_MHZ) || 0.2,
+  excludedMhz: (process.env.FREQUENCY_EXCLUDED_MHZ || '')
+    .split(',')
+    .map(value => parseFloat(value))
+    .filter(value => !isNaN(value)),
+  minSpacingMhz: parseFloat(process.env.FREQUENCY_MIN_SPACING_MHZ) || 0.4,
+  hearingDistanceMeters: parseFloat(process.env.FREQUENCY_HEARING_DISTANCE_METERS) || 250,
+  plannedSpacingMeters: parseFloat(process.env.FREQUENCY_PLANNED_SPACING_METERS) || 100
+};
+
+let pool = normalizePool(DEFAULT_POOL);
+// boatNumber -> { boatNumber, frequency, source, assignedAt }
+const assignments = new Map();
+
+function frequencyError(message, status, details = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, details);
+  return error;
+}
+
+// Frequencies are compared in whole 0.1 MHz units to stay clear of float drift
+function toUnits(mhz) {
+  return Math.round(mhz * 10);
+}
+
+function toMhz(units) {
+  return units / 10;
+}
+
+/**
+ * Merge a (partial) pool over a base pool and check it
+ */
+function normalizePool(base, changes = {}) {
+  const merged = { ...base, ...changes };
+  const poolError = message => frequencyError(message, 400);
+
+  if (!(merged.startMhz >= FM_BAND_MHZ.min && merged.endMhz <= FM_BAND_MHZ.max && merged.startMhz <= merged.endMhz)) {
+    throw poolError(`Pool must lie within the FM band (${FM_BAND_MHZ.min}-${FM_BAND_MHZ.max} MHz) with startMhz <= endMhz`);
+  }
+  if (!(toUnits(merged.stepMhz) > 0) || Math.abs(merged.stepMhz * 10 - toUnits(merged.stepMhz)) > 1e-6) {
+    throw poolError('stepMhz must be a positive multiple of 0.1');
+  }
+  if (!(merged.minSpacingMhz > 0)) {
+    throw poolError('minSpacingMhz must be positive');
+  }
+  if (!(merged.hearingDistanceMeters > 0)) {
+    throw poolError('hearingDistanceMeters must be positive');
+  }
+  if (!(merged.plannedSpacingMeters > 0)) {
+    throw poolError('plannedSpacingMeters must be positive');
+  }
+
+  return {
+    startMhz: toMhz(toUnits(merged.startMhz)),
+    endMhz: toMhz(toUnits(merged.endMhz)),
+    stepMhz: toMhz(toUnits(merged.stepMhz)),
+    excludedMhz: [...new Set((merged.excludedMhz || []).map(mhz => toMhz(toUnits(mhz))))].sort((a, b) => a - b),
+    minSpacingMhz: merged.minSpacingMhz,
+    hearingDistanceMeters: merged.hearingDistanceMeters,
+    plannedSpacingMeters: merged.plannedSpacingMeters
+  };
+}
+
+/**
+ * Allowed frequencies of the pool in MHz, low to high
+ */
+function getAllowedFrequencies() {
+  const excluded = new Set(pool.excludedMhz.map(toUnits));
+  const frequencies = [];
+
+  for (let units = toUnits(pool.startMhz); units <= toUnits(pool.endMhz); units += toUnits(pool.stepMhz)) {
+    if (!excluded.has(units)) {
+      frequencies.push(toMhz(units));
+    }
+  }
+
+  return frequencies;
+}
+
+function isAllowed(frequency) {
+  return getAllowedFrequencies().some(allowed => toUnits(allowed) === toUnits(frequency));
+}
+
+/**
+ * Load the saved pool of the event over the defaults, and the stored assignments
+ * @returns {Promise<number>} Number of boats with a frequency
+ */
+async function loadFrequencies() {
+  const saved = await database.getFrequencySettings(routeMapper.getEventName());
+  if (saved) {
+    try {
+      pool = normalizePool(DEFAULT_POOL, saved);
+    } catch (error) {
+      logger.warn(`Skipping invalid frequency pool: ${error.message}`);
+    }
+  }
+
+  assignments.clear();
+  for (const row of await database.getFrequencyAssignments()) {
+    assignments.set(row.boat_number, {
+      boatNumber: row.boat_number,
+      frequency: parseFloat(row.frequency),
+      source: row.source || 'manual',
+      assignedAt: row.assigned_at ? new Date(row.assigned_at).toISOString() : null
+    });
+  }
+
+  logger.info(`📻 Frequency pool loaded (${getAllowedFrequencies().length} channels, ${assignments.size} boats assigned)`);
+  return assignments.size;
+}
+
+function getPool() {
+  return { ...pool, excludedMhz: [...pool.excludedMhz], channels: getAllowedFrequencies().length };
+}
+
+/**
+ * Change band, channel step, excluded frequencies, minimum spacing, hearing distance or
+ * planned spacing. Boats left on a frequency outside the new pool show up as conflicts.
+ * @param {Object} changes - { startMhz, endMhz, stepMhz, excludedMhz, minSpacingMhz, hearingDistanceMeters, plannedSpacingMeters }
+ */
+async function savePool(changes) {
+  const updated = normalizePool(pool, changes);
+
+  await database.saveFrequencySettings(routeMapper.getEventName(), updated);
+  pool = updated;
+
+  logger.info('Frequency pool saved', updated);
+  return getPool();
+}
+
+function getBoatFrequency(boatNumber) {
+  const assignment = assignments.get(parseInt(boatNumber));
+  return assignment ? assignment.frequency : null;
+}
+
+function getAllAssignments() {
+  return Array.from(assignments.values())
+    .map(assignment => ({ ...assignment }))
+    .sort((a, b) => a.boatNumber - b.boatNumber);
+}
+
+function boatPosition(boatNumber) {
+  const boat = boatState.getBoatState(boatNumber);
+  return boat && boat.position.latitude != null ? boat.position : null;
+}
+
+/**
+ * Distance between two boats in meters
+ * From their positions; when either position is unknown, estimated from their places
+ * in the parade and the planned spacing.
+ * @returns {Object} { distanceMeters, estimated }
+ */
+function distanceBetween(boatA, boatB) {
+  const a = boatPosition(boatA);
+  const b = boatPosition(boatB);
+  if (!a || !b) {
+    return { distanceMeters: Math.abs(boatA - boatB) * pool.plannedSpacingMeters, estimated: true };
+  }
+
+  return {
+    distanceMeters: Math.round(routeMapper.calculateDistance(a.latitude, a.longitude, b.latitude, b.longitude)),
+    estimated: false
+  };
+}
+
+function describeClash(boatNumber, frequency, other, { distanceMeters, estimated }) {
+  const separationUnits = Math.abs(toUnits(frequency) - toUnits(other.frequency));
+
+  return {
+    type: separationUnits === 0 ? 'same_frequency' : 'too_close',
+    boats: [boatNumber, other.boatNumber],
+    frequencies: [frequency, other.frequency],
+    separationMhz: toMhz(separationUnits),
+    distanceMeters,
+    estimated
+  };
+}
+
+/**
+ * Boats within hearing distance that would clash with a frequency for a boat
+ * @returns {Array} Conflicts { type, boats, frequencies, separationMhz, distanceMeters, estimated }
+ */
+function conflictsFor(boatNumber, frequency) {
+  const conflicts = [];
+
+  for (const other of assignments.values()) {
+    if (other.boatNumber === boatNumber) {
+      continue;
+    }
+    if (Math.abs(toUnits(frequency) - toUnits(other.frequency)) >= toUnits(pool.minSpacingMhz)) {
+      continue;
+    }
+
+    const distance = distanceBetween(boatNumber, other.boatNumber);
+    if (distance.distanceMeters <= pool.hearingDistanceMeters) {
+      conflicts.push(describeClash(boatNumber, frequency, other, distance));
+    }
+  }
+
+  return conflicts;
+}
+
+/**
+ * All current conflicts: pairs of boats within hearing distance that are too close in
+ * frequency, and boats left on a frequency outside the pool
+ */
+function findConflicts() {
+  const conflicts = [];
+  const list = getAllAssignments();
+
+  list.forEach((assignment, index) => {
+    if (!isAllowed(assignment.frequency)) {
+      conflicts.push({
+        type: 'outside_pool',
+        boats: [assignment.boatNumber],
+        frequencies: [assignment.frequency],
+        separationMhz: null,
+        distanceMeters: null,
+        estimated: false
+      });
+    }
+
+    conflictsFor(assignment.boatNumber, assignment.frequency)
+      .filter(conflict => list.findIndex(other => other.boatNumber === conflict.boats[1]) > index)
+      .forEach(conflict => conflicts.push(conflict));
+  });
+
+  return conflicts;
+}
+
+/**
+ * Put a boat on a frequency from the pool
+ * @param {number} boatNumber - Boat number (parade position)
+ * @param {number} frequency - MHz
+ * @param {Object} options - { source ('manual'), force: assign despite conflicts }
+ * @returns {Promise<Object>} { boatNumber, frequency, source, assignedAt, conflicts }
+ */
+async function assignFrequency(boatNumber, frequency, { source = 'manual', force = false } = {}) {
+  boatNumber = parseInt(boatNumber);
+  frequency = toMhz(toUnits(parseFloat(frequency)));
+
+  if (!isAllowed(frequency)) {
+    throw frequencyError(`${frequency} MHz is not in the frequency pool`, 400);
+  }
+
+  const conflicts = conflictsFor(boatNumber, frequency);
+  if (conflicts.length > 0 && !force) {
+    throw frequencyError(
+      `${frequency} MHz clashes with boat ${conflicts.map(conflict => conflict.boats[1]).join(', ')} within hearing distance`,
+      409,
+      { conflicts }
+    );
+  }
+
+  const assignment = { boatNumber, frequency, source, assignedAt: new Date().toISOString() };
+  await database.saveFrequencyAssignment({
+    boat_number: boatNumber,
+    frequency,
+    source,
+    assigned_at: assignment.assignedAt
+  });
+  assignments.set(boatNumber, assignment);
+
+  logger.info(`📻 Boat ${boatNumber} on ${frequency} MHz (${source})`, conflicts.length > 0 ? { conflicts } : undefined);
+  return { ...assignment, conflicts };
+}
+
+/**
+ * Take a boat off its frequency
+ */
+async function unassignFrequency(boatNumber) {
+  boatNumber = parseInt(boatNumber);
+  const assignment = assignments.get(boatNumber);
+  if (!assignment) {
+    throw frequencyError(`Boat ${boatNumber} has no frequency`, 404);
+  }
+
+  await database.deleteFrequencyAssignment(boatNumber);
+  assignments.delete(boatNumber);
+
+  logger.info(`📻 Boat ${boatNumber} taken off ${assignment.frequency} MHz`);
+  return { ...assignment };
+}
+
+/**
+ * Frequencies from the pool that are free
+ * @param {number|null} boatNumber - With a boat: frequencies it can take without a
+ *   conflict. Without: frequencies no boat is on.
+ * @returns {Array<number>} MHz, low to high
+ */
+function getAvailableFrequencies(boatNumber = null) {
+  const allowed = getAllowedFrequencies();
+
+  if (boatNumber === null || boatNumber === undefined) {
+    const taken = new Set(Array.from(assignments.values()).map(assignment => toUnits(assignment.frequency)));
+    return allowed.filter(frequency => !taken.has(toUnits(frequency)));
+  }
+
+  return allowed.filter(frequency => conflictsFor(parseInt(boatNumber), frequency).length === 0);
+}
+
+module.exports = {
+  DEFAULT_POOL,
+  loadFrequencies,
+  getPool,
+  savePool,
+  getAllowedFrequencies,
+  getBoatFrequency,
+  getAllAssignments,
+  getAvailableFrequencies,
+  findConflicts,
+  assignFrequency,
+  unassignFrequency
+};
@@ -0,0 +1,191 @@
+const logger = require('./logger');
+const routeMapper = require('./routeMapper');
+
+/**
+ * GPS Filter
+ *
+ * Sits between ingestion and the boat state. Raw KPN fixes jump tens of meters
+ * between canal walls, which turns into negative or impossible speeds once the
+ * along-route distance is differenced. Per boat:
+ *   1. gate   - a fix that implies a speed no parade boat can sail, beyond what
+ *               the accuracy of both fixes explains, is rejected
+ *   2. weight - measurement noise grows with PosAcc and PDOP, so poor fixes move
+ *               the estimate less
+ *   3. smooth - a constant-velocity Kalman filter on the along-route distance
+ *               (state: distance and speed along the route) and a smoothed offset
+ *               from the centerline, so the filtered position stays on the route
+ * Raw fixes stay in gps_positions; the filter result is stored next to them.
+ */
+
+const MAX_SPEED_KMH = parseFloat(process.env.GPS_FILTER_MAX_SPEED_KMH) || 20;
+// Start over after a long silence or when the gate keeps rejecting (the estimate is wrong, not the fixes)
+const RESET_AFTER_SECONDS = parseFloat(process.env.GPS_FILTER_RESET_AFTER_SECONDS) || 300;
+const MAX_CONSECUTIVE_REJECTS = 3;
+
+// Noise model: fix without PosAcc, meters per unit of PDOP, boat acceleration and sideways drift
+const DEFAULT_ACCURACY_METERS = 10;
+const PDOP_METERS = 5;
+const ACCELERATION_NOISE = 0.02; // m/s²
+const OFFSET_DRIFT = 0.5; // m²/s
+const INITIAL_SPEED_VARIANCE = 1; // (m/s)², parade pace is about 1.5 m/s
+
+// Filter state per boat: { distance, speed, offset, P, offsetVariance, time, latitude, longitude, sigma, rejects }
+const filters = new Map();
+
+/**
+ * Standard deviation of a fix in meters, from PosAcc and PDOP (worst of both)
+ */
+function measurementSigma(fix) {
+  const accuracy = fix.accuracy > 0 ? fix.accuracy : DEFAULT_ACCURACY_METERS;
+  const dilution = fix.pdop > 0 ? fix.pdop * PDOP_METERS : 0;
+  return Math.max(accuracy, dilution);
+}
+
+function round(value, decimals = 1) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+function startFilter(fix, routePosition, sigma, time) {
+  return {
+    distance: routePosition.distanceMeters,
+    speed: 0,
+    offset: routePosition.offsetMeters || 0,
+    P: [[sigma * sigma, 0], [0, INITIAL_SPEED_VARIANCE]],
+    offsetVariance: sigma * sigma,
+    time,
+    latitude: fix.latitude,
+    longitude: fix.longitude,
+    sigma,
+    rejects: 0
+  };
+}
+
+/**
+ * Does the fix imply an impossible jump from the last accepted fix?
+ * @returns {number|null} Implied speed in km/h when it does, otherwise null
+ */
+function impliedJumpSpeed(state, fix, sigma, time) {
+  const seconds = Math.max(1, (time - state.time) / 1000);
+  const meters = routeMapper.calculateDistance(state.latitude, state.longitude, fix.latitude, fix.longitude);
+  const unexplained = Math.max(0, meters - state.sigma - sigma);
+  const speedKmh = (unexplained / seconds) * 3.6;
+  return speedKmh > MAX_SPEED_KMH ? round((meters / seconds) * 3.6) : null;
+}
+
+/**
+ * Kalman predict and update on the along-route distance and the centerline offset
+ */
+function smooth(state, routePosition, sigma, time) {
+  const dt = Math.max(0, (time - state.time) / 1000);
+  const variance = sigma * sigma;
+  const maxSpeed = MAX_SPEED_KMH / 3.6;
+
+  // Predict: constant speed, acceleration as process noise
+  const q = ACCELERATION_NOISE * ACCELERATION_NOISE;
+  const [[p00, p01], [p10, p11]] = state.P;
+  const predicted = state.distance + state.speed * dt;
+  const a00 = p00 + dt * (p10 + p01) + dt * dt * p11 + q * Math.pow(dt, 4) / 4;
+  const a01 = p01 + dt * p11 + q * Math.pow(dt, 3) / 2;
+  const a10 = p10 + dt * p11 + q * Math.pow(dt, 3) / 2;
+  const a11 = p11 + q * dt * dt;
+
+  // Update with the measured route distance
+  const innovation = routePosition.distanceMeters - predicted;
+  const s = a00 + variance;
+  const k0 = a00 / s;
+  const k1 = a10 / s;
+
+  const total = routeMapper.getRouteInfo().totalDistance;
+  state.distance = Math.max(0, Math.min(total, predicted + k0 * innovation));
+  state.speed = Math.max(-maxSpeed, Math.min(maxSpeed, state.speed + k1 * innovation));
+  state.P = [
+    [(1 - k0) * a00, (1 - k0) * a01],
+    [a10 - k1 * a00, a11 - k1 * a01]
+  ];
+
+  // Offset from the centerline drifts slowly
+  const offsetPredicted = state.offsetVariance + OFFSET_DRIFT * dt;
+  const offsetGain = offsetPredicted / (offsetPredicted + variance);
+  state.offset += offsetGain * ((routePosition.offsetMeters || 0) - state.offset);
+  state.offsetVariance = (1 - offsetGain) * offsetPredicted;
+
+  return k0;
+}
+
+function toResult(state, weight, sigma) {
+  const point = routeMapper.pointAtDistance(state.distance, state.offset);
+
+  return {
+    accepted: true,
+    latitude: round(point.lat, 7),
+    longitude: round(point.lng, 7),
+    routeDistance: Math.round(state.distance),
+    offsetMeters: round(state.offset),
+    routeSegment: point.segmentIndex,
+    corridorTolerance: point.tolerance,
+    speedKmh: round(state.speed * 3.6, 2),
+    weight: round(weight, 3),
+    sigmaMeters: round(sigma)
+  };
+}
+
+/**
+ * Filter one route-mapped fix of a boat
+ * @param {number} boatNumber - Boat number (parade position)
+ * @param {Object} fix - Canonical fix (latitude, longitude, timestamp, accuracy, pdop)
+ * @param {Object} routePosition - Raw fix mapped with routeMapper.mapToRoute
+ * @returns {Object} { accepted: true, latitude, longitude, routeDistance, offsetMeters, routeSegment,
+ *   corridorTolerance, speedKmh, weight, sigmaMeters } or { accepted: false, reason, impliedSpeedKmh }
+ */
+function filterFix(boatNumber, fix, routePosition) {
+  const time = new Date(fix.timestamp).getTime();
+  const sigma = measurementSigma(fix);
+  const state = filters.get(boatNumber);
+
+  if (!state || (time - state.time) / 1000 > RESET_AFTER_SECONDS || state.rejects >= MAX_CONSECUTIVE_REJECTS) {
+    if (state && state.rejects >= MAX_CONSECUTIVE_REJECTS) {
+      logger.warn(`GPS filter for boat ${boatNumber} restarted after ${state.rejects} rejected fixes`);
+    }
+    const started = startFilter(fix, routePosition, sigma, time);
+    filters.set(boatNumber, started);
+    return toResult(started, 1, sigma);
+  }
+
+  const impliedSpeedKmh = impliedJumpSpeed(state, fix, sigma, time);
+  if (impliedSpeedKmh !== null) {
+    state.rejects++;
+    logger.warn(`GPS fix rejected for boat ${boatNumber}: jump at ${impliedSpeedKmh} km/h`, {
+      coordinates: [fix.latitude, fix.longitude],
+      timestamp: fix.timestamp
+    });
+    return { accepted: false, reason: 'impossible_jump', impliedSpeedKmh };
+  }
+
+  const weight = smooth(state, routePosition, sigma, time);
+  state.time = Math.max(state.time, time);
+  state.latitude = fix.latitude;
+  state.longitude = fix.longitude;
+  state.sigma = sigma;
+  state.rejects = 0;
+
+  return toResult(state, weight, sigma);
+}
+
+/**
+ * Forget the filter state of one boat, or of all boats
+ */
+function resetFilter(boatNumber = null) {
+  if (boatNumber === null) {
+    filters.clear();
+  } else {
+    filters.delete(boatNumber);
+  }
+}
+
+module.exports = {
+  MAX_SPEED_KMH,
+  measurementSigma,
+  filterFix,
+  resetFilter
+};
@@ -0,0 +1,577 @@
+const logger = require('./logger');
+const routeMapper = require('./routeMapper');
+const boatState = require('./boatState');
+const incidentRules = require('./incidentRules');
+const gpsNormalizer = require('./gpsNormalizer');
+const gpsFilter = require('./gpsFilter');
+const database = require('../models/database');
+
+/**
+ * GPS Ingestion Pipeline
+ *
+ * normalize -> dedupe batch -> save fixes (idempotent) -> resolve boat ->
+ * route mapping -> GPS filter (outliers, smoothing) -> boat state, oldest fix first.
+ * Used by the webhook routes and by the webhook replay tool.
+ */
+
+/**
+ * Dedup key for a canonical fix (see database.buildGPSDedupKey)
+ */
+function getFixDedupKey(fix, serNo, imei) {
+  const trackerName = serNo ? serNo.toString() : (imei || 'unknown');
+  return database.buildGPSDedupKey(trackerName, fix.seqNo, fix.timestamp, fix.latitude, fix.longitude);
+}
+
+/**
+ * Drop fixes that occur more than once within the same batch
+ * Keyed on SeqNo and GPS time when the tracker sends a SeqNo (GPS fields of one record
+ * share it), otherwise on time and coordinates.
+ * @param {Array} fixes - Fixes from gpsNormalizer.normalizePayload
+ * @returns {Object} { unique, duplicates }
+ */
+function dedupeBatchFixes(fixes) {
+  const seen = new Set();
+  const unique = [];
+  let duplicates = 0;
+
+  for (const fix of fixes) {
+    const key = fix.seqNo !== null
+      ? `seq:${fix.seqNo}:${fix.timestamp.toISOString()}`
+      : `fix:${fix.timestamp.toISOString()}:${fix.latitude}:${fix.longitude}`;
+
+    if (seen.has(key)) {
+      duplicates++;
+      continue;
+    }
+
+    seen.add(key);
+    unique.push(fix);
+  }
+
+  return { unique, duplicates };
+}
+
+/**
+ * Save a single GPS fix to gps_positions (mapped and unmapped devices)
+ * Idempotent: a fix already stored for this tracker (same SerNo + SeqNo + time, or
+ * same SerNo + time + coordinates) is not inserted again.
+ * @param {Object} fix - Canonical fix from gpsNormalizer.normalizePayload
+ * @param {number|string} serNo - Tracker serial number
+ * @param {string} deviceIMEI - Tracker IMEI
+ * @returns {Promise<Object|null>} Saved GPS position data, or null for a duplicate
+ */
+async function saveGPSFix(fix, serNo, deviceIMEI) {
+  const trackerName = serNo ? serNo.toString() : (deviceIMEI || 'unknown');
+
+  const gpsPositionData = {
+    tracker_name: trackerName,
+    latitude: fix.latitude,
+    longitude: fix.longitude,
+    altitude: fix.altitude,
+    accuracy: fix.accuracy,
+    speed: fix.speed,
+    heading: fix.heading,
+    timestamp: fix.timestamp,
+    raw_data: {
+      SerNo: serNo,
+      IMEI: deviceIMEI,
+      SeqNo: fix.seqNo,
+      gpsStatus: fix.gpsStatus,
+      pdop: fix.pdop,
+      digitalInputs: fix.digitalInputs,
+      battery: fix.battery,
+      originalRecord: fix.record
+    },
+    seq_no: fix.seqNo,
+    dedup_key: getFixDedupKey(fix, serNo, deviceIMEI)
+  };
+
+  const savedId = await database.saveGPSPositionDirect(gpsPositionData);
+
+  if (savedId === null) {
+    return null;
+  }
+
+  logger.info('✅ GPS position saved to database:', {
+    id: savedId,
+    SerNo: serNo,
+    SeqNo: fix.seqNo,
+    lat: fix.latitude,
+    lng: fix.longitude,
+    timestamp: fix.timestamp
+  });
+
+  return { id: savedId, ...gpsPositionData };
+}
+
+/**
+ * Find the boat a payload belongs to
+ * A boatNumber override (webhook replay) first, then bootnummer (simple format), then
+ * the boat-tracker mapping valid at the time of the fixes (follows tracker swaps, also
+ * on replay), then the boat IMEI, then the legacy device mapping.
+ * @returns {Promise<Object|null>} Boat record, or null when the device is not mapped
+ */
+async function resolveBoat({ boatNumber, bootnummer, imei, serNo, at }) {
+  if (boatNumber) {
+    return (await database.getBoat(boatNumber)) || { boat_number: boatNumber, name: null, imei };
+  }
+
+  if (bootnummer) {
+    return database.getBoat(bootnummer);
+  }
+
+  const trackerName = serNo ? serNo.toString() : imei;
+  const mapping = await database.getBoatTrackerMappingAt(trackerName, at);
+  if (mapping && mapping.support_vessel_id) {
+    // Support vessels are tracked but have no place in the parade
+    return null;
+  }
+  if (mapping && mapping.parade_position) {
+    return (await database.getBoat(mapping.parade_position)) || {
+      boat_number: mapping.parade_position,
+      name: null,
+      imei
+    };
+  }
+
+  if (!imei) {
+    return null;
+  }
+
+  const boat = await database.getBoat(imei);
+  if (boat) {
+    return boat;
+  }
+
+  const deviceMapping = await database.getDeviceMappingByIMEI(imei);
+  if (deviceMapping) {
+    return (await database.getBoat(deviceMapping.boat_number)) || {
+      boat_number: deviceMapping.boat_number,
+      name: deviceMapping.boat_name,
+      imei
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Update corridor state and run the incident rules after a new fix
+ * @param {number} bootId - Boat ID
+ */
+async function updateBoatState(bootId) {
+  try {
+    // Corridor state feeds the out_of_corridor rule
+    // Position, status and incident deltas reach /api/stream through boatState
+    await boatState.checkCorridor(bootId);
+
+    // Open or close rule incidents at the time of the fix
+    await incidentRules.evaluateBoat(bootId);
+
+  } catch (error) {
+    logger.error(`Error updating boat state for boat ${bootId}:`, error);
+  }
+}
+
+/**
+ * Map a fix onto the route and run it through the GPS filter
+ * The boat state gets the filtered position and speed; the raw fix is kept under
+ * raw, and the filter result is stored with the fix in gps_positions. A fix older
+ * than the boat's current position bypasses the filter and is marked late.
+ * @param {number} boatNumber - Boat number
+ * @param {Object} fix - Canonical fix, with gpsPositionId when it was saved
+ * @returns {Promise<Object>} { routePosition, filtered, positionData } - routePosition is null
+ *   when the fix is off the route, positionData is null when the filter rejected the fix
+ */
+async function mapAndFilterFix(boatNumber, fix) {
+  const late = boatState.isLateFix(boatNumber, fix.timestamp);
+
+  const routePosition = await routeMapper.mapToRoute({
+    latitude: fix.latitude,
+    longitude: fix.longitude,
+    timestamp: fix.timestamp,
+    previousDistance: late
+      ? boatState.getRouteDistanceAt(boatNumber, fix.timestamp)
+      : boatState.getLastRouteDistance(boatNumber)
+  });
+
+  if (!routePosition) {
+    return { routePosition: null, filtered: null, positionData: null };
+  }
+
+  // The filter runs forward in time; a late fix goes into history as measured
+  const filtered = late
+    ? { accepted: true, late: true }
+    : gpsFilter.filterFix(boatNumber, fix, routePosition);
+
+  if (fix.gpsPositionId) {
+    try {
+      await database.saveGPSFilterResult(fix.gpsPositionId, {
+        filter_status: filtered.late ? 'late' : (filtered.accepted ? 'accepted' : 'rejected'),
+        filter_reason: filtered.reason || null,
+        raw_route_distance: routePosition.distanceMeters,
+        filtered_latitude: filtered.latitude,
+        filtered_longitude: filtered.longitude,
+        filtered_route_distance: filtered.routeDistance,
+        filtered_speed: filtered.speedKmh,
+        filter_weight: filtered.weight
+      });
+    } catch (error) {
+      logger.error('Failed to store GPS filter result:', error);
+    }
+  }
+
+  if (!filtered.accepted) {
+    return { routePosition, filtered, positionData: null };
+  }
+
+  if (late) {
+    return {
+      routePosition,
+      filtered,
+      positionData: {
+        latitude: fix.latitude,
+        longitude: fix.longitude,
+        timestamp: fix.timestamp,
+        routeDistance: routePosition.distanceMeters,
+        routeProgress: routePosition.progressPercent,
+        distanceFromRoute: routePosition.distanceFromRoute,
+        routeSegment: routePosition.routeSegment,
+        routeOffset: routePosition.offsetMeters,
+        corridorTolerance: routePosition.corridorTolerance,
+        speed: null,
+        heading: fix.heading || routePosition.heading,
+        altitude: fix.altitude || null,
+        accuracy: fix.accuracy || null,
+        late: true
+      }
+    };
+  }
+
+  const totalDistance = routeMapper.getRouteInfo().totalDistance;
+
+  return {
+    routePosition,
+    filtered,
+    positionData: {
+      latitude: filtered.latitude,
+      longitude: filtered.longitude,
+      timestamp: fix.timestamp,
+      routeDistance: filtered.routeDistance,
+      routeProgress: Math.round((filtered.routeDistance / totalDistance) * 10000) / 100,
+      distanceFromRoute: Math.round(Math.abs(filtered.offsetMeters)),
+      routeSegment: filtered.routeSegment,
+      routeOffset: filtered.offsetMeters,
+      corridorTolerance: filtered.corridorTolerance,
+      speed: filtered.speedKmh,
+      heading: fix.heading || routePosition.heading,
+      altitude: fix.altitude || null,
+      accuracy: fix.accuracy || null,
+      filtered: true,
+      raw: {
+        latitude: fix.latitude,
+        longitude: fix.longitude,
+        routeDistance: routePosition.distanceMeters,
+        distanceFromRoute: routePosition.distanceFromRoute,
+        speed: fix.speed,
+        pdop: fix.pdop,
+        weight: filtered.weight
+      }
+    }
+  };
+}
+
+/**
+ * Summary of the route position a fix gives a boat (replay reports)
+ */
+function describeRoutePosition(boatNumber, fix, routeDistance, routeProgress, late) {
+  return {
+    boatNumber,
+    timestamp: new Date(fix.timestamp).toISOString(),
+    seqNo: fix.seqNo,
+    routeDistance,
+    routeProgress,
+    late: Boolean(late),
+    reapplied: Boolean(fix.reapplied)
+  };
+}
+
+/**
+ * Feed saved fixes through route mapping and boat state in chronological order
+ * A re-applied fix that already went through route mapping before (it has a filter
+ * status in gps_positions) does not get a second boat_positions row.
+ * @param {Object} boat - Boat record
+ * @param {Array} fixes - Newly saved (or re-applied stored) canonical fixes, oldest first
+ * @returns {Promise<Object>} { lastRoutePosition, updatedBoat, unmappedToRoute, outliersRejected, lateFixes, routePositions }
+ */
+async function applyFixesToBoat(boat, fixes) {
+  const boatNumber = boat.boat_number;
+  let lastRoutePosition = null;
+  let updatedBoat = null;
+  let unmappedToRoute = 0;
+  let outliersRejected = 0;
+  let lateFixes = 0;
+  const routePositions = [];
+
+  for (const fix of fixes) {
+    const { routePosition, filtered, positionData } = await mapAndFilterFix(boatNumber, fix);
+
+    if (!routePosition) {
+      unmappedToRoute++;
+      logger.warn(`Could not map GPS position to route for boat ${boatNumber}`, {
+        bootnummer: boatNumber,
+        imei: boat.imei,
+        serNo: fix.serNo,
+        SeqNo: fix.seqNo,
+        coordinates: [fix.latitude, fix.longitude]
+      });
+      continue;
+    }
+
+    if (!positionData) {
+      outliersRejected++;
+      logger.debug(`GPS fix of boat ${boatNumber} rejected by the filter`, { SeqNo: fix.seqNo, ...filtered });
+      continue;
+    }
+
+    // Save to database (mapped boats)
+    if (!fix.alreadyMapped) {
+      try {
+        await database.saveBoatPosition(boatNumber, {
+          ...positionData,
+          imei: boat.imei
+        });
+      } catch (dbError) {
+        logger.error('Failed to save position to database:', dbError);
+        // Continue processing even if database save fails
+      }
+    }
+
+    // Update in-memory boat state (a late fix only goes into history)
+    updatedBoat = await boatState.updateBoatPosition(boatNumber, positionData);
+
+    if (positionData.late) {
+      lateFixes++;
+    } else {
+      // Trigger corridor algorithm and status updates
+      await updateBoatState(boatNumber);
+    }
+
+    lastRoutePosition = routePosition;
+    routePositions.push(describeRoutePosition(
+      boatNumber, fix, positionData.routeDistance, positionData.routeProgress, positionData.late
+    ));
+  }
+
+  return { lastRoutePosition, updatedBoat, unmappedToRoute, outliersRejected, lateFixes, routePositions };
+}
+
+/**
+ * Route positions fixes would give a boat, without writing anything
+ * Used by dry runs. The GPS filter is not run, so these are the raw route positions.
+ * @param {Object} boat - Boat record
+ * @param {Array} fixes - Canonical fixes, oldest first
+ * @returns {Promise<Object>} { lastRoutePosition, updatedBoat, unmappedToRoute, outliersRejected, lateFixes, routePositions }
+ */
+async function previewFixesForBoat(boat, fixes) {
+  const boatNumber = boat.boat_number;
+  const state = boatState.getBoatState(boatNumber);
+  let latestTime = state && state.position.timestamp ? new Date(state.position.timestamp) : null;
+  let previousDistance = boatState.getLastRouteDistance(boatNumber);
+  let lastRoutePosition = null;
+  let unmappedToRoute = 0;
+  let lateFixes = 0;
+  const routePositions = [];
+
+  for (const fix of fixes) {
+    const late = latestTime !== null && new Date(fix.timestamp) < latestTime;
+
+    const routePosition = await routeMapper.mapToRoute({
+      latitude: fix.latitude,
+      longitude: fix.longitude,
+      timestamp: fix.timestamp,
+      previousDistance: late ? boatState.getRouteDistanceAt(boatNumber, fix.timestamp) : previousDistance
+    });
+
+    if (!routePosition) {
+      unmappedToRoute++;
+      continue;
+    }
+
+    if (late) {
+      lateFixes++;
+    } else {
+      latestTime = new Date(fix.timestamp);
+      previousDistance = routePosition.distanceMeters;
+    }
+
+    lastRoutePosition = routePosition;
+    routePositions.push(describeRoutePosition(
+      boatNumber, fix, routePosition.distanceMeters, routePosition.progressPercent, late
+    ));
+  }
+
+  return { lastRoutePosition, updatedBoat: null, unmappedToRoute, outliersRejected: 0, lateFixes, routePositions };
+}
+
+/**
+ * Stored fixes to apply to a boat again (reapply mode)
+ * Fixes the boat state already holds are left out, so re-applying is idempotent.
+ * Each fix gets its gps_positions id (to store the filter result) and alreadyMapped
+ * when it went through route mapping before.
+ * @returns {Promise<Array>} Fixes marked reapplied, oldest first
+ */
+async function getFixesToReapply(boat, storedFixes, serNo, imei, dryRun) {
+  const pending = storedFixes.filter(fix => !boatState.hasFixAt(boat.boat_number, fix.timestamp));
+  if (dryRun || pending.length === 0) {
+    return pending.map(fix => ({ ...fix, reapplied: true }));
+  }
+
+  const stored = await database.getStoredGPSFixes(pending.map(fix => getFixDedupKey(fix, serNo, imei)));
+
+  return pending.map(fix => {
+    const storedFix = stored.get(getFixDedupKey(fix, serNo, imei));
+    return {
+      ...fix,
+      reapplied: true,
+      gpsPositionId: storedFix ? storedFix.id : undefined,
+      alreadyMapped: Boolean(storedFix && storedFix.filter_status)
+    };
+  });
+}
+
+/**
+ * Run a webhook payload through the ingestion pipeline
+ * In dry-run mode nothing is written; the summary reports which fixes would be
+ * inserted and which are already stored, and routePositions lists the route
+ * positions the boat would get.
+ * With reapply, fixes that are already stored are applied to route mapping and boat
+ * state as well (unless the boat state already holds them); they are not inserted again.
+ * Pass the same seenKeys Set across calls to handle a fix repeated between payloads
+ * of one replay only once.
+ * @param {Object} payload - Webhook request body
+ * @param {Object} options - { bootnummer, boatNumber, dryRun, seenKeys, reapply } - boatNumber
+ *   assigns the fixes to that boat whatever the tracker mapping says
+ * @returns {Promise<Object>} { adapter, serNo, imei, boat, records, savedFixes, latestFix, lastRoutePosition, updatedBoat, routePositions }
+ */
+async function ingestPayload(payload, options = {}) {
+  const { dryRun = false, reapply = false } = options;
+  const bootnummer = options.bootnummer || payload.bootnummer || null;
+
+  // Extract every GPS fix from the batch, oldest first
+  const { adapter, serNo, imei, fixes, rejected, totalRecords } = gpsNormalizer.normalizePayload(payload);
+  const { unique, duplicates } = dedupeBatchFixes(fixes);
+
+  const records = {
+    total: totalRecords,
+    accepted: 0,
+    deduplicated: duplicates,
+    rejected: rejected.length,
+    rejectedDetails: rejected,
+    unmappedToRoute: 0,
+    outliersRejected: 0,
+    lateFixes: 0,
+    reapplied: 0
+  };
+
+  const savedFixes = [];
+  // Already stored fixes, only collected with reapply
+  const storedFixes = [];
+  const seenKeys = options.seenKeys || new Set();
+
+  if (dryRun) {
+    const existingKeys = await database.findExistingGPSDedupKeys(
+      unique.map(fix => getFixDedupKey(fix, serNo, imei))
+    );
+
+    for (const fix of unique) {
+      const key = getFixDedupKey(fix, serNo, imei);
+      if (seenKeys.has(key)) {
+        records.deduplicated++;
+        continue;
+      }
+
+      if (key) seenKeys.add(key);
+      if (existingKeys.has(key)) {
+        records.deduplicated++;
+        if (reapply) storedFixes.push(fix);
+      } else {
+        savedFixes.push(fix);
+      }
+    }
+  } else {
+    // Always save GPS data for later analysis (even unmapped devices)
+    for (const fix of unique) {
+      const key = getFixDedupKey(fix, serNo, imei);
+      try {
+        const saved = await saveGPSFix(fix, serNo, imei);
+        if (saved) {
+          savedFixes.push({ ...fix, gpsPositionId: saved.id });
+        } else {
+          // Already stored by an earlier delivery of the same records
+          records.deduplicated++;
+          if (reapply && !seenKeys.has(key)) storedFixes.push(fix);
+        }
+        if (key) seenKeys.add(key);
+      } catch (saveError) {
+        logger.error('Failed to save GPS data for analysis:', saveError);
+        records.rejected++;
+        records.rejectedDetails.push({
+          recordIndex: fix.recordIndex,
+          SeqNo: fix.seqNo,
+          reason: 'Failed to save GPS position'
+        });
+      }
+    }
+  }
+  records.accepted = savedFixes.length;
+
+  const boat = unique.length > 0
+    ? await resolveBoat({ boatNumber: options.boatNumber, bootnummer, imei, serNo, at: unique[unique.length - 1].timestamp })
+    : null;
+
+  let fixesToApply = savedFixes;
+  if (boat && storedFixes.length > 0) {
+    const reappliedFixes = await getFixesToReapply(boat, storedFixes, serNo, imei, dryRun);
+    fixesToApply = [...savedFixes, ...reappliedFixes].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    records.reapplied = reappliedFixes.length;
+  }
+
+  let routeResult = {
+    lastRoutePosition: null, updatedBoat: null, unmappedToRoute: 0, outliersRejected: 0, lateFixes: 0, routePositions: []
+  };
+  if (boat) {
+    routeResult = dryRun
+      ? await previewFixesForBoat(boat, fixesToApply)
+      : await applyFixesToBoat(boat, fixesToApply);
+  }
+  records.unmappedToRoute = routeResult.unmappedToRoute;
+  records.outliersRejected = routeResult.outliersRejected;
+  records.lateFixes = routeResult.lateFixes;
+
+  return {
+    adapter,
+    serNo,
+    imei,
+    bootnummer,
+    boat,
+    dryRun,
+    records,
+    savedFixes,
+    latestFix: unique.length > 0 ? unique[unique.length - 1] : null,
+    lastRoutePosition: routeResult.lastRoutePosition,
+    updatedBoat: routeResult.updatedBoat,
+    routePositions: routeResult.routePositions
+  };
+}
+
+module.exports = {
+  ingestPayload,
+  dedupeBatchFixes,
+  saveGPSFix,
+  resolveBoat,
+  mapAndFilterFix,
+  applyFixesToBoat,
+  previewFixesForBoat,
+  updateBoatState
+};
@@ -0,0 +1,309 @@
+const logger = require('./logger');
+
+/**
+ * GPS Payload Normalizer
+ *
+ * Turns vendor webhook payloads into one canonical list of GPS fixes. Each source
+ * format is handled by an adapter in the registry below; register a new adapter
+ * for a new vendor instead of adding another parser to a route.
+ *
+ * Canonical fix:
+ * {
+ *   serNo, imei, seqNo, recordIndex, timestamp (Date),
+ *   latitude, longitude, altitude, speed, heading, accuracy, pdop, gpsStatus,
+ *   digitalInputs, digitalOutputs, deviceStatus, battery, record
+ * }
+ * Missing values are null. battery is the supply voltage in millivolts, pdop the
+ * plain dilution of precision (KPN reports it in tenths).
+ */
+
+const adapters = [];
+
+const EMPTY_FIX = {
+  seqNo: null,
+  recordIndex: 0,
+  timestamp: null,
+  latitude: null,
+  longitude: null,
+  altitude: null,
+  speed: null,
+  heading: null,
+  accuracy: null,
+  pdop: null,
+  gpsStatus: null,
+  digitalInputs: null,
+  digitalOutputs: null,
+  deviceStatus: null,
+  battery: null,
+  record: null
+};
+
+/**
+ * Parse a tracker timestamp into a Date
+ * KPN sends "YYYY-MM-DD HH:mm:ss" without a zone designator; those values are UTC.
+ */
+function parseGPSTimestamp(value) {
+  if (!value) return null;
+  if (value instanceof Date) return isNaN(value) ? null : value;
+
+  const text = String(value).trim();
+  const date = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(text)
+    ? new Date(text.replace(' ', 'T') + 'Z')
+    : new Date(text);
+
+  return isNaN(date) ? null : date;
+}
+
+/**
+ * First defined value of the given keys
+ */
+function pick(source, keys) {
+  if (!source) return undefined;
+  for (const key of keys) {
+    if (source[key] !== undefined && source[key] !== null && source[key] !== '') {
+      return source[key];
+    }
+  }
+  return undefined;
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+function toInteger(value) {
+  const number = toNumber(value);
+  return number === null ? null : Math.trunc(number);
+}
+
+// Field aliases seen across KPN endpoints, the GPS simulator and simple test clients
+const LATITUDE_KEYS = ['Lat', 'latitude', 'lat'];
+const LONGITUDE_KEYS = ['Long', 'Lng', 'longitude', 'lng'];
+const ALTITUDE_KEYS = ['Alt', 'altitude'];
+const SPEED_KEYS = ['Spd', 'Speed', 'speed'];
+const HEADING_KEYS = ['Head', 'Course', 'Dir', 'heading', 'direction'];
+const ACCURACY_KEYS = ['PosAcc', 'Acc', 'Accuracy', 'accuracy'];
+const SERIAL_KEYS = ['SerNo', 'SerialNumber', 'serial'];
+const IMEI_KEYS = ['IMEI', 'imei'];
+
+// KPN PDOP is in tenths (18 = 1.8); other clients send the plain value as pdop
+function readPdop(source) {
+  const kpnPdop = toNumber(pick(source, ['PDOP']));
+  return kpnPdop !== null ? kpnPdop / 10 : toNumber(pick(source, ['pdop']));
+}
+
+function hasCoordinates(source) {
+  return pick(source, LATITUDE_KEYS) !== undefined && pick(source, LONGITUDE_KEYS) !== undefined;
+}
+
+/**
+ * Read position values from an object using the alias lists
+ */
+function readPosition(source) {
+  return {
+    latitude: toNumber(pick(source, LATITUDE_KEYS)),
+    longitude: toNumber(pick(source, LONGITUDE_KEYS)),
+    altitude: toNumber(pick(source, ALTITUDE_KEYS)),
+    speed: toNumber(pick(source, SPEED_KEYS)),
+    heading: toNumber(pick(source, HEADING_KEYS)),
+    accuracy: toNumber(pick(source, ACCURACY_KEYS)),
+    pdop: readPdop(source),
+    gpsStatus: toInteger(pick(source, ['GpsStat', 'gpsStatus']))
+  };
+}
+
+/**
+ * KPN Records adapter
+ * {"SerNo":1326997,"IMEI":"353760970649317","Records":[{"SeqNo":1,"DateUTC":"...","Fields":[...]}]}
+ * Fields are split by FType: 0 = GPS, 2 = digital I/O, 6 = analogue (channel 1 is supply voltage).
+ * Also accepts lowercase `records` / `data` arrays and records with coordinates at record level.
+ */
+const kpnRecordsAdapter = {
+  name: 'kpn-records',
+
+  detect(payload) {
+    return ['Records', 'records', 'data'].some(key => Array.isArray(payload[key]) && payload[key].length > 0);
+  },
+
+  normalize(payload) {
+    const records = payload.Records || payload.records || payload.data;
+    const fixes = [];
+    const rejected = [];
+
+    records.forEach((record, recordIndex) => {
+      const fields = Array.isArray(record.Fields) ? record.Fields : [];
+      const gpsFields = fields.filter(hasCoordinates);
+
+      if (gpsFields.length === 0 && hasCoordinates(record)) {
+        gpsFields.push(record);
+      }
+
+      if (gpsFields.length === 0) {
+        rejected.push({ recordIndex, SeqNo: record.SeqNo, reason: 'No GPS field in record' });
+        return;
+      }
+
+      const ioField = fields.find(field => field.DIn !== undefined || field.DevStat !== undefined) || {};
+      const analogueField = fields.find(field => field.AnalogueData) || {};
+      const analogue = analogueField.AnalogueData || {};
+
+      for (const field of gpsFields) {
+        fixes.push({
+          seqNo: record.SeqNo !== undefined ? record.SeqNo : null,
+          recordIndex,
+          timestamp: parseGPSTimestamp(
+            pick(field, ['GpsUTC', 'DateUTC', 'timestamp', 'time']) ||
+            pick(record, ['DateUTC', 'timestamp', 'time']) ||
+            pick(payload, ['DateUTC', 'timestamp'])
+          ),
+          ...readPosition(field),
+          digitalInputs: toInteger(ioField.DIn),
+          digitalOutputs: toInteger(ioField.DOut),
+          deviceStatus: toInteger(ioField.DevStat),
+          battery: toNumber(analogue['1']),
+          record
+        });
+      }
+    });
+
+    return { fixes, rejected, totalRecords: records.length };
+  }
+};
+
+/**
+ * Flat adapter
+ * {"bootnummer":11,"timestamp":"...","latitude":52.37,"longitude":4.89} or a single
+ * KPN-style {"Lat":..,"Long":..} object. A missing timestamp means "now".
+ */
+const flatAdapter = {
+  name: 'flat',
+
+  detect(payload) {
+    return hasCoordinates(payload);
+  },
+
+  normalize(payload) {
+    return {
+      fixes: [{
+        seqNo: payload.SeqNo !== undefined ? payload.SeqNo : null,
+        recordIndex: 0,
+        timestamp: parseGPSTimestamp(pick(payload, ['GpsUTC', 'timestamp', 'DateUTC', 'time'])) || new Date(),
+        ...readPosition(payload),
+        digitalInputs: null,
+        digitalOutputs: null,
+        deviceStatus: null,
+        battery: toNumber(pick(payload, ['battery', 'batteryMv'])),
+        record: null
+      }],
+      rejected: [],
+      totalRecords: 1
+    };
+  }
+};
+
+/**
+ * Register a payload adapter
+ * Adapters are tried in registration order; registering an existing name replaces it.
+ * @param {Object} adapter - { name, detect(payload) => boolean, normalize(payload) => { fixes, rejected, totalRecords } }
+ */
+function registerAdapter(adapter) {
+  if (!adapter || !adapter.name || typeof adapter.detect !== 'function' || typeof adapter.normalize !== 'function') {
+    throw new Error('Adapter must have a name, detect() and normalize()');
+  }
+
+  const index = adapters.findIndex(existing => existing.name === adapter.name);
+  if (index === -1) {
+    adapters.push(adapter);
+  } else {
+    adapters[index] = adapter;
+  }
+
+  logger.debug(`GPS payload adapter registered: ${adapter.name}`);
+}
+
+/**
+ * Get a registered adapter by name
+ */
+function getAdapter(name) {
+  return adapters.find(adapter => adapter.name === name) || null;
+}
+
+/**
+ * Names of all registered adapters, in detection order
+ */
+function listAdapters() {
+  return adapters.map(adapter => adapter.name);
+}
+
+/**
+ * Normalize a webhook payload into canonical GPS fixes
+ * Fixes with invalid coordinates or timestamps are moved to `rejected`.
+ * @param {Object} payload - Webhook request body
+ * @param {Object} options - { adapter: force a specific adapter by name }
+ * @returns {Object} { adapter, serNo, imei, fixes, rejected, totalRecords } with fixes sorted oldest first
+ */
+function normalizePayload(payload, options = {}) {
+  const serNo = pick(payload, SERIAL_KEYS) || null;
+  const imei = pick(payload, IMEI_KEYS) ? String(pick(payload, IMEI_KEYS)) : null;
+  const empty = { adapter: null, serNo, imei, fixes: [], rejected: [], totalRecords: 0 };
+
+  if (!payload || typeof payload !== 'object') {
+    return empty;
+  }
+
+  const adapter = options.adapter
+    ? getAdapter(options.adapter)
+    : adapters.find(candidate => candidate.detect(payload));
+
+  if (!adapter) {
+    return empty;
+  }
+
+  const result = adapter.normalize(payload);
+  const fixes = [];
+  const rejected = [...(result.rejected || [])];
+
+  for (const adapterFix of result.fixes) {
+    const fix = { ...EMPTY_FIX, ...adapterFix };
+    const { latitude, longitude } = fix;
+
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180 ||
+        (latitude === 0 && longitude === 0)) {
+      rejected.push({ recordIndex: fix.recordIndex, SeqNo: fix.seqNo, reason: 'Invalid coordinates' });
+      continue;
+    }
+
+    if (!fix.timestamp) {
+      rejected.push({ recordIndex: fix.recordIndex, SeqNo: fix.seqNo, reason: 'Missing or invalid timestamp' });
+      continue;
+    }
+
+    fixes.push({ serNo, imei, ...fix });
+  }
+
+  // Chronological order so route mapping and boat state see the track as it happened
+  fixes.sort((a, b) => (a.timestamp - b.timestamp) || ((a.seqNo || 0) - (b.seqNo || 0)));
+
+  return {
+    adapter: adapter.name,
+    serNo,
+    imei,
+    fixes,
+    rejected,
+    totalRecords: result.totalRecords
+  };
+}
+
+// Built-in adapters (most specific first)
+registerAdapter(kpnRecordsAdapter);
+registerAdapter(flatAdapter);
+
+module.exports = {
+  normalizePayload,
+  registerAdapter,
+  getAdapter,
+  listAdapters,
+  parseGPSTimestamp
+};
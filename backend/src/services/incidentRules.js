@@ -0,0 +1,500 @@
+const logger = require('./logger');
+const boatState = require('./boatState');
+const database = require('../models/database');
+
+/**
+ * Incident Rules
+ *
+ * Rule engine for boat incidents. A rule is data: a condition with parameters,
+ * how long the condition must hold before an incident opens (durationSeconds),
+ * a severity, a cooldown after an incident closes and whether the incident
+ * closes by itself once the condition clears (autoResolve).
+ *
+ * Each rule keeps one incident per boat that opens and closes instead of being
+ * repeated on every fix. Rules are evaluated after every fix; rules on a clock
+ * condition (no fix received) are also evaluated by a periodic monitor.
+ * Saved rules live in the incident_rules table and replace the default with the
+ * same id.
+ */
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+const DEFAULT_MONITOR_INTERVAL_MS = 15 * 1000;
+
+/**
+ * Boat that precedes the given boat in parade order (lower number), if positioned
+ */
+function findBoatAhead(boat) {
+  return boatState.getAllBoatStates()
+    .filter(other => other.id < boat.id && other.position.timestamp && other.status !== 'finished')
+    .sort((a, b) => b.id - a.id)[0] || null;
+}
+
+/**
+ * Conditions a rule can use. evaluate(boat, params, now) returns null when the
+ * condition does not hold, else { message, metadata, since } where since is when
+ * the condition started (defaults to the first evaluation that saw it).
+ * Clock conditions change without new fixes and are evaluated by the monitor.
+ */
+const CONDITIONS = {
+  stopped: {
+    description: 'Speed below maxSpeedKmh',
+    params: { maxSpeedKmh: 0.5 },
+    evaluate(boat, params) {
+      const speed = boat.position.speed || 0;
+      if (speed < 0 || speed >= params.maxSpeedKmh) return null;
+      return { message: `Boat stopped (${speed} km/h)`, metadata: { speed } };
+    }
+  },
+  reversing: {
+    description: 'Speed below minSpeedKmh (moving backwards along the route)',
+    params: { minSpeedKmh: -1 },
+    evaluate(boat, params) {
+      const speed = boat.position.speed || 0;
+      if (speed >= params.minSpeedKmh) return null;
+      return { message: `Boat moving backwards (${speed} km/h)`, metadata: { speed } };
+    }
+  },
+  speeding: {
+    description: 'Speed above maxSpeedKmh',
+    params: { maxSpeedKmh: 10 },
+    evaluate(boat, params) {
+      const speed = boat.position.speed || 0;
+      if (speed <= params.maxSpeedKmh) return null;
+      return { message: `Boat speed ${speed} km/h exceeds ${params.maxSpeedKmh} km/h`, metadata: { speed } };
+    }
+  },
+  no_fix: {
+    description: 'No GPS fix for more than maxAgeSeconds',
+    params: { maxAgeSeconds: 120 },
+    clock: true,
+    evaluate(boat, params, now) {
+      if (!boat.position.timestamp) return null;
+      const lastFixAt = new Date(boat.position.timestamp);
+      const ageSeconds = Math.round((now - lastFixAt) / 1000);
+      if (ageSeconds <= params.maxAgeSeconds) return null;
+      return {
+        message: `No GPS fix since ${lastFixAt.toISOString()}`,
+        metadata: { lastFixAt, ageSeconds },
+        since: new Date(lastFixAt.getTime() + params.maxAgeSeconds * 1000)
+      };
+    }
+  },
+  out_of_corridor: {
+    description: 'Outside the corridor tolerance of the route segment',
+    params: {},
+    evaluate(boat) {
+      if (boat.corridor.inCorridor) return null;
+      const { distanceFromRoute, corridorTolerance, routeSegment, latitude, longitude } = boat.position;
+      return {
+        message: `Boat left the corridor (${distanceFromRoute}m from route, limit ${corridorTolerance}m)`,
+        metadata: {
+          distanceFromRoute,
+          tolerance: corridorTolerance,
+          maxDistanceFromRoute: boat.corridor.maxDistanceOutside,
+          routeSegment,
+          latitude,
+          longitude
+        },
+        since: boat.corridor.exitedAt
+      };
+    }
+  },
+  overtaking: {
+    description: 'Further along the route than the boat ahead in parade order by more than marginMeters',
+    params: { marginMeters: 10 },
+    evaluate(boat, params) {
+      const ahead = findBoatAhead(boat);
+      if (!ahead) return null;
+      const overtakenByMeters = Math.round((boat.position.routeDistance || 0) - (ahead.position.routeDistance || 0));
+      if (overtakenByMeters <= params.marginMeters) return null;
+      return {
+        message: `Boat overtook boat ${ahead.id} by ${overtakenByMeters}m`,
+        metadata: { aheadBoatId: ahead.id, overtakenByMeters }
+      };
+    }
+  },
+  poor_accuracy: {
+    description: 'GPS accuracy worse than maxAccuracyMeters',
+    params: { maxAccuracyMeters: 50 },
+    evaluate(boat, params) {
+      const accuracy = boat.position.accuracy;
+      if (accuracy == null || accuracy <= params.maxAccuracyMeters) return null;
+      return { message: `GPS accuracy ${accuracy}m (limit ${params.maxAccuracyMeters}m)`, metadata: { accuracy } };
+    }
+  }
+};
+
+const DEFAULT_RULES = [
+  {
+    id: 'stopped',
+    name: 'Stopped while active',
+    condition: 'stopped',
+    params: { maxSpeedKmh: 0.5 },
+    statuses: ['active'],
+    durationSeconds: 180,
+    severity: 'warning',
+    cooldownSeconds: 300,
+    autoResolve: true
+  },
+  {
+    id: 'no_fix',
+    name: 'No GPS fix',
+    condition: 'no_fix',
+    params: { maxAgeSeconds: 120 },
+    durationSeconds: 0,
+    severity: 'warning',
+    cooldownSeconds: 0,
+    autoResolve: true
+  },
+  {
+    id: 'corridor_exit',
+    name: 'Out of corridor',
+    condition: 'out_of_corridor',
+    params: {},
+    durationSeconds: 30,
+    severity: 'warning',
+    cooldownSeconds: 0,
+    autoResolve: true
+  },
+  {
+    id: 'overtaking',
+    name: 'Overtaking the boat ahead',
+    condition: 'overtaking',
+    params: { marginMeters: 10 },
+    durationSeconds: 15,
+    severity: 'warning',
+    cooldownSeconds: 120,
+    autoResolve: true
+  },
+  {
+    id: 'poor_accuracy',
+    name: 'Poor GPS accuracy',
+    condition: 'poor_accuracy',
+    params: { maxAccuracyMeters: 50 },
+    durationSeconds: 60,
+    severity: 'info',
+    cooldownSeconds: 300,
+    autoResolve: true
+  },
+  {
+    id: 'reverse',
+    name: 'Moving backwards',
+    condition: 'reversing',
+    params: { minSpeedKmh: -1 },
+    durationSeconds: 30,
+    severity: 'warning',
+    cooldownSeconds: 120,
+    autoResolve: true
+  },
+  {
+    id: 'speeding',
+    name: 'Speeding',
+    condition: 'speeding',
+    params: { maxSpeedKmh: 10 },
+    durationSeconds: 30,
+    severity: 'warning',
+    cooldownSeconds: 120,
+    autoResolve: true
+  }
+];
+
+let rules = new Map();
+let monitorTimer = null;
+
+// Per rule and boat ("<ruleId>:<boatId>"): { since, incident, lastMetadata, closedAt }
+const ruleStates = new Map();
+
+function ruleError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Fill in defaults: condition parameters, incident type (rule id) and enabled
+ */
+function normalizeRule(id, definition) {
+  const condition = CONDITIONS[definition.condition];
+  if (!condition) {
+    throw ruleError(`Unknown condition: ${definition.condition}`, 400);
+  }
+
+  const unknownParams = Object.keys(definition.params || {}).filter(param => !(param in condition.params));
+  if (unknownParams.length > 0) {
+    throw ruleError(`Unknown parameter(s) for ${definition.condition}: ${unknownParams.join(', ')}`, 400);
+  }
+
+  return {
+    name: id,
+    durationSeconds: 0,
+    severity: 'warning',
+    cooldownSeconds: 0,
+    autoResolve: true,
+    enabled: true,
+    ...definition,
+    id,
+    incidentType: definition.incidentType || id,
+    params: { ...condition.params, ...definition.params }
+  };
+}
+
+function resetRuleDefinitions() {
+  rules = new Map(DEFAULT_RULES.map(rule => [rule.id, normalizeRule(rule.id, rule)]));
+}
+
+resetRuleDefinitions();
+
+function getRules() {
+  return Array.from(rules.values()).map(rule => ({
+    ...rule,
+    isDefault: DEFAULT_RULES.some(defaultRule => defaultRule.id === rule.id)
+  }));
+}
+
+function getRule(id) {
+  return rules.get(id) || null;
+}
+
+/**
+ * Load saved rules from the database over the defaults
+ * @returns {Promise<number>} Number of saved rules applied
+ */
+async function loadRules() {
+  const saved = await database.getIncidentRules();
+  let applied = 0;
+
+  for (const definition of saved) {
+    try {
+      rules.set(definition.id, normalizeRule(definition.id, definition));
+      applied++;
+    } catch (error) {
+      logger.warn(`Skipping invalid incident rule ${definition.id}: ${error.message}`);
+    }
+  }
+
+  logger.info(`🧭 Incident rules loaded (${rules.size} rules, ${applied} saved)`);
+  return applied;
+}
+
+/**
+ * Close the open incident of a rule for a boat
+ */
+async function closeRuleIncident(state, boatId, endedAt, resolution) {
+  if (!state.incident) return null;
+
+  const closed = await boatState.closeBoatIncident(boatId, state.incident, endedAt, {
+    ...state.lastMetadata,
+    resolution
+  });
+  state.incident = null;
+  state.closedAt = endedAt;
+  return closed;
+}
+
+/**
+ * Close every open incident of a rule (rule disabled, changed or deleted)
+ */
+async function closeAllForRule(ruleId, resolution) {
+  const now = new Date();
+
+  for (const [key, state] of ruleStates) {
+    if (!key.startsWith(`${ruleId}:`)) continue;
+    await closeRuleIncident(state, parseInt(key.split(':')[1]), now, resolution);
+    ruleStates.delete(key);
+  }
+}
+
+/**
+ * Create or replace a rule
+ * @param {string} id - Rule id
+ * @param {Object} definition - { name, condition, params, statuses, durationSeconds, severity, cooldownSeconds, autoResolve, enabled, incidentType }
+ * @returns {Promise<Object>} The saved rule
+ */
+async function saveRule(id, definition) {
+  const rule = normalizeRule(id, definition);
+  const previous = rules.get(id);
+
+  await database.saveIncidentRule(rule);
+  rules.set(id, rule);
+
+  // Incidents opened under the old definition no longer apply
+  if (previous && (!rule.enabled || previous.condition !== rule.condition || previous.incidentType !== rule.incidentType)) {
+    await closeAllForRule(id, rule.enabled ? 'rule_changed' : 'rule_disabled');
+  }
+
+  logger.info(`Incident rule ${id} saved`, rule);
+  return rule;
+}
+
+/**
+ * Delete a custom rule; default rules can only be disabled
+ */
+async function deleteRule(id) {
+  if (!rules.has(id)) {
+    throw ruleError(`Incident rule ${id} not found`, 404);
+  }
+  if (DEFAULT_RULES.some(rule => rule.id === id)) {
+    throw ruleError(`Incident rule ${id} is a default rule; disable it instead`, 409);
+  }
+
+  await database.deleteIncidentRule(id);
+  rules.delete(id);
+  await closeAllForRule(id, 'rule_deleted');
+
+  logger.info(`Incident rule ${id} deleted`);
+}
+
+/**
+ * Evaluate one rule for one boat, opening or closing its incident
+ */
+async function evaluateRule(rule, boat, now) {
+  const key = `${rule.id}:${boat.id}`;
+  let state = ruleStates.get(key);
+  if (!state) {
+    state = { since: null, incident: null, lastMetadata: {}, closedAt: null };
+    ruleStates.set(key, state);
+  }
+
+  // Pick up an incident that is still open from before a restart
+  if (!state.incident) {
+    const open = boat.incidents.find(incident => incident.type === rule.incidentType && !incident.endedAt);
+    if (open) {
+      state.incident = open;
+      state.since = new Date(open.timestamp);
+    }
+  }
+
+  const applies = !rule.statuses || rule.statuses.includes(boat.status);
+  const result = applies ? CONDITIONS[rule.condition].evaluate(boat, rule.params, now) : null;
+
+  if (!result) {
+    state.since = null;
+    if (state.incident && rule.autoResolve) {
+      await closeRuleIncident(state, boat.id, now, 'auto');
+    }
+    return;
+  }
+
+  if (!state.since) {
+    state.since = result.since ? new Date(result.since) : now;
+  }
+  state.lastMetadata = result.metadata;
+
+  const heldSeconds = (now - state.since) / 1000;
+  const coolingDown = state.closedAt && (now - state.closedAt) / 1000 < rule.cooldownSeconds;
+
+  if (!state.incident && heldSeconds >= rule.durationSeconds && !coolingDown) {
+    state.incident = await boatState.openBoatIncident(boat.id, {
+      type: rule.incidentType,
+      message: result.message,
+      severity: rule.severity,
+      timestamp: state.since,
+      metadata: { ruleId: rule.id, ...result.metadata }
+    });
+
+    logger.warn(`Incident rule ${rule.id} triggered for boat ${boat.id}`, {
+      message: result.message,
+      heldSeconds: Math.round(heldSeconds)
+    });
+  }
+}
+
+/**
+ * Evaluate the enabled rules for one boat
+ * @param {number} boatId - Boat number
+ * @param {Object} options - { now, clockOnly } now defaults to the boat's last fix time
+ */
+async function evaluateBoat(boatId, options = {}) {
+  const boat = boatState.getBoatState(boatId);
+  if (!boat) return;
+
+  const now = options.now || (boat.position.timestamp ? new Date(boat.position.timestamp) : new Date());
+
+  for (const rule of rules.values()) {
+    if (!rule.enabled) continue;
+    if (options.clockOnly && !CONDITIONS[rule.condition].clock) continue;
+    await evaluateRule(rule, boat, now);
+  }
+}
+
+/**
+ * Evaluate clock conditions (no fix received) for all boats
+ * @param {Date} now - Evaluation time
+ */
+async function evaluateAll(now = new Date()) {
+  for (const boat of boatState.getAllBoatStates()) {
+    await evaluateBoat(boat.id, { now, clockOnly: true });
+  }
+}
+
+/**
+ * Open incidents raised by rules
+ * @returns {Array} [{ ruleId, boatId, since, incident }]
+ */
+function getOpenRuleIncidents() {
+  return Array.from(ruleStates.entries())
+    .filter(([, state]) => state.incident)
+    .map(([key, state]) => {
+      const [ruleId, boatId] = key.split(':');
+      return { ruleId, boatId: parseInt(boatId), since: state.since, incident: state.incident };
+    });
+}
+
+/**
+ * Close a rule incident by hand (rules without autoResolve)
+ * @returns {Promise<Object>} The closed incident
+ */
+async function resolveRuleIncident(ruleId, boatId, by) {
+  const state = ruleStates.get(`${ruleId}:${boatId}`);
+  if (!state || !state.incident) {
+    throw ruleError(`No open ${ruleId} incident for boat ${boatId}`, 404);
+  }
+
+  state.lastMetadata = { ...state.lastMetadata, resolvedBy: by };
+  return closeRuleIncident(state, boatId, new Date(), 'manual');
+}
+
+/**
+ * Evaluate clock conditions periodically so boats that stop sending fixes are noticed
+ */
+function startRuleMonitor(intervalMs = parseInt(process.env.INCIDENT_RULES_INTERVAL_MS) || DEFAULT_MONITOR_INTERVAL_MS) {
+  stopRuleMonitor();
+  monitorTimer = setInterval(() => {
+    evaluateAll().catch(error => logger.error('Error evaluating incident rules:', error));
+  }, intervalMs);
+  monitorTimer.unref();
+  logger.info(`🧭 Incident rule monitor started (every ${intervalMs / 1000}s)`);
+}
+
+function stopRuleMonitor() {
+  if (monitorTimer) {
+    clearInterval(monitorTimer);
+    monitorTimer = null;
+  }
+}
+
+/**
+ * Forget rule states and restore the default rules (tests)
+ */
+function resetRules() {
+  ruleStates.clear();
+  resetRuleDefinitions();
+}
+
+module.exports = {
+  SEVERITIES,
+  CONDITIONS,
+  DEFAULT_RULES,
+  getRules,
+  getRule,
+  loadRules,
+  saveRule,
+  deleteRule,
+  evaluateBoat,
+  evaluateAll,
+  getOpenRuleIncidents,
+  resolveRuleIncident,
+  startRuleMonitor,
+  stopRuleMonitor,
+  resetRules
+};
@@ -0,0 +1,290 @@
+const logger = require('./logger');
+const boatState = require('./boatState');
+const routeMapper = require('./routeMapper');
+const paradeSpacing = require('./paradeSpacing');
+const database = require('../models/database');
+
+/**
+ * Parade Schedule
+ *
+ * The planned timetable: boat N leaves the start at startTime + (N - 1) x the
+ * departure interval and sails at the target speed, which gives a planned time at
+ * every named checkpoint of the route (bridges, Magere Brug, finish). Against that
+ * each boat gets its actual passing time (from its position history) for the
+ * checkpoints behind it and a live ETA, from its recent average speed, for the
+ * checkpoints ahead. Delay is positive when a boat is late.
+ *
+ * Defaults come from the environment; a schedule saved through /api/parade/schedule
+ * overrides them for the event. Without a start time there is no plan, only ETAs.
+ */
+
+const DEFAULT_SCHEDULE = {
+  startTime: process.env.PARADE_START_TIME || null,
+  departureIntervalSeconds: parseFloat(process.env.PARADE_DEPARTURE_INTERVAL_SECONDS) || 60,
+  targetSpeedKmh: parseFloat(process.env.PARADE_TARGET_SPEED_KMH) || parseFloat(process.env.PARADE_NOMINAL_SPEED_KMH) || 5
+};
+
+// Window of recent fixes the ETA speed is averaged over
+const ETA_SPEED_WINDOW_SECONDS = parseFloat(process.env.PARADE_ETA_SPEED_WINDOW_SECONDS) || 300;
+// Below this a boat is taken to be waiting and the ETA uses the target speed
+const MIN_ETA_SPEED_KMH = 1;
+// Deviation that still counts as on schedule
+const ON_SCHEDULE_SECONDS = 120;
+
+let schedule = { ...DEFAULT_SCHEDULE };
+
+function scheduleError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Merge a (partial) schedule over a base schedule and check it
+ */
+function normalizeSchedule(base, changes = {}) {
+  const merged = { ...base, ...changes };
+
+  if (merged.startTime != null) {
+    const start = new Date(merged.startTime);
+    if (isNaN(start.getTime())) {
+      throw scheduleError('startTime must be a valid time', 400);
+    }
+    merged.startTime = start.toISOString();
+  }
+  if (!(merged.departureIntervalSeconds >= 0)) {
+    throw scheduleError('departureIntervalSeconds must be 0 or more', 400);
+  }
+  if (!(merged.targetSpeedKmh > 0)) {
+    throw scheduleError('targetSpeedKmh must be positive', 400);
+  }
+
+  return {
+    startTime: merged.startTime || null,
+    departureIntervalSeconds: merged.departureIntervalSeconds,
+    targetSpeedKmh: merged.targetSpeedKmh
+  };
+}
+
+/**
+ * Load the saved schedule of the event over the defaults
+ * @returns {Promise<boolean>} Whether a saved schedule was applied
+ */
+async function loadSchedule() {
+  const saved = await database.getParadeSchedule(routeMapper.getEventName());
+
+  if (saved) {
+    try {
+      schedule = normalizeSchedule(DEFAULT_SCHEDULE, saved);
+    } catch (error) {
+      logger.warn(`Skipping invalid parade schedule: ${error.message}`);
+    }
+  }
+
+  logger.info(`🕒 Parade schedule loaded (start ${schedule.startTime || 'not set'})`);
+  return Boolean(saved);
+}
+
+function getSchedule() {
+  return { ...schedule };
+}
+
+/**
+ * Change start time, departure interval or target speed of the event's schedule
+ * @param {Object} changes - { startTime, departureIntervalSeconds, targetSpeedKmh }
+ */
+async function saveSchedule(changes) {
+  const updated = normalizeSchedule(schedule, changes);
+
+  await database.saveParadeSchedule(routeMapper.getEventName(), updated);
+  schedule = updated;
+
+  logger.info('Parade schedule saved', updated);
+  return getSchedule();
+}
+
+/**
+ * Named checkpoints of the active route in sailing order (the start is the departure)
+ */
+function getCheckpoints() {
+  return routeMapper.getRouteInfo().waypoints
+    .filter(waypoint => waypoint.type !== 'start' && waypoint.distance != null)
+    .sort((a, b) => a.distance - b.distance)
+    .map(waypoint => ({ name: waypoint.name, type: waypoint.type, distance: waypoint.distance }));
+}
+
+/**
+ * Planned time for a boat at a route distance
+ * @returns {Date|null} Null when the schedule has no start time
+ */
+function plannedTime(boatNumber, routeDistance) {
+  if (!schedule.startTime) {
+    return null;
+  }
+
+  const departure = new Date(schedule.startTime).getTime() + (boatNumber - 1) * schedule.departureIntervalSeconds * 1000;
+  return new Date(departure + (routeDistance / (schedule.targetSpeedKmh / 3.6)) * 1000);
+}
+
+/**
+ * Average speed over the boat's recent fixes
+ * @param {Array} history - Position history, oldest first
+ * @returns {number|null} km/h, or null without two fixes in the window
+ */
+function recentAverageSpeed(history) {
+  const fixes = history.filter(entry => entry.routeDistance != null && entry.timestamp);
+  if (fixes.length < 2) {
+    return null;
+  }
+
+  const last = fixes[fixes.length - 1];
+  const lastTime = new Date(last.timestamp).getTime();
+  const first = fixes.find(entry => lastTime - new Date(entry.timestamp).getTime() <= ETA_SPEED_WINDOW_SECONDS * 1000);
+  const seconds = (lastTime - new Date(first.timestamp).getTime()) / 1000;
+
+  if (first === last || seconds <= 0) {
+    return null;
+  }
+
+  return Math.round(((last.routeDistance - first.routeDistance) / seconds) * 3.6 * 100) / 100;
+}
+
+function secondsBetween(later, earlier) {
+  return later && earlier ? Math.round((later - earlier) / 1000) : null;
+}
+
+/**
+ * Planned vs actual / ETA at every checkpoint for one boat
+ * @param {number} boatNumber - Boat number (parade position)
+ * @returns {Object|null} Boat schedule, or null when the boat has no state
+ */
+function getBoatSchedule(boatNumber) {
+  const boat = boatState.getBoatState(boatNumber);
+  if (!boat) {
+    return null;
+  }
+
+  const history = boatState.getBoatHistory(boatNumber, 100);
+  const routeDistance = boat.position.routeDistance;
+  const lastFixAt = boat.position.timestamp ? new Date(boat.position.timestamp) : null;
+  const positioned = routeDistance != null && lastFixAt !== null;
+
+  const averageSpeedKmh = recentAverageSpeed(history);
+  const useRecent = averageSpeedKmh != null && averageSpeedKmh >= MIN_ETA_SPEED_KMH;
+  const etaSpeedKmh = useRecent ? averageSpeedKmh : schedule.targetSpeedKmh;
+
+  const checkpoints = getCheckpoints().map(checkpoint => {
+    const planned = plannedTime(boatNumber, checkpoint.distance);
+
+    if (positioned && routeDistance >= checkpoint.distance) {
+      const actual = paradeSpacing.findPassingTime(history, checkpoint.distance);
+      return {
+        ...checkpoint,
+        status: 'passed',
+        plannedAt: planned ? planned.toISOString() : null,
+        actualAt: actual ? actual.toISOString() : null,
+        etaAt: null,
+        delaySeconds: secondsBetween(actual, planned)
+      };
+    }
+
+    const eta = positioned && boat.status !== 'finished'
+      ? new Date(lastFixAt.getTime() + ((checkpoint.distance - routeDistance) / (etaSpeedKmh / 3.6)) * 1000)
+      : null;
+
+    return {
+      ...checkpoint,
+      status: 'upcoming',
+      plannedAt: planned ? planned.toISOString() : null,
+      actualAt: null,
+      etaAt: eta ? eta.toISOString() : null,
+      delaySeconds: secondsBetween(eta, planned)
+    };
+  });
+
+  // Current deviation: where the boat is now against when it should have been there
+  const delaySeconds = positioned ? secondsBetween(lastFixAt, plannedTime(boatNumber, routeDistance)) : null;
+
+  return {
+    boatNumber,
+    boatName: boat.name,
+    status: boat.status,
+    routeDistance: positioned ? routeDistance : null,
+    plannedDepartureAt: schedule.startTime ? plannedTime(boatNumber, 0).toISOString() : null,
+    averageSpeedKmh,
+    etaSpeedKmh,
+    etaSpeedSource: useRecent ? 'recent' : 'target',
+    delaySeconds,
+    checkpoints
+  };
+}
+
+/**
+ * Overall schedule deviation over the boats that are under way
+ * @param {Array} boats - Boat schedules
+ */
+function summarizeDeviation(boats) {
+  const delays = boats
+    .filter(boat => boat.status !== 'finished' && boat.delaySeconds != null)
+    .map(boat => boat.delaySeconds);
+
+  if (!schedule.startTime) {
+    return { status: 'not_scheduled', deviationSeconds: null, maxDelaySeconds: null, boatsLate: 0, boatsEarly: 0 };
+  }
+
+  const deviationSeconds = delays.length > 0
+    ? Math.round(delays.reduce((sum, delay) => sum + delay, 0) / delays.length)
+    : null;
+
+  let status = 'waiting';
+  if (deviationSeconds !== null) {
+    if (deviationSeconds > ON_SCHEDULE_SECONDS) status = 'late';
+    else if (deviationSeconds < -ON_SCHEDULE_SECONDS) status = 'early';
+    else status = 'on_schedule';
+  }
+
+  return {
+    status,
+    deviationSeconds,
+    maxDelaySeconds: delays.length > 0 ? Math.max(...delays) : null,
+    boatsLate: delays.filter(delay => delay > ON_SCHEDULE_SECONDS).length,
+    boatsEarly: delays.filter(delay => delay < -ON_SCHEDULE_SECONDS).length
+  };
+}
+
+/**
+ * Timetable of the whole parade: schedule, checkpoints and every boat's planned vs actual
+ * @returns {Object} { schedule, checkpoints, deviation, boats }
+ */
+function getParadeSchedule() {
+  const boats = boatState.getAllBoatStates()
+    .map(boat => getBoatSchedule(boat.id))
+    .sort((a, b) => a.boatNumber - b.boatNumber);
+
+  return {
+    schedule: getSchedule(),
+    checkpoints: getCheckpoints(),
+    deviation: summarizeDeviation(boats),
+    boats
+  };
+}
+
+/**
+ * Schedule offset for skipper instructions (seconds, positive = ahead of schedule)
+ * @returns {number|null} Null without a start time or a position
+ */
+function getScheduleOffset(boatNumber) {
+  const boatSchedule = schedule.startTime ? getBoatSchedule(boatNumber) : null;
+  return boatSchedule && boatSchedule.delaySeconds != null ? -boatSchedule.delaySeconds : null;
+}
+
+module.exports = {
+  DEFAULT_SCHEDULE,
+  loadSchedule,
+  getSchedule,
+  saveSchedule,
+  getCheckpoints,
+  getBoatSchedule,
+  getParadeSchedule,
+  getScheduleOffset
+};
@@ -0,0 +1,325 @@
+const logger = require('./logger');
+const boatState = require('./boatState');
+
+/**
+ * Parade Spacing
+ *
+ * Compares each boat with its neighbours in parade order (boat number = parade
+ * position, 1 leads) using along-route distance. A pair is a "gap" when the boat
+ * behind falls too far back (meters or seconds) and "compressed" when it closes in
+ * too much. A flag that persists opens a spacing incident on the boat behind; the
+ * incident is closed once the spacing is back within the thresholds.
+ *
+ * The time gap is how long ago the boat ahead passed the point where the boat
+ * behind is now, taken from the ahead boat's position history. Without enough
+ * history it is estimated from the distance and the speed of the boat behind.
+ */
+
+const DEFAULT_THRESHOLDS = {
+  maxGapMeters: parseFloat(process.env.PARADE_GAP_MAX_METERS) || 200,
+  maxGapSeconds: parseFloat(process.env.PARADE_GAP_MAX_SECONDS) || 180,
+  minGapMeters: parseFloat(process.env.PARADE_GAP_MIN_METERS) || 25,
+  persistSeconds: parseFloat(process.env.PARADE_GAP_PERSIST_SECONDS) || 60,
+  staleSeconds: parseFloat(process.env.PARADE_SPACING_STALE_SECONDS) || 300
+};
+const NOMINAL_SPEED_KMH = parseFloat(process.env.PARADE_NOMINAL_SPEED_KMH) || 5;
+const MIN_ESTIMATE_SPEED_KMH = 1;
+const DEFAULT_MONITOR_INTERVAL_MS = 15 * 1000;
+
+const INCIDENT_TYPES = {
+  gap: 'spacing_gap',
+  compressed: 'spacing_compression'
+};
+
+let thresholds = { ...DEFAULT_THRESHOLDS };
+let monitorTimer = null;
+
+// Flag state per pair ("<ahead>-<behind>"): { status, since, incident }
+const pairStates = new Map();
+
+/**
+ * When did the boat ahead pass the given route distance?
+ * @param {Array} history - Position history of the boat ahead, oldest first
+ * @param {number} routeDistance - Current route distance of the boat behind
+ * @returns {Date|null} Interpolated passing time, or null when not covered by the history
+ */
+function findPassingTime(history, routeDistance) {
+  for (let i = history.length - 1; i > 0; i--) {
+    const before = history[i - 1];
+    const after = history[i];
+    if (before.routeDistance == null || after.routeDistance == null) continue;
+
+    if (before.routeDistance <= routeDistance && after.routeDistance >= routeDistance) {
+      const beforeTime = new Date(before.timestamp).getTime();
+      const afterTime = new Date(after.timestamp).getTime();
+      const span = after.routeDistance - before.routeDistance;
+      const fraction = span > 0 ? (routeDistance - before.routeDistance) / span : 1;
+      return new Date(beforeTime + fraction * (afterTime - beforeTime));
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Gap between a boat and the boat ahead of it
+ * @returns {Object} { gapMeters, gapSeconds, gapSecondsEstimated }
+ */
+function measureGap(ahead, behind) {
+  const gapMeters = Math.round((ahead.position.routeDistance || 0) - (behind.position.routeDistance || 0));
+
+  const passedAt = gapMeters > 0
+    ? findPassingTime(boatState.getBoatHistory(ahead.id, 100), behind.position.routeDistance || 0)
+    : null;
+
+  if (passedAt && behind.position.timestamp) {
+    return {
+      gapMeters,
+      gapSeconds: Math.max(0, Math.round((new Date(behind.position.timestamp) - passedAt) / 1000)),
+      gapSecondsEstimated: false
+    };
+  }
+
+  const speedKmh = Math.abs(behind.position.speed || 0) >= MIN_ESTIMATE_SPEED_KMH
+    ? Math.abs(behind.position.speed)
+    : NOMINAL_SPEED_KMH;
+
+  return {
+    gapMeters,
+    gapSeconds: Math.round(gapMeters / (speedKmh / 3.6)),
+    gapSecondsEstimated: true
+  };
+}
+
+function classifyGap(gap) {
+  if (gap.gapMeters > thresholds.maxGapMeters || gap.gapSeconds > thresholds.maxGapSeconds) {
+    return 'gap';
+  }
+  if (gap.gapMeters < thresholds.minGapMeters) {
+    return 'compressed';
+  }
+  return 'ok';
+}
+
+/**
+ * Boats that take part in spacing: positioned, not finished and recently updated
+ */
+function getSpacedBoats(now) {
+  return boatState.getAllBoatStates()
+    .filter(boat => boat.position.latitude != null && boat.status !== 'finished')
+    .filter(boat => {
+      const lastFix = boat.position.timestamp ? new Date(boat.position.timestamp) : boat.lastUpdate;
+      return (now - new Date(lastFix)) / 1000 <= thresholds.staleSeconds;
+    })
+    .sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Compute spacing between consecutive boats (pure, no incidents)
+ * @param {Date} now - Evaluation time
+ * @returns {Array} Pairs { aheadId, behindId, gapMeters, gapSeconds, gapSecondsEstimated, status }
+ */
+function computePairs(now = new Date()) {
+  const boats = getSpacedBoats(now);
+  const pairs = [];
+
+  for (let i = 1; i < boats.length; i++) {
+    const gap = measureGap(boats[i - 1], boats[i]);
+    pairs.push({
+      aheadId: boats[i - 1].id,
+      behindId: boats[i].id,
+      ...gap,
+      status: classifyGap(gap)
+    });
+  }
+
+  return pairs;
+}
+
+async function closePairIncident(pairState, behindId, now, pair) {
+  if (!pairState.incident) return;
+
+  await boatState.closeBoatIncident(behindId, pairState.incident, now, pair ? {
+    finalGapMeters: pair.gapMeters,
+    finalGapSeconds: pair.gapSeconds
+  } : {});
+  pairState.incident = null;
+}
+
+/**
+ * Evaluate spacing and open/close spacing incidents for flags that persist
+ * @param {Date} now - Evaluation time
+ * @returns {Promise<Array>} Pairs with flaggedSince and incident ids
+ */
+async function evaluateSpacing(now = new Date()) {
+  const pairs = computePairs(now);
+  const seen = new Set();
+
+  for (const pair of pairs) {
+    const key = `${pair.aheadId}-${pair.behindId}`;
+    seen.add(key);
+
+    let pairState = pairStates.get(key);
+    if (!pairState || pairState.status !== pair.status) {
+      if (pairState) {
+        await closePairIncident(pairState, pair.behindId, now, pair);
+      }
+      pairState = { status: pair.status, since: now, incident: null };
+      pairStates.set(key, pairState);
+    }
+
+    const flaggedSeconds = (now - pairState.since) / 1000;
+    if (pair.status !== 'ok' && !pairState.incident && flaggedSeconds >= thresholds.persistSeconds) {
+      const description = pair.status === 'gap'
+        ? `Gap of ${pair.gapMeters}m (${pair.gapSeconds}s) to boat ${pair.aheadId}`
+        : `Only ${pair.gapMeters}m behind boat ${pair.aheadId}`;
+
+      pairState.incident = await boatState.openBoatIncident(pair.behindId, {
+        type: INCIDENT_TYPES[pair.status],
+        message: `${description} for ${Math.round(flaggedSeconds)}s`,
+        severity: 'warning',
+        timestamp: pairState.since,
+        metadata: {
+          aheadBoatId: pair.aheadId,
+          gapMeters: pair.gapMeters,
+          gapSeconds: pair.gapSeconds,
+          thresholds: { ...thresholds }
+        }
+      });
+
+      logger.warn(`Spacing ${pair.status} between boats ${pair.aheadId} and ${pair.behindId}`, {
+        gapMeters: pair.gapMeters,
+        gapSeconds: pair.gapSeconds,
+        flaggedSeconds: Math.round(flaggedSeconds)
+      });
+    }
+
+    pair.flaggedSince = pair.status !== 'ok' ? pairState.since : null;
+    pair.incidentId = pairState.incident ? pairState.incident.id || null : null;
+  }
+
+  // Neighbours changed (boat finished, went stale or joined): close what no longer applies
+  for (const [key, pairState] of pairStates) {
+    if (seen.has(key)) continue;
+    await closePairIncident(pairState, parseInt(key.split('-')[1]), now, null);
+    pairStates.delete(key);
+  }
+
+  return pairs;
+}
+
+/**
+ * Current spacing with the flags and incidents of the monitor, read-only: incidents
+ * are only opened and closed by evaluateSpacing
+ * @param {Date} now - Evaluation time
+ * @returns {Array} Pairs with flaggedSince and incident ids
+ */
+function getSpacing(now = new Date()) {
+  return computePairs(now).map(pair => {
+    const pairState = pairStates.get(`${pair.aheadId}-${pair.behindId}`);
+    // A status the monitor has not seen yet has no flag or incident
+    const tracked = pairState && pairState.status === pair.status ? pairState : null;
+
+    return {
+      ...pair,
+      flaggedSince: tracked && pair.status !== 'ok' ? tracked.since : null,
+      incidentId: tracked && tracked.incident ? tracked.incident.id || null : null
+    };
+  });
+}
+
+/**
+ * Spacing per boat with the gap to the boat ahead and behind
+ * @param {Array} pairs - Result of evaluateSpacing/getSpacing/computePairs
+ * @returns {Object} { boats, summary }
+ */
+function describeSpacing(pairs) {
+  const boats = new Map();
+  const entry = boat => {
+    if (!boats.has(boat.id)) {
+      boats.set(boat.id, {
+        boatId: boat.id,
+        name: boat.name,
+        routeDistance: boat.position.routeDistance,
+        speed: boat.position.speed,
+        ahead: null,
+        behind: null
+      });
+    }
+    return boats.get(boat.id);
+  };
+
+  for (const pair of pairs) {
+    const { aheadId, behindId, ...gap } = pair;
+    entry(boatState.getBoatState(behindId)).ahead = { boatId: aheadId, ...gap };
+    entry(boatState.getBoatState(aheadId)).behind = { boatId: behindId, ...gap };
+  }
+
+  const gaps = pairs.filter(pair => pair.status === 'gap');
+  const compressions = pairs.filter(pair => pair.status === 'compressed');
+
+  return {
+    boats: Array.from(boats.values()).sort((a, b) => a.boatId - b.boatId),
+    summary: {
+      pairs: pairs.length,
+      gaps: gaps.length,
+      compressions: compressions.length,
+      largestGapMeters: pairs.length > 0 ? Math.max(...pairs.map(pair => pair.gapMeters)) : null,
+      spreadMeters: pairs.reduce((sum, pair) => sum + pair.gapMeters, 0)
+    }
+  };
+}
+
+function getThresholds() {
+  return { ...thresholds };
+}
+
+/**
+ * Change spacing thresholds at runtime (unset fields keep their value)
+ */
+function setThresholds(changes = {}) {
+  thresholds = { ...thresholds, ...changes };
+  logger.info('Spacing thresholds updated', thresholds);
+  return getThresholds();
+}
+
+/**
+ * Evaluate spacing periodically so persisting gaps raise incidents without a client polling
+ */
+function startSpacingMonitor(intervalMs = parseInt(process.env.PARADE_SPACING_INTERVAL_MS) || DEFAULT_MONITOR_INTERVAL_MS) {
+  stopSpacingMonitor();
+  monitorTimer = setInterval(() => {
+    evaluateSpacing().catch(error => logger.error('Error evaluating parade spacing:', error));
+  }, intervalMs);
+  monitorTimer.unref();
+  logger.info(`📏 Spacing monitor started (every ${intervalMs / 1000}s)`);
+}
+
+function stopSpacingMonitor() {
+  if (monitorTimer) {
+    clearInterval(monitorTimer);
+    monitorTimer = null;
+  }
+}
+
+/**
+ * Forget pair flags and restore default thresholds (tests)
+ */
+function resetSpacing() {
+  pairStates.clear();
+  thresholds = { ...DEFAULT_THRESHOLDS };
+}
+
+module.exports = {
+  INCIDENT_TYPES,
+  findPassingTime,
+  computePairs,
+  evaluateSpacing,
+  getSpacing,
+  describeSpacing,
+  getThresholds,
+  setThresholds,
+  startSpacingMonitor,
+  stopSpacingMonitor,
+  resetSpacing
+};
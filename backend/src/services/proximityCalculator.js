@@ -0,0 +1,92 @@
+const spatialIndex = require('./spatialIndex');
+
+class ProximityCalculator {
+  // Bereken afstand tussen twee punten (Haversine formule)
+  calculateDistance(lat1, lon1, lat2, lon2) {
+    const R = 6371; // Earth's radius in km
+    const dLat = this.toRad(lat2 - lat1);
+    const dLon = this.toRad(lon2 - lon1);
+
+    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
+              Math.cos(this.toRad(lat1)) * Math.cos(this.toRad(lat2)) *
+              Math.sin(dLon/2) * Math.sin(dLon/2);
+
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+    return R * c;
+  }
+
+  toRad(degrees) {
+    return degrees * (Math.PI/180);
+  }
+
+  // Resultaat uit de spatial index in km, zoals de berekeningen hieronder
+  fromIndex(boat) {
+    const { distanceMeters, ...rest } = boat;
+    return { ...rest, distance: Math.round(distanceMeters) / 1000 };
+  }
+
+  // Vind dichtstbijzijnde boot (zonder lijst: uit de spatial index van live posities)
+  findNearestBoat(userLat, userLon, boats = null) {
+    if (!boats) {
+      return this.findNearestBoats(userLat, userLon, 1)[0] || null;
+    }
+
+    if (boats.length === 0) {
+      return null;
+    }
+
+    let nearestBoat = null;
+    let minDistance = Infinity;
+
+    boats.forEach(boat => {
+      const distance = this.calculateDistance(userLat, userLon, boat.lat, boat.lon);
+
+      if (distance < minDistance) {
+        minDistance = distance;
+        nearestBoat = {
+          ...boat,
+          distance: Math.round(distance * 1000) / 1000 // Round to 3 decimals
+        };
+      }
+    });
+
+    return nearestBoat;
+  }
+
+  // Vind de k dichtstbijzijnde boten
+  findNearestBoats(userLat, userLon, k = 1, boats = null) {
+    if (!boats) {
+      return spatialIndex.nearest(userLat, userLon, k).map(boat => this.fromIndex(boat));
+    }
+
+    return this.findBoatsInRadius(userLat, userLon, boats, Infinity).slice(0, k);
+  }
+
+  // Vind alle boten binnen bepaalde radius
+  findBoatsInRadius(userLat, userLon, boats = null, radiusKm = 1.0) {
+    if (!boats) {
+      return spatialIndex.withinRadius(userLat, userLon, radiusKm * 1000).map(boat => this.fromIndex(boat));
+    }
+
+    return boats
+      .map(boat => ({
+        ...boat,
+        distance: this.calculateDistance(userLat, userLon, boat.lat, boat.lon)
+      }))
+      .filter(boat => boat.distance <= radiusKm)
+      .sort((a, b) => a.distance - b.distance);
+  }
+
+  // Vind alle boten binnen een kaartuitsnede { south, west, north, east }
+  findBoatsInBounds(bounds, boats = null) {
+    if (!boats) {
+      return spatialIndex.withinBounds(bounds);
+    }
+
+    return boats.filter(boat =>
+      boat.lat >= bounds.south && boat.lat <= bounds.north && boat.lon >= bounds.west && boat.lon <= bounds.east
+    );
+  }
+}
+
+module.exports = new ProximityCalculator();
@@ -1,29 +1,62 @@
 const logger = require('./logger');
+const database = require('../models/database');
 
 /**
  * Amsterdam Pride Parade Route (2025)
  * Polyline coordinates for the official canal route
  * Based on the traditional Amsterdam canal parade route
+ * Built-in fallback, used until a route is uploaded via /api/parade/routes and activated.
+ * tolerance is the corridor half-width (meters from the centerline) of the segment
+ * starting at that point, so narrow canals get a tighter corridor than the Amstel.
  */
 const PARADE_ROUTE = [
   // Start: Westerdok
-  { lat: 52.3851, lng: 4.8947, distance: 0 },
+  { lat: 52.3851, lng: 4.8947, distance: 0, tolerance: 60 },
   // Prinsengracht (south)
-  { lat: 52.3836, lng: 4.8842, distance: 850 },
-  { lat: 52.3758, lng: 4.8835, distance: 1720 },
+  { lat: 52.3836, lng: 4.8842, distance: 850, tolerance: 30 },
+  { lat: 52.3758, lng: 4.8835, distance: 1720, tolerance: 30 },
   // Amstel river
-  { lat: 52.3677, lng: 4.8951, distance: 2580 },
-  { lat: 52.3648, lng: 4.8978, distance: 2920 },
+  { lat: 52.3677, lng: 4.8951, distance: 2580, tolerance: 70 },
+  { lat: 52.3648, lng: 4.8978, distance: 2920, tolerance: 50 },
   // Zwanenburgwal
-  { lat: 52.3668, lng: 4.9015, distance: 3250 },
+  { lat: 52.3668, lng: 4.9015, distance: 3250, tolerance: 20 },
   // Oudeschans
-  { lat: 52.3712, lng: 4.9058, distance: 3780 },
+  { lat: 52.3712, lng: 4.9058, distance: 3780, tolerance: 40 },
   // Finish: Oosterdok
-  { lat: 52.3742, lng: 4.9089, distance: 4200 }
+  { lat: 52.3742, lng: 4.9089, distance: 4200, tolerance: 40 }
 ];
 
 const TOTAL_ROUTE_DISTANCE = 4200; // meters
 const MAX_DISTANCE_FROM_ROUTE = 100; // meters tolerance
+const DEFAULT_CORRIDOR_TOLERANCE = 50; // meters, for segments without their own tolerance
+
+const BUILT_IN_ROUTE = {
+  id: null,
+  eventName: null,
+  name: 'Amsterdam Pride Canal Parade (built-in)',
+  version: 0,
+  points: PARADE_ROUTE,
+  waypoints: [
+    { name: 'Start - Westerdok', type: 'start', lat: 52.3851, lng: 4.8947, distance: 0 },
+    { name: 'Prinsengracht', type: 'waypoint', lat: 52.3836, lng: 4.8842, distance: 850 },
+    { name: 'Amstel', type: 'waypoint', lat: 52.3677, lng: 4.8951, distance: 2580 },
+    { name: 'Magere Brug', type: 'bridge', lat: 52.3648, lng: 4.8978, distance: 2920 },
+    { name: 'Zwanenburgwal', type: 'waypoint', lat: 52.3668, lng: 4.9015, distance: 3250 },
+    { name: 'Oudeschans', type: 'waypoint', lat: 52.3712, lng: 4.9058, distance: 3780 },
+    { name: 'Finish - Oosterdok', type: 'finish', lat: 52.3742, lng: 4.9089, distance: 4200 }
+  ],
+  totalDistance: TOTAL_ROUTE_DISTANCE
+};
+
+// Route used for mapping; replaced when a stored route is activated
+let activeRoute = BUILT_IN_ROUTE;
+
+/**
+ * Event whose active route is used (PARADE_EVENT, defaults to amsterdam-pride)
+ */
+function getEventName() {
+  return process.env.PARADE_EVENT || 'amsterdam-pride';
+}
 
 /**
  * Calculate distance between two GPS coordinates using Haversine formula
@@ -69,85 +102,167 @@ function calculateBearing(lat1, lng1, lat2, lng2) {
 }
 
 /**
- * Find the closest point on the parade route to given GPS coordinates
+ * Project a GPS position onto one route segment
+ * Uses a local equirectangular projection around the segment start, which is
+ * accurate to well under a meter over canal-length segments.
  * @param {number} latitude - GPS latitude
  * @param {number} longitude - GPS longitude
- * @returns {Object|null} Closest route point with distance info
+ * @param {Object} start - Segment start route point
+ * @param {Object} end - Segment end route point
+ * @returns {Object} { fraction, lat, lng, offsetMeters } - offset is positive to the right of the direction of travel
+ */
+function projectOntoSegment(latitude, longitude, start, end) {
+  const metersPerDegLat = 111320;
+  const metersPerDegLng = 111320 * Math.cos(start.lat * Math.PI / 180);
+
+  // Segment and point in meters relative to the segment start
+  const segX = (end.lng - start.lng) * metersPerDegLng;
+  const segY = (end.lat - start.lat) * metersPerDegLat;
+  const pointX = (longitude - start.lng) * metersPerDegLng;
+  const pointY = (latitude - start.lat) * metersPerDegLat;
+
+  const segLengthSquared = segX * segX + segY * segY;
+  const fraction = segLengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, (pointX * segX + pointY * segY) / segLengthSquared));
+
+  const lat = start.lat + (end.lat - start.lat) * fraction;
+  const lng = start.lng + (end.lng - start.lng) * fraction;
+  const side = segX * pointY - segY * pointX > 0 ? -1 : 1;
+
+  return {
+    fraction,
+    lat,
+    lng,
+    offsetMeters: side * calculateDistance(latitude, longitude, lat, lng)
+  };
+}
+
+/**
+ * Corridor half-width of a route segment
+ * @param {Array} points - Route points
+ * @param {number} segmentIndex - Segment index (segment i runs from point i to point i + 1)
+ * @returns {number} Tolerance in meters
  */
-function findClosestRoutePoint(latitude, longitude) {
-  let closestPoint = null;
-  let minDistance = Infinity;
-  let closestIndex = -1;
-
-  for (let i = 0; i < PARADE_ROUTE.length; i++) {
-    const routePoint = PARADE_ROUTE[i];
-    const distance = calculateDistance(latitude, longitude, routePoint.lat, routePoint.lng);
-    
-    if (distance < minDistance) {
-      minDistance = distance;
-      closestPoint = routePoint;
-      closestIndex = i;
+function getSegmentTolerance(points, segmentIndex) {
+  const tolerance = points[segmentIndex] && parseFloat(points[segmentIndex].tolerance);
+  return tolerance > 0 ? tolerance : DEFAULT_CORRIDOR_TOLERANCE;
+}
+
+/**
+ * Mapping range of a segment: how far from the centerline a position still maps onto it
+ */
+function getMappingRange(tolerance, options = {}) {
+  return options.maxDistanceFromRoute || Math.max(MAX_DISTANCE_FROM_ROUTE, 2 * tolerance);
+}
+
+/**
+ * Project a GPS position onto the route polyline
+ * A segment is a candidate when the position is within the mapping range: at least
+ * MAX_DISTANCE_FROM_ROUTE and at least twice the segment's corridor tolerance, so a
+ * boat outside the corridor is still mapped (and flagged) instead of dropped. The
+ * nearest segment wins, except where the route passes the same spot twice (a
+ * self-crossing or a canal sailed in both directions): when more than one candidate
+ * is inside its corridor tolerance, the one closest to the boat's previous
+ * along-route distance wins, so a boat does not jump forward or back along the route.
+ * Continuity never pulls a fix onto a segment it is outside the corridor of.
+ * @param {number} latitude - GPS latitude
+ * @param {number} longitude - GPS longitude
+ * @param {Object} options - { previousDistance, route, maxDistanceFromRoute }
+ * @returns {Object|null} Projection, or null when the position is too far from the route
+ */
+function projectOntoRoute(latitude, longitude, options = {}) {
+  const route = options.route || activeRoute.points;
+  const previousDistance = Number.isFinite(options.previousDistance) ? options.previousDistance : null;
+
+  const candidates = [];
+  let nearest = null;
+
+  for (let i = 0; i < route.length - 1; i++) {
+    const start = route[i];
+    const end = route[i + 1];
+    const projection = projectOntoSegment(latitude, longitude, start, end);
+    const tolerance = getSegmentTolerance(route, i);
+    const candidate = {
+      segmentIndex: i,
+      segmentProgress: projection.fraction,
+      distanceAlongRoute: start.distance + (end.distance - start.distance) * projection.fraction,
+      distanceFromRoute: Math.abs(projection.offsetMeters),
+      offsetMeters: projection.offsetMeters,
+      projectedPoint: { lat: projection.lat, lng: projection.lng },
+      heading: calculateBearing(start.lat, start.lng, end.lat, end.lng),
+      tolerance
+    };
+
+    if (!nearest || candidate.distanceFromRoute < nearest.distanceFromRoute) {
+      nearest = candidate;
+    }
+
+    if (candidate.distanceFromRoute <= getMappingRange(tolerance, options)) {
+      candidates.push(candidate);
     }
   }
 
-  // Check if boat is within acceptable distance from route
-  if (minDistance > MAX_DISTANCE_FROM_ROUTE) {
+  // Check if boat is within acceptable distance from route (range of the nearest segment)
+  if (candidates.length === 0) {
     logger.warn(`GPS position too far from parade route`, {
       coordinates: [latitude, longitude],
-      distanceFromRoute: minDistance,
-      maxAllowed: MAX_DISTANCE_FROM_ROUTE
+      distanceFromRoute: nearest ? Math.round(nearest.distanceFromRoute) : null,
+      segmentIndex: nearest ? nearest.segmentIndex : null,
+      corridorTolerance: nearest ? nearest.tolerance : null,
+      maxAllowed: nearest ? getMappingRange(nearest.tolerance, options) : null
     });
     return null;
   }
 
-  return {
-    ...closestPoint,
-    distanceFromRoute: minDistance,
-    routeIndex: closestIndex
-  };
+  const inCorridor = candidates.filter(candidate => candidate.distanceFromRoute <= candidate.tolerance);
+  if (previousDistance !== null && inCorridor.length > 1) {
+    const jump = candidate => Math.abs(candidate.distanceAlongRoute - previousDistance);
+    return inCorridor.reduce((best, candidate) => (jump(candidate) < jump(best) ? candidate : best));
+  }
+
+  return candidates.reduce((best, candidate) => (candidate.distanceFromRoute < best.distanceFromRoute ? candidate : best));
 }
 
 /**
- * Interpolate position between two route points for more accurate distance calculation
- * @param {number} latitude - GPS latitude
- * @param {number} longitude - GPS longitude
- * @param {Object} closestPoint - Closest route point
- * @returns {Object} Interpolated position data
+ * Point at an along-route distance, optionally shifted sideways from the centerline
+ * (the inverse of projectOntoRoute)
+ * @param {number} distance - Along-route distance in meters (clamped to the route)
+ * @param {number} offsetMeters - Offset from the centerline, positive to the right of the direction of travel
+ * @returns {Object} { lat, lng, segmentIndex, tolerance }
  */
-function interpolatePosition(latitude, longitude, closestPoint) {
-  const routeIndex = closestPoint.routeIndex;
-  
-  // If at start or end of route, use exact point
-  if (routeIndex === 0 || routeIndex === PARADE_ROUTE.length - 1) {
-    return {
-      distanceMeters: closestPoint.distance,
-      progressPercent: (closestPoint.distance / TOTAL_ROUTE_DISTANCE) * 100
-    };
+function pointAtDistance(distance, offsetMeters = 0) {
+  const route = activeRoute.points;
+  const clamped = Math.max(route[0].distance, Math.min(route[route.length - 1].distance, distance));
+
+  let segmentIndex = route.length - 2;
+  for (let i = 0; i < route.length - 1; i++) {
+    if (clamped <= route[i + 1].distance) {
+      segmentIndex = i;
+      break;
+    }
   }
 
-  // Interpolate between current and next route point
-  const currentPoint = PARADE_ROUTE[routeIndex];
-  const nextPoint = PARADE_ROUTE[routeIndex + 1];
-  
-  const distanceToNext = calculateDistance(
-    latitude, longitude, 
-    nextPoint.lat, nextPoint.lng
-  );
-  
-  const segmentLength = nextPoint.distance - currentPoint.distance;
-  const segmentProgress = Math.max(0, Math.min(1, 
-    1 - (distanceToNext / calculateDistance(
-      currentPoint.lat, currentPoint.lng,
-      nextPoint.lat, nextPoint.lng
-    ))
-  ));
-  
-  const interpolatedDistance = currentPoint.distance + (segmentLength * segmentProgress);
-  const progressPercent = (interpolatedDistance / TOTAL_ROUTE_DISTANCE) * 100;
+  const start = route[segmentIndex];
+  const end = route[segmentIndex + 1];
+  const span = end.distance - start.distance;
+  const fraction = span > 0 ? (clamped - start.distance) / span : 0;
+
+  const metersPerDegLat = 111320;
+  const metersPerDegLng = 111320 * Math.cos(start.lat * Math.PI / 180);
+  const segX = (end.lng - start.lng) * metersPerDegLng;
+  const segY = (end.lat - start.lat) * metersPerDegLat;
+  const length = Math.sqrt(segX * segX + segY * segY);
+
+  // Right-hand normal of the segment direction (x east, y north)
+  const normalX = length > 0 ? segY / length : 0;
+  const normalY = length > 0 ? -segX / length : 0;
 
   return {
-    distanceMeters: Math.round(interpolatedDistance),
-    progressPercent: Math.round(progressPercent * 100) / 100
+    lat: start.lat + (end.lat - start.lat) * fraction + (offsetMeters * normalY) / metersPerDegLat,
+    lng: start.lng + (end.lng - start.lng) * fraction + (offsetMeters * normalX) / metersPerDegLng,
+    segmentIndex,
+    tolerance: getSegmentTolerance(route, segmentIndex)
   };
 }
 
@@ -157,43 +272,43 @@ function interpolatePosition(latitude, longitude, closestPoint) {
  * @param {number} gpsData.latitude - GPS latitude
  * @param {number} gpsData.longitude - GPS longitude
  * @param {Date} gpsData.timestamp - GPS timestamp
+ * @param {number} [gpsData.previousDistance] - Boat's last along-route distance, used near self-crossings
  * @returns {Promise<Object|null>} Route position data or null if invalid
  */
 async function mapToRoute(gpsData) {
   try {
-    const { latitude, longitude, timestamp } = gpsData;
-    
-    // Find closest point on parade route
-    const closestPoint = findClosestRoutePoint(latitude, longitude);
-    if (!closestPoint) {
+    const { latitude, longitude, timestamp, previousDistance } = gpsData;
+
+    // Project onto the closest route segment
+    const projection = projectOntoRoute(latitude, longitude, { previousDistance });
+    if (!projection) {
       return null;
     }
 
-    // Calculate interpolated position
-    const position = interpolatePosition(latitude, longitude, closestPoint);
-    
-    // Calculate heading (bearing to next route point)
-    let heading = 0;
-    if (closestPoint.routeIndex < PARADE_ROUTE.length - 1) {
-      const nextPoint = PARADE_ROUTE[closestPoint.routeIndex + 1];
-      heading = calculateBearing(latitude, longitude, nextPoint.lat, nextPoint.lng);
-    }
+    const progressPercent = (projection.distanceAlongRoute / activeRoute.totalDistance) * 100;
 
     // Estimate speed (would need previous position for accurate calculation)
     const estimatedSpeed = 0; // TODO: Implement speed calculation with position history
 
     logger.debug('GPS position mapped to route', {
       originalCoords: [latitude, longitude],
-      routeProgress: position.progressPercent,
-      distanceFromRoute: closestPoint.distanceFromRoute
+      routeProgress: progressPercent,
+      routeSegment: projection.segmentIndex,
+      distanceFromRoute: projection.distanceFromRoute
     });
 
     return {
-      ...position,
-      heading: Math.round(heading),
+      distanceMeters: Math.round(projection.distanceAlongRoute),
+      progressPercent: Math.round(progressPercent * 100) / 100,
+      heading: Math.round(projection.heading),
       estimatedSpeed,
-      distanceFromRoute: Math.round(closestPoint.distanceFromRoute),
-      routeSegment: closestPoint.routeIndex,
+      distanceFromRoute: Math.round(projection.distanceFromRoute),
+      offsetMeters: Math.round(projection.offsetMeters * 10) / 10,
+      corridorTolerance: projection.tolerance,
+      inCorridor: projection.distanceFromRoute <= projection.tolerance,
+      routeSegment: projection.segmentIndex,
+      segmentProgress: Math.round(projection.segmentProgress * 1000) / 1000,
+      projectedPoint: projection.projectedPoint,
       timestamp: timestamp,
       isValid: true
     };
@@ -204,27 +319,148 @@ async function mapToRoute(gpsData) {
   }
 }
 
+/**
+ * Use a stored parade_routes row as the active route
+ * @param {Object|null} routeRow - Route from the database, or null for the built-in route
+ * @returns {Object} Active route
+ */
+function setActiveRoute(routeRow) {
+  activeRoute = routeRow
+    ? {
+      id: routeRow.id,
+      eventName: routeRow.event_name,
+      name: routeRow.name,
+      version: routeRow.version,
+      points: routeRow.points,
+      waypoints: routeRow.waypoints || [],
+      totalDistance: parseFloat(routeRow.total_distance)
+    }
+    : BUILT_IN_ROUTE;
+
+  logger.info(`🗺️ Active parade route: ${activeRoute.name} (v${activeRoute.version}, ${Math.round(activeRoute.totalDistance)}m)`);
+  return activeRoute;
+}
+
+/**
+ * Get the route currently used for mapping
+ * @returns {Object} { id, eventName, name, version, points, waypoints, totalDistance }
+ */
+function getActiveRoute() {
+  return activeRoute;
+}
+
+/**
+ * Load the active route of the current event from the database
+ * Keeps the current route when the database has none or cannot be reached.
+ * @returns {Promise<Object>} Active route
+ */
+async function loadActiveRoute() {
+  try {
+    const routeRow = await database.getActiveParadeRoute(getEventName());
+    if (routeRow) {
+      return setActiveRoute(routeRow);
+    }
+    logger.info(`No stored route for event ${getEventName()}, using ${activeRoute.name}`);
+  } catch (error) {
+    logger.error('Error loading active parade route:', error);
+  }
+
+  return activeRoute;
+}
+
+/**
+ * Corridor of the active route as GeoJSON, for rendering on the admin map
+ * One rectangle per segment, buffered by the segment's tolerance, plus the centerline.
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function getCorridorGeoJSON() {
+  const points = activeRoute.points;
+  const features = [];
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const start = points[i];
+    const end = points[i + 1];
+    const tolerance = getSegmentTolerance(points, i);
+
+    // Perpendicular offset in degrees, using the same local projection as projectOntoSegment
+    const metersPerDegLat = 111320;
+    const metersPerDegLng = 111320 * Math.cos(start.lat * Math.PI / 180);
+    const segX = (end.lng - start.lng) * metersPerDegLng;
+    const segY = (end.lat - start.lat) * metersPerDegLat;
+    const length = Math.sqrt(segX * segX + segY * segY) || 1;
+    const offsetLng = (-segY / length) * tolerance / metersPerDegLng;
+    const offsetLat = (segX / length) * tolerance / metersPerDegLat;
+
+    features.push({
+      type: 'Feature',
+      properties: {
+        kind: 'corridor',
+        segmentIndex: i,
+        tolerance,
+        fromDistance: start.distance,
+        toDistance: end.distance
+      },
+      geometry: {
+        type: 'Polygon',
+        coordinates: [[
+          [start.lng + offsetLng, start.lat + offsetLat],
+          [end.lng + offsetLng, end.lat + offsetLat],
+          [end.lng - offsetLng, end.lat - offsetLat],
+          [start.lng - offsetLng, start.lat - offsetLat],
+          [start.lng + offsetLng, start.lat + offsetLat]
+        ]]
+      }
+    });
+  }
+
+  features.push({
+    type: 'Feature',
+    properties: { kind: 'centerline', name: activeRoute.name, totalDistance: activeRoute.totalDistance },
+    geometry: {
+      type: 'LineString',
+      coordinates: points.map(point => [point.lng, point.lat])
+    }
+  });
+
+  return { type: 'FeatureCollection', features };
+}
+
 /**
  * Get parade route information
  * @returns {Object} Route metadata
  */
 function getRouteInfo() {
   return {
-    totalDistance: TOTAL_ROUTE_DISTANCE,
-    totalPoints: PARADE_ROUTE.length,
+    id: activeRoute.id,
+    eventName: activeRoute.eventName,
+    name: activeRoute.name,
+    version: activeRoute.version,
+    totalDistance: activeRoute.totalDistance,
+    totalPoints: activeRoute.points.length,
     maxToleranceMeters: MAX_DISTANCE_FROM_ROUTE,
-    route: PARADE_ROUTE.map(point => ({
+    route: activeRoute.points.map((point, index) => ({
       lat: point.lat,
       lng: point.lng,
       distance: point.distance,
-      progressPercent: (point.distance / TOTAL_ROUTE_DISTANCE) * 100
-    }))
+      tolerance: getSegmentTolerance(activeRoute.points, index),
+      progressPercent: (point.distance / activeRoute.totalDistance) * 100
+    })),
+    waypoints: activeRoute.waypoints
   };
 }
 
 module.exports = {
+  DEFAULT_CORRIDOR_TOLERANCE,
   mapToRoute,
+  projectOntoRoute,
+  pointAtDistance,
   getRouteInfo,
+  getEventName,
+  getActiveRoute,
+  setActiveRoute,
+  loadActiveRoute,
+  getCorridorGeoJSON,
+  getSegmentTolerance,
   calculateDistance,
   calculateBearing
 };
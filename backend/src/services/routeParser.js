@@ -0,0 +1,260 @@
+const routeMapper = require('./routeMapper');
+
+/**
+ * Parade Route Parser
+ *
+ * Turns an uploaded GeoJSON LineString or GPX track into the route format used by
+ * routeMapper: points with cumulative distances and named waypoints snapped onto
+ * the route.
+ *
+ * GeoJSON: a LineString / MultiLineString (bare geometry, Feature or FeatureCollection).
+ *   Point features in a FeatureCollection become waypoints (properties.name, properties.type).
+ *   A properties.tolerance on a LineString sets the corridor half-width of its segments.
+ * GPX: <trkpt> or <rtept> elements form the route, <wpt> elements become waypoints.
+ */
+
+const WAYPOINT_TYPES = ['start', 'bridge', 'lock', 'landmark', 'waypoint', 'finish'];
+const MAX_WAYPOINT_DISTANCE = 150; // meters from the route
+
+/**
+ * Parse a coordinate value, throwing on anything that is not a valid number in range
+ */
+function toCoordinate(value, max, label) {
+  const number = parseFloat(value);
+  if (!Number.isFinite(number) || Math.abs(number) > max) {
+    throw new Error(`Invalid ${label}: ${value}`);
+  }
+  return number;
+}
+
+function normalizeWaypointType(type) {
+  const normalized = type ? String(type).trim().toLowerCase() : 'waypoint';
+  return WAYPOINT_TYPES.includes(normalized) ? normalized : 'waypoint';
+}
+
+/**
+ * Parse GeoJSON into raw coordinates and waypoints
+ * @param {Object|string} input - GeoJSON object or JSON text
+ * @returns {Object} { name, coordinates: [{lat, lng}], waypoints: [{name, type, lat, lng}] }
+ */
+function parseGeoJSON(input) {
+  const geojson = typeof input === 'string' ? JSON.parse(input) : input;
+
+  if (!geojson || typeof geojson !== 'object') {
+    throw new Error('GeoJSON must be an object');
+  }
+
+  const features = geojson.type === 'FeatureCollection'
+    ? geojson.features || []
+    : [geojson.type === 'Feature' ? geojson : { type: 'Feature', geometry: geojson, properties: {} }];
+
+  const coordinates = [];
+  const waypoints = [];
+  let name = geojson.name || null;
+
+  for (const feature of features) {
+    const geometry = feature.geometry || {};
+    const properties = feature.properties || {};
+
+    if (geometry.type === 'LineString' || geometry.type === 'MultiLineString') {
+      const lines = geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates;
+      const tolerance = parseFloat(properties.tolerance) > 0 ? parseFloat(properties.tolerance) : undefined;
+      lines.forEach(line => (line || []).forEach(([lng, lat]) => {
+        coordinates.push({ lat: toCoordinate(lat, 90, 'latitude'), lng: toCoordinate(lng, 180, 'longitude'), tolerance });
+      }));
+      name = name || properties.name || null;
+    } else if (geometry.type === 'Point') {
+      const [lng, lat] = geometry.coordinates || [];
+      waypoints.push({
+        name: properties.name || `Waypoint ${waypoints.length + 1}`,
+        type: normalizeWaypointType(properties.type),
+        lat: toCoordinate(lat, 90, 'latitude'),
+        lng: toCoordinate(lng, 180, 'longitude')
+      });
+    }
+  }
+
+  return { name, coordinates, waypoints };
+}
+
+/**
+ * Read a child element's text, e.g. <name>Magere Brug</name>
+ */
+function readTag(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}>\\s*(?:<!\\[CDATA\\[)?([\\s\\S]*?)(?:\\]\\]>)?\\s*</${tag}>`));
+  return match ? match[1].trim() : null;
+}
+
+function readAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']+)["']`));
+  return match ? match[1] : undefined;
+}
+
+/**
+ * Parse GPX into raw coordinates and waypoints
+ * Track points are used when present, otherwise route points.
+ * @param {string} xml - GPX document
+ * @returns {Object} { name, coordinates: [{lat, lng}], waypoints: [{name, type, lat, lng}] }
+ */
+function parseGPX(xml) {
+  if (typeof xml !== 'string' || !/<gpx[\s>]/.test(xml)) {
+    throw new Error('Not a GPX document');
+  }
+
+  const readPoints = tag => {
+    const points = [];
+    const pattern = new RegExp(`<${tag}\\b([^>]*?)\\/?>`, 'g');
+    let match;
+    while ((match = pattern.exec(xml)) !== null) {
+      points.push({
+        lat: toCoordinate(readAttribute(match[1], 'lat'), 90, 'latitude'),
+        lng: toCoordinate(readAttribute(match[1], 'lon'), 180, 'longitude')
+      });
+    }
+    return points;
+  };
+
+  const trackPoints = readPoints('trkpt');
+  const coordinates = trackPoints.length > 0 ? trackPoints : readPoints('rtept');
+
+  const waypoints = [];
+  const waypointPattern = /<wpt\b([^>]*)>([\s\S]*?)<\/wpt>/g;
+  let match;
+  while ((match = waypointPattern.exec(xml)) !== null) {
+    waypoints.push({
+      name: readTag(match[2], 'name') || `Waypoint ${waypoints.length + 1}`,
+      type: normalizeWaypointType(readTag(match[2], 'type')),
+      lat: toCoordinate(readAttribute(match[1], 'lat'), 90, 'latitude'),
+      lng: toCoordinate(readAttribute(match[1], 'lon'), 180, 'longitude')
+    });
+  }
+
+  const track = xml.match(/<(trk|rte)>([\s\S]*?)<\/\1>/);
+  const name = track ? readTag(track[2].split(/<(trkseg|rtept)/)[0], 'name') : null;
+
+  return { name, coordinates, waypoints };
+}
+
+/**
+ * Build route points with cumulative distances and snap waypoints onto the route
+ * Start and finish waypoints are added at the route ends when not supplied.
+ * Corridor tolerance per segment: a matching corridor range (by the segment's midpoint
+ * distance), else the tolerance from the source file, else defaultTolerance. Segments
+ * without any use routeMapper's default.
+ * @param {Array} coordinates - [{lat, lng, tolerance}] in sailing order
+ * @param {Array} waypoints - [{name, type, lat, lng}]
+ * @param {Object} options - { corridor: [{from, to, tolerance}], defaultTolerance }
+ * @returns {Object} { points: [{lat, lng, distance, tolerance}], waypoints: [{name, type, lat, lng, distance}], totalDistance }
+ */
+function buildRoute(coordinates, waypoints = [], options = {}) {
+  const points = [];
+
+  for (const coordinate of coordinates) {
+    const previous = points[points.length - 1];
+    if (previous && previous.lat === coordinate.lat && previous.lng === coordinate.lng) continue;
+
+    const distance = previous
+      ? previous.distance + routeMapper.calculateDistance(previous.lat, previous.lng, coordinate.lat, coordinate.lng)
+      : 0;
+    points.push({
+      lat: coordinate.lat,
+      lng: coordinate.lng,
+      distance: Math.round(distance * 10) / 10,
+      tolerance: coordinate.tolerance
+    });
+  }
+
+  if (points.length < 2) {
+    throw new Error('Route needs at least two distinct points');
+  }
+
+  const totalDistance = points[points.length - 1].distance;
+  const corridor = options.corridor || [];
+
+  points.forEach((point, index) => {
+    const next = points[Math.min(index + 1, points.length - 1)];
+    const midpoint = (point.distance + next.distance) / 2;
+    const range = corridor.find(entry => midpoint >= entry.from && midpoint <= entry.to);
+    const tolerance = range ? range.tolerance : (point.tolerance || options.defaultTolerance);
+
+    if (tolerance > 0) {
+      point.tolerance = tolerance;
+    } else {
+      delete point.tolerance;
+    }
+  });
+
+  let previousDistance = 0;
+
+  const snapped = waypoints.map(waypoint => {
+    const projection = routeMapper.projectOntoRoute(waypoint.lat, waypoint.lng, {
+      route: points,
+      previousDistance,
+      maxDistanceFromRoute: MAX_WAYPOINT_DISTANCE
+    });
+
+    if (!projection) {
+      throw new Error(`Waypoint "${waypoint.name}" is more than ${MAX_WAYPOINT_DISTANCE}m from the route`);
+    }
+
+    // Waypoints are listed in sailing order, so use the previous one to resolve self-crossings
+    previousDistance = projection.distanceAlongRoute;
+
+    return {
+      name: waypoint.name,
+      type: normalizeWaypointType(waypoint.type),
+      lat: waypoint.lat,
+      lng: waypoint.lng,
+      distance: Math.round(projection.distanceAlongRoute)
+    };
+  });
+
+  if (!snapped.some(waypoint => waypoint.type === 'start')) {
+    snapped.push({ name: 'Start', type: 'start', lat: points[0].lat, lng: points[0].lng, distance: 0 });
+  }
+
+  if (!snapped.some(waypoint => waypoint.type === 'finish')) {
+    const last = points[points.length - 1];
+    snapped.push({ name: 'Finish', type: 'finish', lat: last.lat, lng: last.lng, distance: Math.round(totalDistance) });
+  }
+
+  snapped.sort((a, b) => a.distance - b.distance);
+
+  return { points, waypoints: snapped, totalDistance };
+}
+
+/**
+ * Parse an uploaded route file
+ * @param {Object|string} content - GeoJSON object/text or GPX text
+ * @param {Object} options - { format: 'geojson' | 'gpx' (detected when omitted), waypoints: extra waypoints,
+ *   corridor: [{from, to, tolerance}], defaultTolerance }
+ * @returns {Object} { name, format, points, waypoints, totalDistance }
+ */
+function parseRoute(content, options = {}) {
+  const format = options.format ||
+    (typeof content === 'string' && content.trim().startsWith('<') ? 'gpx' : 'geojson');
+
+  let parsed;
+  if (format === 'gpx') {
+    parsed = parseGPX(content);
+  } else if (format === 'geojson') {
+    parsed = parseGeoJSON(content);
+  } else {
+    throw new Error(`Unsupported route format: ${format}`);
+  }
+
+  const route = buildRoute(parsed.coordinates, [...parsed.waypoints, ...(options.waypoints || [])], {
+    corridor: options.corridor,
+    defaultTolerance: options.defaultTolerance
+  });
+
+  return { name: parsed.name, format, ...route };
+}
+
+module.exports = {
+  WAYPOINT_TYPES,
+  parseRoute,
+  parseGeoJSON,
+  parseGPX,
+  buildRoute
+};
@@ -0,0 +1,193 @@
+const boatState = require('./boatState');
+const paradeSpacing = require('./paradeSpacing');
+
+/**
+ * Skipper Instructions
+ *
+ * Turns a boat's spacing (gap to the boat ahead and behind) and schedule offset
+ * into one of the five zones shown in the skipper app, a target speed and the
+ * reason for the instruction.
+ *
+ * Zones: 1 too far ahead, 2 slightly ahead, 3 in position, 4 slightly behind,
+ * 5 too far behind. The gap to the boat ahead decides the zone; the boat behind
+ * and the schedule only nudge a boat that is otherwise in position. The leading
+ * boat has no boat ahead and follows the schedule.
+ */
+
+const TARGET_GAP_METERS = parseFloat(process.env.PARADE_TARGET_GAP_METERS) || 100;
+const NOMINAL_SPEED_KMH = parseFloat(process.env.PARADE_NOMINAL_SPEED_KMH) || 5;
+const MAX_SPEED_KMH = parseFloat(process.env.PARADE_MAX_SPEED_KMH) || 8;
+
+// Schedule offset (seconds, positive = ahead of schedule) for the orange and red zones
+const SCHEDULE_WARNING_SECONDS = 120;
+const SCHEDULE_CRITICAL_SECONDS = 300;
+
+const ZONES = {
+  1: {
+    color: 'red',
+    message: 'TE VER VOORUIT',
+    instruction: 'Vertraag of stop om terug naar groene zone te gaan',
+    urgency: 'URGENT',
+    speedAdjustment: -2
+  },
+  2: {
+    color: 'orange',
+    message: 'IETS TE VOORUIT',
+    instruction: 'Vertraag lichtjes om in groene zone te komen',
+    urgency: 'LET OP',
+    speedAdjustment: -1
+  },
+  3: {
+    color: 'green',
+    message: 'PERFECTE POSITIE',
+    instruction: 'Handhaaf huidige snelheid en koers',
+    urgency: 'GOED',
+    speedAdjustment: 0
+  },
+  4: {
+    color: 'orange',
+    message: 'IETS TE ACHTER',
+    instruction: 'Verhoog snelheid om in groene zone te komen',
+    urgency: 'LET OP',
+    speedAdjustment: 1
+  },
+  5: {
+    color: 'red',
+    message: 'TE VER ACHTER',
+    instruction: 'Verhoog snelheid of meld calamiteit',
+    urgency: 'URGENT',
+    speedAdjustment: 2
+  }
+};
+
+/**
+ * Zone from the schedule offset alone
+ */
+function zoneForScheduleOffset(offsetSeconds) {
+  if (offsetSeconds > SCHEDULE_CRITICAL_SECONDS) return 1;
+  if (offsetSeconds > SCHEDULE_WARNING_SECONDS) return 2;
+  if (offsetSeconds < -SCHEDULE_CRITICAL_SECONDS) return 5;
+  if (offsetSeconds < -SCHEDULE_WARNING_SECONDS) return 4;
+  return 3;
+}
+
+function formatOffset(offsetSeconds) {
+  const minutes = Math.round(Math.abs(offsetSeconds) / 60);
+  return `${minutes} min ${offsetSeconds > 0 ? 'voor' : 'achter'} op schema`;
+}
+
+/**
+ * Decide the zone and reasons from spacing and schedule
+ * @param {Object} input - { ahead: pair|null, behind: pair|null, scheduleOffsetSeconds: number|null }
+ * @param {Object} thresholds - paradeSpacing thresholds
+ * @returns {Object} { zone, reasons }
+ */
+function decideZone({ ahead, behind, scheduleOffsetSeconds }, thresholds) {
+  const band = Math.max(10, (thresholds.maxGapMeters - thresholds.minGapMeters) / 4);
+  const reasons = [];
+  let zone = 3;
+
+  if (ahead) {
+    const distance = `${ahead.gapMeters}m achter boot ${ahead.aheadId}`;
+
+    if (ahead.status === 'compressed') {
+      zone = 1;
+      reasons.push(`${distance} (minimum ${thresholds.minGapMeters}m)`);
+    } else if (ahead.status === 'gap') {
+      zone = 5;
+      reasons.push(`${distance}, ${ahead.gapSeconds}s (maximum ${thresholds.maxGapMeters}m / ${thresholds.maxGapSeconds}s)`);
+    } else if (ahead.gapMeters < TARGET_GAP_METERS - band) {
+      zone = 2;
+      reasons.push(`${distance} (doel ${TARGET_GAP_METERS}m)`);
+    } else if (ahead.gapMeters > TARGET_GAP_METERS + band) {
+      zone = 4;
+      reasons.push(`${distance} (doel ${TARGET_GAP_METERS}m)`);
+    } else {
+      reasons.push(`${distance}, op afstand`);
+    }
+  }
+
+  if (zone === 3 && behind && behind.status === 'gap') {
+    zone = 2;
+    reasons.push(`Boot ${behind.behindId} ligt ${behind.gapMeters}m achter, wacht op de stoet`);
+  } else if (zone === 2 && behind && behind.status === 'compressed') {
+    zone = 3;
+    reasons.push(`Boot ${behind.behindId} ligt vlak achter u (${behind.gapMeters}m), niet verder vertragen`);
+  }
+
+  if (scheduleOffsetSeconds != null) {
+    const scheduleZone = zoneForScheduleOffset(scheduleOffsetSeconds);
+    // The leader sets the pace from the schedule; others only when they are in position
+    if ((!ahead || zone === 3) && scheduleZone !== 3) {
+      zone = scheduleZone;
+    }
+    reasons.push(formatOffset(scheduleOffsetSeconds));
+  }
+
+  if (!ahead && scheduleOffsetSeconds == null) {
+    reasons.push('Geen boot voor u, houd de paradesnelheid aan');
+  }
+
+  return { zone, reasons };
+}
+
+/**
+ * Compute the instruction for one boat
+ * @param {number} boatId - Boat number
+ * @param {Object} options - { now, scheduleOffsetSeconds }
+ * @returns {Object|null} Instruction, or null when the boat has no state
+ */
+function getSkipperInstruction(boatId, options = {}) {
+  const boat = boatState.getBoatState(boatId);
+  if (!boat) {
+    return null;
+  }
+
+  const now = options.now || new Date();
+  const thresholds = paradeSpacing.getThresholds();
+  const pairs = paradeSpacing.computePairs(now);
+  const ahead = pairs.find(pair => pair.behindId === boatId) || null;
+  const behind = pairs.find(pair => pair.aheadId === boatId) || null;
+  const scheduleOffsetSeconds = options.scheduleOffsetSeconds != null ? options.scheduleOffsetSeconds : null;
+
+  let zone;
+  let reasons;
+  if (boat.status === 'emergency') {
+    zone = 3;
+    reasons = ['Calamiteit actief, volg de aanwijzingen van Pride Control'];
+  } else if (boat.status === 'finished') {
+    zone = 3;
+    reasons = ['Finish bereikt'];
+  } else {
+    ({ zone, reasons } = decideZone({ ahead, behind, scheduleOffsetSeconds }, thresholds));
+  }
+
+  const { speedAdjustment, ...zoneInfo } = ZONES[zone];
+  const aheadBoat = ahead ? boatState.getBoatState(ahead.aheadId) : null;
+  const baseSpeed = aheadBoat && aheadBoat.position.speed > 0 ? aheadBoat.position.speed : NOMINAL_SPEED_KMH;
+  const targetSpeedKmh = boat.status === 'finished'
+    ? 0
+    : Math.round(Math.min(MAX_SPEED_KMH, Math.max(0, baseSpeed + speedAdjustment)) * 10) / 10;
+
+  return {
+    boatId,
+    boatName: boat.name,
+    status: boat.status,
+    emergencyActive: boat.status === 'emergency',
+    zone,
+    ...zoneInfo,
+    reason: reasons.join('; '),
+    reasons,
+    targetSpeedKmh,
+    currentSpeedKmh: boat.position.speed || 0,
+    gapAhead: ahead ? { boatId: ahead.aheadId, gapMeters: ahead.gapMeters, gapSeconds: ahead.gapSeconds } : null,
+    gapBehind: behind ? { boatId: behind.behindId, gapMeters: behind.gapMeters, gapSeconds: behind.gapSeconds } : null,
+    scheduleOffsetSeconds,
+    lastPositionAt: boat.position.timestamp
+  };
+}
+
+module.exports = {
+  ZONES,
+  getSkipperInstruction
+};
@@ -0,0 +1,241 @@
+const routeMapper = require('./routeMapper');
+
+/**
+ * Spatial Index
+ *
+ * In-memory grid of the latest position of every boat, kept up to date by the boat
+ * state as fixes are processed. Spectators poll the nearest boat from the app, so
+ * queries must not touch the database or scan every boat: the grid divides the map
+ * into cells of about CELL_METERS and a query only looks at the cells it overlaps.
+ *   nearest  - k nearest boats, searching rings of cells outwards from the query point
+ *   radius   - boats within a distance, nearest first
+ *   bounds   - boats inside a bounding box (map viewport)
+ * Distances are in meters.
+ */
+
+const CELL_METERS = parseFloat(process.env.SPATIAL_INDEX_CELL_METERS) || 200;
+const METERS_PER_DEGREE = 111320;
+// Cells are fixed in degrees, square at this latitude (Amsterdam)
+const REFERENCE_LATITUDE = 52.37;
+const CELL_LAT_DEGREES = CELL_METERS / METERS_PER_DEGREE;
+const CELL_LON_DEGREES = CELL_METERS / (METERS_PER_DEGREE * Math.cos(REFERENCE_LATITUDE * Math.PI / 180));
+
+// id -> { id, lat, lon, cell, data }
+const entries = new Map();
+// "row:column" -> Set of ids
+const cells = new Map();
+
+function cellRow(lat) {
+  return Math.floor(lat / CELL_LAT_DEGREES);
+}
+
+function cellColumn(lon) {
+  return Math.floor(lon / CELL_LON_DEGREES);
+}
+
+function cellKey(row, column) {
+  return `${row}:${column}`;
+}
+
+/**
+ * Smallest cell side in meters at a latitude (rings of cells cover at least this much)
+ */
+function cellSideMeters(lat) {
+  return Math.min(CELL_METERS, CELL_LON_DEGREES * METERS_PER_DEGREE * Math.cos(lat * Math.PI / 180));
+}
+
+function toResult(entry, distanceMeters) {
+  return {
+    ...entry.data,
+    id: entry.id,
+    lat: entry.lat,
+    lon: entry.lon,
+    ...(distanceMeters !== undefined && { distanceMeters: Math.round(distanceMeters * 10) / 10 })
+  };
+}
+
+/**
+ * Ids in the cells of a row/column range; walks the occupied cells instead when the
+ * range holds more cells than there are occupied ones (a zoomed-out viewport)
+ */
+function idsInCellRange(rowMin, rowMax, columnMin, columnMax) {
+  const ids = [];
+  const rangeSize = (rowMax - rowMin + 1) * (columnMax - columnMin + 1);
+
+  if (rangeSize > cells.size) {
+    for (const [key, cellIds] of cells) {
+      const [row, column] = key.split(':').map(Number);
+      if (row >= rowMin && row <= rowMax && column >= columnMin && column <= columnMax) {
+        ids.push(...cellIds);
+      }
+    }
+    return ids;
+  }
+
+  for (let row = rowMin; row <= rowMax; row++) {
+    for (let column = columnMin; column <= columnMax; column++) {
+      const cellIds = cells.get(cellKey(row, column));
+      if (cellIds) {
+        ids.push(...cellIds);
+      }
+    }
+  }
+  return ids;
+}
+
+/**
+ * Add a boat or move it to its latest position
+ * @param {number} id - Boat number
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Object} data - Returned with the boat from queries (name, status, ...)
+ */
+function upsert(id, lat, lon, data = {}) {
+  const key = cellKey(cellRow(lat), cellColumn(lon));
+  const existing = entries.get(id);
+
+  if (existing && existing.cell !== key) {
+    removeFromCell(existing);
+  }
+
+  entries.set(id, { id, lat, lon, cell: key, data });
+  if (!cells.has(key)) {
+    cells.set(key, new Set());
+  }
+  cells.get(key).add(id);
+}
+
+function removeFromCell(entry) {
+  const cellIds = cells.get(entry.cell);
+  if (cellIds) {
+    cellIds.delete(entry.id);
+    if (cellIds.size === 0) {
+      cells.delete(entry.cell);
+    }
+  }
+}
+
+function remove(id) {
+  const entry = entries.get(id);
+  if (!entry) {
+    return false;
+  }
+
+  removeFromCell(entry);
+  entries.delete(id);
+  return true;
+}
+
+function get(id) {
+  const entry = entries.get(id);
+  return entry ? toResult(entry) : null;
+}
+
+function getAll() {
+  return Array.from(entries.values())
+    .map(entry => toResult(entry))
+    .sort((a, b) => a.id - b.id);
+}
+
+function size() {
+  return entries.size;
+}
+
+/**
+ * Boats within a distance of a point, nearest first
+ * @returns {Array} Boats with distanceMeters
+ */
+function withinRadius(lat, lon, radiusMeters) {
+  const latSpan = radiusMeters / METERS_PER_DEGREE;
+  const lonSpan = radiusMeters / (METERS_PER_DEGREE * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+
+  return idsInCellRange(cellRow(lat - latSpan), cellRow(lat + latSpan), cellColumn(lon - lonSpan), cellColumn(lon + lonSpan))
+    .map(id => entries.get(id))
+    .map(entry => ({ entry, distance: routeMapper.calculateDistance(lat, lon, entry.lat, entry.lon) }))
+    .filter(candidate => candidate.distance <= radiusMeters)
+    .sort((a, b) => a.distance - b.distance)
+    .map(candidate => toResult(candidate.entry, candidate.distance));
+}
+
+/**
+ * Boats inside a bounding box
+ * @param {Object} bounds - { south, west, north, east } in degrees
+ */
+function withinBounds({ south, west, north, east }) {
+  return idsInCellRange(cellRow(south), cellRow(north), cellColumn(west), cellColumn(east))
+    .map(id => entries.get(id))
+    .filter(entry => entry.lat >= south && entry.lat <= north && entry.lon >= west && entry.lon <= east)
+    .map(entry => toResult(entry))
+    .sort((a, b) => a.id - b.id);
+}
+
+/**
+ * k nearest boats to a point: rings of cells are searched outwards until the k-th
+ * nearest boat found is closer than anything in the next ring can be
+ * @param {Object} options - { maxDistanceMeters }
+ * @returns {Array} Up to k boats with distanceMeters, nearest first
+ */
+function nearest(lat, lon, k = 1, { maxDistanceMeters = Infinity } = {}) {
+  if (entries.size === 0 || k < 1) {
+    return [];
+  }
+
+  const row = cellRow(lat);
+  const column = cellColumn(lon);
+  const side = cellSideMeters(lat);
+  const measure = entry => ({ entry, distance: routeMapper.calculateDistance(lat, lon, entry.lat, entry.lon) });
+
+  let found = [];
+  for (let ring = 0; ; ring++) {
+    // Far from every boat a ring holds more cells than are occupied: measure them all
+    if (ring > 0 && 8 * ring > cells.size) {
+      found = Array.from(entries.values()).map(measure).sort((a, b) => a.distance - b.distance);
+      break;
+    }
+
+    for (let r = row - ring; r <= row + ring; r++) {
+      for (let c = column - ring; c <= column + ring; c++) {
+        if (Math.abs(r - row) !== ring && Math.abs(c - column) !== ring) {
+          continue; // inside the ring, searched before
+        }
+        const cellIds = cells.get(cellKey(r, c));
+        if (cellIds) {
+          cellIds.forEach(id => found.push(measure(entries.get(id))));
+        }
+      }
+    }
+
+    // Rings 0..ring cover at least ring cell sides around the query point
+    const covered = ring * side;
+    found.sort((a, b) => a.distance - b.distance);
+    if ((found.length >= k && found[k - 1].distance <= covered) || covered > maxDistanceMeters) {
+      break;
+    }
+  }
+
+  return found
+    .filter(candidate => candidate.distance <= maxDistanceMeters)
+    .slice(0, k)
+    .map(candidate => toResult(candidate.entry, candidate.distance));
+}
+
+/**
+ * Empty the index (tests, boat states cleared)
+ */
+function clear() {
+  entries.clear();
+  cells.clear();
+}
+
+module.exports = {
+  CELL_METERS,
+  upsert,
+  remove,
+  get,
+  getAll,
+  size,
+  nearest,
+  withinRadius,
+  withinBounds,
+  clear
+};
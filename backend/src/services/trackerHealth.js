@@ -0,0 +1,405 @@
+const logger = require('./logger');
+const eventStream = require('./eventStream');
+const database = require('../models/database');
+
+/**
+ * Tracker Health
+ *
+ * Live health per tracker from the webhook stream: when it was last heard from,
+ * how often it reports, the share of recent fixes with a bad GpsStat or PDOP and
+ * the supply voltage from AnalogueData. Trackers are keyed by SerNo (IMEI when
+ * the payload has no SerNo), independent of boat mappings, so problems show up
+ * before the parade starts.
+ *
+ * A tracker is "stale" when it misses a few reports (at least TRACKER_STALE_SECONDS)
+ * and "offline" after TRACKER_OFFLINE_SECONDS. Going silent, a poor fix ratio and
+ * low battery each open a tracker alert (incident) that closes once it recovers.
+ *
+ * Clock skew: every fix is compared with the time its payload was received. The
+ * delay includes buffering and transport, so its minimum over the recent window
+ * is the estimate of how far the device clock is behind (negative: ahead). A skew
+ * beyond TRACKER_MAX_CLOCK_SKEW_SECONDS opens a clock_skew alert, since fixes are
+ * ordered by device time.
+ */
+
+const THRESHOLDS = {
+  staleSeconds: parseFloat(process.env.TRACKER_STALE_SECONDS) || 120,
+  offlineSeconds: parseFloat(process.env.TRACKER_OFFLINE_SECONDS) || 600,
+  // Share of bad fixes among the recent window (only judged from MIN_FIXES_FOR_RATIO fixes)
+  badFixRatio: parseFloat(process.env.TRACKER_BAD_FIX_RATIO) || 0.3,
+  // Plain PDOP as normalized (KPN's 50 in tenths)
+  maxPdop: parseFloat(process.env.TRACKER_MAX_PDOP) || 5,
+  // GpsStat bits that must all be set for a good fix (7 = good, 3 = degraded)
+  goodGpsStatus: parseInt(process.env.TRACKER_GOOD_GPS_STATUS) || 7,
+  lowBatteryMv: parseFloat(process.env.TRACKER_LOW_BATTERY_MV) || 3600,
+  maxClockSkewSeconds: parseFloat(process.env.TRACKER_MAX_CLOCK_SKEW_SECONDS) || 60
+};
+const WINDOW_SIZE = 50;
+const MIN_FIXES_FOR_RATIO = 5;
+const STALE_AFTER_INTERVALS = 3;
+const DEFAULT_MONITOR_INTERVAL_MS = 30 * 1000;
+
+const ALERTS = {
+  silent: { type: 'tracker_silent', severity: 'warning' },
+  poor_fix: { type: 'tracker_poor_fix', severity: 'warning' },
+  low_battery: { type: 'tracker_low_battery', severity: 'warning' },
+  clock_skew: { type: 'tracker_clock_skew', severity: 'info' }
+};
+
+// Worst first, for sorting the health report
+const STATUS_ORDER = ['offline', 'stale', 'degraded', 'never_seen', 'ok'];
+
+const trackers = new Map();
+let monitorTimer = null;
+
+function createTrackerState(trackerName, imei) {
+  return {
+    trackerName,
+    imei,
+    boatNumber: null,
+    firstSeenAt: null,
+    lastSeenAt: null,
+    lastFixAt: null,
+    payloads: 0,
+    fixCount: 0,
+    intervals: [],
+    recentFixes: [],
+    delays: [],
+    lateFixes: 0,
+    lastGpsStatus: null,
+    lastPdop: null,
+    batteryMv: null,
+    deviceStatus: null,
+    reportedStatus: null,
+    alerts: {}
+  };
+}
+
+function pushWindow(list, value) {
+  list.push(value);
+  if (list.length > WINDOW_SIZE) {
+    list.shift();
+  }
+}
+
+function isBadFix(fix) {
+  const badStatus = fix.gpsStatus !== null && fix.gpsStatus !== undefined &&
+    (fix.gpsStatus & THRESHOLDS.goodGpsStatus) !== THRESHOLDS.goodGpsStatus;
+  const badPdop = fix.pdop !== null && fix.pdop !== undefined && fix.pdop > THRESHOLDS.maxPdop;
+  return badStatus || badPdop;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Record a webhook payload from a tracker
+ * Fixes older than the newest fix already seen (late or retried deliveries) only count as a
+ * sign of life and for the clock skew.
+ * @param {Object} payload - { serNo, imei, boatNumber, fixes (canonical, oldest first), receivedAt }
+ * @returns {Promise<Object|null>} Tracker state, or null without SerNo/IMEI
+ */
+async function recordPayload({ serNo, imei, boatNumber = null, fixes = [], receivedAt = new Date() }) {
+  const trackerName = serNo ? serNo.toString() : imei;
+  if (!trackerName) {
+    return null;
+  }
+
+  let state = trackers.get(trackerName);
+  if (!state) {
+    state = createTrackerState(trackerName, imei || null);
+    trackers.set(trackerName, state);
+  }
+
+  state.imei = imei || state.imei;
+  state.boatNumber = boatNumber || state.boatNumber;
+  state.firstSeenAt = state.firstSeenAt || receivedAt;
+  state.lastSeenAt = receivedAt;
+  state.payloads++;
+
+  for (const fix of fixes) {
+    if (!fix.timestamp) continue;
+    const fixTime = new Date(fix.timestamp);
+    pushWindow(state.delays, (receivedAt - fixTime) / 1000);
+
+    if (state.lastFixAt && fixTime <= state.lastFixAt) {
+      state.lateFixes++;
+      continue;
+    }
+
+    if (state.lastFixAt) {
+      pushWindow(state.intervals, (fixTime - state.lastFixAt) / 1000);
+    }
+    pushWindow(state.recentFixes, isBadFix(fix));
+
+    state.lastFixAt = fixTime;
+    state.fixCount++;
+    state.lastGpsStatus = fix.gpsStatus !== undefined ? fix.gpsStatus : state.lastGpsStatus;
+    state.lastPdop = fix.pdop !== undefined ? fix.pdop : state.lastPdop;
+    if (fix.battery !== null && fix.battery !== undefined) state.batteryMv = fix.battery;
+    if (fix.deviceStatus !== null && fix.deviceStatus !== undefined) state.deviceStatus = fix.deviceStatus;
+  }
+
+  try {
+    await database.updateKPNTrackerStatus(trackerName, { last_connected: receivedAt });
+  } catch (error) {
+    logger.error(`Error updating last_connected for tracker ${trackerName}:`, error);
+  }
+
+  return state;
+}
+
+/**
+ * Delay between device time and received time over the recent fixes
+ * @returns {Object} { skewSeconds, medianDelaySeconds, maxDelaySeconds, lateFixes } (seconds, null until enough fixes)
+ */
+function describeClockSkew(state) {
+  const enough = state.delays.length >= MIN_FIXES_FOR_RATIO;
+
+  return {
+    skewSeconds: enough ? Math.round(Math.min(...state.delays)) : null,
+    medianDelaySeconds: enough ? Math.round(median(state.delays)) : null,
+    maxDelaySeconds: enough ? Math.round(Math.max(...state.delays)) : null,
+    lateFixes: state.lateFixes
+  };
+}
+
+/**
+ * Health of one tracker at a point in time (pure)
+ */
+function describeTracker(state, now) {
+  const silentSeconds = Math.max(0, Math.round((now - state.lastSeenAt) / 1000));
+  const reportingIntervalSeconds = median(state.intervals);
+  const staleAfterSeconds = Math.max(THRESHOLDS.staleSeconds, (reportingIntervalSeconds || 0) * STALE_AFTER_INTERVALS);
+  const badFixes = state.recentFixes.filter(Boolean).length;
+  const badFixRatio = state.recentFixes.length >= MIN_FIXES_FOR_RATIO
+    ? Math.round((badFixes / state.recentFixes.length) * 100) / 100
+    : null;
+
+  const clockSkew = describeClockSkew(state);
+
+  const issues = [];
+  let status = 'ok';
+
+  if (silentSeconds > THRESHOLDS.offlineSeconds) {
+    status = 'offline';
+    issues.push('silent');
+  } else if (silentSeconds > staleAfterSeconds) {
+    status = 'stale';
+    issues.push('silent');
+  }
+  if (badFixRatio !== null && badFixRatio > THRESHOLDS.badFixRatio) {
+    issues.push('poor_fix');
+  }
+  if (state.batteryMv !== null && state.batteryMv < THRESHOLDS.lowBatteryMv) {
+    issues.push('low_battery');
+  }
+  if (clockSkew.skewSeconds !== null && Math.abs(clockSkew.skewSeconds) > THRESHOLDS.maxClockSkewSeconds) {
+    issues.push('clock_skew');
+  }
+  if (status === 'ok' && issues.length > 0) {
+    status = 'degraded';
+  }
+
+  return {
+    trackerName: state.trackerName,
+    imei: state.imei,
+    boatNumber: state.boatNumber,
+    status,
+    issues,
+    firstSeenAt: state.firstSeenAt,
+    lastSeenAt: state.lastSeenAt,
+    lastFixAt: state.lastFixAt,
+    silentSeconds,
+    reportingIntervalSeconds,
+    staleAfterSeconds,
+    payloads: state.payloads,
+    fixCount: state.fixCount,
+    badFixRatio,
+    lastGpsStatus: state.lastGpsStatus,
+    lastPdop: state.lastPdop,
+    batteryMv: state.batteryMv,
+    deviceStatus: state.deviceStatus,
+    clockSkew,
+    openAlerts: Object.keys(state.alerts)
+  };
+}
+
+function alertMessage(issue, health) {
+  switch (issue) {
+    case 'silent':
+      return `Tracker ${health.trackerName} ${health.status} (nothing received for ${health.silentSeconds}s)`;
+    case 'clock_skew':
+      return `Tracker ${health.trackerName} clock is ${Math.abs(health.clockSkew.skewSeconds)}s ${health.clockSkew.skewSeconds > 0 ? 'behind' : 'ahead'}`;
+    case 'poor_fix':
+      return `Tracker ${health.trackerName} has poor GPS fixes (${Math.round(health.badFixRatio * 100)}% bad)`;
+    default:
+      return `Tracker ${health.trackerName} battery low (${health.batteryMv} mV)`;
+  }
+}
+
+async function openAlert(state, issue, health, now) {
+  const alert = {
+    type: ALERTS[issue].type,
+    severity: ALERTS[issue].severity,
+    message: alertMessage(issue, health),
+    timestamp: now,
+    metadata: {
+      trackerName: health.trackerName,
+      imei: health.imei,
+      silentSeconds: health.silentSeconds,
+      badFixRatio: health.badFixRatio,
+      batteryMv: health.batteryMv,
+      clockSkewSeconds: health.clockSkew.skewSeconds
+    }
+  };
+
+  try {
+    alert.id = await database.saveBoatIncident(health.boatNumber, alert);
+  } catch (error) {
+    logger.error(`Error saving ${alert.type} alert for tracker ${health.trackerName}:`, error);
+  }
+
+  state.alerts[issue] = alert;
+  eventStream.publish('incident', health.boatNumber, { ...alert, state: 'opened' });
+  logger.warn(`📡 ${alert.message}`, { boatNumber: health.boatNumber });
+}
+
+async function closeAlert(state, issue, health, now) {
+  const alert = state.alerts[issue];
+  delete state.alerts[issue];
+
+  alert.endedAt = now;
+  alert.durationSeconds = Math.max(0, Math.round((now - new Date(alert.timestamp)) / 1000));
+
+  if (alert.id) {
+    try {
+      await database.closeBoatIncident(alert.id, now, { recoveredStatus: health.status });
+    } catch (error) {
+      logger.error(`Error closing ${alert.type} alert for tracker ${health.trackerName}:`, error);
+    }
+  }
+
+  eventStream.publish('incident', health.boatNumber, { ...alert, state: 'closed' });
+  logger.info(`📡 Tracker ${health.trackerName} recovered from ${issue} after ${alert.durationSeconds}s`);
+}
+
+/**
+ * Open and close tracker alerts and store status changes on kpn_trackers
+ * @param {Date} now - Evaluation time
+ * @returns {Promise<Array>} Health of all trackers that have been heard from
+ */
+async function evaluateTrackerHealth(now = new Date()) {
+  const report = [];
+
+  for (const state of trackers.values()) {
+    const health = describeTracker(state, now);
+
+    for (const issue of Object.keys(ALERTS)) {
+      if (health.issues.includes(issue) && !state.alerts[issue]) {
+        await openAlert(state, issue, health, now);
+      } else if (!health.issues.includes(issue) && state.alerts[issue]) {
+        await closeAlert(state, issue, health, now);
+      }
+    }
+
+    if (health.status !== state.reportedStatus) {
+      state.reportedStatus = health.status;
+      try {
+        await database.updateKPNTrackerStatus(state.trackerName, { current_status: health.status });
+      } catch (error) {
+        logger.error(`Error updating current_status for tracker ${state.trackerName}:`, error);
+      }
+    }
+
+    report.push({ ...health, openAlerts: Object.keys(state.alerts) });
+  }
+
+  return report;
+}
+
+/**
+ * Health report for /api/device-management/health
+ * Registered trackers (kpn_trackers) that have not been heard from are listed as never_seen.
+ * @param {Date} now - Evaluation time
+ * @returns {Promise<Object>} { summary, trackers } with the worst trackers first
+ */
+async function getTrackerHealth(now = new Date()) {
+  const registered = await database.getAllKPNTrackers();
+  const assetCodes = new Map(registered.map(tracker => [String(tracker.tracker_name), tracker.asset_code]));
+
+  const report = Array.from(trackers.values()).map(state => ({
+    assetCode: assetCodes.get(state.trackerName) || null,
+    ...describeTracker(state, now)
+  }));
+
+  for (const tracker of registered) {
+    const trackerName = String(tracker.tracker_name);
+    if (trackers.has(trackerName) || (tracker.imei && trackers.has(tracker.imei))) continue;
+
+    report.push({
+      assetCode: tracker.asset_code || null,
+      trackerName,
+      imei: tracker.imei || null,
+      boatNumber: null,
+      status: 'never_seen',
+      issues: [],
+      lastSeenAt: tracker.last_connected || null
+    });
+  }
+
+  report.sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status) ||
+    a.trackerName.localeCompare(b.trackerName));
+
+  const summary = Object.fromEntries(STATUS_ORDER.map(status => [
+    status,
+    report.filter(tracker => tracker.status === status).length
+  ]));
+
+  return { summary: { total: report.length, ...summary }, trackers: report };
+}
+
+function getThresholds() {
+  return { ...THRESHOLDS };
+}
+
+/**
+ * Evaluate tracker health periodically so silent trackers raise alerts
+ */
+function startTrackerHealthMonitor(intervalMs = parseInt(process.env.TRACKER_HEALTH_INTERVAL_MS) || DEFAULT_MONITOR_INTERVAL_MS) {
+  stopTrackerHealthMonitor();
+  monitorTimer = setInterval(() => {
+    evaluateTrackerHealth().catch(error => logger.error('Error evaluating tracker health:', error));
+  }, intervalMs);
+  monitorTimer.unref();
+  logger.info(`📡 Tracker health monitor started (every ${intervalMs / 1000}s)`);
+}
+
+function stopTrackerHealthMonitor() {
+  if (monitorTimer) {
+    clearInterval(monitorTimer);
+    monitorTimer = null;
+  }
+}
+
+/**
+ * Forget all tracker state (tests)
+ */
+function resetTrackerHealth() {
+  trackers.clear();
+}
+
+module.exports = {
+  ALERTS,
+  recordPayload,
+  evaluateTrackerHealth,
+  getTrackerHealth,
+  getThresholds,
+  startTrackerHealthMonitor,
+  stopTrackerHealthMonitor,
+  resetTrackerHealth
+};
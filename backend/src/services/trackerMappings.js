@@ -0,0 +1,150 @@
+const logger = require('./logger');
+const database = require('../models/database');
+
+/**
+ * Tracker mappings over time
+ *
+ * A boat carries one tracker at a time, but may go through several during the
+ * parade: when a tracker dies the crew hands the boat a spare. Every mapping is
+ * valid from valid_from until valid_to, and fixes are tied to a boat through the
+ * mapping that was valid when they were taken, so the boat's track continues
+ * across the swap.
+ */
+
+function mappingError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Active mapping of a boat, by boat number (parade position)
+ */
+async function getActiveMapping(boatNumber) {
+  const mappings = await database.getAllActiveBoatTrackerMappings();
+  return mappings.find(mapping => mapping.parade_position == boatNumber) || null;
+}
+
+/**
+ * Put a spare tracker on a boat: end the current mapping and start a mapping for
+ * the new tracker at the moment of the swap
+ * @param {number} boatNumber - Boat number (parade position)
+ * @param {Object} swap - { trackerName, swappedAt (default now), by, reason, notes }
+ * @returns {Promise<Object>} { boatNumber, swappedAt, ended, started }
+ */
+async function swapTracker(boatNumber, { trackerName, swappedAt = new Date(), by, reason, notes } = {}) {
+  const current = await getActiveMapping(boatNumber);
+  if (!current) {
+    throw mappingError(`Boat ${boatNumber} has no active tracker`, 404);
+  }
+
+  const tracker = await database.getKPNTrackerByName(String(trackerName));
+  if (!tracker) {
+    throw mappingError(`Tracker ${trackerName} not found`, 404);
+  }
+
+  if (tracker.id === current.kpn_tracker_id) {
+    throw mappingError(`Tracker ${trackerName} is already on boat ${boatNumber}`, 409);
+  }
+
+  const elsewhere = (await database.getAllActiveBoatTrackerMappings())
+    .find(mapping => mapping.kpn_tracker_id === tracker.id);
+  if (elsewhere) {
+    const carrier = elsewhere.support_vessel_id ? 'a support vessel' : `boat ${elsewhere.parade_position}`;
+    throw mappingError(`Tracker ${trackerName} is on ${carrier}`, 409);
+  }
+
+  const at = new Date(swappedAt);
+  if (isNaN(at.getTime()) || at > new Date()) {
+    throw mappingError('swappedAt must be a time in the past', 400);
+  }
+  if (at < new Date(current.valid_from)) {
+    throw mappingError(`swappedAt is before tracker ${current.tracker_name} was put on boat ${boatNumber}`, 400);
+  }
+
+  const result = await database.swapBoatTrackerMapping(current.id, {
+    kpn_tracker_id: tracker.id,
+    tracker_name: tracker.tracker_name,
+    asset_code: tracker.asset_code,
+    swapped_at: at,
+    mapped_by: by,
+    reason: reason || `Swap: ${current.tracker_name} -> ${tracker.tracker_name}`,
+    notes
+  });
+
+  if (!result) {
+    throw mappingError(`Mapping of boat ${boatNumber} changed during the swap, try again`, 409);
+  }
+
+  logger.info(`🔁 Tracker swapped on boat ${boatNumber}: ${current.tracker_name} -> ${tracker.tracker_name}`, {
+    swappedAt: at.toISOString(),
+    by
+  });
+
+  return {
+    boatNumber: parseInt(boatNumber),
+    swappedAt: at.toISOString(),
+    ended: result.ended,
+    started: result.started
+  };
+}
+
+/**
+ * Which boat carried a tracker at a point in time, with the audit entries of that mapping
+ * @param {string} trackerName - Tracker name (SerNo)
+ * @param {Date|string} at - Point in time
+ * @returns {Promise<Object>} { trackerName, at, boat, audit } (boat null when on no boat)
+ */
+async function getBoatForTrackerAt(trackerName, at) {
+  const time = new Date(at);
+  if (isNaN(time.getTime())) {
+    throw mappingError('at must be a valid time', 400);
+  }
+
+  const mapping = await database.getBoatTrackerMappingAt(String(trackerName), time);
+
+  return {
+    trackerName: String(trackerName),
+    at: time.toISOString(),
+    boat: mapping ? {
+      boatNumber: mapping.parade_position,
+      prideBoatId: mapping.pride_boat_id,
+      mappingId: mapping.id,
+      validFrom: mapping.valid_from,
+      validTo: mapping.valid_to
+    } : null,
+    audit: mapping ? await database.getMappingAudit({ mappingId: mapping.id }) : []
+  };
+}
+
+/**
+ * GPS track of a boat across all trackers it carried
+ * @param {number} boatNumber - Boat number (parade position)
+ * @param {Object} options - { from, to, limit }
+ * @returns {Promise<Object>} { trackers, positions }
+ */
+async function getBoatTrack(boatNumber, options = {}) {
+  const [mappings, positions] = await Promise.all([
+    database.getBoatTrackerMappingHistory(boatNumber),
+    database.getBoatTrack(boatNumber, options)
+  ]);
+
+  return {
+    trackers: mappings.map(mapping => ({
+      mappingId: mapping.id,
+      trackerName: mapping.tracker_name,
+      assetCode: mapping.asset_code,
+      validFrom: mapping.valid_from,
+      validTo: mapping.valid_to,
+      active: mapping.is_active
+    })),
+    positions
+  };
+}
+
+module.exports = {
+  getActiveMapping,
+  swapTracker,
+  getBoatForTrackerAt,
+  getBoatTrack
+};
@@ -0,0 +1,327 @@
+const logger = require('./logger');
+const boatState = require('./boatState');
+const emergencies = require('./emergencies');
+const routeMapper = require('./routeMapper');
+const database = require('../models/database');
+
+/**
+ * Vessel registry
+ *
+ * Everything on the water that carries a tracker: the parade boats themselves and
+ * the support vessels around them (organisation, rescue, police, media). Each type
+ * has its map styling and permissions:
+ *   publicMap    - shown to the public (viewer), not only to the control room
+ *   dispatchable - can be sent to a boat in trouble (nearest vessel lookup)
+ * Defaults live here; types saved through /api/vessels/types override them.
+ */
+
+const DEFAULT_VESSEL_TYPES = {
+  parade: {
+    label: 'Paradeboot',
+    style: { color: '#ec4899', shape: 'circle', size: 24 },
+    permissions: { publicMap: true, dispatchable: false }
+  },
+  organisation: {
+    label: 'Organisatie',
+    style: { color: '#8b5cf6', shape: 'square', size: 22 },
+    permissions: { publicMap: true, dispatchable: false }
+  },
+  rescue: {
+    label: 'Reddingsboot',
+    style: { color: '#f97316', shape: 'diamond', size: 26 },
+    permissions: { publicMap: false, dispatchable: true }
+  },
+  police: {
+    label: 'Politie',
+    style: { color: '#1d4ed8', shape: 'diamond', size: 26 },
+    permissions: { publicMap: false, dispatchable: true }
+  },
+  media: {
+    label: 'Media',
+    style: { color: '#0d9488', shape: 'square', size: 20 },
+    permissions: { publicMap: true, dispatchable: false }
+  }
+};
+
+const TYPES = Object.keys(DEFAULT_VESSEL_TYPES);
+const SUPPORT_VESSEL_TYPES = TYPES.filter(type => type !== 'parade');
+const SHAPES = ['circle', 'square', 'diamond', 'triangle'];
+
+// Positions older than this do not count for the nearest vessel lookup
+const MAX_POSITION_AGE_SECONDS = parseInt(process.env.VESSEL_MAX_POSITION_AGE_SECONDS) || 600;
+
+const vesselTypes = new Map(TYPES.map(type => [type, { type, ...DEFAULT_VESSEL_TYPES[type] }]));
+
+function vesselError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Merge a (partial) definition over the defaults of its type
+ */
+function normalizeVesselType(type, definition = {}) {
+  const defaults = DEFAULT_VESSEL_TYPES[type];
+  if (!defaults) {
+    throw vesselError(`Unknown vessel type ${type}`, 404);
+  }
+
+  const style = { ...defaults.style, ...definition.style };
+  if (!/^#[0-9a-fA-F]{6}$/.test(style.color) || !SHAPES.includes(style.shape) || !(style.size >= 8 && style.size <= 64)) {
+    throw vesselError(`Invalid style for vessel type ${type}`, 400);
+  }
+
+  return {
+    type,
+    label: definition.label || defaults.label,
+    style,
+    permissions: { ...defaults.permissions, ...definition.permissions }
+  };
+}
+
+/**
+ * Load saved vessel type settings over the defaults
+ * @returns {Promise<number>} Number of saved types applied
+ */
+async function loadVesselTypes() {
+  const saved = await database.getVesselTypeSettings();
+  let applied = 0;
+
+  for (const definition of saved) {
+    try {
+      vesselTypes.set(definition.type, normalizeVesselType(definition.type, definition));
+      applied++;
+    } catch (error) {
+      logger.warn(`Skipping invalid vessel type ${definition.type}: ${error.message}`);
+    }
+  }
+
+  logger.info(`🚤 Vessel types loaded (${applied} saved)`);
+  return applied;
+}
+
+function getVesselTypes() {
+  return TYPES.map(type => vesselTypes.get(type));
+}
+
+/**
+ * Change label, map styling or permissions of a vessel type
+ * @param {string} type - Vessel type
+ * @param {Object} definition - { label, style: { color, shape, size }, permissions: { publicMap, dispatchable } }
+ */
+async function saveVesselType(type, definition) {
+  const current = vesselTypes.get(type);
+  const vesselType = normalizeVesselType(type, {
+    ...current,
+    ...definition,
+    style: { ...(current && current.style), ...definition.style },
+    permissions: { ...(current && current.permissions), ...definition.permissions }
+  });
+
+  await database.saveVesselTypeSettings(vesselType);
+  vesselTypes.set(type, vesselType);
+
+  logger.info(`Vessel type ${type} saved`, vesselType);
+  return vesselType;
+}
+
+function toPosition(latitude, longitude, details = {}) {
+  if (latitude == null || longitude == null) {
+    return null;
+  }
+
+  return {
+    latitude: parseFloat(latitude),
+    longitude: parseFloat(longitude),
+    speed: details.speed != null ? parseFloat(details.speed) : null,
+    heading: details.heading != null ? parseFloat(details.heading) : null,
+    timestamp: details.timestamp ? new Date(details.timestamp).toISOString() : null
+  };
+}
+
+function toSupportVessel(row) {
+  return {
+    type: row.vessel_type,
+    code: row.code,
+    name: row.name,
+    boatNumber: null,
+    contactPhone: row.contact_phone || null,
+    trackerName: row.tracker_name || null,
+    position: toPosition(row.latitude, row.longitude, {
+      speed: row.speed,
+      heading: row.heading,
+      timestamp: row.position_timestamp
+    })
+  };
+}
+
+/**
+ * All vessels with their type, styling and last known position
+ * @param {Object} options - { audience: 'control' (default) or 'public', types: [vessel types] }
+ * @returns {Promise<Array>} Vessels; the public audience only sees types with publicMap
+ */
+async function listVessels({ audience = 'control', types = null } = {}) {
+  const visible = getVesselTypes()
+    .filter(vesselType => audience !== 'public' || vesselType.permissions.publicMap)
+    .filter(vesselType => !types || types.includes(vesselType.type))
+    .map(vesselType => vesselType.type);
+
+  const vessels = [];
+
+  if (visible.includes('parade')) {
+    const boats = await database.getAllPrideBoats();
+    for (const boat of boats) {
+      const state = boatState.getBoatState(boat.parade_position);
+      vessels.push({
+        type: 'parade',
+        code: `P${boat.parade_position}`,
+        name: boat.boat_name || boat.name || null,
+        boatNumber: boat.parade_position,
+        contactPhone: boat.captain_phone || null,
+        trackerName: null,
+        position: state ? toPosition(state.position.latitude, state.position.longitude, state.position) : null
+      });
+    }
+  }
+
+  const supportTypes = visible.filter(type => type !== 'parade');
+  if (supportTypes.length > 0) {
+    const rows = await database.getSupportVesselPositions();
+    rows
+      .filter(row => supportTypes.includes(row.vessel_type))
+      .forEach(row => vessels.push(toSupportVessel(row)));
+  }
+
+  return vessels.map(vessel => {
+    const vesselType = vesselTypes.get(vessel.type);
+    return {
+      ...vessel,
+      // Contact numbers are for the control room only
+      contactPhone: audience === 'public' ? undefined : vessel.contactPhone,
+      label: vesselType ? vesselType.label : vessel.type,
+      style: vesselType ? vesselType.style : null
+    };
+  });
+}
+
+/**
+ * Register a support vessel
+ * @param {Object} vessel - { code, name, vesselType, contactPhone }
+ */
+async function createVessel({ code, name, vesselType, contactPhone }) {
+  if (!SUPPORT_VESSEL_TYPES.includes(vesselType)) {
+    throw vesselError(`vesselType must be one of ${SUPPORT_VESSEL_TYPES.join(', ')}`, 400);
+  }
+
+  const existing = (await database.getSupportVessels()).find(vessel => vessel.code === code);
+  if (existing) {
+    throw vesselError(`Vessel ${code} already exists`, 409);
+  }
+
+  const created = await database.createSupportVessel({ code, name, vessel_type: vesselType, contact_phone: contactPhone });
+  return toSupportVessel(created);
+}
+
+/**
+ * Change name, type or contact number of a support vessel
+ */
+async function updateVessel(code, { name, vesselType, contactPhone }) {
+  if (vesselType !== undefined && !SUPPORT_VESSEL_TYPES.includes(vesselType)) {
+    throw vesselError(`vesselType must be one of ${SUPPORT_VESSEL_TYPES.join(', ')}`, 400);
+  }
+
+  const updated = await database.updateSupportVessel(code, { name, vessel_type: vesselType, contact_phone: contactPhone });
+  if (!updated) {
+    throw vesselError(`Vessel ${code} not found`, 404);
+  }
+
+  return toSupportVessel(updated);
+}
+
+/**
+ * Location to search from: a parade boat, an emergency or plain coordinates
+ * @returns {Promise<Object>} { latitude, longitude, source }
+ */
+async function resolveLocation({ boatNumber, emergencyId, latitude, longitude }) {
+  if (boatNumber != null) {
+    const state = boatState.getBoatState(boatNumber);
+    if (!state || state.position.latitude == null) {
+      throw vesselError(`No known position for boat ${boatNumber}`, 404);
+    }
+    return { latitude: state.position.latitude, longitude: state.position.longitude, source: `boat ${boatNumber}` };
+  }
+
+  if (emergencyId != null) {
+    const emergency = await emergencies.getEmergency(emergencyId);
+    if (!emergency) {
+      throw vesselError(`Emergency ${emergencyId} not found`, 404);
+    }
+    if (emergency.latitude == null) {
+      throw vesselError(`Emergency ${emergencyId} has no location`, 404);
+    }
+    return { latitude: emergency.latitude, longitude: emergency.longitude, source: `emergency ${emergencyId}` };
+  }
+
+  if (latitude != null && longitude != null) {
+    return { latitude, longitude, source: 'coordinates' };
+  }
+
+  throw vesselError('Give a boat, an emergency or latitude and longitude', 400);
+}
+
+/**
+ * Nearest dispatchable vessels (rescue by default) to a boat or incident location
+ * @param {Object} location - { boatNumber } | { emergencyId } | { latitude, longitude }
+ * @param {Object} options - { types (default ['rescue']), limit (default 3), now }
+ * @returns {Promise<Object>} { location, vessels (nearest first, with distanceMeters), withoutPosition }
+ */
+async function findNearestVessels(location, { types = ['rescue'], limit = 3, now = new Date() } = {}) {
+  const notDispatchable = types.filter(type => !vesselTypes.has(type) || !vesselTypes.get(type).permissions.dispatchable);
+  if (notDispatchable.length > 0) {
+    throw vesselError(`Vessel type ${notDispatchable.join(', ')} cannot be dispatched`, 400);
+  }
+
+  const from = await resolveLocation(location);
+  const candidates = await listVessels({ types });
+
+  const positioned = [];
+  const withoutPosition = [];
+  for (const vessel of candidates) {
+    const ageSeconds = vessel.position && vessel.position.timestamp
+      ? Math.round((now - new Date(vessel.position.timestamp)) / 1000)
+      : null;
+
+    if (!vessel.position || ageSeconds === null || ageSeconds > MAX_POSITION_AGE_SECONDS) {
+      withoutPosition.push(vessel.code);
+      continue;
+    }
+
+    positioned.push({
+      ...vessel,
+      distanceMeters: Math.round(routeMapper.calculateDistance(
+        from.latitude, from.longitude, vessel.position.latitude, vessel.position.longitude
+      )),
+      positionAgeSeconds: ageSeconds
+    });
+  }
+
+  return {
+    location: from,
+    vessels: positioned.sort((a, b) => a.distanceMeters - b.distanceMeters).slice(0, limit),
+    withoutPosition
+  };
+}
+
+module.exports = {
+  DEFAULT_VESSEL_TYPES,
+  SUPPORT_VESSEL_TYPES,
+  SHAPES,
+  loadVesselTypes,
+  getVesselTypes,
+  saveVesselType,
+  listVessels,
+  createVessel,
+  updateVessel,
+  findNearestVessels
+};
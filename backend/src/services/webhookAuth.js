@@ -0,0 +1,272 @@
+const crypto = require('crypto');
+const net = require('net');
+const logger = require('./logger');
+const database = require('../models/database');
+
+/**
+ * Signed webhook authentication
+ *
+ * Every tracker source (KPN platform, GPS simulator, ...) has its own shared secret.
+ * A request is signed as:
+ *
+ *   X-Webhook-Source:    <source name>
+ *   X-Webhook-Timestamp: <unix seconds>
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256(secret, "<timestamp>.<raw body>")>
+ *
+ * The timestamp is part of the signed content, so a captured request can only be
+ * replayed inside the tolerance window (and re-sent fixes are deduplicated anyway).
+ */
+const SOURCE_HEADER = 'x-webhook-source';
+const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+const SIGNATURE_HEADER = 'x-webhook-signature';
+const ADMIN_KEY_HEADER = 'x-admin-key';
+
+const DEFAULT_TIMESTAMP_TOLERANCE_SECONDS = 300;
+
+/**
+ * Whether unsigned webhook requests must be rejected
+ * WEBHOOK_AUTH_REQUIRED=true|false, defaults to enforcing in production only
+ */
+function isAuthRequired() {
+  if (process.env.WEBHOOK_AUTH_REQUIRED !== undefined) {
+    return process.env.WEBHOOK_AUTH_REQUIRED === 'true';
+  }
+  return process.env.NODE_ENV === 'production';
+}
+
+function getTimestampTolerance() {
+  const tolerance = parseInt(process.env.WEBHOOK_TIMESTAMP_TOLERANCE_SECONDS);
+  return tolerance > 0 ? tolerance : DEFAULT_TIMESTAMP_TOLERANCE_SECONDS;
+}
+
+/**
+ * Generate a new random shared secret
+ * @returns {string} 64 character hex secret
+ */
+function generateSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Compute the signature header value for a payload
+ * @param {string} secret - Source shared secret
+ * @param {number|string} timestamp - Unix timestamp in seconds
+ * @param {string|Buffer} body - Raw request body
+ * @returns {string} Signature in "sha256=<hex>" form
+ */
+function signPayload(secret, timestamp, body) {
+  const hmac = crypto.createHmac('sha256', secret);
+  hmac.update(`${timestamp}.`);
+  hmac.update(body);
+  return `sha256=${hmac.digest('hex')}`;
+}
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+function ipv4ToInt(ip) {
+  const parts = ip.split('.').map(Number);
+  if (parts.length !== 4 || parts.some(part => !Number.isInteger(part) || part < 0 || part > 255)) {
+    return null;
+  }
+  return ((parts[0] << 24) >>> 0) + (parts[1] << 16) + (parts[2] << 8) + parts[3];
+}
+
+/**
+ * Match an IPv6 address against an exact IPv6 address or IPv6 CIDR range
+ * (net.BlockList takes care of the :: shorthand and leading zeros)
+ */
+function ipv6Matches(address, range, bits) {
+  if (!net.isIPv6(address) || !net.isIPv6(range)) {
+    return false;
+  }
+
+  const blockList = new net.BlockList();
+  if (bits === undefined) {
+    blockList.addAddress(range, 'ipv6');
+  } else {
+    const prefix = Number(bits);
+    if (!(Number.isInteger(prefix) && prefix >= 0 && prefix <= 128)) {
+      return false;
+    }
+    blockList.addSubnet(range, prefix, 'ipv6');
+  }
+
+  return blockList.check(address, 'ipv6');
+}
+
+/**
+ * Check an IP address against an allowlist of exact IPs and IPv4 or IPv6 CIDR ranges
+ * An empty allowlist allows every address.
+ * @param {string} ip - Client IP address (IPv4-mapped IPv6 is accepted)
+ * @param {Array<string>} allowlist - e.g. ['145.7.0.0/16', '203.0.113.10', '2001:db8::/32']
+ * @returns {boolean} Whether the address is allowed
+ */
+function isIpAllowed(ip, allowlist) {
+  if (!Array.isArray(allowlist) || allowlist.length === 0) {
+    return true;
+  }
+  if (!ip) {
+    return false;
+  }
+
+  const address = ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+
+  return allowlist.some(entry => {
+    const [range, bits] = String(entry).trim().split('/');
+
+    if (net.isIPv6(range)) {
+      return ipv6Matches(address, range, bits);
+    }
+
+    if (bits === undefined) {
+      return range === address;
+    }
+
+    const rangeInt = ipv4ToInt(range);
+    const addressInt = ipv4ToInt(address);
+    const prefix = parseInt(bits);
+    if (rangeInt === null || addressInt === null || !(prefix >= 0 && prefix <= 32)) {
+      return false;
+    }
+
+    const mask = prefix === 0 ? 0 : (~0 << (32 - prefix)) >>> 0;
+    return ((rangeInt & mask) >>> 0) === ((addressInt & mask) >>> 0);
+  });
+}
+
+/**
+ * Verify the signature headers of a webhook request
+ * @param {Object} req - Express request (uses req.rawBody captured by express.json)
+ * @returns {Promise<Object>} { valid, reason, source }
+ */
+async function verifyWebhookRequest(req) {
+  const sourceName = req.get(SOURCE_HEADER);
+  const timestamp = req.get(TIMESTAMP_HEADER);
+  const signature = req.get(SIGNATURE_HEADER);
+
+  if (!sourceName || !timestamp || !signature) {
+    return { valid: false, reason: 'missing_signature' };
+  }
+
+  const source = await database.getWebhookSourceByName(sourceName);
+  if (!source) {
+    return { valid: false, reason: 'unknown_source' };
+  }
+  if (!source.is_active) {
+    return { valid: false, reason: 'source_inactive', source };
+  }
+
+  if (!isIpAllowed(req.ip, source.ip_allowlist)) {
+    return { valid: false, reason: 'ip_not_allowed', source };
+  }
+
+  if (!/^\d+$/.test(timestamp)) {
+    return { valid: false, reason: 'invalid_timestamp', source };
+  }
+  const ageSeconds = Math.abs(Date.now() / 1000 - parseInt(timestamp));
+  if (ageSeconds > getTimestampTolerance()) {
+    return { valid: false, reason: 'timestamp_out_of_window', source };
+  }
+
+  const rawBody = req.rawBody || JSON.stringify(req.body || {});
+  const expected = signPayload(source.secret, timestamp, rawBody);
+  if (!safeEqual(signature, expected)) {
+    return { valid: false, reason: 'invalid_signature', source };
+  }
+
+  return { valid: true, reason: null, source };
+}
+
+/**
+ * Middleware for tracker webhook endpoints
+ * Rejected requests get res.locals.rejectionReason so logWebhookMiddleware records why.
+ */
+async function requireSignedWebhook(req, res, next) {
+  const hasSignature = Boolean(req.get(SIGNATURE_HEADER));
+
+  if (!hasSignature && !isAuthRequired()) {
+    logger.debug(`Unsigned webhook accepted (auth not enforced): ${req.path}`);
+    return next();
+  }
+
+  try {
+    const { valid, reason, source } = await verifyWebhookRequest(req);
+
+    if (!valid) {
+      res.locals.rejectionReason = reason;
+      logger.warn(`🔒 Webhook rejected: ${req.path}`, { reason, source: source?.name, ip: req.ip });
+      return res.status(reason === 'ip_not_allowed' ? 403 : 401).json({
+        success: false,
+        error: 'Unauthorized',
+        reason
+      });
+    }
+
+    req.webhookSource = source.name;
+    database.updateWebhookSource(source.name, { last_used_at: new Date() }).catch(error => {
+      logger.error('Failed to update webhook source last_used_at:', error);
+    });
+
+    next();
+  } catch (error) {
+    logger.error('❌ Webhook signature verification error:', error);
+    res.locals.rejectionReason = 'verification_error';
+    res.status(500).json({
+      success: false,
+      error: 'Webhook verification failed'
+    });
+  }
+}
+
+/**
+ * Middleware for admin and debug endpoints
+ * Requires X-Admin-Key to match ADMIN_API_KEY; without a configured key the
+ * endpoints stay open in development and are closed when auth is enforced.
+ */
+function requireAdminKey(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+
+  if (!adminKey) {
+    if (!isAuthRequired()) {
+      return next();
+    }
+    res.locals.rejectionReason = 'admin_key_not_configured';
+    return res.status(503).json({
+      success: false,
+      error: 'Admin API key not configured'
+    });
+  }
+
+  const providedKey = req.get(ADMIN_KEY_HEADER);
+  if (!providedKey || !safeEqual(providedKey, adminKey)) {
+    res.locals.rejectionReason = 'invalid_admin_key';
+    logger.warn(`🔒 Admin request rejected: ${req.method} ${req.originalUrl}`, { ip: req.ip });
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized'
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  SOURCE_HEADER,
+  TIMESTAMP_HEADER,
+  SIGNATURE_HEADER,
+  ADMIN_KEY_HEADER,
+  isAuthRequired,
+  generateSecret,
+  signPayload,
+  isIpAllowed,
+  verifyWebhookRequest,
+  requireSignedWebhook,
+  requireAdminKey
+};
@@ -0,0 +1,136 @@
+const logger = require('./logger');
+const gpsIngestion = require('./gpsIngestion');
+const database = require('../models/database');
+
+/**
+ * Webhook Replay
+ *
+ * Re-runs logged webhook requests from webhook_logs through the current ingestion
+ * pipeline, e.g. after a mapping fix or a parser bug. Fixes are saved with their
+ * dedup keys, so replaying a request twice never duplicates positions. By default
+ * only newly stored fixes reach boat state; with reapply the stored fixes are run
+ * through route mapping and boat state again (e.g. for a tracker that was mapped
+ * to its boat after the fact). boatNumber overrides the boat the fixes belong to.
+ */
+
+// Only GPS ingestion requests can be replayed
+const REPLAYABLE_ENDPOINTS = ['/kpn-gps', '/tracker-gps', '/kpn-serial'];
+
+/**
+ * Accept "kpn-gps", "/kpn-gps" or "/api/webhooks/kpn-gps"
+ */
+function normalizeEndpoint(endpoint) {
+  if (!endpoint) return null;
+  const name = String(endpoint).replace(/^\/?(api\/webhooks\/)?/, '');
+  return `/${name}`;
+}
+
+function replayError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Replay logged webhook requests
+ * The report lists, per request and in total, the boats and route positions that
+ * changed (or would change in a dry run).
+ * @param {Object} filters - { from, to, endpoint, serNo, status, ids, limit }
+ * @param {Object} options - { dryRun, reapply, boatNumber }
+ * @returns {Promise<Object>} Replay report with per-request record summaries and totals
+ */
+async function replayWebhookLogs(filters = {}, options = {}) {
+  const dryRun = Boolean(options.dryRun);
+  const reapply = Boolean(options.reapply);
+  const boatNumber = options.boatNumber || null;
+  const endpoint = normalizeEndpoint(filters.endpoint);
+
+  if (endpoint && !REPLAYABLE_ENDPOINTS.includes(endpoint)) {
+    throw replayError(`Endpoint ${endpoint} cannot be replayed (allowed: ${REPLAYABLE_ENDPOINTS.join(', ')})`, 400);
+  }
+
+  // One boat for every matched request only makes sense for a single tracker
+  if (boatNumber && !filters.serNo && !(filters.ids && filters.ids.length > 0)) {
+    throw replayError('A boatNumber override needs a serNo or ids filter', 400);
+  }
+
+  const logs = await database.getWebhookLogsForReplay({ ...filters, endpoint });
+
+  logger.info(`🔁 Replaying ${logs.length} webhook requests${dryRun ? ' (dry run)' : ''}`, { filters, reapply, boatNumber });
+
+  const totals = { fixes: 0, accepted: 0, deduplicated: 0, rejected: 0, unmappedToRoute: 0, reapplied: 0, routePositions: 0 };
+  const requests = [];
+  const boats = new Set();
+  const seenKeys = new Set();
+  let skipped = 0;
+
+  for (const log of logs) {
+    if (!REPLAYABLE_ENDPOINTS.includes(log.endpoint)) {
+      skipped++;
+      continue;
+    }
+
+    try {
+      const body = typeof log.body === 'string' ? JSON.parse(log.body) : log.body;
+      const result = await gpsIngestion.ingestPayload(body || {}, {
+        dryRun,
+        seenKeys,
+        reapply,
+        boatNumber
+      });
+      const { rejectedDetails, ...records } = result.records;
+
+      totals.fixes += records.total;
+      totals.accepted += records.accepted;
+      totals.deduplicated += records.deduplicated;
+      totals.rejected += records.rejected;
+      totals.unmappedToRoute += records.unmappedToRoute;
+      totals.reapplied += records.reapplied;
+      totals.routePositions += result.routePositions.length;
+      if (result.routePositions.length > 0) {
+        boats.add(result.boat.boat_number);
+      }
+
+      requests.push({
+        logId: log.id,
+        endpoint: log.endpoint,
+        receivedAt: log.created_at,
+        originalStatus: log.response_status,
+        serNo: result.serNo,
+        imei: result.imei,
+        boatNumber: result.boat ? result.boat.boat_number : null,
+        records,
+        rejectedDetails,
+        routePositions: result.routePositions
+      });
+    } catch (error) {
+      logger.error(`Failed to replay webhook log ${log.id}:`, error);
+      requests.push({
+        logId: log.id,
+        endpoint: log.endpoint,
+        receivedAt: log.created_at,
+        error: error.message
+      });
+    }
+  }
+
+  logger.info(`🔁 Replay ${dryRun ? 'dry run ' : ''}complete`, { requests: requests.length, ...totals });
+
+  return {
+    dryRun,
+    reapply,
+    boatNumber,
+    matched: logs.length,
+    replayed: requests.filter(request => !request.error).length,
+    failed: requests.filter(request => request.error).length,
+    skipped,
+    totals,
+    boats: Array.from(boats).sort((a, b) => a - b),
+    requests
+  };
+}
+
+module.exports = {
+  REPLAYABLE_ENDPOINTS,
+  replayWebhookLogs
+};
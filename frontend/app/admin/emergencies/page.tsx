@@ -0,0 +1,300 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+
+interface EmergencyTransition {
+  status: string;
+  at: string;
+  by: string;
+  note: string | null;
+  assignee?: string;
+}
+
+interface Emergency {
+  id: number;
+  boatId: number;
+  status: 'raised' | 'acknowledged' | 'assigned' | 'resolved' | 'closed';
+  reason: string;
+  message: string | null;
+  latitude: number | null;
+  longitude: number | null;
+  raisedBy: string;
+  assignedTo: string | null;
+  notifiedBoats: number[];
+  raisedAt: string;
+  transitions: EmergencyTransition[];
+}
+
+interface RescueVessel {
+  code: string;
+  name: string;
+  contactPhone: string | null;
+  distanceMeters: number;
+  positionAgeSeconds: number;
+}
+
+type Action = 'acknowledge' | 'assign' | 'resolve' | 'close';
+
+// Actions the control room can take per status (mirrors the backend workflow)
+const ACTIONS: Record<Emergency['status'], Action[]> = {
+  raised: ['acknowledge', 'assign'],
+  acknowledged: ['assign', 'resolve'],
+  assigned: ['assign', 'resolve'],
+  resolved: ['close'],
+  closed: []
+};
+
+const ACTION_LABELS: Record<Action, string> = {
+  acknowledge: 'Bevestigen',
+  assign: 'Toewijzen',
+  resolve: 'Opgelost',
+  close: 'Sluiten'
+};
+
+const STATUS_COLORS: Record<Emergency['status'], string> = {
+  raised: 'bg-red-600',
+  acknowledged: 'bg-orange-500',
+  assigned: 'bg-yellow-500',
+  resolved: 'bg-green-600',
+  closed: 'bg-gray-500'
+};
+
+export default function EmergenciesPage() {
+  const [emergencies, setEmergencies] = useState<Emergency[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [includeClosed, setIncludeClosed] = useState(false);
+  const [operator, setOperator] = useState('');
+  const [adminKey, setAdminKey] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [rescue, setRescue] = useState<Record<number, RescueVessel[]>>({});
+
+  // Operator name is remembered on this device, the admin key only for this tab
+  useEffect(() => {
+    setOperator(localStorage.getItem('pridesync-operator') || '');
+    setAdminKey(sessionStorage.getItem('pridesync-admin-key') || '');
+  }, []);
+
+  useEffect(() => {
+    localStorage.setItem('pridesync-operator', operator);
+    sessionStorage.setItem('pridesync-admin-key', adminKey);
+  }, [operator, adminKey]);
+
+  const fetchEmergencies = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/emergencies?includeClosed=${includeClosed}`);
+      const data = await response.json();
+
+      if (data.success) {
+        setEmergencies(data.emergencies);
+      }
+    } catch (error) {
+      console.error('❌ Error fetching emergencies:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [includeClosed]);
+
+  // Reload the queue whenever an emergency changes (live stream), with a slow fallback poll
+  useEffect(() => {
+    fetchEmergencies();
+    const interval = setInterval(fetchEmergencies, 30000);
+
+    let source: EventSource | null = null;
+    if (typeof EventSource !== 'undefined') {
+      source = new EventSource('/api/stream?types=incident');
+      source.addEventListener('incident', (message) => {
+        const event = JSON.parse((message as MessageEvent).data);
+        if (event.data.type === 'emergency') {
+          fetchEmergencies();
+        }
+      });
+    }
+
+    return () => {
+      clearInterval(interval);
+      source?.close();
+    };
+  }, [fetchEmergencies]);
+
+  const runAction = async (emergency: Emergency, action: Action) => {
+    if (!operator) {
+      setError('Vul eerst je naam in');
+      return;
+    }
+
+    let assignee: string | undefined;
+    if (action === 'assign') {
+      assignee = window.prompt(`Wie gaat naar boot ${emergency.boatId}?`, emergency.assignedTo || '') || undefined;
+      if (!assignee) return;
+    }
+    const note = action === 'resolve' ? window.prompt('Toelichting (optioneel)') || undefined : undefined;
+
+    try {
+      const response = await fetch(`/api/emergencies/${emergency.id}/${action}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(adminKey && { 'X-Admin-Key': adminKey })
+        },
+        body: JSON.stringify({ by: operator, assignee, note })
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.error || `${ACTION_LABELS[action]} mislukt`);
+      } else {
+        setError(null);
+      }
+    } catch (error) {
+      console.error(`❌ Error running ${action}:`, error);
+      setError('Geen verbinding met de backend');
+    } finally {
+      fetchEmergencies();
+    }
+  };
+
+  // Nearest rescue vessels to the location of the emergency
+  const findRescue = async (emergency: Emergency) => {
+    try {
+      const response = await fetch(`/api/vessels/nearest-rescue?incident=${emergency.id}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.error || 'Reddingsboot zoeken mislukt');
+        return;
+      }
+      setError(null);
+      setRescue(previous => ({ ...previous, [emergency.id]: data.vessels }));
+    } catch (error) {
+      console.error('❌ Error finding rescue vessels:', error);
+      setError('Geen verbinding met de backend');
+    }
+  };
+
+  const formatTime = (timestamp: string) => new Date(timestamp).toLocaleTimeString('nl-NL');
+
+  const openCount = emergencies.filter(emergency => ['raised', 'acknowledged', 'assigned'].includes(emergency.status)).length;
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">🚨 Calamiteiten</h1>
+          <p className="text-gray-600">{openCount} open, open meldingen eerst en de oudste bovenaan</p>
+        </div>
+
+        <div className="flex items-center gap-3">
+          <input
+            value={operator}
+            onChange={(e) => setOperator(e.target.value)}
+            placeholder="Jouw naam"
+            className="border rounded px-3 py-2 text-sm"
+          />
+          <input
+            value={adminKey}
+            onChange={(e) => setAdminKey(e.target.value)}
+            placeholder="Admin key"
+            type="password"
+            className="border rounded px-3 py-2 text-sm"
+          />
+          <Button variant="outline" onClick={() => setIncludeClosed(!includeClosed)}>
+            {includeClosed ? 'Verberg gesloten' : 'Toon gesloten'}
+          </Button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 rounded bg-red-100 border border-red-300 text-red-700 px-4 py-2">{error}</div>
+      )}
+
+      {loading ? (
+        <p className="text-gray-500">Laden...</p>
+      ) : emergencies.length === 0 ? (
+        <p className="text-gray-500">Geen calamiteiten</p>
+      ) : (
+        <div className="space-y-4">
+          {emergencies.map((emergency) => (
+            <Card key={emergency.id}>
+              <CardHeader className="pb-2">
+                <div className="flex items-center justify-between">
+                  <CardTitle>
+                    Boot #{emergency.boatId}: {emergency.reason}
+                  </CardTitle>
+                  <Badge className={`${STATUS_COLORS[emergency.status]} text-white`}>
+                    {emergency.status}
+                  </Badge>
+                </div>
+              </CardHeader>
+              <CardContent>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+                  <div>
+                    <p className="text-gray-500">Gemeld</p>
+                    <p>{formatTime(emergency.raisedAt)} door {emergency.raisedBy}</p>
+                    {emergency.message && <p className="italic">{emergency.message}</p>}
+                  </div>
+                  <div>
+                    <p className="text-gray-500">Positie</p>
+                    <p>
+                      {emergency.latitude != null
+                        ? `${Number(emergency.latitude).toFixed(5)}, ${Number(emergency.longitude).toFixed(5)}`
+                        : 'Onbekend'}
+                    </p>
+                    <p className="text-gray-500 mt-1">Gewaarschuwd: {emergency.notifiedBoats.join(', ') || '-'}</p>
+                  </div>
+                  <div>
+                    <p className="text-gray-500">Verloop</p>
+                    <ul>
+                      {emergency.transitions.map((transition, index) => (
+                        <li key={index}>
+                          {formatTime(transition.at)} {transition.status} ({transition.by}
+                          {transition.assignee ? ` → ${transition.assignee}` : ''})
+                          {transition.note ? `: ${transition.note}` : ''}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                </div>
+
+                {rescue[emergency.id] && (
+                  <div className="mt-4 text-sm">
+                    <p className="text-gray-500">Dichtstbijzijnde reddingsboten</p>
+                    {rescue[emergency.id].length === 0 ? (
+                      <p>Geen reddingsboot met een recente positie</p>
+                    ) : (
+                      <ul>
+                        {rescue[emergency.id].map((vessel) => (
+                          <li key={vessel.code}>
+                            {vessel.name} ({vessel.code}): {vessel.distanceMeters} m
+                            {vessel.contactPhone ? `, ${vessel.contactPhone}` : ''}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                )}
+
+                {ACTIONS[emergency.status].length > 0 && (
+                  <div className="flex gap-2 mt-4">
+                    {ACTIONS[emergency.status].map((action) => (
+                      <Button key={action} onClick={() => runAction(emergency, action)}>
+                        {ACTION_LABELS[action]}
+                      </Button>
+                    ))}
+                    {emergency.latitude != null && (
+                      <Button variant="outline" onClick={() => findRescue(emergency)}>
+                        Reddingsboot zoeken
+                      </Button>
+                    )}
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
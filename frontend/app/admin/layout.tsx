@@ -43,6 +43,12 @@ export default function AdminLayout({
               >
                 Live Map
               </Link>
+              <Link
+                href="/admin/emergencies"
+                className="text-gray-600 hover:text-gray-900 font-medium transition-colors"
+              >
+                Calamiteiten
+              </Link>
               <Link
                 href="/admin/database"
                 className="text-gray-600 hover:text-gray-900 font-medium transition-colors"
@@ -2,6 +2,7 @@
 
 import { useEffect, useRef } from 'react';
 import L from 'leaflet';
+import type { FeatureCollection, LineString, Polygon } from 'geojson';
 import 'leaflet/dist/leaflet.css';
 
 // Fix for default markers in Leaflet with Next.js
@@ -29,14 +30,44 @@ interface GPSPosition {
   raw_data: any;
 }
 
+// Support vessel from /api/vessels, styled per vessel type
+export interface Vessel {
+  type: string;
+  code: string;
+  name: string;
+  label: string;
+  trackerName: string | null;
+  contactPhone?: string | null;
+  style: { color: string; shape: 'circle' | 'square' | 'diamond' | 'triangle'; size: number };
+  position: { latitude: number; longitude: number; heading: number | null; timestamp: string | null } | null;
+}
+
+// Corridor from /api/parade/corridor: one polygon per route segment, plus the centerline
+export type CorridorFeatureProperties =
+  | { kind: 'corridor'; segmentIndex: number; tolerance: number; fromDistance: number; toDistance: number }
+  | { kind: 'centerline'; name: string; totalDistance: number };
+
+export type ParadeCorridor = FeatureCollection<Polygon | LineString, CorridorFeatureProperties>;
+
 interface MapComponentProps {
   positions: GPSPosition[];
+  corridor?: ParadeCorridor | null;
+  vessels?: Vessel[];
 }
 
-export default function MapComponent({ positions }: MapComponentProps) {
+const SHAPE_CSS: Record<Vessel['style']['shape'], string> = {
+  circle: 'border-radius: 50%;',
+  square: 'border-radius: 4px;',
+  diamond: 'border-radius: 3px; transform: rotate(45deg);',
+  triangle: 'clip-path: polygon(50% 0, 100% 100%, 0 100%);'
+};
+
+export default function MapComponent({ positions, corridor, vessels = [] }: MapComponentProps) {
   const mapRef = useRef<L.Map | null>(null);
   const mapContainerRef = useRef<HTMLDivElement>(null);
   const markersRef = useRef<L.LayerGroup | null>(null);
+  const corridorRef = useRef<L.LayerGroup | null>(null);
+  const vesselsRef = useRef<L.LayerGroup | null>(null);
   const previousPositionsRef = useRef<Map<string, GPSPosition>>(new Map());
 
   useEffect(() => {
@@ -51,8 +82,10 @@ export default function MapComponent({ positions }: MapComponentProps) {
         attribution: '© OpenStreetMap contributors'
       }).addTo(mapRef.current);
 
-      // Initialize markers layer
+      // Initialize corridor layer (below the markers) and markers layer
+      corridorRef.current = L.layerGroup().addTo(mapRef.current);
       markersRef.current = L.layerGroup().addTo(mapRef.current);
+      vesselsRef.current = L.layerGroup().addTo(mapRef.current);
     }
 
     return () => {
@@ -63,14 +96,86 @@ export default function MapComponent({ positions }: MapComponentProps) {
     };
   }, []);
 
+  useEffect(() => {
+    if (!mapRef.current || !corridorRef.current) return;
+
+    corridorRef.current.clearLayers();
+    if (!corridor) return;
+
+    // Corridor segments shaded by width, centerline dashed on top
+    L.geoJSON(corridor, {
+      style: (feature) => feature?.properties.kind === 'corridor'
+        ? {
+          color: feature.properties.tolerance < 30 ? '#f59e0b' : '#8b5cf6',
+          weight: 1,
+          fillOpacity: 0.15
+        }
+        : { color: '#ec4899', weight: 2, dashArray: '6, 6' },
+      onEachFeature: (feature, layer) => {
+        if (feature.properties.kind === 'corridor') {
+          layer.bindTooltip(
+            `Segment ${feature.properties.segmentIndex + 1}: ±${feature.properties.tolerance} m ` +
+            `(${Math.round(feature.properties.fromDistance)}–${Math.round(feature.properties.toDistance)} m)`
+          );
+        }
+      }
+    }).addTo(corridorRef.current);
+  }, [corridor]);
+
+  // Support vessels: shape and color of their vessel type, code as label
+  useEffect(() => {
+    if (!mapRef.current || !vesselsRef.current) return;
+
+    vesselsRef.current.clearLayers();
+    vessels.forEach((vessel) => {
+      if (!vessel.position) return;
+
+      const { color, shape, size } = vessel.style;
+      const icon = L.divIcon({
+        html: `
+          <div style="
+            background-color: ${color};
+            width: ${size}px;
+            height: ${size}px;
+            ${SHAPE_CSS[shape]}
+            border: 2px solid white;
+            box-shadow: 0 2px 8px rgba(0,0,0,0.3);
+          "></div>
+          <div style="position: absolute; top: ${size + 2}px; left: 50%; transform: translateX(-50%); font-size: 10px; font-weight: bold; color: ${color}; white-space: nowrap;">
+            ${vessel.code}
+          </div>
+        `,
+        className: 'vessel-marker',
+        iconSize: [size, size],
+        iconAnchor: [size / 2, size / 2],
+        popupAnchor: [0, -size / 2]
+      });
+
+      L.marker([vessel.position.latitude, vessel.position.longitude], { icon })
+        .bindPopup(`
+          <div style="font-family: system-ui, -apple-system, sans-serif;">
+            <strong>${vessel.label}: ${vessel.name}</strong> (${vessel.code})<br/>
+            ${vessel.contactPhone ? `📞 ${vessel.contactPhone}<br/>` : ''}
+            ${vessel.position.timestamp ? new Date(vessel.position.timestamp).toLocaleTimeString('nl-NL') : ''}
+          </div>
+        `)
+        .addTo(vesselsRef.current!);
+    });
+  }, [vessels]);
+
   useEffect(() => {
     if (!mapRef.current || !markersRef.current) return;
 
     // Clear existing markers
     markersRef.current.clearLayers();
 
+    // Trackers on support vessels are drawn as vessels, not as unmapped devices
+    const vesselTrackers = new Set(vessels.map(vessel => vessel.trackerName).filter(Boolean));
+
     // Add markers for each position
     positions.forEach((position) => {
+      if (vesselTrackers.has(position.tracker_name)) return;
+
       const lat = parseFloat(position.latitude.toString());
       const lng = parseFloat(position.longitude.toString());
 
@@ -263,7 +368,7 @@ export default function MapComponent({ positions }: MapComponentProps) {
         }
       }
     }
-  }, [positions]);
+  }, [positions, vessels]);
 
   return (
     <>
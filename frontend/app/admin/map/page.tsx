@@ -1,11 +1,12 @@
 'use client';
 
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 import { MapPin, RefreshCw, Clock, Navigation, Play, Pause, SkipBack, SkipForward } from 'lucide-react';
 import dynamic from 'next/dynamic';
+import type { ParadeCorridor, Vessel } from './MapComponent';
 
 // Dynamically import map component to avoid SSR issues
 const MapComponent = dynamic(() => import('./MapComponent'), {
@@ -35,6 +36,28 @@ interface GPSPosition {
   raw_data: any;
 }
 
+// Position delta from /api/stream (boatState.toPositionDelta on the backend)
+interface PositionStreamEvent {
+  id: string;
+  sequence: number;
+  type: 'position';
+  boatId: number;
+  timestamp: string;
+  data: {
+    latitude: number;
+    longitude: number;
+    timestamp: string | null;
+    routeDistance: number | null;
+    routeProgress: number | null;
+    speed: number | null;
+    heading: number | null;
+    distanceFromRoute: number | null;
+    routeSegment: number | null;
+    corridorTolerance: number | null;
+    status: string;
+  };
+}
+
 export default function LiveMapPage() {
   const [positions, setPositions] = useState<GPSPosition[]>([]);
   const [loading, setLoading] = useState(true);
@@ -56,7 +79,17 @@ export default function LiveMapPage() {
   // Filtered positions for current time
   const [filteredPositions, setFilteredPositions] = useState<GPSPosition[]>([]);
 
-  const fetchGPSPositions = async () => {
+  // Corridor of the active parade route (GeoJSON)
+  const [corridor, setCorridor] = useState<ParadeCorridor | null>(null);
+
+  // Support vessels (organisation, rescue, police, media) from the vessel registry
+  const [vessels, setVessels] = useState<Vessel[]>([]);
+
+  // Live position stream (/api/stream)
+  const [streamConnected, setStreamConnected] = useState(false);
+  const positionsRef = useRef<GPSPosition[]>([]);
+
+  const fetchGPSPositions = useCallback(async () => {
     try {
       console.log('🔄 Fetching GPS positions...');
       // Use Next.js API route proxy instead of direct backend call
@@ -79,8 +112,57 @@ export default function LiveMapPage() {
       setLoading(false);
       console.log('🏁 Loading state set to false');
     }
+  }, []);
+
+  const fetchCorridor = async () => {
+    try {
+      const response = await fetch('/api/parade/corridor');
+      const data = await response.json();
+
+      if (data.success && data.corridor) {
+        setCorridor(data.corridor);
+      }
+    } catch (error) {
+      console.error('❌ Error fetching parade corridor:', error);
+    }
+  };
+
+  const fetchVessels = async () => {
+    try {
+      const response = await fetch('/api/vessels?types=organisation,rescue,police,media');
+      const data = await response.json();
+
+      if (data.success) {
+        setVessels(data.vessels);
+      }
+    } catch (error) {
+      console.error('❌ Error fetching vessels:', error);
+    }
   };
 
+  // Apply a position delta from the stream to the boat's row
+  const applyPositionEvent = useCallback((event: PositionStreamEvent) => {
+    // A boat we have no row for yet: reload the snapshot
+    if (!positionsRef.current.some(position => position.parade_position === event.boatId)) {
+      fetchGPSPositions();
+      return;
+    }
+
+    setPositions(previous => previous.map(position => {
+      if (position.parade_position !== event.boatId) return position;
+      return {
+        ...position,
+        latitude: event.data.latitude,
+        longitude: event.data.longitude,
+        speed: event.data.speed ?? position.speed,
+        heading: event.data.heading ?? position.heading,
+        timestamp: event.data.timestamp || event.timestamp,
+        received_at: event.timestamp
+      };
+    }));
+    setLastUpdate(new Date().toLocaleTimeString());
+  }, [fetchGPSPositions]);
+
   const fetchTimelinePositions = async (targetTime: string) => {
     try {
       console.log('📅 Fetching timeline positions for:', targetTime);
@@ -140,7 +222,9 @@ export default function LiveMapPage() {
 
   useEffect(() => {
     fetchGPSPositions();
-  }, []);
+    fetchCorridor();
+    fetchVessels();
+  }, [fetchGPSPositions]);
 
   // Fetch timeline metadata when switching to timeline mode
   useEffect(() => {
@@ -152,12 +236,37 @@ export default function LiveMapPage() {
   useEffect(() => {
     let interval: NodeJS.Timeout;
     if (autoRefresh && isLiveMode) {
-      interval = setInterval(fetchGPSPositions, 10000); // Refresh every 10 seconds
+      interval = setInterval(() => {
+        fetchGPSPositions();
+        fetchVessels();
+      }, 10000); // Refresh every 10 seconds
     }
     return () => {
       if (interval) clearInterval(interval);
     };
-  }, [autoRefresh, isLiveMode]);
+  }, [autoRefresh, isLiveMode, fetchGPSPositions]);
+
+  useEffect(() => {
+    positionsRef.current = positions;
+  }, [positions]);
+
+  // Stream positions while live; EventSource reconnects with Last-Event-ID by itself
+  useEffect(() => {
+    if (!isLiveMode || typeof EventSource === 'undefined') return;
+
+    const source = new EventSource('/api/stream?types=position');
+    source.addEventListener('ready', () => setStreamConnected(true));
+    source.addEventListener('reset', () => fetchGPSPositions());
+    source.addEventListener('position', (message) => {
+      applyPositionEvent(JSON.parse((message as MessageEvent).data) as PositionStreamEvent);
+    });
+    source.onerror = () => setStreamConnected(false);
+
+    return () => {
+      source.close();
+      setStreamConnected(false);
+    };
+  }, [isLiveMode, applyPositionEvent, fetchGPSPositions]);
 
   // Filter positions when time changes
   useEffect(() => {
@@ -332,6 +441,10 @@ export default function LiveMapPage() {
                 >
                   {autoRefresh ? 'Auto Refresh ON' : 'Auto Refresh OFF'}
                 </Button>
+
+                <Badge className={streamConnected ? 'bg-green-600' : 'bg-gray-600'}>
+                  {streamConnected ? 'Streaming' : 'Stream offline'}
+                </Badge>
               </>
             )}
           </div>
@@ -612,7 +725,7 @@ export default function LiveMapPage() {
           </CardHeader>
           <CardContent>
             <div className="h-96 rounded-lg overflow-hidden">
-              <MapComponent positions={filteredPositions} />
+              <MapComponent positions={filteredPositions} corridor={corridor} vessels={isLiveMode ? vessels : []} />
             </div>
           </CardContent>
         </Card>
@@ -1,116 +1,179 @@
 'use client';
 
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 
 interface SkipperData {
-  boatNumber: number;
+  boatNumber: number | null; // read from the URL after mount
   boatName: string;
-  currentPosition: number; // 1-5 (1=te ver vooruit, 3=perfect, 5=te ver achter)
-  targetPosition: number;
   speed: number;
   lastUpdate: string;
   emergencyActive: boolean;
 }
 
+// Instruction computed by the backend (GET /api/boats/:id/instructions)
+interface SkipperInstruction {
+  zone: number; // 1-5 (1=te ver vooruit, 3=perfect, 5=te ver achter)
+  message: string;
+  instruction: string;
+  urgency: string;
+  reason: string;
+  targetSpeedKmh: number;
+  currentSpeedKmh: number;
+  emergencyActive: boolean;
+  boatName: string;
+  gapAhead: { boatId: number; gapMeters: number; gapSeconds: number } | null;
+  gapBehind: { boatId: number; gapMeters: number; gapSeconds: number } | null;
+}
+
+// Open emergency ahead of this boat
+interface EmergencyAlert {
+  emergencyId: number;
+  affectedBoatId: number;
+  status: string;
+  reason: string;
+}
+
+const FALLBACK_REFRESH_MS = 15000;
+const MIN_REFETCH_INTERVAL_MS = 2000;
+
+// Boat number from ?boat=42
+const getBoatNumber = () => {
+  const boat = parseInt(new URLSearchParams(window.location.search).get('boat') || '');
+  return Number.isInteger(boat) ? boat : 42;
+};
+
 export default function SkipperApp() {
   const [skipperData, setSkipperData] = useState<SkipperData>({
-    boatNumber: 42,
-    boatName: "Rainbow Warrior",
-    currentPosition: 3, // Start in green zone
-    targetPosition: 3,
-    speed: 5.2,
-    lastUpdate: new Date().toLocaleTimeString('nl-NL'),
+    boatNumber: null,
+    boatName: '',
+    speed: 0,
+    lastUpdate: '-',
     emergencyActive: false
   });
 
+  const [instruction, setInstruction] = useState<SkipperInstruction | null>(null);
+  const [connectionError, setConnectionError] = useState<string | null>(null);
+  const [alerts, setAlerts] = useState<EmergencyAlert[]>([]);
+  const [emergencyError, setEmergencyError] = useState<string | null>(null);
+  const lastFetchRef = useRef(0);
+
   const [showEmergencyModal, setShowEmergencyModal] = useState(false);
   const [emergencyReason, setEmergencyReason] = useState('');
 
-  // Simuleer real-time updates
   useEffect(() => {
-    const interval = setInterval(() => {
+    setSkipperData(prev => ({ ...prev, boatNumber: getBoatNumber() }));
+  }, []);
+
+  const fetchInstruction = useCallback(async () => {
+    if (skipperData.boatNumber === null) return;
+    lastFetchRef.current = Date.now();
+
+    try {
+      const response = await fetch(`/api/boats/${skipperData.boatNumber}/instructions`);
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        setConnectionError(response.status === 404 ? 'Nog geen GPS positie ontvangen' : 'Geen instructie beschikbaar');
+        return;
+      }
+
+      setInstruction(data.instruction);
+      setAlerts(data.alerts || []);
+      setConnectionError(null);
       setSkipperData(prev => ({
         ...prev,
-        lastUpdate: new Date().toLocaleTimeString('nl-NL'),
-        // Simuleer kleine positie wijzigingen
-        currentPosition: Math.max(1, Math.min(5, prev.currentPosition + (Math.random() - 0.5) * 0.3))
+        boatName: data.instruction.boatName,
+        speed: data.instruction.currentSpeedKmh,
+        emergencyActive: data.instruction.emergencyActive,
+        lastUpdate: new Date().toLocaleTimeString('nl-NL')
       }));
-    }, 3000);
+    } catch (error) {
+      console.error('❌ Error fetching skipper instruction:', error);
+      setConnectionError('Geen verbinding met Pride Control');
+    }
+  }, [skipperData.boatNumber]);
 
-    return () => clearInterval(interval);
-  }, []);
+  // Refetch when this boat or its neighbours move (live stream), with a slow fallback poll
+  const neighbours = [instruction?.gapAhead?.boatId, instruction?.gapBehind?.boatId].filter(Boolean).join(',');
 
-  const getZoneInfo = (position: number) => {
-    if (position <= 1.5) {
-      return {
-        zone: 1,
-        color: 'corridor-red',
-        textColor: 'text-white',
-        message: 'TE VER VOORUIT',
-        instruction: 'Vertraag of stop om terug naar groene zone te gaan',
-        urgency: 'URGENT'
-      };
-    } else if (position <= 2.5) {
-      return {
-        zone: 2,
-        color: 'corridor-orange',
-        textColor: 'text-white',
-        message: 'IETS TE VOORUIT',
-        instruction: 'Vertraag lichtjes om in groene zone te komen',
-        urgency: 'LET OP'
-      };
-    } else if (position <= 3.5) {
-      return {
-        zone: 3,
-        color: 'corridor-green',
-        textColor: 'text-white',
-        message: 'PERFECTE POSITIE',
-        instruction: 'Handhaaf huidige snelheid en koers',
-        urgency: 'GOED'
-      };
-    } else if (position <= 4.5) {
-      return {
-        zone: 4,
-        color: 'corridor-orange',
-        textColor: 'text-white',
-        message: 'IETS TE ACHTER',
-        instruction: 'Verhoog snelheid om in groene zone te komen',
-        urgency: 'LET OP'
-      };
-    } else {
-      return {
-        zone: 5,
-        color: 'corridor-red',
-        textColor: 'text-white',
-        message: 'TE VER ACHTER',
-        instruction: 'Verhoog snelheid of meld calamiteit',
-        urgency: 'URGENT'
+  useEffect(() => {
+    if (skipperData.boatNumber === null) return;
+
+    fetchInstruction();
+    const interval = setInterval(fetchInstruction, FALLBACK_REFRESH_MS);
+
+    let source: EventSource | null = null;
+    if (typeof EventSource !== 'undefined') {
+      const boats = [skipperData.boatNumber, neighbours].filter(Boolean).join(',');
+      source = new EventSource(`/api/stream?types=position,status,notification&boats=${boats}`);
+      const refetch = () => {
+        if (Date.now() - lastFetchRef.current >= MIN_REFETCH_INTERVAL_MS) {
+          fetchInstruction();
+        }
       };
+      source.addEventListener('position', refetch);
+      source.addEventListener('status', refetch);
+      // Emergency ahead raised or cleared: always refetch
+      source.addEventListener('notification', () => fetchInstruction());
     }
-  };
+
+    return () => {
+      clearInterval(interval);
+      source?.close();
+    };
+  }, [fetchInstruction, neighbours, skipperData.boatNumber]);
 
   const handleEmergency = useCallback(() => {
     setShowEmergencyModal(true);
   }, []);
 
-  const submitEmergency = useCallback(() => {
-    setSkipperData(prev => ({
-      ...prev,
-      emergencyActive: true
-    }));
+  // Current GPS position of the phone, if the skipper allows it
+  const getDevicePosition = () => new Promise<GeolocationCoordinates | null>((resolve) => {
+    if (typeof navigator === 'undefined' || !navigator.geolocation) return resolve(null);
+    navigator.geolocation.getCurrentPosition(
+      (position) => resolve(position.coords),
+      () => resolve(null),
+      { enableHighAccuracy: true, timeout: 5000 }
+    );
+  });
+
+  const submitEmergency = useCallback(async () => {
     setShowEmergencyModal(false);
-    setEmergencyReason('');
-    
-    // Simuleer dat emergency na 30 seconden wordt opgelost
-    setTimeout(() => {
-      setSkipperData(prev => ({
-        ...prev,
-        emergencyActive: false
-      }));
-    }, 30000);
-  }, [emergencyReason]);
+    setEmergencyError(null);
 
-  const zoneInfo = getZoneInfo(skipperData.currentPosition);
+    try {
+      const coords = await getDevicePosition();
+      const response = await fetch('/api/emergencies', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          boatNumber: skipperData.boatNumber,
+          reason: emergencyReason,
+          ...(coords && { latitude: coords.latitude, longitude: coords.longitude })
+        })
+      });
+      const data = await response.json();
+
+      // 409: an emergency is already open for this boat
+      if (response.ok || response.status === 409) {
+        setSkipperData(prev => ({ ...prev, emergencyActive: true }));
+      } else {
+        setEmergencyError(data.error || 'Melden mislukt');
+      }
+    } catch (error) {
+      console.error('❌ Error raising emergency:', error);
+      setEmergencyError('Geen verbinding, bel Pride Control');
+    } finally {
+      setEmergencyReason('');
+    }
+  }, [emergencyReason, skipperData.boatNumber]);
+
+  const zoneInfo = instruction || {
+    zone: 0,
+    instruction: connectionError || 'Wachten op instructie van Pride Control...',
+    reason: ''
+  };
+  const emergencyActive = skipperData.emergencyActive || Boolean(instruction?.emergencyActive);
 
   return (
     <div className="mobile-full-height bg-gray-900 text-white flex flex-col">
@@ -119,7 +182,7 @@ export default function SkipperApp() {
         <div className="flex items-center justify-between">
           <div>
             <h1 className="text-lg font-bold">Boot #{skipperData.boatNumber}</h1>
-            <p className="text-sm text-gray-300">{skipperData.boatName}</p>
+            <p className="text-sm text-gray-300">{skipperData.boatName || '...'}</p>
           </div>
           <div className="text-right">
             <div className="text-sm text-gray-300">Snelheid</div>
@@ -129,7 +192,7 @@ export default function SkipperApp() {
       </header>
 
       {/* Emergency Status */}
-      {skipperData.emergencyActive && (
+      {emergencyActive && (
         <div className="bg-red-600 px-4 py-2 flex-shrink-0">
           <div className="flex items-center justify-center space-x-2">
             <span className="animate-pulse text-xl">🚨</span>
@@ -139,6 +202,19 @@ export default function SkipperApp() {
         </div>
       )}
 
+      {emergencyError && (
+        <div className="bg-red-800 px-4 py-2 flex-shrink-0 text-center text-sm">
+          {emergencyError}
+        </div>
+      )}
+
+      {/* Emergencies ahead of this boat */}
+      {alerts.map((alert) => (
+        <div key={alert.emergencyId} className="bg-yellow-500 text-black px-4 py-2 flex-shrink-0 text-center font-bold">
+          ⚠️ Calamiteit bij boot {alert.affectedBoatId} voor u: vertraag en volg aanwijzingen van Pride Control
+        </div>
+      ))}
+
       {/* Main Corridor Display */}
       <div className="flex-1 flex flex-col">
         {/* Zone 1 - Te ver vooruit (Rood) */}
@@ -205,15 +281,23 @@ export default function SkipperApp() {
           <div className="text-lg font-bold text-yellow-400">
             {zoneInfo.instruction}
           </div>
+          {zoneInfo.reason && (
+            <div className="text-sm text-gray-300 mt-1">{zoneInfo.reason}</div>
+          )}
+          {instruction && (
+            <div className="text-sm text-gray-300 mt-1">
+              Doelsnelheid: {instruction.targetSpeedKmh.toFixed(1)} km/h
+            </div>
+          )}
         </div>
 
         {/* Action Buttons */}
         <div className="grid grid-cols-2 gap-3">
           <button
             onClick={handleEmergency}
-            disabled={skipperData.emergencyActive}
+            disabled={emergencyActive}
             className={`py-3 px-4 rounded-lg font-bold transition-colors ${
-              skipperData.emergencyActive
+              emergencyActive
                 ? 'bg-gray-600 text-gray-400 cursor-not-allowed'
                 : 'bg-red-600 hover:bg-red-700 text-white'
             }`}
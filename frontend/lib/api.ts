@@ -144,6 +144,10 @@ export const api = {
       return api.fetch('/api/locations/all');
     },
 
+    async getBoatsWithin(lat: number, lon: number, radius: number = 500) {
+      return api.fetch(`/api/locations/within?lat=${lat}&lon=${lon}&radius=${radius}`);
+    },
+
     async getPrideBoats() {
       return api.fetch('/api/locations/pride-boats');
     },
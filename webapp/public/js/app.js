@@ -91,8 +91,9 @@ class PrideApp {
 
     async loadBoats() {
         try {
-            const response = await fetch(`${this.serverUrl}/boats`);
-            this.boats = await response.json();
+            const response = await fetch(`${this.serverUrl}/locations/all`);
+            const result = await response.json();
+            this.boats = result.data || [];
             this.displayBoatsOnMap();
         } catch (error) {
             console.error('Error loading boats:', error);
@@ -114,11 +115,13 @@ class PrideApp {
             const response = await fetch(
                 `${this.serverUrl}/locations/nearest?lat=${this.userLocation.lat}&lon=${this.userLocation.lon}`
             );
-            const data = await response.json();
+            const result = await response.json();
+            if (!result.success) return;
+            const data = result.data;
             
             this.currentFrequency = data.frequency;
-            document.getElementById('current-frequency').textContent = `${data.frequency} MHz`;
-            document.getElementById('nearest-boat').textContent = `Boot: ${data.boatId}`;
+            document.getElementById('current-frequency').textContent = data.frequency ? `${data.frequency} MHz` : 'Niet toegewezen';
+            document.getElementById('nearest-boat').textContent = `Boot: ${data.boat.name}`;
         } catch (error) {
             console.error('Error updating nearest boat:', error);
         }